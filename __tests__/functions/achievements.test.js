@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+
+const { recordCompletion, unlockAchievements } = require('../../functions/achievements');
+
+// Noon in Asia/Jakarta on the given day
+const at = (day) => Date.parse(`${day}T12:00:00+07:00`);
+
+const complete = (stats, assignmentId, day) =>
+  recordCompletion(stats, { assignmentId, rank: 2, deadlineStatus: 'ON_TIME', completedAtMs: at(day) });
+
+describe('recordCompletion streaks', () => {
+  test('counts consecutive days and restarts after a gap', () => {
+    let stats = complete({}, 'a1', '2026-10-01');
+    stats = complete(stats, 'a2', '2026-10-02');
+    stats = complete(stats, 'a3', '2026-10-02');
+    expect(stats).toMatchObject({ currentStreak: 2, bestStreak: 2, lastCompletionDay: '2026-10-02' });
+
+    stats = complete(stats, 'a4', '2026-10-05');
+    expect(stats).toMatchObject({ currentStreak: 1, bestStreak: 2, lastCompletionDay: '2026-10-05' });
+  });
+
+  test('keeps the streak when an older completion is approved after a newer one', () => {
+    let stats = complete({}, 'a1', '2026-10-01');
+    stats = complete(stats, 'a2', '2026-10-02');
+    stats = complete(stats, 'a3', '2026-10-03');
+
+    stats = complete(stats, 'a0', '2026-09-20');
+    expect(stats).toMatchObject({ currentStreak: 3, bestStreak: 3, lastCompletionDay: '2026-10-03' });
+
+    stats = complete(stats, 'a5', '2026-10-04');
+    expect(stats).toMatchObject({ currentStreak: 4, bestStreak: 4, lastCompletionDay: '2026-10-04' });
+  });
+
+  test('tracks first and early completions by assignment', () => {
+    const stats = recordCompletion({}, { assignmentId: 'a1', rank: 1, deadlineStatus: 'EARLY', completedAtMs: at('2026-10-01') });
+    expect(stats.firstCompletions).toEqual(['a1']);
+    expect(stats.earlyCompletions).toEqual(['a1']);
+  });
+});
+
+describe('unlockAchievements', () => {
+  test('unlocks streak achievements once', () => {
+    const expData = { stats: { bestStreak: 3 }, achievements: {} };
+    const first = unlockAchievements(expData, 1000);
+    expect(first.unlocked).toEqual(['streak_3']);
+
+    const second = unlockAchievements({ ...expData, achievements: first.achievements }, 2000);
+    expect(second.unlocked).toEqual([]);
+    expect(second.achievements.streak_3).toBe(1000);
+  });
+});
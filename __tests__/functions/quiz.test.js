@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+
+const { gradeQuestion, splitAnswerKey, toKeyAnswer, toQuizFlashcards } = require('../../functions/quiz');
+
+const questions = [
+  { question: 'What do plants make?', options: ['Sugar', 'Salt'], correctAnswer: 0 },
+  { type: 'multi-select', question: 'Which are planets?', options: ['Mars', 'Moon', 'Venus'], correctAnswers: [0, 2] },
+  { type: 'short-answer', question: 'Capital of France?', acceptedAnswers: ['Paris'] },
+  { type: 'ordering', question: 'Order the stages', items: ['Egg', 'Larva', 'Pupa', 'Adult'] },
+];
+
+describe('splitAnswerKey', () => {
+  test('shows the questions without their answers', () => {
+    const { shownQuestions, answerKey } = splitAnswerKey(questions);
+    expect(shownQuestions[0]).toEqual({ question: 'What do plants make?', options: ['Sugar', 'Salt'] });
+    expect(shownQuestions[1]).toEqual({ type: 'multi-select', question: 'Which are planets?', options: ['Mars', 'Moon', 'Venus'] });
+    expect(shownQuestions[2]).toEqual({ type: 'short-answer', question: 'Capital of France?' });
+    expect(answerKey.slice(0, 3)).toEqual(questions.slice(0, 3));
+  });
+
+  test('never shows ordering items in the right order', () => {
+    // A random order that comes out right is rotated
+    const { shownQuestions, answerKey } = splitAnswerKey(questions, () => 0.999);
+    expect(answerKey[3]).toEqual({ ...questions[3], shownOrder: [1, 2, 3, 0] });
+    expect(shownQuestions[3].items).toEqual(['Larva', 'Pupa', 'Adult', 'Egg']);
+  });
+
+  test('grades ordering answers given in the shown order against the key', () => {
+    const { shownQuestions, answerKey } = splitAnswerKey(questions);
+    const key = answerKey[3];
+    // The student puts the shown items back in the right order
+    const answer = questions[3].items.map(item => shownQuestions[3].items.indexOf(item));
+    expect(toKeyAnswer(key, answer)).toEqual([0, 1, 2, 3]);
+    expect(gradeQuestion(key, toKeyAnswer(key, answer))).toBe(1);
+    expect(toKeyAnswer(answerKey[0], 1)).toBe(1);
+  });
+});
+
+describe('toQuizFlashcards', () => {
+  test('turns the answer key into cards', () => {
+    expect(toQuizFlashcards(questions)).toEqual([
+      { front: 'What do plants make?', back: 'Sugar' },
+      { front: 'Which are planets?', back: 'Mars, Venus' },
+      { front: 'Capital of France?', back: 'Paris' },
+      { front: 'Order the stages', back: 'Egg → Larva → Pupa → Adult' },
+    ]);
+  });
+});
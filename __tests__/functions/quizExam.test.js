@@ -0,0 +1,22 @@
+/**
+ * @jest-environment node
+ */
+
+const { EXAM_GRACE_SECONDS, getExamSubmissionError } = require('../../functions/quizExam');
+
+describe('getExamSubmissionError', () => {
+  const endsAt = Date.parse('2026-10-19T09:00:00Z');
+
+  test('accepts exams submitted before the end or within the grace period', () => {
+    expect(getExamSubmissionError(endsAt, endsAt - 60 * 1000)).toBeNull();
+    expect(getExamSubmissionError(endsAt, endsAt + EXAM_GRACE_SECONDS * 1000)).toBeNull();
+  });
+
+  test('rejects exams submitted after the grace period', () => {
+    expect(getExamSubmissionError(endsAt, endsAt + EXAM_GRACE_SECONDS * 1000 + 1)).toBe('The time for this exam is over');
+  });
+
+  test('accepts exams without a time limit at any time', () => {
+    expect(getExamSubmissionError(null, endsAt + 24 * 60 * 60 * 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,571 @@
+/**
+ * Security rules tests, run against the Firestore emulator with `npm run test:rules`
+ *
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const firebase = require('firebase/compat/app').default;
+require('firebase/compat/firestore');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-taskmaster-rules';
+const CLASS_ID = 'class1';
+const OTHER_CLASS_ID = 'class2';
+
+let testEnv;
+
+const db = (uid) => testEnv.authenticatedContext(uid).firestore();
+const serverTimestamp = () => firebase.firestore.FieldValue.serverTimestamp();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+});
+
+// creator: class creator, teacher: teacher role, admin: admin role,
+// student/student2: students, outsider: signed in but not a member
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const admin = context.firestore();
+    const classRef = admin.collection('classes').doc(CLASS_ID);
+
+    await classRef.set({
+      name: 'Class 1',
+      createdBy: 'creator',
+      classCode: 'ABC123',
+      active: true,
+      maxUsers: 30,
+      requireCompletionApproval: true,
+      requireGalleryApproval: true,
+    });
+    await admin.collection('classCodes').doc('ABC123').set({ classId: CLASS_ID, active: true });
+
+    const members = {
+      creator: 'student',
+      teacher: 'teacher',
+      admin: 'admin',
+      student: 'student',
+      student2: 'student',
+    };
+    for (const [uid, role] of Object.entries(members)) {
+      await classRef.collection('members').doc(uid).set({ userId: uid, role });
+    }
+
+    await classRef.collection('assignments').doc('assignment1').set({
+      id: 'a1',
+      title: 'Essay',
+      createdBy: 'teacher',
+      pending: false,
+      approved: true,
+    });
+    await classRef.collection('subjects').doc('subject1').set({
+      id: 's1',
+      name: 'Math',
+      createdBy: 'teacher',
+      teachers: ['teacher'],
+    });
+    await classRef.collection('experience').doc('student').set({
+      userId: 'student',
+      totalExp: 100,
+      completedAssignments: ['a0'],
+    });
+    await classRef.collection('completionApprovals').doc('approval1').set({
+      userId: 'student',
+      assignmentId: 'a1',
+      status: 'pending',
+      score: null,
+    });
+    await classRef.collection('aiMaterials').doc('material1').set({
+      title: 'Photosynthesis',
+      createdBy: { uid: 'teacher' },
+      scoreBoard: [],
+    });
+    await classRef.collection('aiMaterials').doc('material1').collection('answerKey').doc('current').set({
+      quizQuestions: [{ question: 'What do plants make?', options: ['Sugar', 'Salt'], correctAnswer: 0 }],
+    });
+    await classRef.collection('aiMaterials').doc('material1').collection('attempts').doc('attempt1').set({
+      userId: 'student',
+      score: 80,
+      responses: [{ answer: 1, credit: 1, timeSeconds: 12 }],
+    });
+    await classRef.collection('aiMaterials').doc('material1').collection('examSessions').doc('student').set({
+      userId: 'student',
+      questionOrder: [1, 0],
+      optionOrders: {},
+    });
+    await classRef.collection('aiMaterials').doc('material2').set({
+      title: 'Cells',
+      createdBy: { uid: 'student' },
+      scoreBoard: [],
+    });
+    await classRef.collection('aiMaterials').doc('material2').collection('answerKey').doc('current').set({
+      quizQuestions: [{ question: 'What do cells have?', options: ['A nucleus', 'Wheels'], correctAnswer: 0 }],
+    });
+    await classRef.collection('aiMaterialDrafts').doc('draft1').set({
+      title: 'Cells',
+      createdBy: { uid: 'student' },
+      status: 'draft',
+      hasUnpublishedChanges: true,
+    });
+
+    await classRef.collection('gallery').doc('image1').set({
+      title: 'Field trip',
+      createdBy: 'student2',
+      albumId: null,
+      likedBy: ['teacher'],
+    });
+
+    await admin.collection('classes').doc(OTHER_CLASS_ID).set({
+      name: 'Class 2',
+      createdBy: 'someoneElse',
+      active: true,
+    });
+  });
+});
+
+describe('classes', () => {
+  test('members can read their class', async () => {
+    await assertSucceeds(db('student').collection('classes').doc(CLASS_ID).get());
+  });
+
+  test('non-members cannot read a class or list classes', async () => {
+    await assertFails(db('outsider').collection('classes').doc(CLASS_ID).get());
+    await assertFails(db('student').collection('classes').doc(OTHER_CLASS_ID).get());
+    await assertFails(db('student').collection('classes').get());
+  });
+
+  test('users can find their own memberships across classes', async () => {
+    await assertSucceeds(
+      db('student').collectionGroup('members').where('userId', '==', 'student').get()
+    );
+    await assertFails(db('student').collectionGroup('members').get());
+  });
+
+  test('only admins can change class settings', async () => {
+    await assertFails(
+      db('student').collection('classes').doc(CLASS_ID).update({ requireCompletionApproval: false })
+    );
+    await assertSucceeds(
+      db('teacher').collection('classes').doc(CLASS_ID).update({ requireCompletionApproval: false })
+    );
+    await assertFails(
+      db('teacher').collection('classes').doc(CLASS_ID).update({ createdBy: 'teacher' })
+    );
+  });
+});
+
+describe('joining and roles', () => {
+  test('class codes can be looked up but not listed', async () => {
+    await assertSucceeds(db('outsider').collection('classCodes').doc('ABC123').get());
+    await assertFails(db('outsider').collection('classCodes').get());
+  });
+
+  test('users can join as a student under their own ID', async () => {
+    const members = db('outsider').collection('classes').doc(CLASS_ID).collection('members');
+    await assertSucceeds(members.doc('outsider').set({ userId: 'outsider', role: 'student' }));
+  });
+
+  test('users cannot join as a teacher or on behalf of someone else', async () => {
+    const members = db('outsider').collection('classes').doc(CLASS_ID).collection('members');
+    await assertFails(members.doc('outsider').set({ userId: 'outsider', role: 'teacher' }));
+    await assertFails(members.doc('outsider').set({ userId: 'outsider', role: 'student', isAdmin: true }));
+    await assertFails(members.doc('friend').set({ userId: 'friend', role: 'student' }));
+  });
+
+  test('students cannot change their own role', async () => {
+    await assertFails(
+      db('student').collection('classes').doc(CLASS_ID).collection('members').doc('student').update({ role: 'admin' })
+    );
+  });
+
+  test('admins can change roles and remove members', async () => {
+    const members = db('admin').collection('classes').doc(CLASS_ID).collection('members');
+    await assertSucceeds(members.doc('student').update({ role: 'teacher' }));
+    await assertSucceeds(members.doc('student2').delete());
+  });
+
+  test('students can leave but not remove others', async () => {
+    const members = db('student').collection('classes').doc(CLASS_ID).collection('members');
+    await assertFails(members.doc('student2').delete());
+    await assertSucceeds(members.doc('student').delete());
+  });
+});
+
+describe('assignments and subjects', () => {
+  test('student assignments must wait for approval', async () => {
+    const assignments = db('student').collection('classes').doc(CLASS_ID).collection('assignments');
+    await assertFails(assignments.add({ title: 'Mine', createdBy: 'student', pending: false, approved: true }));
+    await assertSucceeds(assignments.add({ title: 'Mine', createdBy: 'student', pending: true, approved: false }));
+  });
+
+  test('outsiders cannot create assignments', async () => {
+    const assignments = db('outsider').collection('classes').doc(CLASS_ID).collection('assignments');
+    await assertFails(assignments.add({ title: 'Spam', createdBy: 'outsider', pending: true, approved: false }));
+  });
+
+  test('students cannot edit or delete assignments they did not create', async () => {
+    const assignment = db('student').collection('classes').doc(CLASS_ID).collection('assignments').doc('assignment1');
+    await assertFails(assignment.update({ title: 'Changed' }));
+    await assertFails(assignment.delete());
+  });
+
+  test('students join groups only through the group functions, and only admins lock them', async () => {
+    const classAssignment = db('student').collection('classes').doc(CLASS_ID).collection('assignments').doc('assignment1');
+    await assertFails(classAssignment.update({ groups: [{ id: 'g1', name: 'Group 1', members: [{ userId: 'student' }] }] }));
+
+    const ownAssignment = db('student').collection('classes').doc(CLASS_ID).collection('assignments').doc('studentGroupWork');
+    await assertSucceeds(ownAssignment.set({ title: 'Group work', createdBy: 'student', pending: true, approved: false }));
+    await assertSucceeds(ownAssignment.update({ groupSettings: { maxGroupSize: 4, locked: false }, pending: true, approved: false }));
+    await assertFails(ownAssignment.update({ groupSettings: { maxGroupSize: 4, locked: true }, pending: true, approved: false }));
+
+    const adminAssignment = db('admin').collection('classes').doc(CLASS_ID).collection('assignments').doc('studentGroupWork');
+    await assertSucceeds(adminAssignment.update({ 'groupSettings.locked': true }));
+  });
+
+  test('subject teachers can update their subject, students cannot assign teachers', async () => {
+    const teacherSubject = db('teacher').collection('classes').doc(CLASS_ID).collection('subjects').doc('subject1');
+    await assertSucceeds(teacherSubject.update({ gradingConfig: { dropLowest: 1 } }));
+
+    const studentSubject = db('student').collection('classes').doc(CLASS_ID).collection('subjects').doc('subject1');
+    await assertFails(studentSubject.update({ teachers: ['teacher', 'student'] }));
+  });
+});
+
+describe('completion approvals', () => {
+  test('students submit their own pending requests', async () => {
+    const approvals = db('student').collection('classes').doc(CLASS_ID).collection('completionApprovals');
+    const request = { assignmentId: 'a2', submittedAt: serverTimestamp() };
+    await assertSucceeds(approvals.add({ ...request, userId: 'student', status: 'pending', score: null }));
+    await assertFails(approvals.add({ ...request, userId: 'student2', status: 'pending', score: null }));
+    await assertFails(approvals.add({ ...request, userId: 'student', status: 'approved', score: 100 }));
+  });
+
+  test('students cannot backdate a request to earn the early bonus', async () => {
+    const approvals = db('student').collection('classes').doc(CLASS_ID).collection('completionApprovals');
+    const request = { userId: 'student', assignmentId: 'a2', status: 'pending', score: null };
+    await assertFails(approvals.add({ ...request, submittedAt: firebase.firestore.Timestamp.fromDate(new Date('2026-01-01')) }));
+    await assertFails(approvals.add(request));
+  });
+
+  test('students cannot approve or grade, even when listed as subject teacher', async () => {
+    const approvals = db('student').collection('classes').doc(CLASS_ID).collection('completionApprovals');
+    await assertFails(approvals.doc('approval1').update({ status: 'approved', score: 100 }));
+    await assertFails(approvals.add({
+      userId: 'student',
+      assignmentId: 'a3',
+      status: 'pending',
+      score: null,
+      submittedAt: serverTimestamp(),
+      subjectTeachers: ['student'],
+    }).then(ref => ref.update({ status: 'approved' })));
+  });
+
+  test('teachers approve and write the completed assignment record', async () => {
+    const teacherDb = db('teacher');
+    await assertSucceeds(
+      teacherDb.collection('classes').doc(CLASS_ID).collection('completionApprovals').doc('approval1').delete()
+    );
+    await assertSucceeds(
+      teacherDb.collection('users').doc('student').collection('completedAssignments').doc('approval1').set({
+        classId: CLASS_ID,
+        assignmentId: 'a1',
+        approvedBy: 'teacher',
+        score: 90,
+      })
+    );
+  });
+
+  test('students cannot write their own completed assignment records', async () => {
+    await assertFails(
+      db('student').collection('users').doc('student').collection('completedAssignments').doc('fake').set({
+        classId: CLASS_ID,
+        assignmentId: 'a1',
+        approvedBy: 'student',
+        score: 100,
+      })
+    );
+  });
+});
+
+describe('experience', () => {
+  test('students cannot award themselves XP', async () => {
+    const experience = db('student').collection('classes').doc(CLASS_ID).collection('experience').doc('student');
+    await assertFails(experience.update({ totalExp: 200, completedAssignments: ['a0', 'a1'] }));
+  });
+
+  test('students cannot award themselves XP when approval is off', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('classes').doc(CLASS_ID).update({ requireCompletionApproval: false });
+    });
+
+    const experience = db('student').collection('classes').doc(CLASS_ID).collection('experience').doc('student');
+    await assertFails(experience.update({ totalExp: 180, completedAssignments: ['a0', 'a1'] }));
+  });
+
+  test('teachers cannot write XP directly either', async () => {
+    const experience = db('teacher').collection('classes').doc(CLASS_ID).collection('experience').doc('student');
+    await assertFails(experience.update({ totalExp: 190, completedAssignments: ['a0', 'a1'] }));
+  });
+
+  test('members can read XP for the leaderboard', async () => {
+    await assertSucceeds(db('student2').collection('classes').doc(CLASS_ID).collection('experience').get());
+    await assertFails(db('outsider').collection('classes').doc(CLASS_ID).collection('experience').get());
+  });
+
+  test('XP history is visible to the student and teachers only', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('classes').doc(CLASS_ID).collection('experience').doc('student')
+        .collection('ledger').doc('entry1').set({ source: 'bonus', amount: 10, reason: 'Helping out' });
+    });
+
+    const ledger = (uid) => db(uid).collection('classes').doc(CLASS_ID)
+      .collection('experience').doc('student').collection('ledger');
+    await assertSucceeds(ledger('student').get());
+    await assertSucceeds(ledger('teacher').get());
+    await assertFails(ledger('student2').get());
+    await assertFails(ledger('student').add({ source: 'bonus', amount: 1000 }));
+  });
+
+  test('archived seasons are read-only for members', async () => {
+    const seasons = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('seasons');
+    await assertSucceeds(seasons('student').get());
+    await assertFails(seasons('outsider').get());
+    await assertFails(seasons('teacher').add({ name: 'Semester 1', standings: [] }));
+  });
+
+  test('students cannot reset their season XP', async () => {
+    const experience = db('student').collection('classes').doc(CLASS_ID).collection('experience').doc('student');
+    await assertFails(experience.update({ seasonStartExp: 0, windows: {} }));
+  });
+
+  test('users cannot change their own quiz XP', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('student').set({ displayName: 'Student', exp: 50 });
+    });
+
+    const user = db('student').collection('users').doc('student');
+    await assertFails(user.update({ exp: 5000 }));
+    await assertSucceeds(user.update({ displayName: 'Renamed' }));
+    await assertFails(db('outsider').collection('users').doc('outsider').set({ displayName: 'New', exp: 100 }));
+  });
+});
+
+describe('AI material scoreboard', () => {
+  test('scores are read-only for members', async () => {
+    const scores = db('student').collection('classes').doc(CLASS_ID)
+      .collection('aiMaterials').doc('material1').collection('scores');
+    await assertSucceeds(scores.get());
+    await assertFails(scores.doc('student').set({ userId: 'student', score: 100, totalScore: 100 }));
+  });
+
+  test('quiz attempts are seen by teachers and their own student', async () => {
+    const attempts = (uid) => db(uid).collection('classes').doc(CLASS_ID)
+      .collection('aiMaterials').doc('material1').collection('attempts');
+    await assertSucceeds(attempts('teacher').get());
+    await assertSucceeds(attempts('student').doc('attempt1').get());
+    await assertSucceeds(attempts('student').where('userId', '==', 'student').get());
+    await assertFails(attempts('student2').doc('attempt1').get());
+    await assertFails(attempts('student').get());
+    await assertFails(attempts('student').doc('attempt2').set({ userId: 'student', score: 100 }));
+  });
+
+  test('students cannot read the answer key of a quiz', async () => {
+    const answerKey = (uid, id) => db(uid).collection('classes').doc(CLASS_ID)
+      .collection('aiMaterials').doc(id).collection('answerKey').doc('current');
+    await assertFails(answerKey('student', 'material1').get());
+    await assertFails(answerKey('student2', 'material2').get());
+    await assertSucceeds(answerKey('teacher', 'material1').get());
+    await assertSucceeds(answerKey('teacher', 'material2').get());
+    await assertSucceeds(answerKey('student', 'material2').get());
+    await assertFails(answerKey('teacher', 'material1').set({ quizQuestions: [] }));
+  });
+
+  test('exam sessions are only written by the quiz functions', async () => {
+    const sessions = (uid) => db(uid).collection('classes').doc(CLASS_ID)
+      .collection('aiMaterials').doc('material1').collection('examSessions');
+    await assertSucceeds(sessions('student').doc('student').get());
+    await assertSucceeds(sessions('teacher').doc('student').get());
+    await assertFails(sessions('student2').doc('student').get());
+    await assertFails(sessions('student').doc('student').update({ endsAt: null }));
+    await assertFails(sessions('student2').doc('student2').set({ userId: 'student2', questionOrder: [0, 1] }));
+    await assertFails(sessions('student').doc('student').delete());
+    await assertSucceeds(sessions('teacher').doc('student').delete());
+  });
+
+  test('only admins turn a quiz into an exam', async () => {
+    const material = (uid, id) => db(uid).collection('classes').doc(CLASS_ID).collection('aiMaterials').doc(id);
+    const examSettings = { enabled: true, timeLimitMinutes: 10 };
+    await assertSucceeds(material('student', 'material2').update({ title: 'Cells and tissues' }));
+    await assertFails(material('student', 'material2').update({ examSettings }));
+    await assertSucceeds(material('teacher', 'material2').update({ examSettings }));
+    await assertSucceeds(material('teacher', 'material1').update({ examSettings }));
+  });
+
+  test('materials are only created by the AI function', async () => {
+    const materials = db('teacher').collection('classes').doc(CLASS_ID).collection('aiMaterials');
+    await assertFails(materials.add({ title: 'Cells', createdBy: { uid: 'teacher' }, quizQuestions: [] }));
+  });
+
+  test('only admins can see AI usage', async () => {
+    const usage = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('aiUsage');
+    await assertSucceeds(usage('teacher').get());
+    await assertFails(usage('student').get());
+    await assertFails(usage('student').doc('2026-10-18').set({ total: 0, users: {} }));
+  });
+
+  test('users see but cannot reset their own AI usage over all classes', async () => {
+    const usage = (uid) => db(uid).collection('users').doc('student').collection('aiUsage').doc('2026-10-18');
+    await assertSucceeds(usage('student').get());
+    await assertFails(usage('student2').get());
+    await assertFails(usage('student').set({ total: 0 }));
+  });
+
+  test('only the author and admins can edit a material', async () => {
+    const material = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('aiMaterials').doc('material1');
+    await assertFails(material('student').update({ scoreBoard: [{ userId: 'student', score: 100 }] }));
+    await assertSucceeds(material('teacher').update({ title: 'Photosynthesis 101' }));
+    await assertFails(material('teacher').update({ quizQuestions: [] }));
+  });
+});
+
+describe('AI material drafts', () => {
+  const draft = (uid, draftId = 'draft1') =>
+    db(uid).collection('classes').doc(CLASS_ID).collection('aiMaterialDrafts').doc(draftId);
+
+  test('only the author and admins can see and edit a draft', async () => {
+    await assertSucceeds(draft('student').get());
+    await assertSucceeds(draft('teacher').get());
+    await assertFails(draft('student2').get());
+    await assertSucceeds(draft('student').update({ summary: 'Edited', hasUnpublishedChanges: true }));
+    await assertFails(draft('student2').update({ summary: 'Edited' }));
+  });
+
+  test('drafts are published by the function', async () => {
+    await assertFails(draft('student').update({ status: 'published' }));
+    await assertFails(draft('student', 'new').set({ title: 'New', createdBy: { uid: 'student' }, status: 'draft' }));
+  });
+
+  test('published materials can get a draft for editing', async () => {
+    const legacyDraft = { title: 'Photosynthesis', createdBy: { uid: 'teacher' }, status: 'published' };
+    await assertFails(draft('student', 'material1').set(legacyDraft));
+    await assertSucceeds(draft('teacher', 'material1').set(legacyDraft));
+  });
+
+  test('edit history is append only', async () => {
+    const versions = (uid) => draft(uid).collection('versions');
+    const version = { action: 'edit', editedBy: { uid: 'student' }, summary: 'Edited' };
+    await assertSucceeds(versions('student').doc('v1').set(version));
+    await assertFails(versions('student2').doc('v2').set({ ...version, editedBy: { uid: 'student2' } }));
+    await assertFails(versions('student').doc('v3').set({ ...version, action: 'publish' }));
+    await assertFails(versions('student').doc('v1').update({ summary: 'Rewritten' }));
+  });
+});
+
+describe('flashcard progress', () => {
+  const card = (uid, ownerId = uid) => db(uid).collection('classes').doc(CLASS_ID)
+    .collection('flashcardProgress').doc(ownerId).collection('cards').doc('material1_abc');
+  const progress = { materialId: 'material1', cardId: 'abc', interval: 1, repetitions: 1, easeFactor: 2.5 };
+
+  test('members keep their own progress', async () => {
+    await assertSucceeds(card('student').set(progress));
+    await assertSucceeds(card('student').get());
+    await assertFails(card('outsider').set(progress));
+  });
+
+  test('progress is private', async () => {
+    await assertFails(card('teacher', 'student').get());
+    await assertFails(card('student2', 'student').set(progress));
+  });
+});
+
+describe('peer evaluations', () => {
+  const evaluations = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('peerEvaluations');
+  const evaluation = (raterId) => ({
+    assignmentId: 'a1',
+    groupId: 'group1',
+    raterId,
+    ratings: { student2: 4 },
+  });
+
+  test('members rate their teammates in their own evaluation', async () => {
+    await assertSucceeds(evaluations('student').doc('a1_student').set(evaluation('student')));
+    await assertSucceeds(evaluations('student').doc('a1_student').get());
+    await assertFails(evaluations('student').doc('a1_student2').set(evaluation('student2')));
+    await assertFails(evaluations('student').doc('a2_student').set(evaluation('student')));
+    await assertFails(evaluations('outsider').doc('a1_outsider').set(evaluation('outsider')));
+  });
+
+  test('members cannot rate themselves', async () => {
+    await assertFails(evaluations('student').doc('a1_student').set({
+      ...evaluation('student'),
+      ratings: { student: 5, student2: 1 },
+    }));
+  });
+
+  test('ratings are seen by the rater and teachers only', async () => {
+    await assertSucceeds(evaluations('student').doc('a1_student').set(evaluation('student')));
+    await assertSucceeds(evaluations('teacher').doc('a1_student').get());
+    await assertFails(evaluations('student2').doc('a1_student').get());
+  });
+});
+
+describe('rubrics', () => {
+  const rubrics = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('rubrics');
+  const rubric = {
+    name: 'Lab report',
+    criteria: [{ id: 'c1', name: 'Method', levels: [{ id: 'l1', label: 'Good', points: 2 }, { id: 'l2', label: 'Weak', points: 1 }] }],
+  };
+
+  test('teachers keep the rubrics of a class', async () => {
+    await assertSucceeds(rubrics('teacher').doc('rubric1').set(rubric));
+    await assertFails(rubrics('student').doc('rubric2').set(rubric));
+    await assertSucceeds(rubrics('student').doc('rubric1').get());
+    await assertFails(rubrics('outsider').doc('rubric1').get());
+  });
+});
+
+describe('gallery likes', () => {
+  const image = (uid) => db(uid).collection('classes').doc(CLASS_ID).collection('gallery').doc('image1');
+
+  test('members can like and unlike an image', async () => {
+    await assertSucceeds(image('student').update({ likedBy: ['teacher', 'student'] }));
+    await assertSucceeds(image('student').update({ likedBy: ['teacher'] }));
+  });
+
+  test('members cannot add likes for others or edit the image while liking', async () => {
+    await assertFails(image('student').update({ likedBy: ['teacher', 'student', 'admin'] }));
+    await assertFails(image('student').update({ likedBy: [] }));
+    await assertFails(image('student').update({ likedBy: ['teacher', 'student'], title: 'Mine now' }));
+    await assertFails(image('outsider').update({ likedBy: ['teacher', 'outsider'] }));
+  });
+
+  test('uploaders cannot write likes on their own images', async () => {
+    await assertSucceeds(image('student2').update({ title: 'Field trip 2026' }));
+    await assertFails(image('student2').update({ likedBy: ['teacher', 'student', 'admin'] }));
+    await assertFails(image('student2').update({ likedBy: ['teacher', 'admin'], title: 'Field trip 2026' }));
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('classes').doc(CLASS_ID).update({ requireGalleryApproval: false });
+    });
+    const gallery = db('student').collection('classes').doc(CLASS_ID).collection('gallery');
+    await assertFails(gallery.add({ title: 'Mine', createdBy: 'student', likedBy: ['teacher', 'admin'] }));
+    await assertSucceeds(gallery.add({ title: 'Mine', createdBy: 'student', likedBy: [] }));
+  });
+});
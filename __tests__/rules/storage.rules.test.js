@@ -0,0 +1,114 @@
+/**
+ * Storage security rules tests, run against the Storage and Firestore emulators with `npm run test:rules`
+ *
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-taskmaster-rules';
+const CLASS_ID = 'class1';
+
+const PDF = 'application/pdf';
+const ZIP = 'application/zip';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+let testEnv;
+
+const storage = (uid) => testEnv.authenticatedContext(uid).storage();
+const upload = (uid, filePath, contentType) =>
+  storage(uid).ref(filePath).put(new Uint8Array([1, 2, 3]), { contentType });
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8'),
+    },
+    storage: {
+      rules: fs.readFileSync(path.resolve(__dirname, '../../storage.rules'), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+});
+
+// teacher: teacher role, student/student2: students, outsider: signed in but not a member
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const classRef = context.firestore().collection('classes').doc(CLASS_ID);
+    await classRef.set({ name: 'Class 1', createdBy: 'creator' });
+    const members = { teacher: 'teacher', student: 'student', student2: 'student' };
+    for (const [uid, role] of Object.entries(members)) {
+      await classRef.collection('members').doc(uid).set({ userId: uid, role });
+    }
+
+    await context.storage().ref(`classes/${CLASS_ID}/assignmentFiles/teacher/worksheet.pdf`)
+      .put(new Uint8Array([1, 2, 3]), { contentType: PDF });
+    await context.storage().ref(`classes/${CLASS_ID}/completions/student/project.zip`)
+      .put(new Uint8Array([1, 2, 3]), { contentType: ZIP });
+    await context.storage().ref(`classes/${CLASS_ID}/groupCompletions/group1/student/poster.pdf`)
+      .put(new Uint8Array([1, 2, 3]), { contentType: PDF });
+  });
+});
+
+describe('assignment attachments', () => {
+  test('teachers attach documents in their own folder', async () => {
+    await assertSucceeds(upload('teacher', `classes/${CLASS_ID}/assignmentFiles/teacher/rubric.docx`, DOCX));
+    await assertFails(upload('teacher', `classes/${CLASS_ID}/assignmentFiles/student/rubric.docx`, DOCX));
+    await assertFails(upload('outsider', `classes/${CLASS_ID}/assignmentFiles/outsider/rubric.pdf`, PDF));
+  });
+
+  test('students cannot upload assignment attachments', async () => {
+    await assertFails(upload('student', `classes/${CLASS_ID}/assignmentFiles/student/worksheet.pdf`, PDF));
+  });
+
+  test('only allowed file types are attached', async () => {
+    await assertFails(upload('teacher', `classes/${CLASS_ID}/assignmentFiles/teacher/setup.exe`, 'application/x-msdownload'));
+  });
+
+  test('every member can download attachments', async () => {
+    await assertSucceeds(storage('student').ref(`classes/${CLASS_ID}/assignmentFiles/teacher/worksheet.pdf`).getDownloadURL());
+    await assertFails(storage('outsider').ref(`classes/${CLASS_ID}/assignmentFiles/teacher/worksheet.pdf`).getDownloadURL());
+  });
+
+  test('only the uploader and teachers delete attachments', async () => {
+    await assertFails(storage('student').ref(`classes/${CLASS_ID}/assignmentFiles/teacher/worksheet.pdf`).delete());
+    await assertSucceeds(storage('teacher').ref(`classes/${CLASS_ID}/assignmentFiles/teacher/worksheet.pdf`).delete());
+  });
+});
+
+describe('completion files', () => {
+  test('students hand in documents and archives', async () => {
+    await assertSucceeds(upload('student', `classes/${CLASS_ID}/completions/student/code.zip`, ZIP));
+    await assertSucceeds(upload('student', `classes/${CLASS_ID}/completions/student/report.pdf`, PDF));
+    await assertFails(upload('student', `classes/${CLASS_ID}/completions/student2/report.pdf`, PDF));
+  });
+
+  test('submitted files are private to the student and teachers', async () => {
+    await assertSucceeds(storage('teacher').ref(`classes/${CLASS_ID}/completions/student/project.zip`).getDownloadURL());
+    await assertFails(storage('student2').ref(`classes/${CLASS_ID}/completions/student/project.zip`).getDownloadURL());
+  });
+
+  test('group submissions are seen by the rest of the group', async () => {
+    const poster = `classes/${CLASS_ID}/groupCompletions/group1/student/poster.pdf`;
+    await assertSucceeds(storage('student2').ref(poster).getDownloadURL());
+    await assertSucceeds(storage('teacher').ref(poster).getDownloadURL());
+    await assertFails(storage('outsider').ref(poster).getDownloadURL());
+    await assertSucceeds(upload('student2', `classes/${CLASS_ID}/groupCompletions/group1/student2/notes.pdf`, PDF));
+    await assertFails(upload('student2', `classes/${CLASS_ID}/groupCompletions/group1/student/notes.pdf`, PDF));
+    await assertFails(storage('student2').ref(poster).delete());
+  });
+});
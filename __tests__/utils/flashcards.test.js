@@ -0,0 +1,108 @@
+import {
+  DEFAULT_EASE_FACTOR,
+  MIN_EASE_FACTOR,
+  REVIEW_GRADES,
+  getFlashcardId,
+  getMaterialFlashcards,
+  getProgressId,
+  scheduleReview,
+  buildStudyQueue,
+  formatInterval
+} from '../../src/utils/flashcards';
+
+const NOW = new Date('2026-10-15T08:00:00');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('scheduleReview', () => {
+  test('new cards come back after 1 day, then 6, then grow with the ease factor', () => {
+    const first = scheduleReview(null, REVIEW_GRADES.GOOD, NOW);
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, lapses: 0, easeFactor: DEFAULT_EASE_FACTOR });
+    expect(first.dueAt.getTime()).toBe(NOW.getTime() + DAY_MS);
+
+    const second = scheduleReview(first, REVIEW_GRADES.GOOD, NOW);
+    expect(second).toMatchObject({ interval: 6, repetitions: 2 });
+
+    const third = scheduleReview(second, REVIEW_GRADES.GOOD, NOW);
+    expect(third).toMatchObject({ interval: 15, repetitions: 3 });
+  });
+
+  test('easy answers raise the ease factor and hard ones lower it', () => {
+    expect(scheduleReview(null, REVIEW_GRADES.EASY, NOW).easeFactor).toBeCloseTo(2.6);
+    expect(scheduleReview(null, REVIEW_GRADES.HARD, NOW).easeFactor).toBeCloseTo(2.36);
+  });
+
+  test('forgotten cards start over, are due now and count a lapse', () => {
+    const learned = { easeFactor: 2.5, interval: 15, repetitions: 3, lapses: 0 };
+    const result = scheduleReview(learned, REVIEW_GRADES.AGAIN, NOW);
+    expect(result).toMatchObject({ interval: 0, repetitions: 0, lapses: 1 });
+    expect(result.easeFactor).toBeCloseTo(1.96);
+    expect(result.dueAt).toEqual(NOW);
+
+    // Failing a card that was never learned isn't a lapse
+    expect(scheduleReview(null, REVIEW_GRADES.AGAIN, NOW).lapses).toBe(0);
+  });
+
+  test('the ease factor never drops below the minimum', () => {
+    const result = scheduleReview({ easeFactor: 1.4, interval: 1, repetitions: 1 }, REVIEW_GRADES.AGAIN, NOW);
+    expect(result.easeFactor).toBe(MIN_EASE_FACTOR);
+  });
+});
+
+describe('getMaterialFlashcards', () => {
+  test('uses the material flashcards and drops duplicates and empty cards', () => {
+    const cards = getMaterialFlashcards({
+      id: 'm1',
+      title: 'Cells',
+      flashcards: [
+        { front: 'Mitochondria', back: 'Powerhouse of the cell' },
+        { front: ' mitochondria ', back: 'Duplicate' },
+        { front: 'Ribosome', back: '' }
+      ]
+    });
+    expect(cards).toEqual([{
+      id: getFlashcardId('Mitochondria'),
+      materialId: 'm1',
+      materialTitle: 'Cells',
+      front: 'Mitochondria',
+      back: 'Powerhouse of the cell'
+    }]);
+  });
+
+  test('builds cards from quiz questions when a material has none', () => {
+    const cards = getMaterialFlashcards({
+      id: 'm1',
+      quizQuestions: [
+        { question: 'Largest planet?', options: ['Mars', 'Jupiter'], correctAnswer: 1 },
+        { type: 'ordering', question: 'Order the steps', items: ['Plan', 'Build', 'Test'] }
+      ]
+    });
+    expect(cards.map(card => card.back)).toEqual(['Jupiter', 'Plan → Build → Test']);
+  });
+});
+
+describe('buildStudyQueue', () => {
+  const cards = ['a', 'b', 'c', 'd'].map(front => ({ id: getFlashcardId(front), materialId: 'm1', front, back: front }));
+  const progressFor = (card, dueAt) => ({ [getProgressId('m1', card.id)]: { dueAt } });
+
+  test('puts due cards first, most overdue first, then new cards up to the limit', () => {
+    const progressById = {
+      ...progressFor(cards[0], new Date('2026-10-15T20:00:00')),
+      ...progressFor(cards[1], new Date('2026-10-10T08:00:00')),
+      ...progressFor(cards[2], new Date('2026-10-16T08:00:00'))
+    };
+    const { due, fresh, queue } = buildStudyQueue(cards, progressById, { now: NOW, newLimit: 1 });
+
+    expect(due.map(card => card.front)).toEqual(['b', 'a']);
+    expect(fresh.map(card => card.front)).toEqual(['d']);
+    expect(queue.map(card => card.front)).toEqual(['b', 'a', 'd']);
+  });
+});
+
+describe('formatInterval', () => {
+  test('labels intervals in minutes, days, months and years', () => {
+    expect(formatInterval({ interval: 0 })).toBe('< 1 min');
+    expect(formatInterval({ interval: 6 })).toBe('6 d');
+    expect(formatInterval({ interval: 90 })).toBe('3 mo');
+    expect(formatInterval({ interval: 730 })).toBe('2.0 y');
+  });
+});
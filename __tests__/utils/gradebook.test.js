@@ -0,0 +1,139 @@
+import {
+  MISSING_WORK_POLICY,
+  normalizeGradingConfig,
+  validateGradingConfig,
+  computeSubjectGrade,
+  computeTermGrade,
+  getAssignmentGradeCell
+} from '../../src/utils/gradebook';
+import { ASSIGNMENT_TYPES } from '../../src/constants/Types';
+
+const NOW = new Date('2026-10-15T12:00:00Z');
+const PAST = '2026-10-01T12:00:00Z';
+const FUTURE = '2026-10-30T12:00:00Z';
+
+const assignment = (id, type, deadline = PAST, extra = {}) => ({ id, type, deadline, pending: false, ...extra });
+
+// Writing 60%, practice 40%, the other categories unweighted
+const config = (overrides = {}) => ({
+  categories: {
+    [ASSIGNMENT_TYPES.WRITING]: { weight: 60, dropLowest: 0 },
+    [ASSIGNMENT_TYPES.PRAKTEK]: { weight: 40, dropLowest: 0 },
+    ...overrides.categories
+  },
+  missingWorkPolicy: overrides.missingWorkPolicy || MISSING_WORK_POLICY.EXCLUDE
+});
+
+describe('grading config', () => {
+  test('classes without a config weigh every category equally', () => {
+    const { categories, missingWorkPolicy } = normalizeGradingConfig(undefined);
+    const weights = Object.values(categories).map(category => category.weight);
+    expect(weights.reduce((sum, weight) => sum + weight, 0)).toBe(100);
+    expect(missingWorkPolicy).toBe(MISSING_WORK_POLICY.EXCLUDE);
+  });
+
+  test('categories left out of a stored config get no weight', () => {
+    const { categories } = normalizeGradingConfig(config());
+    expect(categories[ASSIGNMENT_TYPES.WRITING].weight).toBe(60);
+    expect(categories[ASSIGNMENT_TYPES.CODING].weight).toBe(0);
+  });
+
+  test('weights must add up to 100', () => {
+    expect(validateGradingConfig(config())).toEqual([]);
+    expect(validateGradingConfig(config({ categories: { [ASSIGNMENT_TYPES.PRAKTEK]: { weight: 30, dropLowest: 0 } } })))
+      .toEqual(['Category weights must add up to 100% (currently 90%)']);
+  });
+});
+
+describe('computeSubjectGrade', () => {
+  const assignments = [
+    assignment('w1', ASSIGNMENT_TYPES.WRITING),
+    assignment('w2', ASSIGNMENT_TYPES.WRITING),
+    assignment('p1', ASSIGNMENT_TYPES.PRAKTEK)
+  ];
+
+  test('weighs the category averages', () => {
+    const completions = [
+      { assignmentId: 'w1', score: 80 },
+      { assignmentId: 'w2', score: 100 },
+      { assignmentId: 'p1', score: 50 }
+    ];
+    const result = computeSubjectGrade(assignments, completions, config(), NOW);
+    expect(result.categories[ASSIGNMENT_TYPES.WRITING].average).toBe(90);
+    expect(result.grade).toBe(74);
+    expect(result).toMatchObject({ completedCount: 3, gradedCount: 3, missingCount: 0, totalCount: 3 });
+  });
+
+  test('scales the weights up when a category has no graded work', () => {
+    const completions = [{ assignmentId: 'w1', score: 80 }, { assignmentId: 'w2', score: 100 }];
+    expect(computeSubjectGrade(assignments, completions, config(), NOW).grade).toBe(90);
+  });
+
+  test('drops the lowest scores but keeps at least one', () => {
+    const completions = [
+      { assignmentId: 'w1', score: 40 },
+      { assignmentId: 'w2', score: 100 },
+      { assignmentId: 'p1', score: 50 }
+    ];
+    const result = computeSubjectGrade(assignments, completions, config({
+      categories: {
+        [ASSIGNMENT_TYPES.WRITING]: { weight: 60, dropLowest: 1 },
+        [ASSIGNMENT_TYPES.PRAKTEK]: { weight: 40, dropLowest: 2 }
+      }
+    }), NOW);
+
+    expect(result.categories[ASSIGNMENT_TYPES.WRITING].dropped).toEqual([{ assignmentId: 'w1', score: 40 }]);
+    expect(result.categories[ASSIGNMENT_TYPES.PRAKTEK].dropped).toEqual([]);
+    expect(result.grade).toBe(80);
+  });
+
+  test('counts missing work as 0 only with the zero policy', () => {
+    const completions = [{ assignmentId: 'w1', score: 80 }, { assignmentId: 'p1', score: 50 }];
+
+    const excluded = computeSubjectGrade(assignments, completions, config(), NOW);
+    expect(excluded.missingCount).toBe(1);
+    expect(excluded.grade).toBe(68);
+
+    const zero = computeSubjectGrade(assignments, completions, config({ missingWorkPolicy: MISSING_WORK_POLICY.ZERO }), NOW);
+    expect(zero.categories[ASSIGNMENT_TYPES.WRITING].average).toBe(40);
+    expect(zero.grade).toBe(44);
+  });
+
+  test('work before its deadline, skipped occurrences and pending assignments are not missing', () => {
+    const result = computeSubjectGrade([
+      assignment('w1', ASSIGNMENT_TYPES.WRITING, FUTURE),
+      assignment('w2', ASSIGNMENT_TYPES.WRITING, PAST, { skipped: true }),
+      assignment('w3', ASSIGNMENT_TYPES.WRITING, PAST, { pending: true })
+    ], [], config({ missingWorkPolicy: MISSING_WORK_POLICY.ZERO }), NOW);
+
+    expect(result).toMatchObject({ grade: null, missingCount: 0, totalCount: 1 });
+  });
+
+  test('matches completions by document ID too', () => {
+    const result = computeSubjectGrade(
+      [assignment('w1', ASSIGNMENT_TYPES.WRITING, PAST, { documentId: 'doc1' })],
+      [{ assignmentId: 'doc1', score: 70 }],
+      config(),
+      NOW
+    );
+    expect(result.grade).toBe(70);
+  });
+});
+
+describe('computeTermGrade', () => {
+  test('averages the subjects that have a grade', () => {
+    expect(computeTermGrade({ math: { grade: 80 }, art: { grade: 91 }, music: { grade: null } })).toBe(86);
+    expect(computeTermGrade({ music: { grade: null } })).toBeNull();
+  });
+});
+
+describe('getAssignmentGradeCell', () => {
+  test('describes graded, ungraded, missing and pending work', () => {
+    const past = assignment('w1', ASSIGNMENT_TYPES.WRITING);
+    expect(getAssignmentGradeCell(past, [{ assignmentId: 'w1', score: 75 }], NOW)).toEqual({ status: 'graded', score: 75 });
+    expect(getAssignmentGradeCell(past, [{ assignmentId: 'w1', score: null }], NOW)).toEqual({ status: 'ungraded', score: null });
+    expect(getAssignmentGradeCell(past, [], NOW)).toEqual({ status: 'missing', score: null });
+    expect(getAssignmentGradeCell(assignment('w2', ASSIGNMENT_TYPES.WRITING, FUTURE), [], NOW))
+      .toEqual({ status: 'pending', score: null });
+  });
+});
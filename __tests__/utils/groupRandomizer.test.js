@@ -0,0 +1,124 @@
+import {
+  createSeededRandom,
+  buildPairHistory,
+  toStoredGroupRules,
+  fromStoredGroupRules,
+  drawGroups
+} from '../../src/utils/groupRandomizer';
+import { RANDOMIZATION_MODE } from '../../src/constants/Types';
+
+const members = Array.from({ length: 12 }, (_, index) => ({ userId: `s${String(index + 1).padStart(2, '0')}` }));
+
+const memberIds = group => group.members.map(member => member.userId);
+const findGroup = (groups, userId) => groups.find(group => memberIds(group).includes(userId));
+
+describe('createSeededRandom', () => {
+  test('gives the same numbers for the same seed', () => {
+    const first = createSeededRandom('ABC123');
+    const second = createSeededRandom('ABC123');
+    const other = createSeededRandom('XYZ789');
+    const numbers = [first(), first(), first()];
+
+    expect([second(), second(), second()]).toEqual(numbers);
+    expect(other()).not.toBe(numbers[0]);
+    numbers.forEach(number => {
+      expect(number).toBeGreaterThanOrEqual(0);
+      expect(number).toBeLessThan(1);
+    });
+  });
+});
+
+describe('drawGroups', () => {
+  test('places every member once in groups of even size', () => {
+    const { groups } = drawGroups(members, { groupCount: 4, mode: RANDOMIZATION_MODE.ABSOLUTE_RANDOM, seed: 'SEED01' });
+
+    expect(groups.map(group => group.members.length)).toEqual([3, 3, 3, 3]);
+    expect(groups.flatMap(memberIds).sort()).toEqual(members.map(member => member.userId));
+    expect(groups.map(group => group.name)).toEqual(['Group 1', 'Group 2', 'Group 3', 'Group 4']);
+  });
+
+  test('is the same for the same seed, whatever the order of the members', () => {
+    const options = { groupCount: 3, mode: RANDOMIZATION_MODE.ABSOLUTE_RANDOM, seed: 'SEED01' };
+    const first = drawGroups(members, options);
+    const second = drawGroups([...members].reverse(), options);
+    expect(second.groups.map(memberIds)).toEqual(first.groups.map(memberIds));
+  });
+
+  test('balances levels across groups', () => {
+    const skills = Object.fromEntries(members.map((member, index) => [member.userId, index < 4 ? 10 : 1]));
+    const { groups } = drawGroups(members, { groupCount: 4, mode: RANDOMIZATION_MODE.SKILL_BALANCED, seed: 'SEED01', skills });
+
+    groups.forEach(group => {
+      expect(group.members.reduce((sum, member) => sum + skills[member.userId], 0)).toBe(12);
+    });
+  });
+
+  test('avoids students who were in a group together before', () => {
+    const pairHistory = buildPairHistory([
+      { id: 'a1', groups: [{ members: members.slice(0, 4) }, { members: members.slice(4, 8) }, { members: members.slice(8) }] }
+    ]);
+    const { groups, repeatPairs } = drawGroups(members, {
+      groupCount: 4,
+      mode: RANDOMIZATION_MODE.AVOID_REPEATS,
+      seed: 'SEED01',
+      pairHistory
+    });
+
+    expect(repeatPairs).toBe(0);
+    groups.forEach(group => {
+      const earlierGroups = memberIds(group).map(id => Math.floor((Number(id.slice(1)) - 1) / 4));
+      expect(new Set(earlierGroups).size).toBe(earlierGroups.length);
+    });
+  });
+
+  test('keeps leaders, together and apart rules', () => {
+    const rules = {
+      leaders: ['s01', 's02', 's03'],
+      together: [['s04', 's05']],
+      apart: [['s06', 's07', 's08']]
+    };
+    const { groups, brokenRules } = drawGroups(members, {
+      groupCount: 3,
+      mode: RANDOMIZATION_MODE.ABSOLUTE_RANDOM,
+      seed: 'SEED01',
+      rules
+    });
+
+    expect(groups.map(group => group.leaderId).sort()).toEqual(['s01', 's02', 's03']);
+    groups.forEach(group => expect(memberIds(group)).toContain(group.leaderId));
+    expect(findGroup(groups, 's04')).toBe(findGroup(groups, 's05'));
+    expect(new Set(['s06', 's07', 's08'].map(id => findGroup(groups, id))).size).toBe(3);
+    expect(brokenRules).toBe(0);
+  });
+
+  test('reports apart rules that cannot be kept', () => {
+    const { brokenRules } = drawGroups(members.slice(0, 4), {
+      groupCount: 2,
+      mode: RANDOMIZATION_MODE.ABSOLUTE_RANDOM,
+      seed: 'SEED01',
+      rules: { leaders: [], together: [], apart: [['s01', 's02', 's03']] }
+    });
+    expect(brokenRules).toBe(1);
+  });
+});
+
+describe('buildPairHistory', () => {
+  test('counts pairs across assignments, leaving out the one being edited', () => {
+    const assignments = [
+      { id: 'a1', groups: [{ members: [{ userId: 's01' }, { userId: 's02' }] }] },
+      { id: 'a2', documentId: 'doc2', groups: [{ members: [{ userId: 's02' }, { userId: 's01' }] }] },
+      { id: 'a3' }
+    ];
+    expect(buildPairHistory(assignments)).toEqual({ 's01|s02': 2 });
+    expect(buildPairHistory(assignments, 'doc2')).toEqual({ 's01|s02': 1 });
+  });
+});
+
+describe('stored group rules', () => {
+  test('round-trip through the Firestore format', () => {
+    const rules = { leaders: ['s01'], together: [['s02', 's03']], apart: [['s04', 's05']] };
+    expect(toStoredGroupRules(rules).together).toEqual([{ userIds: ['s02', 's03'] }]);
+    expect(fromStoredGroupRules(toStoredGroupRules(rules))).toEqual(rules);
+    expect(fromStoredGroupRules(undefined)).toEqual({ leaders: [], together: [], apart: [] });
+  });
+});
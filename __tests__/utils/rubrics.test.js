@@ -0,0 +1,91 @@
+import {
+  MAX_LEVEL_POINTS,
+  createCriterion,
+  getRubricMaxPoints,
+  validateRubric,
+  normalizeRubric,
+  scoreRubric
+} from '../../src/utils/rubrics';
+
+const rubric = {
+  name: 'Essay',
+  criteria: [
+    {
+      id: 'content',
+      name: 'Content',
+      levels: [{ id: 'c4', label: 'Excellent', points: 4 }, { id: 'c2', label: 'Fair', points: 2 }, { id: 'c0', label: 'Missing', points: 0 }]
+    },
+    {
+      id: 'grammar',
+      name: 'Grammar',
+      levels: [{ id: 'g2', label: 'Good', points: 2 }, { id: 'g1', label: 'Needs work', points: 1 }]
+    }
+  ]
+};
+
+describe('scoreRubric', () => {
+  test('scores the picked levels out of 100', () => {
+    const result = scoreRubric(rubric, { content: 'c4', grammar: 'g1' });
+    expect(result).toMatchObject({ complete: true, points: 5, maxPoints: 6, score: 83 });
+    expect(result.criteria[1]).toEqual({
+      criterionId: 'grammar',
+      name: 'Grammar',
+      levelId: 'g1',
+      levelLabel: 'Needs work',
+      points: 1,
+      maxPoints: 2
+    });
+  });
+
+  test('criteria without a pick score 0 and leave the grade incomplete', () => {
+    const result = scoreRubric(rubric, { content: 'c2', grammar: 'removed-level' });
+    expect(result).toMatchObject({ complete: false, points: 2, maxPoints: 6, score: 33 });
+    expect(result.criteria[1].levelId).toBeNull();
+  });
+
+  test('a rubric without criteria or points scores 0', () => {
+    expect(scoreRubric(null, {})).toMatchObject({ complete: false, score: 0, criteria: [] });
+    expect(scoreRubric({ criteria: [{ id: 'x', levels: [{ id: 'x0', points: 0 }] }] }, { x: 'x0' }).score).toBe(0);
+  });
+});
+
+describe('validateRubric', () => {
+  test('accepts a complete rubric', () => {
+    expect(validateRubric(rubric)).toEqual([]);
+    expect(getRubricMaxPoints(rubric)).toBe(6);
+  });
+
+  test('needs a name, criteria with names, labelled levels and points in range', () => {
+    expect(validateRubric({ name: ' ', criteria: [] })).toEqual(['Give the rubric a name.', 'Add at least one criterion.']);
+
+    const errors = validateRubric({
+      name: 'Lab report',
+      criteria: [{ id: 'x', name: '', levels: [{ id: 'x1', label: '', points: MAX_LEVEL_POINTS + 1 }] }]
+    });
+    expect(errors).toEqual([
+      'Criterion 1 needs a name.',
+      'Criterion 1 needs 2 to 6 levels.',
+      'Every level of Criterion 1 needs a label.',
+      `Levels of Criterion 1 are worth 0 to ${MAX_LEVEL_POINTS} points.`
+    ]);
+  });
+
+  test('at least one level has to be worth points', () => {
+    const criterion = { ...createCriterion(), name: 'Effort' };
+    criterion.levels = criterion.levels.map(level => ({ ...level, points: 0 }));
+    expect(validateRubric({ name: 'Effort', criteria: [criterion] })).toEqual(['At least one level has to be worth points.']);
+  });
+});
+
+describe('normalizeRubric', () => {
+  test('trims text and stores points as numbers', () => {
+    const normalized = normalizeRubric({
+      name: ' Essay ',
+      criteria: [{ id: 'content', name: ' Content ', levels: [{ id: 'c4', label: ' Excellent ', points: '4' }] }]
+    });
+    expect(normalized).toEqual({
+      name: 'Essay',
+      criteria: [{ id: 'content', name: 'Content', levels: [{ id: 'c4', label: 'Excellent', points: 4 }] }]
+    });
+  });
+});
@@ -11,10 +11,6 @@ module.exports = {
       allowUndefined: true,
       // Explicitly list the variables you're using
       include: [
-        'AIMLAPI_KEY_1',
-        'AIMLAPI_KEY_2', 
-        'AIMLAPI_KEY_3',
-        'GEMINI_API_KEY',
         'EXPO_DEBUG'
       ]
     }]
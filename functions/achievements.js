@@ -0,0 +1,131 @@
+// Achievements, evaluated by the XP and gallery functions in index.js
+//
+// Progress is kept in the `stats` map of classes/{classId}/experience/{userId} and unlocked
+// achievements in its `achievements` map ({ [achievementId]: unlockedAt }). An achievement
+// unlocks once its metric reaches the threshold and stays unlocked.
+// Keep the IDs, metrics and thresholds in sync with src/constants/Achievements.js
+
+const ACHIEVEMENTS = [
+  { id: 'first_completion', metric: 'completions', threshold: 1 },
+  { id: 'completions_10', metric: 'completions', threshold: 10 },
+  { id: 'completions_25', metric: 'completions', threshold: 25 },
+  { id: 'first_finisher_5', metric: 'firstCompletions', threshold: 5 },
+  { id: 'early_bird_5', metric: 'earlyCompletions', threshold: 5 },
+  { id: 'streak_3', metric: 'bestStreak', threshold: 3 },
+  { id: 'streak_10', metric: 'bestStreak', threshold: 10 },
+  { id: 'first_quiz', metric: 'quizzesTaken', threshold: 1 },
+  { id: 'perfect_quiz', metric: 'perfectQuizzes', threshold: 1 },
+  { id: 'perfect_quiz_5', metric: 'perfectQuizzes', threshold: 5 },
+  { id: 'first_photo', metric: 'galleryUploads', threshold: 1 },
+  { id: 'gallery_likes_100', metric: 'galleryLikes', threshold: 100 },
+];
+
+// Streak days follow the school's local calendar
+const STREAK_TIME_ZONE = 'Asia/Jakarta';
+
+const dayKeyFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: STREAK_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+// YYYY-MM-DD of a timestamp in STREAK_TIME_ZONE
+const getDayKey = (millis) => dayKeyFormatter.format(new Date(millis));
+
+const getPreviousDayKey = (dayKey) => {
+  const date = new Date(`${dayKey}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Lists hold IDs so repeating an action (e.g. un-completing and completing again) doesn't count twice
+const getMetricValue = (expData, metric) => {
+  if (metric === 'completions') {
+    return (expData.completedAssignments || []).length;
+  }
+  const value = (expData.stats || {})[metric];
+  return Array.isArray(value) ? value.length : value || 0;
+};
+
+const addId = (list, id) => {
+  const ids = list || [];
+  return ids.includes(id) ? ids : [...ids, id];
+};
+
+const removeId = (list, id) => (list || []).filter(item => item !== id);
+
+// Stats after an assignment completion was awarded
+const recordCompletion = (stats = {}, { assignmentId, rank, deadlineStatus, completedAtMs }) => {
+  const next = { ...stats };
+
+  if (rank === 1) {
+    next.firstCompletions = addId(stats.firstCompletions, assignmentId);
+  }
+  if (deadlineStatus === 'EARLY') {
+    next.earlyCompletions = addId(stats.earlyCompletions, assignmentId);
+  }
+
+  // A streak counts the consecutive days with at least one completion. Teachers approve out of
+  // order, so completions from before the last completion day leave the streak as it is
+  const dayKey = getDayKey(completedAtMs);
+  if (!stats.lastCompletionDay || dayKey > stats.lastCompletionDay) {
+    next.currentStreak = stats.lastCompletionDay === getPreviousDayKey(dayKey)
+      ? (stats.currentStreak || 0) + 1
+      : 1;
+    next.lastCompletionDay = dayKey;
+    next.bestStreak = Math.max(stats.bestStreak || 0, next.currentStreak);
+  }
+
+  return next;
+};
+
+// Stats after a completion was taken back
+const recordCompletionRemoved = (stats = {}, assignmentId) => ({
+  ...stats,
+  firstCompletions: removeId(stats.firstCompletions, assignmentId),
+  earlyCompletions: removeId(stats.earlyCompletions, assignmentId),
+});
+
+// Stats after a quiz attempt
+const recordQuiz = (stats = {}, { materialId, score }) => {
+  const next = { ...stats, quizzesTaken: addId(stats.quizzesTaken, materialId) };
+  if (score >= 100) {
+    next.perfectQuizzes = addId(stats.perfectQuizzes, materialId);
+  }
+  return next;
+};
+
+// Stats after gallery uploads or likes changed (deltas can be negative)
+const recordGallery = (stats = {}, { uploads = 0, likes = 0 }) => ({
+  ...stats,
+  galleryUploads: Math.max(0, (stats.galleryUploads || 0) + uploads),
+  galleryLikes: Math.max(0, (stats.galleryLikes || 0) + likes),
+});
+
+// Achievements reached by expData that aren't unlocked yet
+// Returns the updated achievements map and the newly unlocked IDs
+const unlockAchievements = (expData, unlockedAt) => {
+  const achievements = { ...(expData.achievements || {}) };
+  const unlocked = [];
+
+  ACHIEVEMENTS.forEach(achievement => {
+    if (!achievements[achievement.id] && getMetricValue(expData, achievement.metric) >= achievement.threshold) {
+      achievements[achievement.id] = unlockedAt;
+      unlocked.push(achievement.id);
+    }
+  });
+
+  return { achievements, unlocked };
+};
+
+module.exports = {
+  ACHIEVEMENTS,
+  getDayKey,
+  getMetricValue,
+  recordCompletion,
+  recordCompletionRemoved,
+  recordQuiz,
+  recordGallery,
+  unlockAchievements,
+};
@@ -0,0 +1,291 @@
+// AI providers for AI material generation, used by generateAiMaterial in index.js
+//
+// Every provider turns uploaded files into a summary, a quiz and flashcards with
+// generateMaterial({ files, systemMessage, userMessage, responseSchema, corrections }), which
+// resolves to the model's raw text. `files` is [{ content (base64), contentType, fileName }] in
+// page order, at most `limits.maxFiles` of them and `limits.maxBytes` together. `responseSchema`
+// asks for structured output where the provider supports it, `corrections` ([{ response, feedback }]) continues the conversation after
+// responses that failed validation. The provider is chosen per class in Class Settings (the
+// `aiSettings` field of the class: { provider, model, baseUrl }). A class's baseUrl is only used
+// when it is one of the servers allowed in the function config, see createAiProvider. Keep the IDs
+// and default models in sync with src/constants/AiProviders.js
+const { Buffer } = require('buffer');
+const { GoogleGenAI } = require('@google/genai');
+const OpenAI = require('openai');
+const { parseMaterialResponse } = require('./materialSchema');
+
+const AI_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock',
+};
+
+const DEFAULT_AI_MODELS = {
+  [AI_PROVIDERS.GEMINI]: 'gemini-2.5-flash',
+  [AI_PROVIDERS.OPENAI]: 'gpt-4o-mini',
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: 'llama3.2-vision',
+  [AI_PROVIDERS.MOCK]: 'mock',
+};
+
+const GENERATION_OPTIONS = {
+  temperature: 0.4,
+  maxTokens: 8000,
+};
+
+// The first response and up to two corrected ones
+const MAX_GENERATION_ATTEMPTS = 3;
+
+const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const TEXT_CONTENT_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+
+// What one request can hold, larger sources are split into parts (see materialSources.js)
+// Gemini takes up to 20 MB of inline data, most self-hosted vision models one image at a time
+const REQUEST_LIMITS = {
+  [AI_PROVIDERS.GEMINI]: { maxFiles: 10, maxBytes: 14 * 1024 * 1024 },
+  [AI_PROVIDERS.OPENAI]: { maxFiles: 10, maxBytes: 14 * 1024 * 1024 },
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: { maxFiles: 1, maxBytes: 10 * 1024 * 1024 },
+  [AI_PROVIDERS.MOCK]: { maxFiles: 3, maxBytes: 14 * 1024 * 1024 },
+};
+
+const isImage = (contentType) => IMAGE_CONTENT_TYPES.includes(contentType);
+const isText = (contentType) => TEXT_CONTENT_TYPES.includes(contentType);
+
+const unsupportedFileNote = (contentType) =>
+  `Note: A file of type ${contentType} was uploaded but cannot be processed directly by the AI.`;
+
+// Gemini's response schemas are an OpenAPI subset: upper-case types and no additionalProperties
+const toGeminiSchema = (schema) => {
+  const { type, properties, items, additionalProperties, ...rest } = schema;
+  const geminiSchema = { ...rest, type: type.toUpperCase() };
+
+  if (properties) {
+    geminiSchema.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    geminiSchema.propertyOrdering = Object.keys(properties);
+  }
+  if (items) {
+    geminiSchema.items = toGeminiSchema(items);
+  }
+  return geminiSchema;
+};
+
+// Gemini through @google/genai, reads images, PDFs and text files directly
+const createGeminiProvider = ({ model, apiKey }) => {
+  const supportedContentTypes = [...IMAGE_CONTENT_TYPES, ...TEXT_CONTENT_TYPES, 'application/pdf'];
+
+  return {
+    id: AI_PROVIDERS.GEMINI,
+    model,
+    limits: REQUEST_LIMITS[AI_PROVIDERS.GEMINI],
+    isConfigured: () => !!apiKey,
+    supportsContentType: (contentType) => supportedContentTypes.includes(contentType),
+
+    generateMaterial: async ({ files, systemMessage, userMessage, responseSchema, corrections = [] }) => {
+      const parts = [{ text: userMessage }];
+      files.forEach(({ content, contentType }) => {
+        if (supportedContentTypes.includes(contentType)) {
+          parts.push({ inlineData: { mimeType: contentType, data: content } });
+        } else {
+          parts.push({ text: unsupportedFileNote(contentType) });
+        }
+      });
+
+      const contents = [{ role: 'user', parts }];
+      corrections.forEach(({ response, feedback }) => {
+        contents.push({ role: 'model', parts: [{ text: response }] });
+        contents.push({ role: 'user', parts: [{ text: feedback }] });
+      });
+
+      const ai = new GoogleGenAI({ apiKey });
+      const response = await ai.models.generateContent({
+        model,
+        contents,
+        config: {
+          systemInstruction: systemMessage,
+          temperature: GENERATION_OPTIONS.temperature,
+          maxOutputTokens: GENERATION_OPTIONS.maxTokens,
+          responseMimeType: 'application/json',
+          responseSchema: responseSchema ? toGeminiSchema(responseSchema) : undefined,
+        },
+      });
+
+      return response.text;
+    },
+  };
+};
+
+// OpenAI's API, or any server that implements it (Ollama, vLLM, LM Studio, ...) when baseUrl is set
+const createOpenAiProvider = ({ id, model, apiKey, baseUrl }) => {
+  const isCompatibleServer = id === AI_PROVIDERS.OPENAI_COMPATIBLE;
+  // OpenAI reads PDFs, compatible servers generally only images and text
+  const supportsContentType = (contentType) =>
+    isImage(contentType) || isText(contentType) || (!isCompatibleServer && contentType === 'application/pdf');
+
+  return {
+    id,
+    model,
+    limits: REQUEST_LIMITS[id],
+    isConfigured: () => (isCompatibleServer ? !!baseUrl : !!apiKey),
+    supportsContentType,
+
+    generateMaterial: async ({ files, systemMessage, userMessage, responseSchema, corrections = [] }) => {
+      const userContent = [{ type: 'text', text: userMessage }];
+      files.forEach(({ content, contentType, fileName }) => {
+        if (isImage(contentType)) {
+          userContent.push({ type: 'image_url', image_url: { url: `data:${contentType};base64,${content}` } });
+        } else if (isText(contentType)) {
+          userContent.push({ type: 'text', text: Buffer.from(content, 'base64').toString('utf8') });
+        } else if (supportsContentType(contentType)) {
+          userContent.push({
+            type: 'file',
+            file: { filename: fileName || 'document.pdf', file_data: `data:${contentType};base64,${content}` },
+          });
+        } else {
+          userContent.push({ type: 'text', text: unsupportedFileNote(contentType) });
+        }
+      });
+
+      const client = new OpenAI({
+        // The SDK requires a key even for servers that don't check it
+        apiKey: apiKey || 'not-needed',
+        baseURL: isCompatibleServer ? baseUrl : undefined,
+      });
+
+      const messages = [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: userContent },
+      ];
+      corrections.forEach(({ response, feedback }) => {
+        messages.push({ role: 'assistant', content: response });
+        messages.push({ role: 'user', content: feedback });
+      });
+
+      // Structured outputs only on OpenAI itself, compatible servers support JSON mode more widely
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature: GENERATION_OPTIONS.temperature,
+        max_tokens: GENERATION_OPTIONS.maxTokens,
+        response_format: responseSchema && !isCompatibleServer
+          ? { type: 'json_schema', json_schema: { name: 'material', strict: true, schema: responseSchema } }
+          : { type: 'json_object' },
+      });
+
+      return completion.choices[0] && completion.choices[0].message
+        ? completion.choices[0].message.content
+        : null;
+    },
+  };
+};
+
+// Deterministic output without calling a model, for tests and demos
+const createMockProvider = () => ({
+  id: AI_PROVIDERS.MOCK,
+  model: DEFAULT_AI_MODELS[AI_PROVIDERS.MOCK],
+  limits: REQUEST_LIMITS[AI_PROVIDERS.MOCK],
+  isConfigured: () => true,
+  supportsContentType: () => true,
+
+  generateMaterial: async ({ files }) => {
+    const size = files.reduce((total, file) => total + Buffer.from(file.content || '', 'base64').length, 0);
+    const contentTypes = [...new Set(files.map(file => file.contentType))].join(', ');
+    const quiz = [
+      { type: 'multiple-choice', options: ['Option A', 'Option B', 'Option C', 'Option D'], correctAnswers: [0] },
+      { type: 'true-false', options: ['True', 'False'], correctAnswers: [1] },
+      { type: 'multi-select', options: ['Option A', 'Option B', 'Option C', 'Option D'], correctAnswers: [1, 2] },
+      { type: 'short-answer', acceptedAnswers: ['Mock', 'Mock answer'] },
+      { type: 'ordering', orderedItems: ['First', 'Second', 'Third', 'Fourth'] },
+    ].map((question, index) => ({
+      options: [],
+      correctAnswers: [],
+      acceptedAnswers: [],
+      orderedItems: [],
+      ...question,
+      question: `Mock ${question.type} question ${index + 1}`,
+    }));
+
+    return JSON.stringify({
+      summary: `# Mock summary\n\nGenerated without an AI model from ${files.length} file(s) of type **${contentTypes}** (${size} bytes).`,
+      quiz,
+      flashcards: [
+        { front: 'Mock term 1', back: 'Definition of mock term 1' },
+        { front: 'Mock term 2', back: 'Definition of mock term 2' },
+        { front: 'Mock term 3', back: 'Definition of mock term 3' },
+      ],
+    });
+  },
+});
+
+// Comparable form of a server URL: no surrounding spaces, no trailing slashes
+const normalizeBaseUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+// The OpenAI-compatible servers classes may use, from a comma-separated list in the function config
+const parseAllowedBaseUrls = (value) =>
+  String(value || '').split(',').map(normalizeBaseUrl).filter(url => /^https?:\/\//.test(url));
+
+// Provider for a class's AI settings (Gemini when the class has none)
+// `keys` holds the API keys from the function's secrets: { gemini, openai, openaiCompatible }.
+// `allowedBaseUrls` are the OpenAI-compatible servers from the function config. Classes pick one
+// of them, any other URL leaves the provider unconfigured, so requests and the server key never
+// go to a host a class chose
+const createAiProvider = (settings, keys = {}, allowedBaseUrls = []) => {
+  const provider = (settings && settings.provider) || AI_PROVIDERS.GEMINI;
+  const model = ((settings && settings.model) || '').trim() || DEFAULT_AI_MODELS[provider];
+
+  switch (provider) {
+    case AI_PROVIDERS.OPENAI:
+      return createOpenAiProvider({ id: provider, model, apiKey: keys.openai });
+    case AI_PROVIDERS.OPENAI_COMPATIBLE: {
+      const requestedBaseUrl = normalizeBaseUrl(settings && settings.baseUrl);
+      return createOpenAiProvider({
+        id: provider,
+        model,
+        apiKey: keys.openaiCompatible,
+        baseUrl: allowedBaseUrls.find(url => url === requestedBaseUrl) || '',
+      });
+    }
+    case AI_PROVIDERS.MOCK:
+      return createMockProvider();
+    case AI_PROVIDERS.GEMINI:
+      return createGeminiProvider({ model, apiKey: keys.gemini });
+    default:
+      throw new Error(`Unknown AI provider: ${provider}`);
+  }
+};
+
+// Feedback for a response that failed validation, sent back to the model as the next message
+const buildCorrectionMessage = (errors) =>
+  `Your previous response could not be used:\n- ${errors.slice(0, 20).join('\n- ')}\n\n` +
+  'Respond again with the complete material as JSON in the same format, with these problems fixed.';
+
+// Generate until the response matches the material schema, re-prompting with the validation
+// errors. Returns { material, attempts }, throws once MAX_GENERATION_ATTEMPTS responses failed
+const generateValidMaterial = async (provider, request) => {
+  const corrections = [];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const responseText = await provider.generateMaterial({ ...request, corrections });
+    const result = parseMaterialResponse(responseText);
+    if (result.material) {
+      return { material: result.material, attempts: attempt };
+    }
+
+    errors = result.errors;
+    console.warn(`AI response ${attempt} from ${provider.id} (${provider.model}) failed validation:`, errors);
+    corrections.push({ response: responseText || '', feedback: buildCorrectionMessage(errors) });
+  }
+
+  throw new Error(`The AI did not return a valid material after ${MAX_GENERATION_ATTEMPTS} attempts (${errors[0]})`);
+};
+
+module.exports = {
+  AI_PROVIDERS,
+  DEFAULT_AI_MODELS,
+  MAX_GENERATION_ATTEMPTS,
+  createAiProvider,
+  parseAllowedBaseUrls,
+  generateValidMaterial,
+};
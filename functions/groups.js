@@ -0,0 +1,86 @@
+// Group sign-up of group assignments, used by joinAssignmentGroup and leaveAssignmentGroup in index.js
+//
+// A group assignment keeps its groups in `groups`: [{ id, name, members: [{ userId, displayName,
+// email }], capacity }] and the sign-up rules in `groupSettings`: { maxGroupSize, joinDeadline,
+// leaveDeadline, locked }. Students join and leave only through the functions, which change the
+// groups in a transaction so students signing up at the same time don't undo each other.
+// A group hands in one submission; its members' XP is scaled by the contribution factor from
+// their peer evaluation (see src/utils/peerEvaluation.js).
+// Keep in sync with src/utils/groups.js and src/utils/peerEvaluation.js
+const { toMillis } = require('./xp');
+
+// ASSIGNMENT_GROUP_TYPE.GROUP in src/constants/Types.js
+const GROUP_ASSIGNMENT_TYPE = 'Kelompok';
+
+const MAX_GROUP_SIZE = 50;
+
+const MIN_CONTRIBUTION_FACTOR = 0.5;
+const MAX_CONTRIBUTION_FACTOR = 1.2;
+
+const getGroupSettings = (assignment) => {
+  const settings = assignment.groupSettings || {};
+  const maxGroupSize = Math.round(Number(settings.maxGroupSize));
+  return {
+    maxGroupSize: Number.isFinite(maxGroupSize) && maxGroupSize > 0 ? Math.min(maxGroupSize, MAX_GROUP_SIZE) : null,
+    joinDeadline: toMillis(settings.joinDeadline),
+    leaveDeadline: toMillis(settings.leaveDeadline),
+    locked: settings.locked === true,
+  };
+};
+
+// Members a group can have, its own capacity or the assignment's, null for no limit
+const getGroupCapacity = (group, settings) => {
+  const capacity = Math.round(Number(group.capacity));
+  return Number.isFinite(capacity) && capacity > 0 ? capacity : settings.maxGroupSize;
+};
+
+const findMemberGroup = (groups, userId) =>
+  groups.find(group => (group.members || []).some(member => member.userId === userId)) || null;
+
+// Why a student can't leave their group or join another at `now`, null when they can
+const getSignupError = (settings, { joining, leaving }, now) => {
+  if (settings.locked) {
+    return 'The teacher has locked the groups';
+  }
+  if (joining && settings.joinDeadline !== null && now > settings.joinDeadline) {
+    return 'The deadline to join a group has passed';
+  }
+  if (leaving && settings.leaveDeadline !== null && now > settings.leaveDeadline) {
+    return 'The deadline to leave a group has passed';
+  }
+  return null;
+};
+
+// The groups with the student in targetGroupId (or in none when it is null) and out of any other.
+// A leader who moves out no longer leads their old group
+const moveMember = (groups, member, targetGroupId) =>
+  groups.map((group) => {
+    if (group.id === targetGroupId) {
+      const members = (group.members || []).filter(other => other.userId !== member.userId);
+      return { ...group, members: [...members, member] };
+    }
+    const moved = { ...group, members: (group.members || []).filter(other => other.userId !== member.userId) };
+    if (group.leaderId === member.userId) {
+      moved.leaderId = null;
+    }
+    return moved;
+  });
+
+// Contribution factor written on a completed assignment record, 1 when there is none
+const toContributionFactor = (value) => {
+  const factor = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(factor)) {
+    return 1;
+  }
+  return Math.min(MAX_CONTRIBUTION_FACTOR, Math.max(MIN_CONTRIBUTION_FACTOR, factor));
+};
+
+module.exports = {
+  GROUP_ASSIGNMENT_TYPE,
+  getGroupSettings,
+  getGroupCapacity,
+  findMemberGroup,
+  getSignupError,
+  moveMember,
+  toContributionFactor,
+};
@@ -1,5 +1,42 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { toMillis, getBaseExp, calculateAssignmentExp, gradeQuiz } = require('./xp');
+const {
+  validateQuizQuestions,
+  toStoredAnswer,
+  splitAnswerKey,
+  toKeyAnswer,
+  toQuizFlashcards,
+} = require('./quiz');
+const {
+  recordCompletion,
+  recordCompletionRemoved,
+  recordQuiz,
+  recordGallery,
+  unlockAchievements,
+  getDayKey,
+} = require('./achievements');
+const { addToWindows, getSeasonExp } = require('./leaderboard');
+const { AI_PROVIDERS, createAiProvider, parseAllowedBaseUrls, generateValidMaterial } = require('./ai');
+const { MATERIAL_SCHEMA, MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS, MIN_ORDERING_ITEMS } = require('./materialSchema');
+const { chunkSources, describePages, mergeMaterials } = require('./materialSources');
+const {
+  normalizeExamSettings,
+  getExamWindowError,
+  buildExamOrder,
+  getExamEndsAt,
+  getExamSubmissionError,
+  toBackgroundEvents,
+} = require('./quizExam');
+const {
+  GROUP_ASSIGNMENT_TYPE,
+  getGroupSettings,
+  getGroupCapacity,
+  findMemberGroup,
+  getSignupError,
+  moveMember,
+  toContributionFactor,
+} = require('./groups');
 admin.initializeApp();
 
 const db = admin.firestore();
@@ -183,6 +220,11 @@ exports.onNewAssignment = functions.firestore
     const { classId, assignmentId } = context.params;
     const assignmentData = snapshot.data();
     const creatorId = assignmentData.createdBy;
+
+    // A recurring assignment is created as one document per occurrence, announce the series once
+    if (assignmentData.seriesId && assignmentData.occurrenceIndex > 1) {
+      return;
+    }
     
     try {
       // Get the class document to get the class name
@@ -204,7 +246,9 @@ exports.onNewAssignment = functions.firestore
       }
       
       const title = `New Assignment in ${className}`;
-      const body = `A new assignment "${assignmentData.title}" has been posted.`;
+      const body = assignmentData.seriesId && assignmentData.occurrenceCount > 1
+        ? `A new recurring assignment "${assignmentData.title}" has been posted (${assignmentData.occurrenceCount} occurrences).`
+        : `A new assignment "${assignmentData.title}" has been posted.`;
       
       // Additional data for the notification
       const data = {
@@ -559,3 +603,1251 @@ exports.onGalleryImageApproved = functions.firestore
       console.error('Error sending gallery image approved notification:', error);
     }
   });
+
+// XP is only written here. Clients can't write experience records, quiz scores or users.exp
+// (see firestore.rules), they approve completions or call the functions below.
+
+// Find an assignment by document ID or by its internal `id` field, like findAssignmentByInternalId
+const findAssignmentRef = async (classId, assignmentId) => {
+  const assignments = db.collection('classes').doc(classId).collection('assignments');
+
+  const directDoc = await assignments.doc(assignmentId).get();
+  if (directDoc.exists) {
+    return directDoc.ref;
+  }
+
+  const snapshot = await assignments.where('id', '==', assignmentId).limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+// Every award and removal gets a ledger entry under classes/{classId}/experience/{userId}/ledger,
+// so students can see how each amount was calculated. `amount` is negative for removals.
+const addLedgerEntry = (transaction, expRef, entry) => {
+  transaction.set(expRef.collection('ledger').doc(), {
+    ...entry,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+// Adds any achievements the updated experience record has reached (see achievements.js)
+const withAchievements = (expData) => {
+  const { achievements, unlocked } = unlockAchievements(expData, admin.firestore.Timestamp.now());
+  if (unlocked.length > 0) {
+    console.log(`Unlocked achievements for ${expData.userId}: ${unlocked.join(', ')}`);
+  }
+  return { data: { ...expData, achievements }, unlocked };
+};
+
+// Firestore Timestamp for a date in any of the formats toMillis accepts, or null
+const toTimestamp = (value) => {
+  const millis = toMillis(value);
+  return millis !== null ? admin.firestore.Timestamp.fromMillis(millis) : null;
+};
+
+// Same roles as isClassAdmin() in src/utils/firestore.js, plus the class creator
+const isClassAdmin = async (classId, userId) => {
+  const classRef = db.collection('classes').doc(classId);
+  const [classDoc, memberDoc] = await Promise.all([
+    classRef.get(),
+    classRef.collection('members').doc(userId).get(),
+  ]);
+
+  if (classDoc.exists && classDoc.data().createdBy === userId) {
+    return true;
+  }
+  return memberDoc.exists && ['admin', 'teacher'].includes(memberDoc.data().role);
+};
+
+// Throws unless the caller is signed in and a member of the class, returns the class document
+const requireClassMember = async (context, classId) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'You must be signed in');
+  }
+  if (!classId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Class ID is required');
+  }
+
+  const classRef = db.collection('classes').doc(classId);
+  const [classDoc, memberDoc] = await Promise.all([
+    classRef.get(),
+    classRef.collection('members').doc(context.auth.uid).get(),
+  ]);
+
+  if (!classDoc.exists || !memberDoc.exists) {
+    throw new functions.https.HttpsError('permission-denied', 'You are not a member of this class');
+  }
+  return classDoc;
+};
+
+// Award XP for one completed assignment. Runs in a transaction so simultaneous approvals
+// can't overwrite each other's totals, and reads the assignment's award count so the
+// completion rank is right even when two students are approved at the same time.
+// `approval` is { approvedBy, approvedByName } of the teacher who approved, empty for self-reported completions.
+// For group submissions it also has the groupId, so every member gets the group's rank, and the
+// member's contributionFactor from the peer evaluation, which scales their XP
+const awardAssignmentExp = async (classId, userId, assignmentId, assignmentRef, completedAt, approval = {}) => {
+  const experienceCollection = db.collection('classes').doc(classId).collection('experience');
+  const expRef = experienceCollection.doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const expDoc = await transaction.get(expRef);
+    const expData = expDoc.exists ? expDoc.data() : {};
+    const completedAssignments = expData.completedAssignments || [];
+
+    // Trigger retries and double taps must not award twice
+    if (completedAssignments.includes(assignmentId)) {
+      return { awarded: false, exp: 0 };
+    }
+
+    let assignmentData = {};
+    let previousAwards = 0;
+    let groupRank = null;
+    if (assignmentRef) {
+      const assignmentDoc = await transaction.get(assignmentRef);
+      assignmentData = assignmentDoc.exists ? assignmentDoc.data() : {};
+
+      if (typeof assignmentData.xpAwardCount === 'number') {
+        previousAwards = assignmentData.xpAwardCount;
+      } else {
+        // Assignments completed before the counter existed
+        const completedBy = await transaction.get(
+          experienceCollection.where('completedAssignments', 'array-contains', assignmentId)
+        );
+        previousAwards = completedBy.size;
+      }
+      if (approval.groupId && assignmentData.groupRanks && assignmentData.groupRanks[approval.groupId]) {
+        groupRank = assignmentData.groupRanks[approval.groupId];
+      }
+    }
+
+    const deadline = assignmentData.deadlineTimestamp || assignmentData.deadline;
+    const calculated = calculateAssignmentExp({
+      type: assignmentData.type,
+      rank: groupRank || previousAwards + 1,
+      completedAt,
+      deadline,
+    });
+    const contributionFactor = toContributionFactor(approval.contributionFactor);
+    const result = { ...calculated, exp: Math.round(calculated.exp * contributionFactor) };
+
+    const completedMs = toMillis(completedAt);
+    const { data: nextExp, unlocked } = withAchievements({
+      ...expData,
+      userId,
+      totalExp: (expData.totalExp || 0) + result.exp,
+      completedAssignments: [...completedAssignments, assignmentId],
+      assignmentExp: { ...(expData.assignmentExp || {}), [assignmentId]: result.exp },
+      windows: addToWindows(expData.windows, result.exp, completedMs !== null ? completedMs : Date.now()),
+      stats: recordCompletion(expData.stats, {
+        assignmentId,
+        rank: result.rank,
+        deadlineStatus: result.deadlineStatus,
+        completedAtMs: completedMs !== null ? completedMs : Date.now(),
+      }),
+      lastUpdated: completedMs !== null
+        ? admin.firestore.Timestamp.fromMillis(completedMs)
+        : admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(expRef, nextExp);
+
+    // A group counts as one completion, the first member approved takes its rank
+    if (assignmentRef && !groupRank) {
+      transaction.update(assignmentRef, approval.groupId
+        ? { xpAwardCount: previousAwards + 1, [`groupRanks.${approval.groupId}`]: result.rank }
+        : { xpAwardCount: previousAwards + 1 });
+    }
+
+    addLedgerEntry(transaction, expRef, {
+      source: 'assignment',
+      action: 'award',
+      amount: result.exp,
+      assignmentId,
+      title: assignmentData.title || 'Assignment',
+      assignmentType: assignmentData.type || null,
+      baseExp: result.baseExp,
+      rank: result.rank,
+      rankMultiplier: result.rankMultiplier,
+      deadlineStatus: result.deadlineStatus,
+      deadlineMultiplier: result.deadlineMultiplier,
+      contributionFactor,
+      groupId: approval.groupId || null,
+      completedAt: toTimestamp(completedAt),
+      deadline: toTimestamp(deadline),
+      approvedBy: approval.approvedBy || null,
+      approvedByName: approval.approvedByName || null,
+    });
+
+    return { awarded: true, ...result, unlockedAchievements: unlocked };
+  });
+};
+
+// Take back the XP awarded for an assignment when the student marks it incomplete
+const removeAssignmentExp = async (classId, userId, assignmentId, assignmentData = {}) => {
+  const expRef = db.collection('classes').doc(classId).collection('experience').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const expDoc = await transaction.get(expRef);
+    const expData = expDoc.exists ? expDoc.data() : {};
+    const completedAssignments = expData.completedAssignments || [];
+
+    if (!completedAssignments.includes(assignmentId)) {
+      return { removed: false, exp: 0 };
+    }
+
+    // Records from before assignmentExp existed were awarded the base XP
+    const { [assignmentId]: awardedExp, ...assignmentExp } = expData.assignmentExp || {};
+    const exp = typeof awardedExp === 'number' ? awardedExp : getBaseExp(assignmentData.type);
+
+    transaction.set(expRef, {
+      ...expData,
+      totalExp: Math.max(0, (expData.totalExp || 0) - exp),
+      completedAssignments: completedAssignments.filter(id => id !== assignmentId),
+      assignmentExp,
+      windows: addToWindows(expData.windows, -exp, Date.now()),
+      stats: recordCompletionRemoved(expData.stats, assignmentId),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    addLedgerEntry(transaction, expRef, {
+      source: 'assignment',
+      action: 'removal',
+      amount: -exp,
+      assignmentId,
+      title: assignmentData.title || 'Assignment',
+      reason: 'Marked as not done',
+    });
+
+    return { removed: true, exp };
+  });
+};
+
+// 6. Award XP when a completion is approved
+// approveCompletion writes users/{userId}/completedAssignments/{approvalId}, which only
+// class admins and teachers are allowed to create
+exports.onCompletionApproved = functions.firestore
+  .document('users/{userId}/completedAssignments/{completionId}')
+  .onCreate(async (snapshot, context) => {
+    const { userId, completionId } = context.params;
+    const completion = snapshot.data();
+
+    if (!completion.classId || !completion.assignmentId) {
+      console.error(`Completion ${completionId} has no class or assignment`);
+      return;
+    }
+
+    try {
+      const assignmentRef = await findAssignmentRef(completion.classId, completion.assignmentId);
+      const result = await awardAssignmentExp(
+        completion.classId,
+        userId,
+        completion.assignmentId,
+        assignmentRef,
+        completion.completedAt,
+        {
+          approvedBy: completion.approvedBy,
+          approvedByName: completion.teacherName,
+          groupId: completion.groupId,
+          contributionFactor: completion.contributionFactor,
+        }
+      );
+
+      if (result.awarded) {
+        console.log(`Awarded ${result.exp} XP to ${userId} for ${completion.assignmentId} (rank ${result.rank}, ${result.deadlineStatus})`);
+      }
+    } catch (error) {
+      console.error('Error awarding completion XP:', error);
+    }
+  });
+
+// 7. Self-reported completions, for classes that don't require completion approval
+exports.requestAssignmentExp = functions.https.onCall(async (data, context) => {
+  const { classId, assignmentId, completed = true } = data || {};
+  const classDoc = await requireClassMember(context, classId);
+  const userId = context.auth.uid;
+
+  if (!assignmentId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Assignment ID is required');
+  }
+
+  try {
+    const assignmentRef = await findAssignmentRef(classId, assignmentId);
+    const assignmentData = assignmentRef ? (await assignmentRef.get()).data() : null;
+
+    // Removing XP is always allowed, it can only lower the total
+    if (completed === false) {
+      const result = await removeAssignmentExp(classId, userId, assignmentId, assignmentData || {});
+      return { success: true, ...result };
+    }
+
+    if (classDoc.data().requireCompletionApproval) {
+      throw new functions.https.HttpsError('failed-precondition', 'Completions in this class need approval');
+    }
+
+    if (!assignmentData) {
+      throw new functions.https.HttpsError('not-found', 'Assignment not found');
+    }
+    if (assignmentData.pending || !assignmentData.approved) {
+      throw new functions.https.HttpsError('failed-precondition', 'Assignment has not been approved');
+    }
+
+    // Assignments of subjects with teachers always go through teacher approval
+    if (assignmentData.subjectId) {
+      const subjectSnapshot = await db.collection('classes').doc(classId)
+        .collection('subjects')
+        .where('id', '==', assignmentData.subjectId)
+        .limit(1)
+        .get();
+      const teachers = subjectSnapshot.empty ? [] : subjectSnapshot.docs[0].data().teachers || [];
+      if (teachers.length > 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'Completions for this subject need teacher approval');
+      }
+    }
+
+    const result = await awardAssignmentExp(classId, userId, assignmentId, assignmentRef, new Date());
+    return { success: true, ...result };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error requesting assignment XP:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update experience points');
+  }
+});
+
+// 8. Grade a quiz attempt and award its XP
+// Quizzes in exam mode are graded against the session startQuizExam created: the time taken is
+// measured from its start, late submissions are rejected and time spent outside the app is recorded
+// Answers are graded against the material's answer key, retakes only add the XP above the best attempt
+exports.submitQuizResult = functions.https.onCall(async (data, context) => {
+  const { classId, materialId, answers, completionTime, questionTimes, backgroundEvents } = data || {};
+  await requireClassMember(context, classId);
+  const userId = context.auth.uid;
+
+  if (!materialId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Material ID is required');
+  }
+
+  const materialRef = db.collection('classes').doc(classId).collection('aiMaterials').doc(materialId);
+  const scoreRef = materialRef.collection('scores').doc(userId);
+  const attemptRef = materialRef.collection('attempts').doc();
+  const sessionRef = materialRef.collection('examSessions').doc(userId);
+  const answerKeyRef = materialRef.collection('answerKey').doc('current');
+  const userRef = db.collection('users').doc(userId);
+  const expRef = db.collection('classes').doc(classId).collection('experience').doc(userId);
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const [materialDoc, scoreDoc, expDoc, sessionDoc, answerKeyDoc] = await Promise.all([
+        transaction.get(materialRef),
+        transaction.get(scoreRef),
+        transaction.get(expRef),
+        transaction.get(sessionRef),
+        transaction.get(answerKeyRef),
+      ]);
+
+      if (!materialDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Material not found');
+      }
+
+      // Materials published before the answer key was split off keep their answers in quizQuestions
+      const questions = (answerKeyDoc.exists ? answerKeyDoc.data().quizQuestions : materialDoc.data().quizQuestions) || [];
+      if (questions.length === 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'This material has no quiz');
+      }
+      // Ordering answers are positions in the shown order, the key has the correct order
+      const keyAnswers = questions.map((question, index) =>
+        toKeyAnswer(question, Array.isArray(answers) ? answers[index] : undefined));
+
+      let exam = null;
+      if (normalizeExamSettings(materialDoc.data().examSettings).enabled) {
+        const session = sessionDoc.exists ? sessionDoc.data() : null;
+        if (!session) {
+          throw new functions.https.HttpsError('failed-precondition', 'Start the exam before submitting it');
+        }
+        if (session.submittedAt) {
+          throw new functions.https.HttpsError('already-exists', 'You have already taken this exam');
+        }
+
+        // The session stays open, a late exam gets no score and no XP
+        const now = Date.now();
+        const submissionError = getExamSubmissionError(toMillis(session.endsAt), now);
+        if (submissionError) {
+          throw new functions.https.HttpsError('deadline-exceeded', submissionError);
+        }
+
+        const events = toBackgroundEvents(backgroundEvents);
+        exam = {
+          startedAt: session.startedAt,
+          elapsedSeconds: Math.max(0, Math.round((now - toMillis(session.startedAt)) / 1000)),
+          backgroundCount: events.length,
+          backgroundSeconds: events.reduce((total, event) => total + event.seconds, 0),
+          backgroundEvents: events,
+          resumeCount: session.resumeCount || 0,
+        };
+      }
+
+      const result = gradeQuiz(questions, keyAnswers, exam ? exam.elapsedSeconds : completionTime);
+
+      // Scores saved by older app versions already added earnedXP to users.exp
+      const previous = scoreDoc.exists ? scoreDoc.data() : {};
+      const previousXP = previous.xpAwarded !== undefined ? previous.xpAwarded : previous.earnedXP || 0;
+      const xpGained = Math.max(0, result.earnedXP - previousXP);
+      const attemptNumber = (previous.attemptCount || (scoreDoc.exists ? 1 : 0)) + 1;
+      const displayName = context.auth.token.name || 'Anonymous';
+
+      // Every attempt is kept with its answers for the teacher's quiz analytics, materialVersion
+      // tells attempts on an earlier version of the quiz apart
+      const times = Array.isArray(questionTimes) ? questionTimes : [];
+      transaction.set(attemptRef, {
+        userId,
+        displayName,
+        attemptNumber,
+        score: result.score,
+        correctAnswers: result.correctAnswers,
+        questionCount: questions.length,
+        completionTime: result.completionTime,
+        responses: questions.map((question, index) => ({
+          answer: toStoredAnswer(question, keyAnswers[index]),
+          credit: result.credits[index],
+          timeSeconds: Math.max(0, Math.round(Number(times[index]) || 0)),
+        })),
+        materialVersion: materialDoc.data().publishedAt || materialDoc.data().createdAt || null,
+        exam,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      if (exam) {
+        transaction.update(sessionRef, {
+          submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+          attemptId: attemptRef.id,
+        });
+      }
+
+      transaction.set(scoreRef, {
+        userId,
+        displayName,
+        score: result.score,
+        timeBonus: result.timeBonus,
+        totalScore: result.totalScore,
+        completionTime: result.completionTime,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        earnedXP: result.earnedXP,
+        xpAwarded: previousXP + xpGained,
+        attemptCount: attemptNumber,
+        // Shown to teachers on the scoreboard
+        exam: exam
+          ? {
+            backgroundCount: exam.backgroundCount,
+            backgroundSeconds: exam.backgroundSeconds,
+            resumeCount: exam.resumeCount,
+          }
+          : null,
+      });
+
+      if (xpGained > 0) {
+        transaction.set(userRef, { exp: admin.firestore.FieldValue.increment(xpGained) }, { merge: true });
+      }
+
+      // Quiz XP goes to the profile's exp rather than the class total, but quizzes count for achievements
+      const expData = expDoc.exists ? expDoc.data() : {};
+      const { data: nextExp, unlocked } = withAchievements({
+        ...expData,
+        userId,
+        stats: recordQuiz(expData.stats, { materialId, score: result.score }),
+      });
+      transaction.set(expRef, {
+        userId,
+        totalExp: expData.totalExp || 0,
+        completedAssignments: expData.completedAssignments || [],
+        stats: nextExp.stats,
+        achievements: nextExp.achievements,
+      }, { merge: true });
+
+      // The ledger entry explains retakes
+      addLedgerEntry(transaction, expRef, {
+        source: 'quiz',
+        action: 'award',
+        amount: xpGained,
+        materialId,
+        title: materialDoc.data().title || 'Quiz',
+        score: result.score,
+        correctAnswers: result.correctAnswers,
+        questionCount: questions.length,
+        earnedXP: result.earnedXP,
+        previousXP,
+      });
+
+      return {
+        success: true,
+        ...result,
+        attemptId: attemptRef.id,
+        attemptNumber,
+        exam: exam ? { backgroundCount: exam.backgroundCount } : null,
+        xpGained,
+        unlockedAchievements: unlocked,
+      };
+    });
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error submitting quiz result:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to save quiz results');
+  }
+});
+
+// 9. Bonus XP (or a correction when negative) given by a class admin or teacher
+exports.awardBonusExp = functions.https.onCall(async (data, context) => {
+  const { classId, userId, amount, reason } = data || {};
+  await requireClassMember(context, classId);
+
+  if (!(await isClassAdmin(classId, context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only class admins and teachers can give bonus XP');
+  }
+  if (userId === context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You cannot give bonus XP to yourself');
+  }
+
+  const points = Math.round(Number(amount));
+  if (!userId || !Number.isFinite(points) || points === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'A student and a non-zero amount are required');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new functions.https.HttpsError('invalid-argument', 'A reason is required');
+  }
+
+  const classRef = db.collection('classes').doc(classId);
+  const memberDoc = await classRef.collection('members').doc(userId).get();
+  if (!memberDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'This user is not a member of the class');
+  }
+
+  const expRef = classRef.collection('experience').doc(userId);
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const expDoc = await transaction.get(expRef);
+      const expData = expDoc.exists ? expDoc.data() : {};
+      const totalExp = expData.totalExp || 0;
+
+      // A correction can't take the total below zero, the ledger records what was actually removed
+      const applied = Math.max(points, -totalExp);
+      if (applied === 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'This student has no XP to remove');
+      }
+
+      transaction.set(expRef, {
+        userId,
+        completedAssignments: [],
+        ...expData,
+        totalExp: totalExp + applied,
+        windows: addToWindows(expData.windows, applied, Date.now()),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      addLedgerEntry(transaction, expRef, {
+        source: 'bonus',
+        action: applied >= 0 ? 'award' : 'removal',
+        amount: applied,
+        title: 'Bonus XP',
+        reason: String(reason).trim(),
+        approvedBy: context.auth.uid,
+        approvedByName: context.auth.token.name || null,
+      });
+
+      return { success: true, amount: applied, totalExp: totalExp + applied };
+    });
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error awarding bonus XP:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to award bonus XP');
+  }
+});
+
+// 10. Gallery achievements: photos uploaded and likes received
+// Likes from the uploader themselves don't count
+exports.onGalleryImageWritten = functions.firestore
+  .document('classes/{classId}/gallery/{imageId}')
+  .onWrite(async (change, context) => {
+    const { classId } = context.params;
+    const beforeData = change.before.exists ? change.before.data() : null;
+    const afterData = change.after.exists ? change.after.data() : null;
+    const uploaderId = (afterData || beforeData).createdBy;
+
+    if (!uploaderId) {
+      return;
+    }
+
+    const countLikes = (data) => (data && Array.isArray(data.likedBy)
+      ? data.likedBy.filter(uid => uid !== uploaderId).length
+      : 0);
+
+    const uploads = (afterData ? 1 : 0) - (beforeData ? 1 : 0);
+    const likes = countLikes(afterData) - countLikes(beforeData);
+    if (uploads === 0 && likes === 0) {
+      return;
+    }
+
+    const expRef = db.collection('classes').doc(classId).collection('experience').doc(uploaderId);
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const expDoc = await transaction.get(expRef);
+        const expData = expDoc.exists ? expDoc.data() : {};
+
+        const { data: nextExp } = withAchievements({
+          ...expData,
+          userId: uploaderId,
+          stats: recordGallery(expData.stats, { uploads, likes }),
+        });
+        transaction.set(expRef, {
+          userId: uploaderId,
+          totalExp: expData.totalExp || 0,
+          completedAssignments: expData.completedAssignments || [],
+          stats: nextExp.stats,
+          achievements: nextExp.achievements,
+        }, { merge: true });
+      });
+    } catch (error) {
+      console.error('Error updating gallery achievements:', error);
+    }
+  });
+
+// 11. Start a new leaderboard season
+// Archives the current season's standings in classes/{classId}/seasons and resets season XP
+// by recording every member's lifetime total as their season starting point
+exports.startLeaderboardSeason = functions.https.onCall(async (data, context) => {
+  const { classId, name } = data || {};
+  const classDoc = await requireClassMember(context, classId);
+
+  if (!(await isClassAdmin(classId, context.auth.uid))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only class admins and teachers can start a new season');
+  }
+
+  const seasonName = String(name || '').trim();
+  if (!seasonName) {
+    throw new functions.https.HttpsError('invalid-argument', 'A season name is required');
+  }
+
+  const classRef = db.collection('classes').doc(classId);
+  const currentSeason = classDoc.data().currentSeason || null;
+
+  try {
+    const [membersSnapshot, experienceSnapshot] = await Promise.all([
+      classRef.collection('members').get(),
+      classRef.collection('experience').get(),
+    ]);
+
+    const experienceByUser = {};
+    experienceSnapshot.forEach(doc => {
+      experienceByUser[doc.id] = doc.data();
+    });
+
+    const standings = membersSnapshot.docs
+      .map(doc => {
+        const member = doc.data();
+        const expData = experienceByUser[member.userId || doc.id] || {};
+        return {
+          userId: member.userId || doc.id,
+          displayName: member.displayName || 'Anonymous',
+          exp: getSeasonExp(expData),
+          totalExp: expData.totalExp || 0,
+        };
+      })
+      .sort((a, b) => b.exp - a.exp)
+      .map((standing, index) => ({ ...standing, rank: index + 1 }));
+
+    const now = admin.firestore.Timestamp.now();
+    const seasonsCollection = classRef.collection('seasons');
+    // The new season's document is written when it ends
+    const seasonRef = seasonsCollection.doc();
+    const writes = [];
+
+    // The season that just ended, or everything so far when this is the first season
+    const archiveRef = currentSeason ? seasonsCollection.doc(currentSeason.id) : seasonsCollection.doc();
+    writes.push(batch => batch.set(archiveRef, {
+      name: currentSeason ? currentSeason.name : 'Before seasons',
+      startedAt: currentSeason ? currentSeason.startedAt : null,
+      endedAt: now,
+      endedBy: context.auth.uid,
+      standings,
+    }));
+
+    experienceSnapshot.forEach(doc => {
+      writes.push(batch => batch.update(doc.ref, { seasonStartExp: doc.data().totalExp || 0 }));
+    });
+
+    writes.push(batch => batch.update(classRef, {
+      currentSeason: { id: seasonRef.id, name: seasonName, startedAt: now, startedBy: context.auth.uid },
+    }));
+
+    // Batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+      const batch = db.batch();
+      writes.slice(i, i + 500).forEach(write => write(batch));
+      await batch.commit();
+    }
+
+    return { success: true, season: { id: seasonRef.id, name: seasonName } };
+  } catch (error) {
+    console.error('Error starting leaderboard season:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to start a new season');
+  }
+});
+
+// 12. Generate an AI material (summary and quiz) from an uploaded file
+// The app uploads the file to classes/{classId}/aiUploads/{userId}/ in Storage and calls this
+// function, so the model API keys stay on the server. The material is saved as a draft in
+// aiMaterialDrafts for its author to review, publishAiMaterial makes it visible to the class. Requests count towards a daily quota per
+// user and per class, set in the class's aiSettings up to the maxima below, and a per-user quota
+// across all classes.
+// The OpenAI-compatible servers classes may use are listed in functions/.env as
+// OPENAI_COMPATIBLE_BASE_URLS (comma-separated), their optional key as OPENAI_COMPATIBLE_API_KEY
+const AI_SECRETS = ['GEMINI_API_KEY', 'OPENAI_API_KEY'];
+const DEFAULT_DAILY_USER_AI_LIMIT = 10;
+const DEFAULT_DAILY_CLASS_AI_LIMIT = 50;
+const MAX_DAILY_USER_AI_LIMIT = 30;
+const MAX_DAILY_CLASS_AI_LIMIT = 200;
+// Generations per user per day over all of their classes, so new classes don't add quota
+const DAILY_USER_AI_LIMIT_ALL_CLASSES = 30;
+const MAX_AI_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_AI_SOURCE_FILES = 10;
+const MAX_AI_TOTAL_UPLOAD_BYTES = 60 * 1024 * 1024;
+
+const AI_SYSTEM_MESSAGE = `You are an educational AI assistant. Your task is to:
+1. Analyze the uploaded content thoroughly
+2. Create a detailed summary of the key points and concepts
+3. Generate a quiz with questions that test understanding of the material, not just recognition
+4. Mix these question types ("type"), mostly multiple-choice:
+   - "multiple-choice": ${MIN_QUIZ_OPTIONS} to ${MAX_QUIZ_OPTIONS} (usually 4) distinct "options", "correctAnswers" holds the index of the one correct option
+   - "true-false": "options" are the words for true and false in the user's language, "correctAnswers" holds the index of the correct one
+   - "multi-select": ${MIN_QUIZ_OPTIONS} to ${MAX_QUIZ_OPTIONS} distinct "options", "correctAnswers" holds the indexes of every correct option
+   - "short-answer": a question answered in a word, name or number, "acceptedAnswers" lists every correct spelling or form
+   - "ordering": ${MIN_ORDERING_ITEMS} to ${MAX_QUIZ_OPTIONS} steps or events in "orderedItems", in the correct order
+5. Indexes start at 0. Use empty lists for the fields a question type doesn't use
+6. Write flashcards for the key terms, facts and concepts: a short "front" (term or question) and a "back" the student can recall (definition or answer)
+
+IMPORTANT: You MUST format your response as clean, parseable JSON without backticks or code blocks around the JSON itself.
+
+Format your response as follows:
+{
+  "summary": "Detailed summary of the material using Markdown formatting...",
+  "quiz": [
+    {
+      "type": "multiple-choice",
+      "question": "Question text...",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "correctAnswers": [0],
+      "acceptedAnswers": [],
+      "orderedItems": []
+    }
+  ],
+  "flashcards": [
+    { "front": "Term or question...", "back": "Definition or answer..." }
+  ]
+}
+
+You SHOULD use markdown formatting in the summary for better readability:
+- Use **bold** for important terms or concepts
+- Use *italics* for emphasis
+- Use # for headings (# Main Heading, ## Section, etc.)
+- Use bullet points and numbered lists where appropriate
+- Use code formatting for code snippets or mathematical formulas
+- Use > for quotes or important information
+- Use tables if needed for structured data
+
+The number of questions should be proportional to the complexity and length of the material, with a minimal of 5 questions. Make sure you respond with the language that the user is using.`;
+
+// A class's daily limit, clamped to 1..max so class admins can't raise it past the server's maximum
+const clampAiLimit = (value, defaultLimit, maxLimit) => {
+  const limit = Math.floor(Number(value)) || defaultLimit;
+  return Math.min(Math.max(limit, 1), maxLimit);
+};
+
+// Count a generation against today's quotas, throws when the user or the class has none left
+const reserveAiQuota = async (classRef, userId, aiSettings) => {
+  const userLimit = clampAiLimit(aiSettings.dailyUserLimit, DEFAULT_DAILY_USER_AI_LIMIT, MAX_DAILY_USER_AI_LIMIT);
+  const classLimit = clampAiLimit(aiSettings.dailyClassLimit, DEFAULT_DAILY_CLASS_AI_LIMIT, MAX_DAILY_CLASS_AI_LIMIT);
+  const dayKey = getDayKey(Date.now());
+  const usageRef = classRef.collection('aiUsage').doc(dayKey);
+  const userUsageRef = db.collection('users').doc(userId).collection('aiUsage').doc(dayKey);
+
+  await db.runTransaction(async (transaction) => {
+    const [usageDoc, userUsageDoc] = await Promise.all([transaction.get(usageRef), transaction.get(userUsageRef)]);
+    const usage = usageDoc.exists ? usageDoc.data() : {};
+    const users = usage.users || {};
+    const userTotal = userUsageDoc.exists ? (userUsageDoc.data().total || 0) : 0;
+
+    if ((usage.total || 0) >= classLimit) {
+      throw new functions.https.HttpsError('resource-exhausted', 'This class has used all of its AI generations for today');
+    }
+    if ((users[userId] || 0) >= userLimit || userTotal >= DAILY_USER_AI_LIMIT_ALL_CLASSES) {
+      throw new functions.https.HttpsError('resource-exhausted', 'You have used all of your AI generations for today');
+    }
+
+    transaction.set(usageRef, {
+      total: (usage.total || 0) + 1,
+      users: { ...users, [userId]: (users[userId] || 0) + 1 },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(userUsageRef, {
+      total: userTotal + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+exports.generateAiMaterial = functions
+  .runWith({ secrets: AI_SECRETS, timeoutSeconds: 540, memory: '1GB' })
+  .https.onCall(async (data, context) => {
+    const { classId, title, prompt, uploadType, fileName, storagePath } = data || {};
+    const classDoc = await requireClassMember(context, classId);
+    const userId = context.auth.uid;
+
+    if (!title || !String(title).trim()) {
+      throw new functions.https.HttpsError('invalid-argument', 'A title is required');
+    }
+    // Uploaded files in page order, older apps send a single storagePath
+    const requestedSources = Array.isArray(data.sources) ? data.sources : [{ storagePath, fileName }];
+    if (requestedSources.length === 0 || requestedSources.length > MAX_AI_SOURCE_FILES) {
+      throw new functions.https.HttpsError('invalid-argument', `Upload 1 to ${MAX_AI_SOURCE_FILES} files`);
+    }
+    // Users can only generate from their own uploads
+    const uploadPrefix = `classes/${classId}/aiUploads/${userId}/`;
+    if (requestedSources.some(source => !source || !String(source.storagePath || '').startsWith(uploadPrefix))) {
+      throw new functions.https.HttpsError('invalid-argument', 'The uploaded file is missing');
+    }
+
+    const aiSettings = classDoc.data().aiSettings || {};
+    const provider = createAiProvider(aiSettings, {
+      gemini: process.env.GEMINI_API_KEY,
+      openai: process.env.OPENAI_API_KEY,
+      openaiCompatible: process.env.OPENAI_COMPATIBLE_API_KEY,
+    }, parseAllowedBaseUrls(process.env.OPENAI_COMPATIBLE_BASE_URLS));
+    if (provider.id === AI_PROVIDERS.OPENAI_COMPATIBLE && !provider.isConfigured()) {
+      throw new functions.https.HttpsError('failed-precondition', 'The server URL of this class is not an allowed AI server');
+    }
+    if (!provider.isConfigured()) {
+      throw new functions.https.HttpsError('failed-precondition', 'The AI provider of this class is not configured');
+    }
+
+    const bucket = admin.storage().bucket();
+    const sources = await Promise.all(requestedSources.map(async (source, index) => {
+      const file = bucket.file(String(source.storagePath));
+      const [exists] = await file.exists();
+      if (!exists) {
+        throw new functions.https.HttpsError('not-found', `The uploaded file ${index + 1} is missing`);
+      }
+      const [metadata] = await file.getMetadata();
+      if (Number(metadata.size) > MAX_AI_UPLOAD_BYTES) {
+        throw new functions.https.HttpsError('invalid-argument', `File ${index + 1} is too large, the limit is 20 MB`);
+      }
+      return {
+        storagePath: String(source.storagePath),
+        fileName: source.fileName || 'unnamed',
+        contentType: metadata.contentType || 'application/octet-stream',
+        size: Number(metadata.size) || 0,
+      };
+    }));
+    if (sources.reduce((total, source) => total + source.size, 0) > MAX_AI_TOTAL_UPLOAD_BYTES) {
+      throw new functions.https.HttpsError('invalid-argument', 'The files are too large together, the limit is 60 MB');
+    }
+
+    await reserveAiQuota(db.collection('classes').doc(classId), userId, aiSettings);
+
+    const extraContext = prompt ? `Additional context: ${prompt}` : '';
+    const sourceDescription = uploadType === 'image' ? 'image' : 'document';
+    const chunks = chunkSources(sources, provider.limits);
+    const parts = [];
+    chunks.forEach((chunk, index) => {
+      const firstPage = index === 0 ? 1 : parts[index - 1].firstPage + parts[index - 1].pageCount;
+      parts.push({ firstPage, pageCount: chunk.length });
+    });
+
+    // Materials too large for one request are generated part by part, retries after invalid
+    // responses and extra parts count as a single generation in the quota
+    let material;
+    let attempts = 0;
+    try {
+      const materials = [];
+      for (let index = 0; index < chunks.length; index++) {
+        const files = await Promise.all(chunks[index].map(async (source) => {
+          const [buffer] = await bucket.file(source.storagePath).download();
+          return { content: buffer.toString('base64'), contentType: source.contentType, fileName: source.fileName };
+        }));
+
+        let userMessage = sources.length === 1
+          ? `Here is ${uploadType === 'image' ? 'an image' : 'a document'} that contains text or information to understand. ${extraContext}`
+          : `Here are ${files.length} ${sourceDescription}s, in page order, that contain text or information to understand. ${extraContext}`;
+        if (chunks.length > 1) {
+          userMessage += `\n\nThis is part ${index + 1} of ${chunks.length} of the material ` +
+            `(${describePages(parts[index].firstPage, parts[index].pageCount)} of ${sources.length}). ` +
+            'Summarize this part and ask questions about this part only.';
+        }
+
+        const result = await generateValidMaterial(provider, {
+          files,
+          systemMessage: AI_SYSTEM_MESSAGE,
+          userMessage,
+          responseSchema: MATERIAL_SCHEMA,
+        });
+        materials.push(result.material);
+        attempts += result.attempts;
+      }
+      material = mergeMaterials(materials, parts);
+    } catch (error) {
+      console.error(`AI generation with ${provider.id} (${provider.model}) failed:`, error);
+      throw new functions.https.HttpsError('internal', `Failed to process with AI: ${error.message}`);
+    }
+
+    const createdBy = {
+      uid: userId,
+      displayName: context.auth.token.name || '',
+      email: context.auth.token.email || '',
+    };
+    const draftRef = db.collection('classes').doc(classId).collection('aiMaterialDrafts').doc();
+    const batch = db.batch();
+    batch.set(draftRef, {
+      title: String(title).trim(),
+      prompt: prompt || '',
+      fileType: sources[0].contentType,
+      fileName: sources.length === 1 ? sources[0].fileName : `${sources.length} files`,
+      uploadType: uploadType || 'image',
+      sourcePath: sources[0].storagePath,
+      sources,
+      summary: material.summary,
+      quizQuestions: material.quiz,
+      flashcards: material.flashcards,
+      aiProvider: provider.id,
+      aiModel: provider.model,
+      aiAttempts: attempts,
+      aiParts: chunks.length,
+      status: 'draft',
+      hasUnpublishedChanges: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      publishedAt: null,
+      createdBy,
+      classId,
+    });
+    batch.set(draftRef.collection('versions').doc(), {
+      action: 'generate',
+      title: String(title).trim(),
+      summary: material.summary,
+      quizQuestions: material.quiz,
+      editedBy: { uid: userId, displayName: createdBy.displayName },
+      editedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    return { success: true, draftId: draftRef.id };
+  });
+
+// 13. Publish a reviewed AI material draft
+// The material gets the draft's ID, so publishing again after more edits updates it in place.
+// Scores already saved aren't regraded when an answer key changes.
+exports.publishAiMaterial = functions.https.onCall(async (data, context) => {
+  const { classId, draftId } = data || {};
+  await requireClassMember(context, classId);
+  const userId = context.auth.uid;
+
+  if (!draftId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Draft ID is required');
+  }
+
+  const classRef = db.collection('classes').doc(classId);
+  const draftRef = classRef.collection('aiMaterialDrafts').doc(draftId);
+  const materialRef = classRef.collection('aiMaterials').doc(draftId);
+  const [draftDoc, materialDoc, userIsAdmin] = await Promise.all([
+    draftRef.get(),
+    materialRef.get(),
+    isClassAdmin(classId, userId),
+  ]);
+
+  if (!draftDoc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Draft not found');
+  }
+
+  // The material's author, or the draft's for a new material, and class admins and teachers
+  const draft = draftDoc.data();
+  const author = (materialDoc.exists ? materialDoc.data().createdBy : draft.createdBy) || {};
+  if (!userIsAdmin && author.uid !== userId) {
+    throw new functions.https.HttpsError('permission-denied', 'Only the author or a teacher can publish this material');
+  }
+
+  const title = String(draft.title || '').trim();
+  if (!title || !String(draft.summary || '').trim()) {
+    throw new functions.https.HttpsError('failed-precondition', 'The material needs a title and a summary');
+  }
+  const errors = validateQuizQuestions(draft.quizQuestions);
+  if (errors.length > 0) {
+    throw new functions.https.HttpsError('failed-precondition', errors.join('\n'));
+  }
+
+  // Members read the material, so its quiz has no answers. They are kept in answerKey/current
+  // for submitQuizResult, the author and class admins
+  const { shownQuestions, answerKey } = splitAnswerKey(draft.quizQuestions);
+  const publishedBy = { uid: userId, displayName: context.auth.token.name || '' };
+  const content = {
+    title,
+    summary: draft.summary,
+    quizQuestions: shownQuestions,
+    // The app's quiz deck for materials without flashcards needs the answers
+    flashcards: draft.flashcards && draft.flashcards.length > 0 ? draft.flashcards : toQuizFlashcards(answerKey),
+    publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    publishedBy,
+  };
+
+  const batch = db.batch();
+  if (materialDoc.exists) {
+    batch.update(materialRef, content);
+  } else {
+    batch.set(materialRef, {
+      ...content,
+      prompt: draft.prompt || '',
+      fileType: draft.fileType || null,
+      fileName: draft.fileName || 'unnamed',
+      uploadType: draft.uploadType || 'image',
+      sourcePath: draft.sourcePath || null,
+      sources: draft.sources || [],
+      aiProvider: draft.aiProvider || null,
+      aiModel: draft.aiModel || null,
+      aiAttempts: draft.aiAttempts || 1,
+      aiParts: draft.aiParts || 1,
+      createdAt: draft.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      createdBy: draft.createdBy,
+      classId,
+      scoreBoard: [],
+    });
+  }
+  batch.set(materialRef.collection('answerKey').doc('current'), {
+    quizQuestions: answerKey,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.update(draftRef, {
+    status: 'published',
+    hasUnpublishedChanges: false,
+    publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(draftRef.collection('versions').doc(), {
+    action: 'publish',
+    title,
+    summary: draft.summary,
+    quizQuestions: draft.quizQuestions,
+    editedBy: publishedBy,
+    editedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  return { success: true, materialId: draftId, updated: materialDoc.exists };
+});
+
+// 14. Start, or resume, a student's attempt at a quiz in exam mode
+// The session fixes the student's question and option order and when the exam ends for them.
+// Coming back to a session that wasn't submitted resumes it, the time keeps running.
+exports.startQuizExam = functions.https.onCall(async (data, context) => {
+  const { classId, materialId } = data || {};
+  await requireClassMember(context, classId);
+  const userId = context.auth.uid;
+
+  if (!materialId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Material ID is required');
+  }
+
+  const materialRef = db.collection('classes').doc(classId).collection('aiMaterials').doc(materialId);
+  const sessionRef = materialRef.collection('examSessions').doc(userId);
+
+  // What the quiz screen needs, times in millis with the server's clock to correct the device's
+  const toSessionResult = (session, resumed) => ({
+    success: true,
+    resumed,
+    startedAt: toMillis(session.startedAt),
+    endsAt: toMillis(session.endsAt),
+    questionTimeLimitSeconds: session.questionTimeLimitSeconds || null,
+    questionOrder: session.questionOrder,
+    optionOrders: session.optionOrders || {},
+    serverTime: Date.now(),
+  });
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const [materialDoc, sessionDoc] = await Promise.all([
+        transaction.get(materialRef),
+        transaction.get(sessionRef),
+      ]);
+
+      if (!materialDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Material not found');
+      }
+
+      const questions = materialDoc.data().quizQuestions || [];
+      const settings = normalizeExamSettings(materialDoc.data().examSettings);
+      if (!settings.enabled) {
+        throw new functions.https.HttpsError('failed-precondition', 'This quiz is not an exam');
+      }
+      if (questions.length === 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'This material has no quiz');
+      }
+
+      // Resuming means the quiz screen was left or closed, the answers given so far were lost
+      if (sessionDoc.exists) {
+        if (sessionDoc.data().submittedAt) {
+          throw new functions.https.HttpsError('already-exists', 'You have already taken this exam');
+        }
+        transaction.update(sessionRef, { resumeCount: admin.firestore.FieldValue.increment(1) });
+        return toSessionResult(sessionDoc.data(), true);
+      }
+
+      const now = Date.now();
+      const windowError = getExamWindowError(settings, now);
+      if (windowError) {
+        throw new functions.https.HttpsError('failed-precondition', windowError);
+      }
+
+      const endsAt = getExamEndsAt(settings, now, questions.length);
+      const session = {
+        userId,
+        displayName: context.auth.token.name || 'Anonymous',
+        startedAt: admin.firestore.Timestamp.fromMillis(now),
+        endsAt: endsAt !== null ? admin.firestore.Timestamp.fromMillis(endsAt) : null,
+        questionTimeLimitSeconds: settings.questionTimeLimitSeconds,
+        ...buildExamOrder(questions, settings),
+        materialVersion: materialDoc.data().publishedAt || materialDoc.data().createdAt || null,
+      };
+      transaction.set(sessionRef, session);
+
+      return toSessionResult(session, false);
+    });
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error starting quiz exam:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to start the exam');
+  }
+});
+
+// Move the caller into a group of a group assignment, or out of their group when groupId is null
+// The groups change in a transaction (see groups.js), so students signing up at the same time
+// all keep their place, and full groups, passed deadlines and locked groups turn the change down
+const changeAssignmentGroup = async (context, classId, assignmentId, groupId) => {
+  const userId = context.auth.uid;
+  const assignmentRef = await findAssignmentRef(classId, assignmentId);
+  if (!assignmentRef) {
+    throw new functions.https.HttpsError('not-found', 'Assignment not found');
+  }
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const assignmentDoc = await transaction.get(assignmentRef);
+      const assignment = assignmentDoc.exists ? assignmentDoc.data() : null;
+      if (!assignment) {
+        throw new functions.https.HttpsError('not-found', 'Assignment not found');
+      }
+      if (assignment.groupType !== GROUP_ASSIGNMENT_TYPE) {
+        throw new functions.https.HttpsError('failed-precondition', 'This is not a group assignment');
+      }
+
+      const groups = assignment.groups || [];
+      const settings = getGroupSettings(assignment);
+      const currentGroup = findMemberGroup(groups, userId);
+      const targetGroup = groupId ? groups.find(group => group.id === groupId) : null;
+      if (groupId && !targetGroup) {
+        throw new functions.https.HttpsError('not-found', 'Group not found');
+      }
+      if ((currentGroup ? currentGroup.id : null) === (targetGroup ? targetGroup.id : null)) {
+        return { success: true, groupId: groupId || null };
+      }
+
+      const signupError = getSignupError(settings, { joining: !!targetGroup, leaving: !!currentGroup }, Date.now());
+      if (signupError) {
+        throw new functions.https.HttpsError('failed-precondition', signupError);
+      }
+      if (targetGroup) {
+        const capacity = getGroupCapacity(targetGroup, settings);
+        if (capacity !== null && (targetGroup.members || []).length >= capacity) {
+          throw new functions.https.HttpsError('resource-exhausted', `${targetGroup.name} is full`);
+        }
+      }
+
+      const email = context.auth.token.email || null;
+      const member = (currentGroup && currentGroup.members.find(other => other.userId === userId)) || {
+        userId,
+        displayName: context.auth.token.name || (email ? email.split('@')[0] : 'Anonymous'),
+        email,
+      };
+      // updatedAt lets offline edits queued before this change see it as a conflict (src/utils/offlineQueue.js)
+      transaction.update(assignmentRef, {
+        groups: moveMember(groups, member, targetGroup ? targetGroup.id : null),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: userId,
+      });
+
+      return { success: true, groupId: targetGroup ? targetGroup.id : null };
+    });
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error changing assignment group:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to update the group');
+  }
+};
+
+// 15. Join a group of a group assignment, moving out of the student's current group
+exports.joinAssignmentGroup = functions.https.onCall(async (data, context) => {
+  const { classId, assignmentId, groupId } = data || {};
+  await requireClassMember(context, classId);
+
+  if (!assignmentId || !groupId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Assignment and group are required');
+  }
+
+  return changeAssignmentGroup(context, classId, assignmentId, groupId);
+});
+
+// 16. Leave the group of a group assignment
+exports.leaveAssignmentGroup = functions.https.onCall(async (data, context) => {
+  const { classId, assignmentId } = data || {};
+  await requireClassMember(context, classId);
+
+  if (!assignmentId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Assignment ID is required');
+  }
+
+  return changeAssignmentGroup(context, classId, assignmentId, null);
+});
+
+// 17. Delete the stored files of a deleted gallery image
+// Uploaders can delete their own images but only admins can delete gallery files in Storage,
+// so the files go here. Files still used by another gallery image are kept
+exports.onGalleryImageDeleted = functions.firestore
+  .document('classes/{classId}/gallery/{imageId}')
+  .onDelete(async (snapshot, context) => {
+    const { classId } = context.params;
+    const imageData = snapshot.data();
+
+    // Images kept on the device by the local blob store have nothing in Storage
+    if (imageData.storageProvider === 'local') {
+      return;
+    }
+
+    const galleryRef = db.collection('classes').doc(classId).collection('gallery');
+    const paths = [imageData.imagePath, imageData.thumbnailPath]
+      .filter(path => typeof path === 'string' && path.startsWith(`classes/${classId}/gallery/`));
+
+    try {
+      const bucket = admin.storage().bucket();
+      await Promise.all(paths.map(async (path) => {
+        const field = path === imageData.imagePath ? 'imagePath' : 'thumbnailPath';
+        const stillUsed = await galleryRef.where(field, '==', path).limit(1).get();
+        if (stillUsed.empty) {
+          await bucket.file(path).delete({ ignoreNotFound: true });
+        }
+      }));
+    } catch (error) {
+      console.error('Error deleting gallery image files:', error);
+    }
+  });
@@ -0,0 +1,62 @@
+// Time-windowed leaderboards, updated by the XP functions in index.js
+//
+// Every change to a class total is also added to the `windows` map of
+// classes/{classId}/experience/{userId}: { week, month, semester }, each { key, exp }.
+// A window whose key isn't the current one has expired and counts as 0, so standings reset
+// without a scheduled job. Keep the keys in sync with src/utils/leaderboard.js
+//
+// Seasons are started by an admin (startLeaderboardSeason), which archives the standings and
+// stores every member's lifetime total as `seasonStartExp`. Season XP is totalExp - seasonStartExp.
+
+const LEADERBOARD_WINDOWS = ['week', 'month', 'semester'];
+
+// Windows follow the school's local calendar, Asia/Jakarta is UTC+7 all year
+const UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Window keys for a timestamp: the week's Monday (YYYY-MM-DD), YYYY-MM, and YYYY-S1
+// (January to June) or YYYY-S2 (July to December)
+const getWindowKeys = (millis) => {
+  const local = new Date(millis + UTC_OFFSET_MS);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+
+  const monday = new Date(local);
+  monday.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+
+  return {
+    week: `${monday.getUTCFullYear()}-${pad(monday.getUTCMonth() + 1)}-${pad(monday.getUTCDate())}`,
+    month: `${year}-${pad(month)}`,
+    semester: `${year}-S${month <= 6 ? 1 : 2}`,
+  };
+};
+
+// Windows after `amount` XP (negative for removals) earned at `millis` was added
+// XP earned before a window started (e.g. a completion approved a week later) only counts for
+// the longer windows it falls in. Removals can't take a window below zero
+const addToWindows = (windows = {}, amount, millis, now = Date.now()) => {
+  const currentKeys = getWindowKeys(now);
+  const earnedKeys = getWindowKeys(Math.min(millis, now));
+  const next = { ...windows };
+
+  LEADERBOARD_WINDOWS.forEach(window => {
+    const key = currentKeys[window];
+    const current = windows[window] && windows[window].key === key ? windows[window].exp : 0;
+    const added = earnedKeys[window] === key ? amount : 0;
+    next[window] = { key, exp: Math.max(0, current + added) };
+  });
+
+  return next;
+};
+
+// XP earned in the current season (all of it when the class never started a season)
+const getSeasonExp = (expData) =>
+  Math.max(0, (expData.totalExp || 0) - (expData.seasonStartExp || 0));
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  getWindowKeys,
+  addToWindows,
+  getSeasonExp,
+};
@@ -0,0 +1,320 @@
+// Schema of an AI material (summary, quiz and flashcards), checked before generateAiMaterial saves it
+//
+// The same JSON Schema is sent to the providers that support structured output (see ai.js)
+// and every response is validated against it, so a quiz is never saved with placeholder
+// questions, options or answers.
+//
+// Every quiz item has all the fields, with empty lists for the ones its type doesn't use
+// (structured output can't express one shape per type). toQuizQuestion turns an item into the
+// stored question format described in quiz.js:
+// - multiple-choice, true-false: options, correctAnswers with the index of the right option
+// - multi-select: options, correctAnswers with the indexes of every right option
+// - short-answer: acceptedAnswers
+// - ordering: orderedItems in the right order
+// Flashcards ({ front, back }) are studied with spaced repetition, see src/utils/flashcards.js
+const {
+  QUESTION_TYPES,
+  MIN_QUIZ_OPTIONS,
+  MAX_QUIZ_OPTIONS,
+  MIN_ORDERING_ITEMS,
+  MAX_ACCEPTED_ANSWERS,
+} = require('./quiz');
+
+const MAX_QUIZ_QUESTIONS = 30;
+const MAX_FLASHCARDS = 40;
+
+const stringList = (maxItems) => ({ type: 'array', maxItems, items: { type: 'string' } });
+
+const MATERIAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Detailed summary of the material using Markdown formatting',
+    },
+    quiz: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_QUIZ_QUESTIONS,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: Object.values(QUESTION_TYPES) },
+          question: { type: 'string' },
+          options: stringList(MAX_QUIZ_OPTIONS),
+          correctAnswers: {
+            type: 'array',
+            maxItems: MAX_QUIZ_OPTIONS,
+            items: { type: 'integer', minimum: 0, maximum: MAX_QUIZ_OPTIONS - 1 },
+            description: 'Indexes of the correct options, starting at 0',
+          },
+          acceptedAnswers: stringList(MAX_ACCEPTED_ANSWERS),
+          orderedItems: stringList(MAX_QUIZ_OPTIONS),
+        },
+        required: ['type', 'question', 'options', 'correctAnswers', 'acceptedAnswers', 'orderedItems'],
+        additionalProperties: false,
+      },
+    },
+    flashcards: {
+      type: 'array',
+      maxItems: MAX_FLASHCARDS,
+      items: {
+        type: 'object',
+        properties: {
+          front: { type: 'string', description: 'A term, question or prompt' },
+          back: { type: 'string', description: 'The definition or answer, short enough to recall' },
+        },
+        required: ['front', 'back'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['summary', 'quiz', 'flashcards'],
+  additionalProperties: false,
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const trimAll = (values) => values.map(value => value.trim());
+
+// Problems with a list of strings the student picks from or puts in order
+const validateChoices = (values, path, min, max) => {
+  if (!Array.isArray(values)) {
+    return [`${path} must be an array of ${min} to ${max} strings`];
+  }
+
+  const errors = [];
+  if (values.length < min || values.length > max) {
+    errors.push(`${path} must have ${min} to ${max} entries, it has ${values.length}`);
+  }
+  values.forEach((value, index) => {
+    if (!isNonEmptyString(value)) {
+      errors.push(`${path}[${index}] must be a non-empty string`);
+    }
+  });
+  const filled = values.filter(isNonEmptyString);
+  if (new Set(filled.map(value => value.trim().toLowerCase())).size < filled.length) {
+    errors.push(`${path} must not repeat an entry`);
+  }
+  return errors;
+};
+
+// Problems with the correct option indexes of a choice question
+const validateCorrectAnswers = (item, path, type) => {
+  const optionCount = Array.isArray(item.options) ? item.options.length : 0;
+  if (!Array.isArray(item.correctAnswers) ||
+    item.correctAnswers.some(index => !Number.isInteger(index) || index < 0 || index >= optionCount)) {
+    return [`${path}.correctAnswers must only hold indexes of its options (0 to ${optionCount - 1})`];
+  }
+  if (new Set(item.correctAnswers).size < item.correctAnswers.length) {
+    return [`${path}.correctAnswers must not repeat an index`];
+  }
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    return item.correctAnswers.length === 0
+      ? [`${path}.correctAnswers must have at least one index for a multi-select question`]
+      : [];
+  }
+  return item.correctAnswers.length === 1
+    ? []
+    : [`${path}.correctAnswers must have exactly one index for a ${type} question`];
+};
+
+// Everything wrong with a parsed material, an empty list when it matches the schema
+// The messages name the offending field so they can be sent back to the model
+const validateMaterial = (material) => {
+  if (!material || typeof material !== 'object' || Array.isArray(material)) {
+    return ['The response must be a JSON object with "summary", "quiz" and "flashcards"'];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(material.summary)) {
+    errors.push('"summary" must be a non-empty string');
+  }
+  if (!Array.isArray(material.flashcards)) {
+    errors.push('"flashcards" must be an array of { front, back } objects');
+  } else {
+    if (material.flashcards.length > MAX_FLASHCARDS) {
+      errors.push(`"flashcards" must have at most ${MAX_FLASHCARDS} cards, it has ${material.flashcards.length}`);
+    }
+    material.flashcards.forEach((card, index) => {
+      if (!card || !isNonEmptyString(card.front) || !isNonEmptyString(card.back)) {
+        errors.push(`flashcards[${index}] must have a non-empty "front" and "back"`);
+      }
+    });
+  }
+  if (!Array.isArray(material.quiz)) {
+    errors.push('"quiz" must be an array of questions');
+    return errors;
+  }
+  if (material.quiz.length === 0) {
+    errors.push('"quiz" must have at least one question');
+  }
+  if (material.quiz.length > MAX_QUIZ_QUESTIONS) {
+    errors.push(`"quiz" must have at most ${MAX_QUIZ_QUESTIONS} questions, it has ${material.quiz.length}`);
+  }
+
+  material.quiz.forEach((item, index) => {
+    const path = `quiz[${index}]`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(item.question)) {
+      errors.push(`${path}.question must be a non-empty string`);
+    }
+
+    switch (item.type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.MULTI_SELECT:
+        errors.push(...validateChoices(item.options, `${path}.options`, MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS));
+        errors.push(...validateCorrectAnswers(item, path, item.type));
+        break;
+      case QUESTION_TYPES.TRUE_FALSE:
+        errors.push(...validateChoices(item.options, `${path}.options`, 2, 2));
+        errors.push(...validateCorrectAnswers(item, path, item.type));
+        break;
+      case QUESTION_TYPES.SHORT_ANSWER:
+        errors.push(...validateChoices(item.acceptedAnswers, `${path}.acceptedAnswers`, 1, MAX_ACCEPTED_ANSWERS));
+        break;
+      case QUESTION_TYPES.ORDERING:
+        errors.push(...validateChoices(item.orderedItems, `${path}.orderedItems`, MIN_ORDERING_ITEMS, MAX_QUIZ_OPTIONS));
+        break;
+      default:
+        errors.push(`${path}.type must be one of ${Object.values(QUESTION_TYPES).join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+// A validated quiz item in the stored question format
+const toQuizQuestion = (item) => {
+  const question = { type: item.type, question: item.question.trim() };
+
+  switch (item.type) {
+    case QUESTION_TYPES.MULTI_SELECT:
+      return { ...question, options: trimAll(item.options), correctAnswers: [...item.correctAnswers].sort((a, b) => a - b) };
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return { ...question, acceptedAnswers: trimAll(item.acceptedAnswers) };
+    case QUESTION_TYPES.ORDERING:
+      return { ...question, items: trimAll(item.orderedItems) };
+    default:
+      return { ...question, options: trimAll(item.options), correctAnswer: item.correctAnswers[0] };
+  }
+};
+
+// Fixes the mistakes that keep near-valid JSON from parsing: comments, trailing commas,
+// raw line breaks inside strings, and strings or brackets left open by a cut-off response
+const repairJson = (text) => {
+  const closers = [];
+  let output = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n' || char === '\r' || char === '\t') {
+        output += { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[char];
+        continue;
+      }
+      output += char;
+      continue;
+    }
+
+    if (char === '/' && text[index + 1] === '/') {
+      const lineEnd = text.indexOf('\n', index);
+      index = lineEnd === -1 ? text.length : lineEnd - 1;
+      continue;
+    }
+    if (char === '/' && text[index + 1] === '*') {
+      const commentEnd = text.indexOf('*/', index + 2);
+      index = commentEnd === -1 ? text.length : commentEnd + 1;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      output = output.replace(/,\s*$/, '');
+      closers.pop();
+    }
+    output += char;
+  }
+
+  if (escaped) {
+    output = output.slice(0, -1);
+  }
+  if (inString) {
+    output += '"';
+  }
+  while (closers.length > 0) {
+    output = output.replace(/[,:]\s*$/, '') + closers.pop();
+  }
+
+  return output;
+};
+
+// The material in a model's response, models sometimes wrap the JSON in a code block or add
+// text around it. Returns { material, errors }: the trimmed material when it is valid,
+// otherwise null and the problems found
+const parseMaterialResponse = (text) => {
+  if (!text || !String(text).trim()) {
+    return { material: null, errors: ['The response was empty'] };
+  }
+
+  let jsonText = String(text).replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  const jsonStartIndex = jsonText.indexOf('{');
+  const jsonEndIndex = jsonText.lastIndexOf('}');
+  if (jsonStartIndex !== -1) {
+    jsonText = jsonText.substring(jsonStartIndex, jsonEndIndex > jsonStartIndex ? jsonEndIndex + 1 : undefined);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    try {
+      parsed = JSON.parse(repairJson(jsonText));
+    } catch (repairError) {
+      return { material: null, errors: [`The response is not valid JSON (${error.message})`] };
+    }
+  }
+
+  const errors = validateMaterial(parsed);
+  if (errors.length > 0) {
+    return { material: null, errors };
+  }
+
+  return {
+    material: {
+      summary: parsed.summary.trim(),
+      quiz: parsed.quiz.map(toQuizQuestion),
+      flashcards: parsed.flashcards.map(card => ({ front: card.front.trim(), back: card.back.trim() })),
+    },
+    errors: [],
+  };
+};
+
+module.exports = {
+  MAX_QUIZ_QUESTIONS,
+  MAX_FLASHCARDS,
+  MIN_QUIZ_OPTIONS,
+  MAX_QUIZ_OPTIONS,
+  MIN_ORDERING_ITEMS,
+  MATERIAL_SCHEMA,
+  validateMaterial,
+  repairJson,
+  parseMaterialResponse,
+};
@@ -0,0 +1,106 @@
+// Several uploaded files (photos of pages, PDFs, text) combined into one AI material
+//
+// Sources are kept in the order the user arranged them. When they don't fit in one request to
+// the class's AI provider (see `limits` in ai.js) they are split into parts of consecutive
+// files, each part is generated on its own and the results are merged: the part summaries
+// become sections of one summary, and questions and flashcards that repeat are dropped.
+const { normalizeAnswerText } = require('./quiz');
+const { MAX_QUIZ_QUESTIONS, MAX_FLASHCARDS } = require('./materialSchema');
+
+// Questions or flashcard fronts whose words overlap this much are treated as the same
+const DUPLICATE_SIMILARITY = 0.8;
+
+// Consecutive groups of sources ([{ size, ... }]) that fit the provider's request limits
+// A single file larger than maxBytes still gets a part of its own
+const chunkSources = (sources, { maxFiles, maxBytes }) => {
+  const chunks = [];
+  let current = [];
+  let currentBytes = 0;
+
+  sources.forEach((source) => {
+    const size = Number(source.size) || 0;
+    if (current.length > 0 && (current.length >= maxFiles || currentBytes + size > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(source);
+    currentBytes += size;
+  });
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
+
+// "page 3" or "pages 3–5", pages being the uploaded files in order
+const describePages = (firstPage, pageCount) =>
+  pageCount === 1 ? `page ${firstPage}` : `pages ${firstPage}–${firstPage + pageCount - 1}`;
+
+const getWordSet = (text) => new Set(normalizeAnswerText(text).split(' ').filter(Boolean));
+
+const getSimilarity = (wordsA, wordsB) => {
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Summary headings one level down, so they sit under the part's heading
+const nestHeadings = (summary) => summary.replace(/^(#{1,5})(?=\s)/gm, '#$1');
+
+// Items whose text (getText) repeats an earlier item's, across every part's list
+const dropRepeats = (lists, getText) => {
+  const seen = [];
+  return lists.map(list => list.filter((item) => {
+    const words = getWordSet(getText(item));
+    if (seen.some(other => getSimilarity(words, other) >= DUPLICATE_SIMILARITY)) {
+      return false;
+    }
+    seen.push(words);
+    return true;
+  }));
+};
+
+// At most `max` items, taken from every part's list in turn so each part stays covered
+const takeFromEveryPart = (lists, max) => {
+  const selected = new Set();
+  const longestList = Math.max(...lists.map(list => list.length));
+  for (let round = 0; round < longestList && selected.size < max; round++) {
+    lists.forEach((list) => {
+      if (list[round] && selected.size < max) {
+        selected.add(list[round]);
+      }
+    });
+  }
+  return lists.flat().filter(item => selected.has(item));
+};
+
+// One material from the materials of every part ([{ summary, quiz, flashcards }], in order)
+// `parts` describes each part for its heading: [{ firstPage, pageCount }]
+const mergeMaterials = (materials, parts) => {
+  if (materials.length === 1) {
+    return materials[0];
+  }
+
+  const summary = materials
+    .map((material, index) =>
+      `# Part ${index + 1} (${describePages(parts[index].firstPage, parts[index].pageCount)})\n\n` +
+      nestHeadings(material.summary))
+    .join('\n\n');
+
+  const quizzes = dropRepeats(materials.map(material => material.quiz), question => question.question);
+  const decks = dropRepeats(materials.map(material => material.flashcards || []), card => card.front);
+
+  return {
+    summary,
+    quiz: takeFromEveryPart(quizzes, MAX_QUIZ_QUESTIONS),
+    flashcards: takeFromEveryPart(decks, MAX_FLASHCARDS),
+  };
+};
+
+module.exports = {
+  chunkSources,
+  describePages,
+  mergeMaterials,
+};
@@ -0,0 +1,246 @@
+// Quiz question types and per-question grading, used by gradeQuiz in xp.js
+//
+// Questions of an AI material (quizQuestions) by type, questions without a type are multiple choice:
+// - multiple-choice, true-false: { question, options, correctAnswer } (index of the right option)
+// - multi-select: { question, options, correctAnswers } (indexes of every right option)
+// - short-answer: { question, acceptedAnswers } (strings, matched after normalizing)
+// - ordering: { question, items } (in the right order, shown shuffled)
+// Answers are an option index, a list of option indexes, a string, and the item indexes in the
+// order the student put them. Students only see the questions without their answers, the full
+// questions are kept in the material's answer key (see splitAnswerKey).
+// Keep in sync with src/utils/quiz.js
+
+const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple-choice',
+  TRUE_FALSE: 'true-false',
+  MULTI_SELECT: 'multi-select',
+  SHORT_ANSWER: 'short-answer',
+  ORDERING: 'ordering',
+};
+
+const MIN_QUIZ_OPTIONS = 2;
+const MAX_QUIZ_OPTIONS = 6;
+const MIN_ORDERING_ITEMS = 3;
+const MAX_ACCEPTED_ANSWERS = 10;
+
+const getQuestionType = (question) =>
+  Object.values(QUESTION_TYPES).includes(question && question.type)
+    ? question.type
+    : QUESTION_TYPES.MULTIPLE_CHOICE;
+
+// Case, accents, punctuation and extra spaces don't matter in short answers
+const normalizeAnswerText = (text) => {
+  let normalized = String(text || '').toLowerCase();
+  if (typeof normalized.normalize === 'function') {
+    normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  return normalized
+    .replace(/[.,!?;:'"`()[\]{}\-_/\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Credit for one answer, from 0 to 1
+// Multi-select loses a right option's worth for every wrong one picked, ordering counts the
+// items in the right place
+const gradeQuestion = (question, answer) => {
+  if (answer === undefined || answer === null) return 0;
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT: {
+      const correct = question.correctAnswers || [];
+      if (!Array.isArray(answer) || correct.length === 0) return 0;
+      const selected = [...new Set(answer)].filter(index => Number.isInteger(index));
+      const right = selected.filter(index => correct.includes(index)).length;
+      const wrong = selected.length - right;
+      return Math.max(0, (right - wrong) / correct.length);
+    }
+
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const normalized = normalizeAnswerText(answer);
+      return normalized && (question.acceptedAnswers || [])
+        .some(accepted => normalizeAnswerText(accepted) === normalized) ? 1 : 0;
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      const itemCount = (question.items || []).length;
+      // Anything but a complete ordering of the items gets no credit
+      if (!Array.isArray(answer) || answer.length !== itemCount || itemCount === 0 ||
+        new Set(answer).size !== itemCount ||
+        answer.some(index => !Number.isInteger(index) || index < 0 || index >= itemCount)) {
+        return 0;
+      }
+      return answer.filter((index, position) => index === position).length / itemCount;
+    }
+
+    default:
+      return answer === question.correctAnswer ? 1 : 0;
+  }
+};
+
+// An answer as it is kept in a quiz attempt, anything that isn't an answer of the question's
+// type is stored as null
+const toStoredAnswer = (question, answer) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT:
+    case QUESTION_TYPES.ORDERING:
+      return Array.isArray(answer) && answer.length <= MAX_QUIZ_OPTIONS && answer.every(Number.isInteger)
+        ? answer
+        : null;
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return typeof answer === 'string' ? answer.trim().slice(0, 200) : null;
+    default:
+      return Number.isInteger(answer) ? answer : null;
+  }
+};
+
+// Fields of a question that give its answer away
+const ANSWER_FIELDS = ['correctAnswer', 'correctAnswers', 'acceptedAnswers'];
+
+// Item indexes in a random order that is never the right one
+const shuffleItemOrder = (count, random) => {
+  const order = Array.from({ length: count }, (_, index) => index);
+  for (let index = order.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [order[index], order[swapIndex]] = [order[swapIndex], order[index]];
+  }
+  return order.every((value, index) => value === index) ? [...order.slice(1), ...order.slice(0, 1)] : order;
+};
+
+// The questions students see and the answer key kept from them. Shown questions have no correct
+// answers and ordering items in a shuffled order, the key has the full questions with the item
+// shown at each position of an ordering question in shownOrder
+const splitAnswerKey = (questions, random = Math.random) => {
+  const answerKey = [];
+  const shownQuestions = questions.map((question) => {
+    const shownQuestion = { ...question };
+    ANSWER_FIELDS.forEach((field) => {
+      delete shownQuestion[field];
+    });
+
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      const items = question.items || [];
+      const shownOrder = shuffleItemOrder(items.length, random);
+      shownQuestion.items = shownOrder.map(index => items[index]);
+      answerKey.push({ ...question, shownOrder });
+    } else {
+      answerKey.push(question);
+    }
+    return shownQuestion;
+  });
+
+  return { shownQuestions, answerKey };
+};
+
+// An answer to a shown question as an answer to its question in the answer key: ordering answers
+// list positions of the shown items, which shownOrder turns into positions of the items
+const toKeyAnswer = (question, answer) => {
+  const shownOrder = question && question.shownOrder;
+  if (getQuestionType(question) !== QUESTION_TYPES.ORDERING || !Array.isArray(shownOrder) || !Array.isArray(answer)) {
+    return answer;
+  }
+  return answer.map(index => (Number.isInteger(index) && index >= 0 && index < shownOrder.length
+    ? shownOrder[index]
+    : index));
+};
+
+// The quiz as flashcards, for materials without any. Students only get the questions without
+// their answers, so the cards are made from the answer key. Same cards as the quiz deck of
+// getMaterialFlashcards in src/utils/flashcards.js
+const toQuizFlashcards = (questions) => questions.map((question) => {
+  const options = question.options || [];
+  let back;
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT:
+      back = (question.correctAnswers || []).map(index => options[index]).filter(Boolean).join(', ');
+      break;
+    case QUESTION_TYPES.SHORT_ANSWER:
+      back = (question.acceptedAnswers || [])[0] || '';
+      break;
+    case QUESTION_TYPES.ORDERING:
+      back = (question.items || []).join(' → ');
+      break;
+    default:
+      back = options[question.correctAnswer] || '';
+  }
+  return { front: question.question, back };
+}).filter(card => card.front && card.back);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Problems with a list of options, accepted answers or items
+const getListErrors = (values, label, min, max) => {
+  if (!Array.isArray(values) || values.length < min || values.length > max) {
+    return [min === max ? `${label} needs exactly ${min}` : `${label} needs ${min} to ${max}`];
+  }
+  if (!values.every(isNonEmptyString)) {
+    return [`${label} can't be empty`];
+  }
+  if (new Set(values.map(value => value.trim().toLowerCase())).size < values.length) {
+    return [`${label} can't repeat`];
+  }
+  return [];
+};
+
+// Problems that keep stored quiz questions from being published, an empty list when there are none
+const validateQuizQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return ['The quiz needs at least one question'];
+  }
+
+  const errors = [];
+  questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+    if (!question || !isNonEmptyString(question.question)) {
+      errors.push(`${label} has no text`);
+      return;
+    }
+
+    const type = getQuestionType(question);
+    switch (type) {
+      case QUESTION_TYPES.MULTI_SELECT: {
+        errors.push(...getListErrors(question.options, `${label}: options`, MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS));
+        const correct = question.correctAnswers;
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        if (!Array.isArray(correct) || correct.length === 0 ||
+          correct.some(index => !Number.isInteger(index) || index < 0 || index >= optionCount)) {
+          errors.push(`${label} needs at least one correct option`);
+        }
+        break;
+      }
+      case QUESTION_TYPES.SHORT_ANSWER:
+        errors.push(...getListErrors(question.acceptedAnswers, `${label}: accepted answers`, 1, MAX_ACCEPTED_ANSWERS));
+        break;
+      case QUESTION_TYPES.ORDERING:
+        errors.push(...getListErrors(question.items, `${label}: items`, MIN_ORDERING_ITEMS, MAX_QUIZ_OPTIONS));
+        break;
+      default: {
+        const [min, max] = type === QUESTION_TYPES.TRUE_FALSE ? [2, 2] : [MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS];
+        errors.push(...getListErrors(question.options, `${label}: options`, min, max));
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        if (!Number.isInteger(question.correctAnswer) ||
+          question.correctAnswer < 0 || question.correctAnswer >= optionCount) {
+          errors.push(`${label} needs a correct option`);
+        }
+      }
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MIN_QUIZ_OPTIONS,
+  MAX_QUIZ_OPTIONS,
+  MIN_ORDERING_ITEMS,
+  MAX_ACCEPTED_ANSWERS,
+  getQuestionType,
+  normalizeAnswerText,
+  gradeQuestion,
+  toStoredAnswer,
+  splitAnswerKey,
+  toKeyAnswer,
+  toQuizFlashcards,
+  validateQuizQuestions,
+};
@@ -0,0 +1,126 @@
+// Exam mode of AI material quizzes, for short graded checks in class
+//
+// Class admins set it in the material's examSettings: { enabled, timeLimitMinutes,
+// questionTimeLimitSeconds, shuffleQuestions, shuffleOptions, opensAt, closesAt }. An exam is
+// taken once: startQuizExam creates the student's session (aiMaterials/{id}/examSessions/{userId})
+// with their question and option order and when the exam ends for them, and submitQuizResult
+// grades against it. Keep the limits in sync with src/utils/quizExam.js
+const { QUESTION_TYPES, getQuestionType } = require('./quiz');
+const { toMillis } = require('./xp');
+
+const MAX_EXAM_MINUTES = 300;
+const MIN_QUESTION_SECONDS = 10;
+const MAX_QUESTION_SECONDS = 600;
+
+// Submissions this long after the end still count as on time, for slow connections
+const EXAM_GRACE_SECONDS = 30;
+
+// Times the app was left during one exam that are kept on the attempt
+const MAX_BACKGROUND_EVENTS = 50;
+
+// Whole number between min and max, null for no limit
+const toLimit = (value, min, max) => {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number > 0 ? Math.min(max, Math.max(min, number)) : null;
+};
+
+// Exam settings of a material with every field set, opensAt and closesAt in millis (or null)
+const normalizeExamSettings = (settings) => {
+  const values = settings || {};
+  return {
+    enabled: values.enabled === true,
+    timeLimitMinutes: toLimit(values.timeLimitMinutes, 1, MAX_EXAM_MINUTES),
+    questionTimeLimitSeconds: toLimit(values.questionTimeLimitSeconds, MIN_QUESTION_SECONDS, MAX_QUESTION_SECONDS),
+    shuffleQuestions: values.shuffleQuestions === true,
+    shuffleOptions: values.shuffleOptions === true,
+    opensAt: toMillis(values.opensAt),
+    closesAt: toMillis(values.closesAt),
+  };
+};
+
+// Why the exam can't be started at `now`, null when it is open
+const getExamWindowError = (settings, now) => {
+  if (settings.opensAt !== null && now < settings.opensAt) {
+    return 'This exam is not open yet';
+  }
+  if (settings.closesAt !== null && now >= settings.closesAt) {
+    return 'This exam is closed';
+  }
+  return null;
+};
+
+const shuffleIndexes = (count) => {
+  const order = Array.from({ length: count }, (_, index) => index);
+  for (let index = order.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(Math.random() * (index + 1));
+    [order[index], order[swapIndex]] = [order[swapIndex], order[index]];
+  }
+  return order;
+};
+
+// One student's question order, and the option order of questions with options keyed by
+// question index (Firestore doesn't store arrays in arrays). True/false keeps its order
+const buildExamOrder = (questions, settings) => {
+  const optionOrders = {};
+  if (settings.shuffleOptions) {
+    questions.forEach((question, index) => {
+      const type = getQuestionType(question);
+      if (type !== QUESTION_TYPES.TRUE_FALSE && type !== QUESTION_TYPES.SHORT_ANSWER &&
+        type !== QUESTION_TYPES.ORDERING && Array.isArray(question.options)) {
+        optionOrders[index] = shuffleIndexes(question.options.length);
+      }
+    });
+  }
+
+  return {
+    questionOrder: settings.shuffleQuestions
+      ? shuffleIndexes(questions.length)
+      : questions.map((question, index) => index),
+    optionOrders,
+  };
+};
+
+// When the exam ends for a student who started at startedAt (millis): the time limit, every
+// question's time limit together and the closing time, whichever comes first. Null without any
+const getExamEndsAt = (settings, startedAt, questionCount) => {
+  const ends = [];
+  if (settings.timeLimitMinutes) {
+    ends.push(startedAt + settings.timeLimitMinutes * 60 * 1000);
+  }
+  if (settings.questionTimeLimitSeconds) {
+    ends.push(startedAt + settings.questionTimeLimitSeconds * questionCount * 1000);
+  }
+  if (settings.closesAt !== null) {
+    ends.push(settings.closesAt);
+  }
+  return ends.length > 0 ? Math.min(...ends) : null;
+};
+
+// Why an exam that ends at endsAt (millis, null without a limit) can't be submitted at `now`,
+// null when it is still on time. Late answers aren't graded
+const getExamSubmissionError = (endsAt, now) => {
+  if (endsAt !== null && now > endsAt + EXAM_GRACE_SECONDS * 1000) {
+    return 'The time for this exam is over';
+  }
+  return null;
+};
+
+// The times the app was left during the exam as the quiz screen reported them:
+// [{ leftAt (seconds after the start), seconds }]
+const toBackgroundEvents = (events) =>
+  (Array.isArray(events) ? events : [])
+    .slice(0, MAX_BACKGROUND_EVENTS)
+    .map(event => ({
+      leftAt: Math.max(0, Math.round(Number(event && event.leftAt) || 0)),
+      seconds: Math.max(0, Math.round(Number(event && event.seconds) || 0)),
+    }));
+
+module.exports = {
+  EXAM_GRACE_SECONDS,
+  normalizeExamSettings,
+  getExamWindowError,
+  buildExamOrder,
+  getExamEndsAt,
+  getExamSubmissionError,
+  toBackgroundEvents,
+};
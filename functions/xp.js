@@ -0,0 +1,120 @@
+// XP calculation used by the XP functions in index.js
+// Keep EXP_CONSTANTS in sync with src/constants/UserTypes.js (keys are the ASSIGNMENT_TYPES values)
+const { gradeQuestion } = require('./quiz');
+
+const EXP_CONSTANTS = {
+  BASE_EXP: {
+    'PPT & Presentasi': 100,
+    'Tertulis': 80,
+    'Praktek': 120,
+    'Digital': 90,
+    'Coding': 150,
+    DEFAULT: 100,
+  },
+
+  DEADLINE_MULTIPLIER: {
+    EARLY: 1.2,
+    ON_TIME: 1.0,
+    LATE: 0.8,
+  },
+
+  COMPLETION_RANK_MULTIPLIER: {
+    1: 1.0,
+    2: 0.9,
+    3: 0.85,
+    4: 0.8,
+    5: 0.75,
+    DEFAULT: 0.7,
+  },
+};
+
+// Completions at least this long before the deadline count as early
+const EARLY_COMPLETION_MS = 24 * 60 * 60 * 1000;
+
+// Quiz XP per question at 100%, and the time a question should take for the full time bonus
+const QUIZ_EXP_PER_QUESTION = 50;
+const QUIZ_SECONDS_PER_QUESTION = 30;
+
+// Firestore timestamps, Dates, ISO strings and millis all become millis (or null)
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const millis = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+const getBaseExp = (assignmentType) =>
+  EXP_CONSTANTS.BASE_EXP[assignmentType] || EXP_CONSTANTS.BASE_EXP.DEFAULT;
+
+const getRankMultiplier = (rank) =>
+  EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER[rank] || EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER.DEFAULT;
+
+// Returns EARLY, ON_TIME or LATE; assignments without a deadline are always on time
+const getDeadlineStatus = (completedAt, deadline) => {
+  const completedMs = toMillis(completedAt);
+  const deadlineMs = toMillis(deadline);
+  if (completedMs === null || deadlineMs === null) return 'ON_TIME';
+  if (completedMs > deadlineMs) return 'LATE';
+  if (deadlineMs - completedMs >= EARLY_COMPLETION_MS) return 'EARLY';
+  return 'ON_TIME';
+};
+
+// XP for an assignment completion: base by type x completion rank x deadline
+const calculateAssignmentExp = ({ type, rank, completedAt, deadline }) => {
+  const baseExp = getBaseExp(type);
+  const rankMultiplier = getRankMultiplier(rank);
+  const deadlineStatus = getDeadlineStatus(completedAt, deadline);
+  const deadlineMultiplier = EXP_CONSTANTS.DEADLINE_MULTIPLIER[deadlineStatus];
+
+  return {
+    exp: Math.round(baseExp * rankMultiplier * deadlineMultiplier),
+    baseExp,
+    rank,
+    rankMultiplier,
+    deadlineStatus,
+    deadlineMultiplier,
+  };
+};
+
+// Grade quiz answers against the stored questions, same formula the quiz screen shows
+// Partly right answers (multi-select, ordering) count for part of a question
+const gradeQuiz = (questions, answers, completionTime) => {
+  const questionCount = questions.length;
+  let correctAnswers = 0;
+  let credit = 0;
+  const credits = questions.map((question, index) => {
+    const questionCredit = gradeQuestion(question, Array.isArray(answers) ? answers[index] : undefined);
+    credit += questionCredit;
+    if (questionCredit === 1) {
+      correctAnswers++;
+    }
+    return questionCredit;
+  });
+
+  const score = questionCount > 0 ? (credit / questionCount) * 100 : 0;
+  const totalTimeSeconds = Math.max(0, Number(completionTime) || 0);
+  const optimalTimeSeconds = questionCount * QUIZ_SECONDS_PER_QUESTION;
+  const timeBonus = optimalTimeSeconds > 0
+    ? Math.max(0, 100 - (totalTimeSeconds / optimalTimeSeconds) * 100)
+    : 0;
+
+  return {
+    correctAnswers,
+    credits,
+    score,
+    timeBonus,
+    totalScore: Math.round(score * 0.7 + timeBonus * 0.3),
+    completionTime: totalTimeSeconds,
+    earnedXP: Math.round(questionCount * QUIZ_EXP_PER_QUESTION * (score / 100)),
+  };
+};
+
+module.exports = {
+  EXP_CONSTANTS,
+  toMillis,
+  getBaseExp,
+  getRankMultiplier,
+  getDeadlineStatus,
+  calculateAssignmentExp,
+  gradeQuiz,
+};
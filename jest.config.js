@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // The rules tests need the Firestore emulator, see jest.rules.config.js
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/__tests__/rules/'],
 };
@@ -0,0 +1,5 @@
+// Security rules tests, run inside the Firestore emulator by `npm run test:rules`
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/rules/**/*.test.js'],
+};
@@ -0,0 +1,82 @@
+const admin = require('firebase-admin');
+const { splitAnswerKey, toQuizFlashcards } = require('../functions/quiz');
+
+// Moves the answers of AI materials published before publishAiMaterial kept them apart into
+// classes/{classId}/aiMaterials/{materialId}/answerKey/current, which students can't read,
+// leaving only the questions in the material.
+//
+// Usage:
+//   node migrateAnswerKeys.js [--dry-run]
+
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+const CLASSES_COLLECTION = 'classes';
+const AI_MATERIALS_COLLECTION = 'aiMaterials';
+const ANSWER_KEY_SUBCOLLECTION = 'answerKey';
+
+function initializeFirebaseAdmin() {
+  if (!SERVICE_ACCOUNT_PATH) {
+    console.error('GOOGLE_APPLICATION_CREDENTIALS environment variable is not set.');
+    console.error('Please set it to the path of your Firebase service account key JSON file.');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(SERVICE_ACCOUNT_PATH),
+  });
+  console.log('Firebase Admin SDK initialized successfully.');
+}
+
+async function migrateMaterial(db, materialDoc, dryRun, stats) {
+  const answerKeyRef = materialDoc.ref.collection(ANSWER_KEY_SUBCOLLECTION).doc('current');
+  const questions = materialDoc.data().quizQuestions || [];
+  if (questions.length === 0 || (await answerKeyRef.get()).exists) {
+    return;
+  }
+
+  stats.materials++;
+  if (dryRun) {
+    console.log(`[dry-run] ${materialDoc.ref.path} (${questions.length} questions)`);
+    return;
+  }
+
+  // Materials without flashcards got a deck made from the quiz, which needs the answers
+  const { shownQuestions, answerKey } = splitAnswerKey(questions);
+  const flashcards = materialDoc.data().flashcards || [];
+  const batch = db.batch();
+  batch.set(answerKeyRef, {
+    quizQuestions: answerKey,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.update(materialDoc.ref, {
+    quizQuestions: shownQuestions,
+    flashcards: flashcards.length > 0 ? flashcards : toQuizFlashcards(questions),
+  });
+  await batch.commit();
+  console.log(`Moved the answers of ${materialDoc.ref.path}`);
+}
+
+async function migrateAnswerKeys() {
+  const dryRun = process.argv.includes('--dry-run');
+  initializeFirebaseAdmin();
+
+  const db = admin.firestore();
+  const stats = { materials: 0 };
+  const classesSnapshot = await db.collection(CLASSES_COLLECTION).get();
+
+  console.log(`Checking ${classesSnapshot.size} class(es)${dryRun ? ' (dry run)' : ''}...`);
+
+  for (const classDoc of classesSnapshot.docs) {
+    const materialsSnapshot = await classDoc.ref.collection(AI_MATERIALS_COLLECTION).get();
+    for (const materialDoc of materialsSnapshot.docs) {
+      await migrateMaterial(db, materialDoc, dryRun, stats);
+    }
+  }
+
+  console.log(`Done. Materials migrated: ${stats.materials}`);
+}
+
+migrateAnswerKeys().catch(error => {
+  console.error('Answer key migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+const admin = require('firebase-admin');
+
+// Prepares existing data for the role-based firestore.rules:
+// - membership documents are re-keyed by user ID (classes/{classId}/members/{uid}),
+//   since the rules look up a user's role by document ID
+// - every class gets a classCodes/{code} document, since non-members can no longer query classes
+//
+// Usage:
+//   node migrateClassMembership.js [--dry-run]
+
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+const CLASSES_COLLECTION = 'classes';
+const MEMBERS_SUBCOLLECTION = 'members';
+const CLASS_CODES_COLLECTION = 'classCodes';
+
+function initializeFirebaseAdmin() {
+  if (!SERVICE_ACCOUNT_PATH) {
+    console.error('GOOGLE_APPLICATION_CREDENTIALS environment variable is not set.');
+    console.error('Please set it to the path of your Firebase service account key JSON file.');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(SERVICE_ACCOUNT_PATH),
+  });
+  console.log('Firebase Admin SDK initialized successfully.');
+}
+
+async function migrateMembers(db, classDoc, dryRun, stats) {
+  const membersSnapshot = await classDoc.ref.collection(MEMBERS_SUBCOLLECTION).get();
+
+  for (const memberDoc of membersSnapshot.docs) {
+    const member = memberDoc.data();
+    if (!member.userId || memberDoc.id === member.userId) {
+      continue;
+    }
+
+    const targetRef = classDoc.ref.collection(MEMBERS_SUBCOLLECTION).doc(member.userId);
+    stats.members++;
+    if (dryRun) {
+      console.log(`[dry-run] ${memberDoc.ref.path} -> ${targetRef.path}`);
+      continue;
+    }
+
+    // If the user somehow has two memberships, keep the one with the higher role
+    const existing = await targetRef.get();
+    const roleRank = { student: 0, admin: 1, teacher: 2 };
+    const keepExisting = existing.exists &&
+      (roleRank[existing.data().role] || 0) >= (roleRank[member.role] || 0);
+
+    const batch = db.batch();
+    if (!keepExisting) {
+      batch.set(targetRef, member);
+    }
+    batch.delete(memberDoc.ref);
+    await batch.commit();
+    console.log(`Moved ${memberDoc.ref.path} -> ${targetRef.path}`);
+  }
+}
+
+async function migrateClassCode(db, classDoc, dryRun, stats) {
+  const classData = classDoc.data();
+  if (!classData.classCode) {
+    return;
+  }
+
+  const codeRef = db.collection(CLASS_CODES_COLLECTION).doc(classData.classCode);
+  const codeDoc = await codeRef.get();
+  if (codeDoc.exists) {
+    if (codeDoc.data().classId !== classDoc.id) {
+      console.warn(`Class code ${classData.classCode} is used by ${codeDoc.data().classId} and ${classDoc.id}, skipping ${classDoc.id}`);
+    }
+    return;
+  }
+
+  stats.codes++;
+  if (dryRun) {
+    console.log(`[dry-run] ${codeRef.path} -> ${classDoc.id}`);
+    return;
+  }
+
+  await codeRef.set({
+    classId: classDoc.id,
+    active: classData.active !== false,
+    createdBy: classData.createdBy || null,
+    createdAt: classData.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`Created ${codeRef.path}`);
+}
+
+async function migrateClassMembership() {
+  const dryRun = process.argv.includes('--dry-run');
+  initializeFirebaseAdmin();
+
+  const db = admin.firestore();
+  const stats = { members: 0, codes: 0 };
+  const classesSnapshot = await db.collection(CLASSES_COLLECTION).get();
+
+  console.log(`Checking ${classesSnapshot.size} class(es)${dryRun ? ' (dry run)' : ''}...`);
+
+  for (const classDoc of classesSnapshot.docs) {
+    await migrateMembers(db, classDoc, dryRun, stats);
+    await migrateClassCode(db, classDoc, dryRun, stats);
+  }
+
+  console.log(`Done. Memberships re-keyed: ${stats.members}, class codes created: ${stats.codes}`);
+}
+
+migrateClassMembership().catch(error => {
+  console.error('Membership migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,267 @@
+const admin = require('firebase-admin');
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Moves base64 images stored inside Firestore documents into Cloud Storage (or a local folder),
+// leaving only URLs, storage paths and dimensions in the documents.
+//
+// Usage:
+//   node migrateImagesToStorage.js [--dry-run] [--class <classId>] [--local-dir <path>]
+//
+// --dry-run    Only report what would be migrated
+// --class      Limit the migration to one class
+// --local-dir  Write the files to a local folder instead of Cloud Storage (emulator/testing)
+
+const SERVICE_ACCOUNT_PATH = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+const STORAGE_BUCKET = process.env.FIREBASE_STORAGE_BUCKET;
+
+const CLASSES_COLLECTION = 'classes';
+const GALLERY_COLLECTIONS = ['gallery', 'galleryApprovals', 'featuredImages'];
+const COMPLETION_APPROVALS_COLLECTION = 'completionApprovals';
+
+// Same sizes the app uses when uploading (src/utils/blobStore.js)
+const IMAGE_MAX_SIZE = 1200;
+const IMAGE_QUALITY = 80;
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 70;
+
+function parseArgs(argv) {
+  const options = { dryRun: false, classId: null, localDir: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--class') {
+      options.classId = argv[++i];
+    } else if (arg === '--local-dir') {
+      options.localDir = path.resolve(argv[++i]);
+    } else {
+      console.error(`Unknown argument: ${arg}`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+function initializeFirebaseAdmin() {
+  if (!SERVICE_ACCOUNT_PATH) {
+    console.error('GOOGLE_APPLICATION_CREDENTIALS environment variable is not set.');
+    console.error('Please set it to the path of your Firebase service account key JSON file.');
+    process.exit(1);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(SERVICE_ACCOUNT_PATH),
+    storageBucket: STORAGE_BUCKET,
+  });
+  console.log('Firebase Admin SDK initialized successfully.');
+}
+
+function createCloudStorageWriter() {
+  if (!STORAGE_BUCKET) {
+    console.error('FIREBASE_STORAGE_BUCKET environment variable is not set.');
+    process.exit(1);
+  }
+  const bucket = admin.storage().bucket();
+
+  return {
+    name: 'firebase',
+    write: async (remotePath, buffer) => {
+      // A download token gives the same kind of URL the client SDK's getDownloadURL returns
+      const token = crypto.randomUUID();
+      await bucket.file(remotePath).save(buffer, {
+        contentType: 'image/jpeg',
+        metadata: { metadata: { firebaseStorageDownloadTokens: token } },
+      });
+      return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(remotePath)}?alt=media&token=${token}`;
+    },
+  };
+}
+
+function createLocalWriter(baseDir) {
+  return {
+    name: 'local',
+    write: async (remotePath, buffer) => {
+      const destination = path.join(baseDir, remotePath);
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(destination, buffer);
+      return `file://${destination}`;
+    },
+  };
+}
+
+async function resize(buffer, maxSize, quality) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, size: info.size };
+}
+
+// Upload one base64 image and its thumbnail, returning the fields the app stores
+async function storeBase64Image(writer, base64, remoteBase) {
+  const source = Buffer.from(base64, 'base64');
+  const image = await resize(source, IMAGE_MAX_SIZE, IMAGE_QUALITY);
+  const thumbnail = await resize(source, THUMBNAIL_MAX_SIZE, THUMBNAIL_QUALITY);
+
+  const imagePath = `${remoteBase}.jpg`;
+  const thumbnailPath = `${remoteBase}_thumb.jpg`;
+  const [imageUrl, thumbnailUrl] = await Promise.all([
+    writer.write(imagePath, image.data),
+    writer.write(thumbnailPath, thumbnail.data),
+  ]);
+
+  return {
+    imageUrl,
+    imagePath,
+    width: image.width,
+    height: image.height,
+    size: image.size,
+    thumbnailUrl,
+    thumbnailPath,
+    thumbnailWidth: thumbnail.width,
+    thumbnailHeight: thumbnail.height,
+    contentType: 'image/jpeg',
+    storageProvider: writer.name,
+  };
+}
+
+// gallery, galleryApprovals and featuredImages keep a single base64 string in `image`
+async function migrateGalleryCollection(classRef, collectionName, writer, options, stats) {
+  const snapshot = await classRef.collection(collectionName).get();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (!data.image || data.imageUrl) {
+      continue;
+    }
+
+    stats.found++;
+    if (options.dryRun) {
+      console.log(`[dry-run] ${doc.ref.path}`);
+      continue;
+    }
+
+    try {
+      let fields = null;
+
+      // Featured images are copies of gallery images, so reuse the already migrated files
+      if (collectionName === 'featuredImages' && data.sourceId) {
+        const sourceDoc = await classRef.collection('gallery').doc(data.sourceId).get();
+        if (sourceDoc.exists && sourceDoc.data().imageUrl) {
+          const source = sourceDoc.data();
+          fields = {};
+          ['imageUrl', 'imagePath', 'width', 'height', 'size', 'thumbnailUrl', 'thumbnailPath',
+            'thumbnailWidth', 'thumbnailHeight', 'contentType', 'storageProvider'].forEach(key => {
+            if (source[key] !== undefined) fields[key] = source[key];
+          });
+        }
+      }
+
+      if (!fields) {
+        fields = await storeBase64Image(writer, data.image, `${CLASSES_COLLECTION}/${classRef.id}/gallery/${doc.id}`);
+      }
+
+      await doc.ref.update({
+        ...fields,
+        image: admin.firestore.FieldValue.delete(),
+      });
+      stats.migrated++;
+      console.log(`Migrated ${doc.ref.path}`);
+    } catch (error) {
+      stats.failed++;
+      console.error(`Error migrating ${doc.ref.path}:`, error.message);
+    }
+  }
+}
+
+// Completion approvals keep an `images` array of { base64Image, metadata },
+// older documents a single `image` or `base64Image` field
+async function migrateCompletionApprovals(classRef, writer, options, stats) {
+  const snapshot = await classRef.collection(COMPLETION_APPROVALS_COLLECTION).get();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    const legacySingle = data.image || data.base64Image;
+    const images = Array.isArray(data.images) ? data.images : [];
+    const needsMigration = !!legacySingle || images.some(image => image && image.base64Image);
+    if (!needsMigration) {
+      continue;
+    }
+
+    stats.found++;
+    if (options.dryRun) {
+      console.log(`[dry-run] ${doc.ref.path}`);
+      continue;
+    }
+
+    try {
+      const remoteFolder = `${CLASSES_COLLECTION}/${classRef.id}/completions/${data.userId || 'unknown'}`;
+      const migratedImages = [];
+
+      for (let i = 0; i < images.length; i++) {
+        const image = images[i];
+        if (!image || !image.base64Image) {
+          migratedImages.push(image);
+          continue;
+        }
+        const { base64Image, ...rest } = image;
+        const fields = await storeBase64Image(writer, base64Image, `${remoteFolder}/${doc.id}_${i}`);
+        migratedImages.push({ ...rest, ...fields });
+      }
+
+      if (legacySingle) {
+        const fields = await storeBase64Image(writer, legacySingle, `${remoteFolder}/${doc.id}_${images.length}`);
+        migratedImages.push({ ...fields, metadata: { type: 'image/jpeg', userId: data.userId || null } });
+      }
+
+      await doc.ref.update({
+        images: migratedImages,
+        image: admin.firestore.FieldValue.delete(),
+        base64Image: admin.firestore.FieldValue.delete(),
+      });
+      stats.migrated++;
+      console.log(`Migrated ${doc.ref.path}`);
+    } catch (error) {
+      stats.failed++;
+      console.error(`Error migrating ${doc.ref.path}:`, error.message);
+    }
+  }
+}
+
+async function migrateImages() {
+  const options = parseArgs(process.argv.slice(2));
+  initializeFirebaseAdmin();
+
+  const db = admin.firestore();
+  const writer = options.localDir ? createLocalWriter(options.localDir) : createCloudStorageWriter();
+  const stats = { found: 0, migrated: 0, failed: 0 };
+
+  const classRefs = options.classId
+    ? [db.collection(CLASSES_COLLECTION).doc(options.classId)]
+    : await db.collection(CLASSES_COLLECTION).listDocuments();
+
+  console.log(`Migrating images for ${classRefs.length} class(es)${options.dryRun ? ' (dry run)' : ''}...`);
+
+  for (const classRef of classRefs) {
+    // Gallery first so featured images can reuse its files
+    for (const collectionName of GALLERY_COLLECTIONS) {
+      await migrateGalleryCollection(classRef, collectionName, writer, options, stats);
+    }
+    await migrateCompletionApprovals(classRef, writer, options, stats);
+  }
+
+  console.log(`Done. Found: ${stats.found}, migrated: ${stats.migrated}, failed: ${stats.failed}`);
+  if (stats.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+migrateImages().catch(error => {
+  console.error('Image migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Colors from '../constants/Colors';
+import { t } from '../translations';
+import { getAchievementProgress } from '../constants/Achievements';
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+// Badge grid for a class experience record, locked badges show their progress
+const AchievementShelf = ({ experience, style }) => {
+  const achievements = getAchievementProgress(experience);
+  const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+
+  return (
+    <View style={style}>
+      <Text style={styles.summary}>
+        {t('{unlocked} of {total} unlocked', { unlocked: unlockedCount, total: achievements.length })}
+      </Text>
+
+      <View style={styles.grid}>
+        {achievements.map(achievement => (
+          <View key={achievement.id} style={styles.badge}>
+            <View style={[styles.iconCircle, !achievement.unlocked && styles.iconCircleLocked]}>
+              <Icon
+                name={achievement.unlocked ? achievement.icon : 'lock'}
+                size={24}
+                color={achievement.unlocked ? Colors.textLight : Colors.textSecondary}
+              />
+            </View>
+            <Text
+              style={[styles.title, !achievement.unlocked && styles.textLocked]}
+              numberOfLines={2}
+            >
+              {t(achievement.title)}
+            </Text>
+            <Text style={styles.detail} numberOfLines={3}>
+              {achievement.unlocked
+                ? formatDate(achievement.unlockedAt)
+                : t(achievement.description)}
+            </Text>
+            {!achievement.unlocked && achievement.threshold > 1 && (
+              <View style={styles.progressTrack}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    { width: `${(achievement.progress / achievement.threshold) * 100}%` }
+                  ]}
+                />
+              </View>
+            )}
+            {!achievement.unlocked && achievement.threshold > 1 && (
+              <Text style={styles.progressText}>
+                {achievement.progress} / {achievement.threshold}
+              </Text>
+            )}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  summary: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginBottom: 12,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  badge: {
+    width: '31%',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  iconCircle: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: Colors.accent,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  iconCircleLocked: {
+    backgroundColor: Colors.separator,
+  },
+  title: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  textLocked: {
+    color: Colors.textSecondary,
+  },
+  detail: {
+    fontSize: 10,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  progressTrack: {
+    width: '80%',
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: Colors.separator,
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: Colors.primary,
+  },
+  progressText: {
+    fontSize: 10,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+});
+
+export default AchievementShelf;
@@ -97,6 +97,13 @@ const AssignmentItem = ({ assignment, onPress, onEditPress, onApprove, onReject,
         </View>
       )}
 
+      {assignment.skipped && !isPending && (
+        <View style={[styles.pendingBadge, { backgroundColor: colors.textSecondary }]}>
+          <Icon name="event-busy" size={16} color="#fff" />
+          <Text style={styles.pendingText}>{t('Skipped')}</Text>
+        </View>
+      )}
+
       <View style={styles.header}>
         <View style={styles.typeContainer}>
           <Icon name={getTypeIcon(assignment.type)} size={20} color={colors.primary} />
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Colors from '../constants/Colors';
+
+const RULE_TABS = {
+  LEADERS: 'leaders',
+  TOGETHER: 'together',
+  APART: 'apart'
+};
+
+const TAB_LABELS = {
+  [RULE_TABS.LEADERS]: 'Leaders',
+  [RULE_TABS.TOGETHER]: 'Keep together',
+  [RULE_TABS.APART]: 'Keep apart'
+};
+
+const TAB_HINTS = {
+  [RULE_TABS.LEADERS]: 'Each leader leads a different group.',
+  [RULE_TABS.TOGETHER]: 'Select two or more students who always share a group.',
+  [RULE_TABS.APART]: 'Select two or more students who never share a group.'
+};
+
+// Rules the group randomizer follows (see src/utils/groupRandomizer.js): leaders and students
+// kept together or apart
+const GroupRulesModal = ({ visible, onClose, members, rules, onChange }) => {
+  const [activeTab, setActiveTab] = useState(RULE_TABS.LEADERS);
+  // Students selected for a new together or apart rule
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [activeTab, visible]);
+
+  const getName = (userId) => {
+    const member = members.find(m => m.userId === userId);
+    return member ? member.displayName : 'Former member';
+  };
+
+  const toggleId = (ids, userId) =>
+    ids.includes(userId) ? ids.filter(id => id !== userId) : [...ids, userId];
+
+  const handleMemberPress = (userId) => {
+    if (activeTab === RULE_TABS.LEADERS) {
+      onChange({ ...rules, leaders: toggleId(rules.leaders, userId) });
+    } else {
+      setSelectedIds(ids => toggleId(ids, userId));
+    }
+  };
+
+  const handleAddRule = () => {
+    onChange({ ...rules, [activeTab]: [...rules[activeTab], selectedIds] });
+    setSelectedIds([]);
+  };
+
+  const handleRemoveRule = (index) => {
+    onChange({ ...rules, [activeTab]: rules[activeTab].filter((rule, ruleIndex) => ruleIndex !== index) });
+  };
+
+  const isChecked = (userId) =>
+    activeTab === RULE_TABS.LEADERS ? rules.leaders.includes(userId) : selectedIds.includes(userId);
+
+  const renderMember = ({ item }) => (
+    <TouchableOpacity style={styles.memberItem} onPress={() => handleMemberPress(item.userId)}>
+      <Text style={styles.memberName}>{item.displayName}</Text>
+      <Icon
+        name={isChecked(item.userId) ? 'check-box' : 'check-box-outline-blank'}
+        size={22}
+        color={isChecked(item.userId) ? Colors.primary : Colors.textSecondary}
+      />
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Group Rules</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Icon name="close" size={24} color={Colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.tabRow}>
+            {Object.values(RULE_TABS).map(tab => (
+              <TouchableOpacity
+                key={tab}
+                style={[styles.tab, activeTab === tab && styles.activeTab]}
+                onPress={() => setActiveTab(tab)}
+              >
+                <Text style={[styles.tabText, activeTab === tab && styles.activeTabText]}>
+                  {`${TAB_LABELS[tab]} (${rules[tab].length})`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.hint}>{TAB_HINTS[activeTab]}</Text>
+
+          {activeTab !== RULE_TABS.LEADERS && rules[activeTab].map((rule, index) => (
+            <View key={rule.join('|')} style={styles.ruleItem}>
+              <Text style={styles.ruleText}>{rule.map(getName).join(', ')}</Text>
+              <TouchableOpacity onPress={() => handleRemoveRule(index)}>
+                <Icon name="delete" size={20} color={Colors.error} />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <FlatList
+            data={members}
+            keyExtractor={item => item.userId}
+            renderItem={renderMember}
+            style={styles.memberList}
+          />
+
+          {activeTab === RULE_TABS.LEADERS ? (
+            <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={[styles.doneButton, selectedIds.length < 2 && styles.disabledButton]}
+              onPress={handleAddRule}
+              disabled={selectedIds.length < 2}
+            >
+              <Text style={styles.doneButtonText}>
+                {selectedIds.length < 2 ? 'Select at least 2 students' : `Add rule for ${selectedIds.length} students`}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: Colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    width: '90%',
+    maxHeight: '85%',
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 5,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  tabRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  activeTab: {
+    borderBottomWidth: 2,
+    borderBottomColor: Colors.primary,
+  },
+  tabText: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+  },
+  activeTabText: {
+    color: Colors.primary,
+    fontWeight: 'bold',
+  },
+  hint: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  ruleItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: Colors.inputBackground,
+  },
+  ruleText: {
+    flex: 1,
+    fontSize: 14,
+    color: Colors.text,
+    marginRight: 8,
+  },
+  memberList: {
+    marginTop: 8,
+  },
+  memberItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: Colors.separator,
+  },
+  memberName: {
+    fontSize: 15,
+    color: Colors.text,
+  },
+  doneButton: {
+    backgroundColor: Colors.primary,
+    margin: 16,
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  doneButtonText: {
+    color: Colors.textLight,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default GroupRulesModal;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Colors from '../constants/Colors';
+import { PEER_RATING_MIN, PEER_RATING_MAX } from '../utils/peerEvaluation';
+
+const RATING_VALUES = Array.from(
+  { length: PEER_RATING_MAX - PEER_RATING_MIN + 1 },
+  (value, index) => PEER_RATING_MIN + index
+);
+
+const RATING_LABELS = {
+  1: 'Did almost nothing',
+  2: 'Did less than their share',
+  3: 'Did their share',
+  4: 'Did more than their share',
+  5: 'Carried the group'
+};
+
+// Members of a group rate each teammate's contribution, the ratings become each member's
+// contribution factor when the teacher grades the group (see src/utils/peerEvaluation.js)
+const PeerEvaluationModal = ({ visible, onClose, teammates, initialRatings, onSubmit, loading, saving }) => {
+  const [ratings, setRatings] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setRatings(initialRatings || {});
+    }
+  }, [visible, initialRatings]);
+
+  const allRated = teammates.length > 0 && teammates.every(member => ratings[member.userId]);
+
+  const renderTeammate = ({ item }) => {
+    const rating = ratings[item.userId];
+    return (
+      <View style={styles.teammateItem}>
+        <Text style={styles.teammateName}>{item.displayName}</Text>
+        <View style={styles.starRow}>
+          {RATING_VALUES.map(value => (
+            <TouchableOpacity
+              key={value}
+              onPress={() => setRatings(current => ({ ...current, [item.userId]: value }))}
+              disabled={saving}
+            >
+              <Icon
+                name={rating >= value ? 'star' : 'star-border'}
+                size={30}
+                color={rating >= value ? Colors.warning : Colors.textSecondary}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.ratingLabel}>{rating ? RATING_LABELS[rating] : 'Not rated yet'}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Rate Your Teammates</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose} disabled={saving}>
+              <Icon name="close" size={24} color={Colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.hint}>
+            How much did each teammate contribute? Only your teacher sees your ratings, and they
+            adjust each member's score and XP for this assignment.
+          </Text>
+
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.primary} style={styles.loading} />
+          ) : (
+            <FlatList
+              data={teammates}
+              keyExtractor={item => item.userId}
+              renderItem={renderTeammate}
+              style={styles.teammateList}
+            />
+          )}
+
+          <TouchableOpacity
+            style={[styles.submitButton, (!allRated || saving || loading) && styles.disabledButton]}
+            onPress={() => onSubmit(ratings)}
+            disabled={!allRated || saving || loading}
+          >
+            {saving ? (
+              <ActivityIndicator size="small" color={Colors.textLight} />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {allRated ? 'Save Ratings' : 'Rate every teammate'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: Colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    width: '90%',
+    maxHeight: '85%',
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 5,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  loading: {
+    marginVertical: 24,
+  },
+  teammateList: {
+    marginTop: 8,
+  },
+  teammateItem: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: Colors.separator,
+  },
+  teammateName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: Colors.text,
+  },
+  starRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  ratingLabel: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  submitButton: {
+    backgroundColor: Colors.primary,
+    margin: 16,
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    color: Colors.textLight,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default PeerEvaluationModal;
@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+  Alert,
+  Platform
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import Colors from '../constants/Colors';
+import { t } from '../translations';
+import { updateQuizExamSettings } from '../utils/firestore';
+import {
+  MAX_EXAM_MINUTES,
+  MIN_QUESTION_SECONDS,
+  MAX_QUESTION_SECONDS,
+  normalizeExamSettings
+} from '../utils/quizExam';
+
+const formatDateTime = (date) =>
+  date.toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+// A number typed in a limit field, null when it is empty and NaN when it isn't a valid number
+const parseLimit = (text, min, max) => {
+  if (!text.trim()) return null;
+  const number = Number(text);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+};
+
+// Exam mode of an AI material's quiz, for class admins and teachers
+const QuizExamSettingsModal = ({ visible, onClose, classId, material, onSaved }) => {
+  const [enabled, setEnabled] = useState(false);
+  const [timeLimitText, setTimeLimitText] = useState('');
+  const [questionLimitText, setQuestionLimitText] = useState('');
+  const [shuffleQuestions, setShuffleQuestions] = useState(false);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [opensAt, setOpensAt] = useState(null);
+  const [closesAt, setClosesAt] = useState(null);
+  // The date being picked: { field: 'opensAt' or 'closesAt', mode: 'date' or 'time', value }
+  const [picker, setPicker] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible || !material) return;
+    const settings = normalizeExamSettings(material.examSettings);
+    setEnabled(settings.enabled);
+    setTimeLimitText(settings.timeLimitMinutes ? String(settings.timeLimitMinutes) : '');
+    setQuestionLimitText(settings.questionTimeLimitSeconds ? String(settings.questionTimeLimitSeconds) : '');
+    setShuffleQuestions(settings.shuffleQuestions);
+    setShuffleOptions(settings.shuffleOptions);
+    setOpensAt(settings.opensAt);
+    setClosesAt(settings.closesAt);
+  }, [visible, material]);
+
+  const setDate = (field, date) => (field === 'opensAt' ? setOpensAt(date) : setClosesAt(date));
+
+  const openPicker = (field) => {
+    const current = field === 'opensAt' ? opensAt : closesAt;
+    setPicker({ field, mode: 'date', value: current || new Date() });
+  };
+
+  const handlePickerChange = (event, selectedDate) => {
+    const { field, mode } = picker;
+    setPicker(null);
+    if (event.type === 'dismissed' || !selectedDate) {
+      return;
+    }
+
+    setDate(field, selectedDate);
+    // Pick the time right after the date on Android, where the picker only does one at a time
+    if (mode === 'date' && Platform.OS === 'android') {
+      setPicker({ field, mode: 'time', value: selectedDate });
+    }
+  };
+
+  const handleSave = async () => {
+    const timeLimitMinutes = parseLimit(timeLimitText, 1, MAX_EXAM_MINUTES);
+    const questionTimeLimitSeconds = parseLimit(questionLimitText, MIN_QUESTION_SECONDS, MAX_QUESTION_SECONDS);
+
+    if (Number.isNaN(timeLimitMinutes)) {
+      Alert.alert(t('Invalid time limit'), t('The time limit must be between 1 and {max} minutes.', { max: MAX_EXAM_MINUTES }));
+      return;
+    }
+    if (Number.isNaN(questionTimeLimitSeconds)) {
+      Alert.alert(
+        t('Invalid time limit'),
+        t('The time per question must be between {min} and {max} seconds.', { min: MIN_QUESTION_SECONDS, max: MAX_QUESTION_SECONDS })
+      );
+      return;
+    }
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      Alert.alert(t('Invalid dates'), t('The exam must close after it opens.'));
+      return;
+    }
+
+    setSaving(true);
+    const result = await updateQuizExamSettings(classId, material.id, {
+      enabled,
+      timeLimitMinutes,
+      questionTimeLimitSeconds,
+      shuffleQuestions,
+      shuffleOptions,
+      opensAt,
+      closesAt
+    });
+    setSaving(false);
+
+    if (!result.success) {
+      Alert.alert(t('Error'), t('Failed to save the exam settings'));
+      return;
+    }
+    onSaved(result.examSettings);
+    onClose();
+  };
+
+  const renderSwitchRow = (title, description, value, onValueChange) => (
+    <View style={styles.settingRow}>
+      <View style={styles.settingInfo}>
+        <Text style={styles.settingTitle}>{title}</Text>
+        {description ? <Text style={styles.settingDescription}>{description}</Text> : null}
+      </View>
+      <Switch
+        value={value}
+        onValueChange={onValueChange}
+        trackColor={{ false: Colors.separator, true: Colors.primaryLight }}
+        thumbColor={value ? Colors.primary : Colors.textSecondary}
+      />
+    </View>
+  );
+
+  const renderLimitRow = (title, unit, value, onChangeText) => (
+    <View style={styles.settingRow}>
+      <Text style={[styles.settingTitle, styles.settingInfo]}>{title}</Text>
+      <TextInput
+        style={styles.limitInput}
+        value={value}
+        onChangeText={onChangeText}
+        placeholder={t('None')}
+        placeholderTextColor={Colors.textSecondary}
+        keyboardType="number-pad"
+        maxLength={3}
+      />
+      <Text style={styles.limitUnit}>{unit}</Text>
+    </View>
+  );
+
+  const renderDateRow = (title, field, value) => (
+    <View style={styles.settingRow}>
+      <Text style={[styles.settingTitle, styles.settingInfo]}>{title}</Text>
+      <TouchableOpacity style={styles.dateButton} onPress={() => openPicker(field)}>
+        <Icon name="calendar-clock" size={18} color={Colors.primary} />
+        <Text style={styles.dateText}>{value ? formatDateTime(value) : t('Any time')}</Text>
+      </TouchableOpacity>
+      {value && (
+        <TouchableOpacity style={styles.clearButton} onPress={() => setDate(field, null)}>
+          <Icon name="close-circle" size={20} color={Colors.textSecondary} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{t('Exam Settings')}</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Icon name="close" size={24} color={Colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            {renderSwitchRow(
+              t('Exam mode'),
+              t('Each student can take the quiz once. Leaving the app during the exam is recorded on their result.'),
+              enabled,
+              setEnabled
+            )}
+
+            {enabled && (
+              <>
+                <Text style={styles.sectionTitle}>{t('Time limits')}</Text>
+                {renderLimitRow(t('Whole exam'), t('min'), timeLimitText, setTimeLimitText)}
+                {renderLimitRow(t('Each question'), t('sec'), questionLimitText, setQuestionLimitText)}
+                <Text style={styles.hint}>
+                  {t('With a time per question, students move on when it runs out and can\'t go back.')}
+                </Text>
+
+                <Text style={styles.sectionTitle}>{t('Order')}</Text>
+                {renderSwitchRow(t('Shuffle questions'), null, shuffleQuestions, setShuffleQuestions)}
+                {renderSwitchRow(t('Shuffle answer options'), null, shuffleOptions, setShuffleOptions)}
+
+                <Text style={styles.sectionTitle}>{t('Availability')}</Text>
+                {renderDateRow(t('Opens'), 'opensAt', opensAt)}
+                {renderDateRow(t('Closes'), 'closesAt', closesAt)}
+                <Text style={styles.hint}>
+                  {t('Exams still running when it closes end at the closing time.')}
+                </Text>
+              </>
+            )}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            {saving ? (
+              <ActivityIndicator size="small" color={Colors.textLight} />
+            ) : (
+              <Text style={styles.saveButtonText}>{t('Save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {picker && (
+        <DateTimePicker
+          value={picker.value}
+          mode={picker.mode}
+          is24Hour={true}
+          display="default"
+          onChange={handlePickerChange}
+        />
+      )}
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: Colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    width: '90%',
+    maxHeight: '85%',
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 5,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: Colors.primary,
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  settingInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  settingTitle: {
+    fontSize: 15,
+    color: Colors.text,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 4,
+  },
+  limitInput: {
+    width: 72,
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    backgroundColor: Colors.inputBackground,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 15,
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  limitUnit: {
+    width: 32,
+    marginLeft: 8,
+    fontSize: 14,
+    color: Colors.textSecondary,
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  dateText: {
+    fontSize: 14,
+    color: Colors.text,
+    marginLeft: 6,
+  },
+  clearButton: {
+    marginLeft: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 4,
+  },
+  saveButton: {
+    backgroundColor: Colors.primary,
+    margin: 16,
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: Colors.textLight,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default QuizExamSettingsModal;
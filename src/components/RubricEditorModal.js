@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Colors from '../constants/Colors';
+import {
+  MAX_CRITERIA,
+  MAX_LEVELS,
+  createCriterion,
+  createLevel,
+  getRubricMaxPoints,
+  validateRubric,
+  normalizeRubric
+} from '../utils/rubrics';
+
+// Teachers build a rubric from criteria, each with levels worth points. Saved rubrics can be
+// attached to any assignment of the class (see src/utils/rubrics.js)
+const RubricEditorModal = ({ visible, onClose, rubric, onSave, onDelete, saving }) => {
+  const [name, setName] = useState('');
+  const [criteria, setCriteria] = useState([]);
+
+  useEffect(() => {
+    if (visible) {
+      setName(rubric ? rubric.name : '');
+      setCriteria(rubric ? rubric.criteria.map(criterion => ({
+        ...criterion,
+        levels: criterion.levels.map(level => ({ ...level, points: String(level.points) }))
+      })) : [createCriterion()]);
+    }
+  }, [visible, rubric]);
+
+  const updateCriterion = (criterionId, changes) => {
+    setCriteria(current => current.map(criterion =>
+      criterion.id === criterionId ? { ...criterion, ...changes } : criterion
+    ));
+  };
+
+  const updateLevel = (criterionId, levelId, changes) => {
+    setCriteria(current => current.map(criterion => (
+      criterion.id === criterionId
+        ? { ...criterion, levels: criterion.levels.map(level => (level.id === levelId ? { ...level, ...changes } : level)) }
+        : criterion
+    )));
+  };
+
+  const addLevel = (criterion) => {
+    updateCriterion(criterion.id, { levels: [...criterion.levels, createLevel()] });
+  };
+
+  const removeLevel = (criterion, levelId) => {
+    updateCriterion(criterion.id, { levels: criterion.levels.filter(level => level.id !== levelId) });
+  };
+
+  const removeCriterion = (criterionId) => {
+    setCriteria(current => current.filter(criterion => criterion.id !== criterionId));
+  };
+
+  const handleSave = () => {
+    const draft = { name, criteria };
+    const errors = validateRubric(draft);
+    if (errors.length > 0) {
+      Alert.alert('Rubric incomplete', errors.join('\n'));
+      return;
+    }
+    onSave({ ...normalizeRubric(draft), id: rubric ? rubric.id : null });
+  };
+
+  const renderCriterion = (criterion, index) => (
+    <View key={criterion.id} style={styles.criterionItem}>
+      <View style={styles.criterionHeader}>
+        <TextInput
+          style={[styles.input, styles.criterionNameInput]}
+          value={criterion.name}
+          onChangeText={text => updateCriterion(criterion.id, { name: text })}
+          placeholder={`Criterion ${index + 1}, e.g. Method`}
+          placeholderTextColor={Colors.textSecondary}
+          editable={!saving}
+        />
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => removeCriterion(criterion.id)}
+          disabled={saving}
+        >
+          <Icon name="delete-outline" size={22} color={Colors.error} />
+        </TouchableOpacity>
+      </View>
+
+      {criterion.levels.map(level => (
+        <View key={level.id} style={styles.levelRow}>
+          <TextInput
+            style={[styles.input, styles.levelLabelInput]}
+            value={level.label}
+            onChangeText={text => updateLevel(criterion.id, level.id, { label: text })}
+            placeholder="Level"
+            placeholderTextColor={Colors.textSecondary}
+            editable={!saving}
+          />
+          <TextInput
+            style={[styles.input, styles.levelPointsInput]}
+            value={String(level.points)}
+            onChangeText={text => updateLevel(criterion.id, level.id, { points: text.replace(/[^0-9.]/g, '') })}
+            placeholder="Pts"
+            placeholderTextColor={Colors.textSecondary}
+            keyboardType="numeric"
+            editable={!saving}
+          />
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => removeLevel(criterion, level.id)}
+            disabled={saving || criterion.levels.length <= 2}
+          >
+            <Icon
+              name="remove-circle-outline"
+              size={20}
+              color={criterion.levels.length <= 2 ? Colors.textSecondary : Colors.error}
+            />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {criterion.levels.length < MAX_LEVELS && (
+        <TouchableOpacity style={styles.addLevelButton} onPress={() => addLevel(criterion)} disabled={saving}>
+          <Icon name="add" size={18} color={Colors.primary} />
+          <Text style={styles.addText}>Add level</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const maxPoints = getRubricMaxPoints({
+    criteria: criteria.map(criterion => ({
+      ...criterion,
+      levels: criterion.levels.map(level => ({ ...level, points: Number(level.points) || 0 }))
+    }))
+  });
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{rubric ? 'Edit Rubric' : 'New Rubric'}</Text>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose} disabled={saving}>
+              <Icon name="close" size={24} color={Colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="Rubric name, e.g. Lab report"
+              placeholderTextColor={Colors.textSecondary}
+              editable={!saving}
+            />
+
+            <Text style={styles.hint}>
+              Pick one level per criterion when grading. The score is the points earned out of {maxPoints},
+              scaled to 100.
+            </Text>
+
+            {criteria.map(renderCriterion)}
+
+            {criteria.length < MAX_CRITERIA && (
+              <TouchableOpacity
+                style={styles.addCriterionButton}
+                onPress={() => setCriteria(current => [...current, createCriterion()])}
+                disabled={saving}
+              >
+                <Icon name="add-circle-outline" size={20} color={Colors.primary} />
+                <Text style={styles.addText}>Add criterion</Text>
+              </TouchableOpacity>
+            )}
+
+            {rubric && onDelete && (
+              <TouchableOpacity style={styles.deleteButton} onPress={() => onDelete(rubric)} disabled={saving}>
+                <Text style={styles.deleteButtonText}>Delete Rubric</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.submitButton, saving && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator size="small" color={Colors.textLight} />
+            ) : (
+              <Text style={styles.submitButtonText}>Save Rubric</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: Colors.overlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    width: '92%',
+    maxHeight: '90%',
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 5,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  content: {
+    padding: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: Colors.text,
+  },
+  hint: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  criterionItem: {
+    marginTop: 12,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: Colors.background,
+  },
+  criterionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  criterionNameInput: {
+    flex: 1,
+    fontWeight: '500',
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  levelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingLeft: 12,
+  },
+  levelLabelInput: {
+    flex: 1,
+  },
+  levelPointsInput: {
+    width: 64,
+    marginLeft: 8,
+    textAlign: 'center',
+  },
+  addLevelButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingLeft: 12,
+  },
+  addCriterionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: Colors.primary,
+    borderRadius: 8,
+  },
+  addText: {
+    color: Colors.primary,
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 24,
+    paddingVertical: 10,
+  },
+  deleteButtonText: {
+    color: Colors.error,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  submitButton: {
+    backgroundColor: Colors.primary,
+    margin: 16,
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    color: Colors.textLight,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RubricEditorModal;
@@ -0,0 +1,180 @@
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import Colors from '../constants/Colors';
+import { t } from '../translations';
+
+const SOURCE_ICONS = {
+  assignment: 'assignment-turned-in',
+  quiz: 'quiz',
+  bonus: 'stars',
+};
+
+const DEADLINE_LABELS = {
+  EARLY: 'early',
+  ON_TIME: 'on time',
+  LATE: 'late',
+};
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+// One line explaining how the amount was calculated
+const describeEntry = (entry) => {
+  if (entry.source === 'assignment' && entry.action === 'award') {
+    const awardText = t('{base} XP × {rankMultiplier} (#{rank} to finish) × {deadlineMultiplier} ({deadline})', {
+      base: entry.baseExp,
+      rankMultiplier: entry.rankMultiplier,
+      rank: entry.rank,
+      deadlineMultiplier: entry.deadlineMultiplier,
+      deadline: t(DEADLINE_LABELS[entry.deadlineStatus] || 'on time'),
+    });
+    // Group work is scaled by the member's peer-rated contribution
+    return entry.contributionFactor && entry.contributionFactor !== 1
+      ? `${awardText} ${t('× {factor} (contribution)', { factor: entry.contributionFactor })}`
+      : awardText;
+  }
+
+  if (entry.source === 'quiz') {
+    const scoreText = t('Scored {score}% ({correct}/{count}), worth {earned} XP', {
+      score: Math.round(entry.score || 0),
+      correct: entry.correctAnswers || 0,
+      count: entry.questionCount || 0,
+      earned: entry.earnedXP || 0,
+    });
+    return entry.previousXP > 0
+      ? `${scoreText}. ${t('Already earned {previous} XP on an earlier attempt', { previous: entry.previousXP })}`
+      : scoreText;
+  }
+
+  return entry.reason ? t(entry.reason) : '';
+};
+
+const XpHistoryTimeline = ({ entries, loading, style }) => {
+  if (loading) {
+    return <ActivityIndicator size="small" color={Colors.primary} style={styles.loading} />;
+  }
+
+  if (!entries || entries.length === 0) {
+    return (
+      <Text style={styles.emptyText}>
+        {t('No XP history yet')}
+      </Text>
+    );
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      {entries.map((entry, index) => {
+        const isRemoval = entry.amount < 0;
+        const description = describeEntry(entry);
+        const isLast = index === entries.length - 1;
+
+        return (
+          <View key={entry.id} style={styles.row}>
+            <View style={styles.markerColumn}>
+              <View style={[styles.marker, isRemoval && styles.markerRemoval]}>
+                <Icon name={SOURCE_ICONS[entry.source] || 'auto-awesome'} size={14} color="#FFFFFF" />
+              </View>
+              {!isLast && <View style={styles.line} />}
+            </View>
+
+            <View style={styles.content}>
+              <View style={styles.titleRow}>
+                <Text style={styles.title} numberOfLines={1}>{entry.title}</Text>
+                <Text style={[styles.amount, isRemoval && styles.amountRemoval]}>
+                  {isRemoval ? entry.amount : `+${entry.amount}`} XP
+                </Text>
+              </View>
+              {!!description && <Text style={styles.description}>{description}</Text>}
+              <Text style={styles.meta}>
+                {formatDate(entry.createdAt)}
+                {entry.approvedByName ? ` · ${t('by {name}', { name: entry.approvedByName })}` : ''}
+              </Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 10,
+  },
+  loading: {
+    marginVertical: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    padding: 10,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  markerColumn: {
+    width: 28,
+    alignItems: 'center',
+  },
+  marker: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: Colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  markerRemoval: {
+    backgroundColor: Colors.error,
+  },
+  line: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#E0E0E0',
+    marginVertical: 2,
+  },
+  content: {
+    flex: 1,
+    marginLeft: 8,
+    paddingBottom: 14,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.text,
+    marginRight: 8,
+  },
+  amount: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.success,
+  },
+  amountRemoval: {
+    color: Colors.error,
+  },
+  description: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  meta: {
+    fontSize: 11,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+});
+
+export default XpHistoryTimeline;
@@ -0,0 +1,128 @@
+// Achievements shown on the badge shelf
+// They are unlocked by the Cloud Functions (functions/achievements.js), keep the IDs, metrics and
+// thresholds in sync. Progress lives in the `stats` map of the class experience record and
+// unlocked achievements in its `achievements` map ({ [id]: unlockedAt }).
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_completion',
+    metric: 'completions',
+    threshold: 1,
+    title: 'Getting Started',
+    description: 'Complete your first assignment',
+    icon: 'flag'
+  },
+  {
+    id: 'completions_10',
+    metric: 'completions',
+    threshold: 10,
+    title: 'Hard Worker',
+    description: 'Complete 10 assignments',
+    icon: 'assignment-turned-in'
+  },
+  {
+    id: 'completions_25',
+    metric: 'completions',
+    threshold: 25,
+    title: 'Unstoppable',
+    description: 'Complete 25 assignments',
+    icon: 'workspace-premium'
+  },
+  {
+    id: 'first_finisher_5',
+    metric: 'firstCompletions',
+    threshold: 5,
+    title: 'Speed Runner',
+    description: 'Be the first to complete 5 assignments',
+    icon: 'bolt'
+  },
+  {
+    id: 'early_bird_5',
+    metric: 'earlyCompletions',
+    threshold: 5,
+    title: 'Early Bird',
+    description: 'Submit 5 assignments at least a day before the deadline',
+    icon: 'alarm-on'
+  },
+  {
+    id: 'streak_3',
+    metric: 'bestStreak',
+    threshold: 3,
+    title: 'On a Roll',
+    description: 'Complete assignments 3 days in a row',
+    icon: 'local-fire-department'
+  },
+  {
+    id: 'streak_10',
+    metric: 'bestStreak',
+    threshold: 10,
+    title: '10-Day Streak',
+    description: 'Complete assignments 10 days in a row',
+    icon: 'whatshot'
+  },
+  {
+    id: 'first_quiz',
+    metric: 'quizzesTaken',
+    threshold: 1,
+    title: 'Quiz Taker',
+    description: 'Finish your first AI material quiz',
+    icon: 'quiz'
+  },
+  {
+    id: 'perfect_quiz',
+    metric: 'perfectQuizzes',
+    threshold: 1,
+    title: 'Perfect Score',
+    description: 'Answer every question of a quiz correctly',
+    icon: 'grade'
+  },
+  {
+    id: 'perfect_quiz_5',
+    metric: 'perfectQuizzes',
+    threshold: 5,
+    title: 'Quiz Master',
+    description: 'Get a perfect score on 5 different quizzes',
+    icon: 'military-tech'
+  },
+  {
+    id: 'first_photo',
+    metric: 'galleryUploads',
+    threshold: 1,
+    title: 'Photographer',
+    description: 'Add a photo to the class gallery',
+    icon: 'photo-camera'
+  },
+  {
+    id: 'gallery_likes_100',
+    metric: 'galleryLikes',
+    threshold: 100,
+    title: 'Crowd Favorite',
+    description: 'Receive 100 likes on your gallery photos',
+    icon: 'favorite'
+  }
+];
+
+export const getAchievementById = (id) => ACHIEVEMENTS.find(achievement => achievement.id === id);
+
+// Current value of an achievement metric, lists of IDs count their length
+export const getAchievementMetricValue = (experience, metric) => {
+  if (!experience) return 0;
+  if (metric === 'completions') {
+    return (experience.completedAssignments || []).length;
+  }
+  const value = (experience.stats || {})[metric];
+  return Array.isArray(value) ? value.length : value || 0;
+};
+
+// Progress of every achievement for an experience record, unlocked ones first
+export const getAchievementProgress = (experience) => {
+  const unlockedMap = (experience && experience.achievements) || {};
+
+  return ACHIEVEMENTS
+    .map(achievement => ({
+      ...achievement,
+      unlocked: !!unlockedMap[achievement.id],
+      unlockedAt: unlockedMap[achievement.id] || null,
+      progress: Math.min(getAchievementMetricValue(experience, achievement.metric), achievement.threshold)
+    }))
+    .sort((a, b) => Number(b.unlocked) - Number(a.unlocked));
+};
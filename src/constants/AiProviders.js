@@ -0,0 +1,44 @@
+// AI providers a class can choose for AI material generation (Class Settings)
+// Materials are generated by the generateAiMaterial Cloud Function (functions/ai.js), keep the
+// IDs and default models in sync. The API keys are function secrets and never ship with the app.
+export const AI_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  MOCK: 'mock'
+};
+
+export const AI_PROVIDER_LABELS = {
+  [AI_PROVIDERS.GEMINI]: 'Google Gemini',
+  [AI_PROVIDERS.OPENAI]: 'OpenAI',
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: 'OpenAI-compatible server',
+  [AI_PROVIDERS.MOCK]: 'Mock (testing)'
+};
+
+export const DEFAULT_AI_MODELS = {
+  [AI_PROVIDERS.GEMINI]: 'gemini-2.5-flash',
+  [AI_PROVIDERS.OPENAI]: 'gpt-4o-mini',
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: 'llama3.2-vision',
+  [AI_PROVIDERS.MOCK]: 'mock'
+};
+
+// Daily generations, counted by the function in classes/{classId}/aiUsage/{day}
+export const DEFAULT_DAILY_USER_AI_LIMIT = 10;
+export const DEFAULT_DAILY_CLASS_AI_LIMIT = 50;
+// Highest limits a class can set, the function clamps larger ones
+export const MAX_DAILY_USER_AI_LIMIT = 30;
+export const MAX_DAILY_CLASS_AI_LIMIT = 200;
+
+// Classes without AI settings use Gemini
+export const DEFAULT_AI_SETTINGS = {
+  provider: AI_PROVIDERS.GEMINI,
+  model: '',
+  baseUrl: '',
+  dailyUserLimit: DEFAULT_DAILY_USER_AI_LIMIT,
+  dailyClassLimit: DEFAULT_DAILY_CLASS_AI_LIMIT
+};
+
+// Source files of one material, checked again by the function
+export const MAX_AI_SOURCE_FILES = 10;
+export const MAX_AI_FILE_BYTES = 20 * 1024 * 1024;
+export const MAX_AI_TOTAL_BYTES = 60 * 1024 * 1024;
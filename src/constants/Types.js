@@ -28,4 +28,17 @@ export const ASSIGNMENT_GROUP_TYPE = {
 export const RANDOMIZATION_MODE = {
   ABSOLUTE_RANDOM: 'Absolute Random',
   FAIR_GENDER: 'Fair Gender Distribution',
-};
\ No newline at end of file
+  SKILL_BALANCED: 'Balanced by Level',
+  AVOID_REPEATS: 'Avoid Repeat Pairings',
+};
+
+export const RECURRENCE_FREQUENCY = {
+  NONE: 'Does not repeat',
+  WEEKLY: 'Weekly',
+  EVERY_N_DAYS: 'Every N Days',
+};
+
+export const RECURRENCE_END_TYPE = {
+  UNTIL_DATE: 'Until Date',
+  COUNT: 'After Occurrences',
+};
@@ -11,6 +11,7 @@ export const GENDER_LABELS = {
 };
 
 // Gamification constants
+// XP is awarded by Cloud Functions using a copy of these values in functions/xp.js, keep both in sync
 export const EXP_CONSTANTS = {
   // Base experience points for completing different types of assignments
   BASE_EXP: {
@@ -22,11 +23,11 @@ export const EXP_CONSTANTS = {
     DEFAULT: 100 // Default EXP for unknown assignment types
   },
   
-  // Multiplier for deadline urgency (for future implementation)
+  // Multiplier for deadline urgency
   DEADLINE_MULTIPLIER: {
-    EARLY: 1.2,   // Completed well before deadline
-    ON_TIME: 1.0, // Completed close to deadline
-    LATE: 0.8     // Completed after deadline (if allowed)
+    EARLY: 1.2,   // Submitted at least 24 hours before the deadline
+    ON_TIME: 1.0, // Submitted before the deadline
+    LATE: 0.8     // Submitted after the deadline
   },
   
   // Multiplier based on completion rank (1st, 2nd, 3rd, etc.)
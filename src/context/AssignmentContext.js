@@ -1,5 +1,6 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import { Alert } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
 import { useAuth } from './AuthContext';
 import { useClass } from './ClassContext';
 import { 
@@ -14,15 +15,27 @@ import {
   getAssignmentByDocumentId,
   isClassAdmin,
   approveClassAssignment,
-  rejectClassAssignment
+  rejectClassAssignment,
+  createAssignmentSeries,
+  setAssignmentOccurrenceSkipped
 } from '../utils/firestore';
 import { 
   getAssignments as getLocalAssignments,
   saveAssignments as saveLocalAssignments,
-  addAssignment as addLocalAssignment,
-  updateAssignment as updateLocalAssignment,
-  deleteAssignment as deleteLocalAssignment
+  updateAssignment as updateLocalAssignment
 } from '../utils/storage';
+import {
+  MUTATION_TYPES,
+  isOnline,
+  isNetworkError,
+  getMutationQueue,
+  getQueueConflicts,
+  enqueueMutation,
+  applyMutationsToAssignments,
+  replayMutationQueue,
+  resolveQueueConflict as resolveStoredQueueConflict
+} from '../utils/offlineQueue';
+import { buildOccurrenceAssignments } from '../utils/recurrence';
 import firestore from '@react-native-firebase/firestore';
 
 // Create the context
@@ -40,6 +53,13 @@ export const AssignmentProvider = ({ children }) => {
   const [loading, setLoading] = useState(false);
   const [syncedWithCloud, setSyncedWithCloud] = useState(false);
   const [activeClassId, setActiveClassId] = useState(null);
+  const [pendingMutations, setPendingMutations] = useState([]);
+  const [queueConflicts, setQueueConflicts] = useState([]);
+  const [isReplayingQueue, setIsReplayingQueue] = useState(false);
+  // Listener callbacks are created once per class, so they read the queue through a ref
+  const pendingMutationsRef = useRef([]);
+  const isReplayingQueueRef = useRef(false);
+  const flushMutationQueueRef = useRef(null);
   const refreshTimestamp = getRefreshTimestamp();
 
   // Add this new effect to trigger refreshes based on the timestamp
@@ -124,6 +144,134 @@ export const AssignmentProvider = ({ children }) => {
     }
   }, [currentClass, user]);
 
+  // Load the offline mutation queue for the current class and replay it whenever we come back online
+  useEffect(() => {
+    if (!currentClass?.id) {
+      pendingMutationsRef.current = [];
+      setPendingMutations([]);
+      setQueueConflicts([]);
+      return;
+    }
+
+    let wasOnline = true;
+    const classId = currentClass.id;
+
+    Promise.all([getMutationQueue(classId), getQueueConflicts(classId)]).then(([queue, conflicts]) => {
+      pendingMutationsRef.current = queue;
+      setPendingMutations(queue);
+      setQueueConflicts(conflicts);
+      if (queue.length > 0) {
+        flushMutationQueueRef.current();
+      }
+    });
+
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const online = state.isConnected !== false && state.isInternetReachable !== false;
+      if (online && !wasOnline) {
+        console.log(`AssignmentContext: Connection restored, replaying queued changes for class ${classId}`);
+        flushMutationQueueRef.current();
+      }
+      wasOnline = online;
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [currentClass?.id, user]);
+
+  // Overlay queued offline changes on a list coming from Firestore or local storage
+  const withPendingMutations = (assignmentList) => {
+    if (pendingMutationsRef.current.length === 0) {
+      return assignmentList;
+    }
+    return applyMutationsToAssignments(assignmentList, pendingMutationsRef.current);
+  };
+
+  // Record writes that could not reach the server and apply them optimistically
+  const queueAssignmentMutations = async (classId, mutations) => {
+    let queue = pendingMutationsRef.current;
+    for (const mutation of mutations) {
+      queue = await enqueueMutation(classId, mutation);
+    }
+    pendingMutationsRef.current = queue;
+    setPendingMutations(queue);
+
+    const currentList = assignmentsByClass[classId] || assignments;
+    const optimisticAssignments = applyMutationsToAssignments(currentList, mutations);
+
+    setAssignments(optimisticAssignments);
+    setAssignmentsByClass(prev => ({
+      ...prev,
+      [classId]: optimisticAssignments
+    }));
+    setSyncedWithCloud(false);
+    await saveLocalAssignments(optimisticAssignments, classId);
+
+    console.log(`AssignmentContext: Queued ${mutations.length} change(s) for class ${classId} (${queue.length} pending)`);
+    return { success: true, synced: false, queued: true };
+  };
+
+  const queueAssignmentMutation = (classId, mutation) =>
+    queueAssignmentMutations(classId, [mutation]);
+
+  // Replay queued offline changes in order and surface any conflicts
+  const flushMutationQueue = async () => {
+    const classId = currentClass?.id;
+    if (!classId || !user || isReplayingQueueRef.current) {
+      return { success: false, applied: 0 };
+    }
+
+    isReplayingQueueRef.current = true;
+    setIsReplayingQueue(true);
+    try {
+      const result = await replayMutationQueue(classId);
+      pendingMutationsRef.current = result.remaining;
+      setPendingMutations(result.remaining);
+
+      if (result.conflicts.length > 0) {
+        const conflicts = await getQueueConflicts(classId);
+        setQueueConflicts(conflicts);
+        Alert.alert(
+          'Sync Conflict',
+          `${result.conflicts.length} offline change(s) could not be applied because the assignment was changed or removed by someone else. Review them before they are discarded.`
+        );
+      }
+
+      if (result.applied > 0) {
+        console.log(`AssignmentContext: Replayed ${result.applied} queued change(s) for class ${classId}`);
+        if (result.remaining.length === 0) {
+          setSyncedWithCloud(true);
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error replaying mutation queue:', error);
+      return { success: false, error: error.message };
+    } finally {
+      isReplayingQueueRef.current = false;
+      setIsReplayingQueue(false);
+    }
+  };
+  flushMutationQueueRef.current = flushMutationQueue;
+
+  // Keep the local change ('local') or accept the server version ('server') for a conflict
+  const resolveQueueConflict = async (mutationId, resolution) => {
+    const classId = currentClass?.id;
+    if (!classId) {
+      return { success: false, error: 'No class selected' };
+    }
+
+    const result = await resolveStoredQueueConflict(classId, mutationId, resolution);
+    if (result.success) {
+      setQueueConflicts(result.conflicts);
+      if (resolution === 'server') {
+        await refreshAssignments();
+      }
+    }
+    return result;
+  };
+
   // Handle updates from Firestore
   const handleAssignmentUpdate = (updatedAssignments) => {
     if (!currentClass) return;
@@ -148,33 +296,35 @@ export const AssignmentProvider = ({ children }) => {
         // Otherwise just use the online assignment as is
         return onlineAssignment;
       });
+      const visibleAssignments = withPendingMutations(mergedAssignments);
       
-      setAssignments(mergedAssignments);
+      setAssignments(visibleAssignments);
       
       // Store assignments by class ID
       setAssignmentsByClass(prev => ({
         ...prev,
-        [currentClass.id]: mergedAssignments
+        [currentClass.id]: visibleAssignments
       }));
       
-      setSyncedWithCloud(true);
+      setSyncedWithCloud(pendingMutationsRef.current.length === 0);
       
       // Also update local storage for offline access
-      saveLocalAssignments(mergedAssignments, currentClass.id);
+      saveLocalAssignments(visibleAssignments, currentClass.id);
     }).catch(error => {
       console.error('Error preserving local status during update:', error);
       
       // Fallback to just using the updated assignments
-      setAssignments(updatedAssignments);
+      const visibleAssignments = withPendingMutations(updatedAssignments);
+      setAssignments(visibleAssignments);
       
       setAssignmentsByClass(prev => ({
         ...prev,
-        [currentClass.id]: updatedAssignments
+        [currentClass.id]: visibleAssignments
       }));
       
-      setSyncedWithCloud(true);
+      setSyncedWithCloud(pendingMutationsRef.current.length === 0);
       
-      saveLocalAssignments(updatedAssignments, currentClass.id);
+      saveLocalAssignments(visibleAssignments, currentClass.id);
     });
   };
 
@@ -250,7 +400,7 @@ export const AssignmentProvider = ({ children }) => {
         local => !onlineIds.has(local.id)
       );
       
-      const allAssignments = [...mergedAssignments, ...localOnlyAssignments];
+      const allAssignments = withPendingMutations([...mergedAssignments, ...localOnlyAssignments]);
       
       // Store assignments by class ID
       setAssignmentsByClass(prev => ({
@@ -316,32 +466,26 @@ export const AssignmentProvider = ({ children }) => {
         throw new Error('No class selected. Cannot add assignment.');
       }
       
-      // If we have a current class, save to Firestore
-      if (user) {
+      const online = await isOnline();
+      
+      // If we have a current class and a connection, save to Firestore
+      if (user && online) {
         const result = await createAssignment(targetClassId, assignmentData);
         if (result.success) {
           // No need to manually update state as the listener will update it
           return { ...result, synced: true };
-        } else {
-          // If saving to cloud fails, save locally
-          const success = await addLocalAssignment(assignmentData, targetClassId);
-          if (success) {
-            setSyncedWithCloud(false);
-            await loadLocalAssignments();
-            return { success: true, synced: false };
-          }
         }
-      } else {
-        // Store locally
-        const success = await addLocalAssignment(assignmentData, targetClassId);
-        if (success) {
-          setSyncedWithCloud(false);
-          await loadLocalAssignments();
-          return { success: true, synced: false };
+        if (!isNetworkError(result.error)) {
+          return result;
         }
       }
       
-      return { success: false, error: 'Failed to add assignment' };
+      // Offline (or the write never reached the server) - queue it for replay
+      return await queueAssignmentMutation(targetClassId, {
+        type: MUTATION_TYPES.CREATE,
+        assignmentId: assignmentData.id || Date.now().toString(),
+        data: assignmentData
+      });
     } catch (error) {
       console.error('Error adding assignment:', error);
       return { success: false, error: error.message };
@@ -361,32 +505,31 @@ export const AssignmentProvider = ({ children }) => {
         throw new Error('No class selected. Cannot update assignment.');
       }
       
-      // If we have a current class, update in Firestore
-      if (user && syncedWithCloud) {
+      const online = await isOnline();
+      
+      // If we have a current class and a connection, update in Firestore
+      if (user && online) {
         const result = await updateClassAssignment(targetClassId, assignmentId, updatedData);
         if (result.success) {
           // No need to manually update state as the listener will update it
           return { ...result, synced: true };
-        } else {
-          // If updating on cloud fails, update locally
-          const success = await updateLocalAssignment(assignmentId, updatedData, targetClassId);
-          if (success) {
-            setSyncedWithCloud(false);
-            await loadLocalAssignments();
-            return { success: true, synced: false };
-          }
         }
-      } else {
-        // Update locally
-        const success = await updateLocalAssignment(assignmentId, updatedData, targetClassId);
-        if (success) {
-          setSyncedWithCloud(false);
-          await loadLocalAssignments();
-          return { success: true, synced: false };
+        if (!isNetworkError(result.error)) {
+          return result;
         }
       }
       
-      return { success: false, error: 'Failed to update assignment' };
+      // Remember which server version this edit was based on so replay can detect conflicts
+      const existingAssignment = assignments.find(a => 
+        a.id === assignmentId || a.documentId === assignmentId
+      );
+      
+      return await queueAssignmentMutation(targetClassId, {
+        type: MUTATION_TYPES.UPDATE,
+        assignmentId,
+        data: updatedData,
+        baseUpdatedAt: existingAssignment?.updatedAt || null
+      });
     } catch (error) {
       console.error('Error updating assignment:', error);
       return { success: false, error: error.message };
@@ -406,32 +549,29 @@ export const AssignmentProvider = ({ children }) => {
         throw new Error('No class selected. Cannot delete assignment.');
       }
       
-      // If we have a current class, delete from Firestore
-      if (user && syncedWithCloud) {
+      const online = await isOnline();
+      
+      // If we have a current class and a connection, delete from Firestore
+      if (user && online) {
         const result = await deleteClassAssignment(targetClassId, assignmentId);
         if (result.success) {
           // No need to manually update state as the listener will update it
           return { ...result, synced: true };
-        } else {
-          // If deleting from cloud fails, delete locally
-          const success = await deleteLocalAssignment(assignmentId, targetClassId);
-          if (success) {
-            setSyncedWithCloud(false);
-            await loadLocalAssignments();
-            return { success: true, synced: false };
-          }
         }
-      } else {
-        // Delete locally
-        const success = await deleteLocalAssignment(assignmentId, targetClassId);
-        if (success) {
-          setSyncedWithCloud(false);
-          await loadLocalAssignments();
-          return { success: true, synced: false };
+        if (!isNetworkError(result.error)) {
+          return result;
         }
       }
       
-      return { success: false, error: 'Failed to delete assignment' };
+      const existingAssignment = assignments.find(a => 
+        a.id === assignmentId || a.documentId === assignmentId
+      );
+      
+      return await queueAssignmentMutation(targetClassId, {
+        type: MUTATION_TYPES.DELETE,
+        assignmentId,
+        baseUpdatedAt: existingAssignment?.updatedAt || null
+      });
     } catch (error) {
       console.error('Error deleting assignment:', error);
       return { success: false, error: error.message };
@@ -440,6 +580,67 @@ export const AssignmentProvider = ({ children }) => {
     }
   };
 
+  // Add a recurring assignment - every occurrence becomes its own assignment
+  const addRecurringAssignment = async (assignmentData, recurrenceRule) => {
+    setLoading(true);
+    try {
+      const targetClassId = currentClass?.id;
+      
+      if (!targetClassId) {
+        throw new Error('No class selected. Cannot add assignment.');
+      }
+      
+      const occurrences = buildOccurrenceAssignments(assignmentData, recurrenceRule);
+      if (occurrences.length === 0) {
+        throw new Error('The repeat rule does not produce any occurrences');
+      }
+      
+      const online = await isOnline();
+      
+      if (user && online) {
+        const result = await createAssignmentSeries(targetClassId, occurrences);
+        if (result.success) {
+          return { ...result, occurrenceCount: occurrences.length, synced: true };
+        }
+        if (!isNetworkError(result.error)) {
+          return result;
+        }
+      }
+      
+      const result = await queueAssignmentMutations(targetClassId, occurrences.map(occurrence => ({
+        type: MUTATION_TYPES.CREATE,
+        assignmentId: occurrence.id,
+        data: occurrence
+      })));
+      return {
+        ...result,
+        seriesId: occurrences[0].seriesId,
+        assignmentId: occurrences[0].id,
+        occurrenceCount: occurrences.length
+      };
+    } catch (error) {
+      console.error('Error adding recurring assignment:', error);
+      return { success: false, error: error.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Skip or restore one occurrence of a recurring assignment
+  const skipAssignmentOccurrence = async (assignmentId, skipped = true) => {
+    const targetClassId = currentClass?.id;
+    if (!targetClassId) {
+      return { success: false, error: 'No class selected' };
+    }
+    
+    const online = await isOnline();
+    if (!online) {
+      return updateAssignment(assignmentId, { skipped });
+    }
+    
+    return setAssignmentOccurrenceSkipped(targetClassId, assignmentId, skipped);
+  };
+
   // Toggle an assignment status
   const toggleAssignmentStatus = async (assignmentId, newStatus) => {
     // First, find the assignment in current state
@@ -561,24 +762,17 @@ export const AssignmentProvider = ({ children }) => {
       // Handle experience points for the assignment - only if approved and user has proper permissions
       if (!assignment.pending && assignment.approved) {
         try {
-          // Get the assignment type for calculating exp points
-          const assignmentType = assignment.type || 'DEFAULT';
-          
-          // Import required constants and functions directly here to avoid circular dependencies
-          const { EXP_CONSTANTS } = require('../constants/UserTypes');
-          const { addExperiencePoints, removeExperiencePoints, submitCompletionForApproval } = require('../utils/firestore');
-          
-          // Determine base exp points based on assignment type
-          const baseExp = EXP_CONSTANTS.BASE_EXP[assignmentType] || EXP_CONSTANTS.BASE_EXP.DEFAULT;
+          // Import directly here to avoid circular dependencies
+          const { requestAssignmentExperience } = require('../utils/firestore');
           
           if (newStatus === 'Selesai') {
             if (!requiresApproval) {
-              // Only add experience directly if no approval required
-              const expResult = await addExperiencePoints(targetClassId, assignmentId, baseExp);
+              // The requestAssignmentExp function checks the class settings and calculates the XP
+              const expResult = await requestAssignmentExperience(targetClassId, assignmentId, true);
               if (!expResult.success) {
                 console.error(`Failed to add experience: ${expResult.error}`);
-              } else {
-                console.log(`Added ${baseExp} EXP for completing assignment ${assignmentId}`);
+              } else if (expResult.awarded) {
+                console.log(`Added ${expResult.exp} EXP for completing assignment ${assignmentId}`);
               }
             } else {
               // For assignments requiring approval, the experience will be added
@@ -590,11 +784,11 @@ export const AssignmentProvider = ({ children }) => {
             }
           } else {
             // When marking incomplete, always remove experience
-            const expResult = await removeExperiencePoints(targetClassId, assignmentId, baseExp);
+            const expResult = await requestAssignmentExperience(targetClassId, assignmentId, false);
             if (!expResult.success) {
               console.error(`Failed to remove experience: ${expResult.error}`);
-            } else {
-              console.log(`Removed ${baseExp} EXP for uncompleting assignment ${assignmentId}`);
+            } else if (expResult.removed) {
+              console.log(`Removed ${expResult.exp} EXP for uncompleting assignment ${assignmentId}`);
             }
           }
         } catch (expError) {
@@ -654,18 +848,19 @@ export const AssignmentProvider = ({ children }) => {
           // Otherwise just use the online assignment as is
           return onlineAssignment;
         });
+        const visibleAssignments = withPendingMutations(mergedAssignments);
         
         // Store into context state
-        setAssignments(mergedAssignments);
+        setAssignments(visibleAssignments);
         setAssignmentsByClass(prev => ({
           ...prev,
-          [currentClass.id]: mergedAssignments
+          [currentClass.id]: visibleAssignments
         }));
         
         // Also update local storage with the merged data
-        await saveLocalAssignments(mergedAssignments, currentClass.id);
+        await saveLocalAssignments(visibleAssignments, currentClass.id);
         
-        setSyncedWithCloud(true);
+        setSyncedWithCloud(pendingMutationsRef.current.length === 0);
       } catch (error) {
         console.error('Error refreshing assignments:', error);
         
@@ -758,12 +953,20 @@ export const AssignmentProvider = ({ children }) => {
     loading,
     syncedWithCloud,
     addAssignment,
+    addRecurringAssignment,
     updateAssignment,
     deleteAssignment,
+    skipAssignmentOccurrence,
     toggleAssignmentStatus,
     approveAssignment,
     rejectAssignment,
     refreshAssignments: refreshAssignments,
+    // Offline write queue
+    pendingMutations,
+    queueConflicts,
+    isReplayingQueue,
+    syncQueuedChanges: flushMutationQueue,
+    resolveQueueConflict,
     // Utility to diagnose ID issues with a specific assignment
     diagnoseAssignmentById: async (assignmentId) => {
       if (!currentClass) {
@@ -2,20 +2,25 @@ import React, { createContext, useState, useEffect, useContext, useRef } from 'r
 import { Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from './AuthContext';
+import { useNotification } from './NotificationContext';
 import { 
   createClass, 
   joinClass, 
   getUserClasses,
   getClassDetails,
   updateClassSettings,
-  isClassAdmin
+  isClassAdmin,
+  subscribeToUserExperience
 } from '../utils/firestore';
 import { updateUserClassSubscriptions } from '../utils/fcmTopicManager';
+import { getAchievementById } from '../constants/Achievements';
 
 // Key for storing active class ID in AsyncStorage
 const ACTIVE_CLASS_KEY = 'taskmaster_active_class_id';
 // Key for storing last refresh timestamp
 const LAST_REFRESH_KEY = 'taskmaster_last_refresh_timestamp';
+// Prefix of the keys storing the achievements already announced, per class
+const SEEN_ACHIEVEMENTS_KEY_PREFIX = 'taskmaster_seen_achievements_';
 
 // Create the context
 const ClassContext = createContext();
@@ -26,6 +31,7 @@ export const useClass = () => useContext(ClassContext);
 // Provider component
 export const ClassProvider = ({ children }) => {
   const { user } = useAuth();
+  const { displayLocalNotification } = useNotification();
   const [classes, setClasses] = useState([]);
   const [loading, setLoading] = useState(false);
   const [currentClass, setCurrentClass] = useState(null);
@@ -109,6 +115,52 @@ export const ClassProvider = ({ children }) => {
     loadClasses();
   }, [user, refreshTrigger]);
 
+  // Announce achievements unlocked in the current class (they are unlocked by the Cloud Functions)
+  // The notifier is read through a ref so a new function each render doesn't resubscribe
+  const displayNotificationRef = useRef(displayLocalNotification);
+  displayNotificationRef.current = displayLocalNotification;
+  const currentClassId = currentClass?.id;
+
+  useEffect(() => {
+    if (!user || !currentClassId) return;
+
+    const classId = currentClassId;
+    const seenKey = `${SEEN_ACHIEVEMENTS_KEY_PREFIX}${classId}`;
+
+    const unsubscribe = subscribeToUserExperience(classId, async (experience) => {
+      try {
+        const unlockedIds = Object.keys((experience && experience.achievements) || {});
+        const storedIds = await AsyncStorage.getItem(seenKey);
+
+        // First time in this class on this device: don't announce achievements from the past
+        if (storedIds === null) {
+          await AsyncStorage.setItem(seenKey, JSON.stringify(unlockedIds));
+          return;
+        }
+
+        const seenIds = JSON.parse(storedIds);
+        const newIds = unlockedIds.filter(id => !seenIds.includes(id));
+        if (newIds.length === 0) return;
+
+        await AsyncStorage.setItem(seenKey, JSON.stringify([...seenIds, ...newIds]));
+
+        for (const id of newIds) {
+          const achievement = getAchievementById(id);
+          if (!achievement) continue;
+          await displayNotificationRef.current(
+            `Achievement unlocked: ${achievement.title}`,
+            achievement.description,
+            { type: 'achievement', classId, screen: 'Profile' }
+          );
+        }
+      } catch (error) {
+        console.error('Error announcing achievements:', error);
+      }
+    });
+
+    return unsubscribe;
+  }, [user, currentClassId]);
+
   // Effect to update FCM topic subscriptions when classes change
   useEffect(() => {
     if (user && classes.length > 0) {
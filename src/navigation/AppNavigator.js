@@ -12,6 +12,8 @@ import EditProfileScreen from "../screens/EditProfileScreen" // Edit Profile scr
 import ProfileViewScreen from "../screens/ProfileViewScreen" // Profile View screen
 import ChangePasswordScreen from "../screens/ChangePasswordScreen" // Change Password screen
 import StudentGradesScreen from "../screens/StudentGradesScreen" // Student Grades screen
+import ClassGradebookScreen from "../screens/ClassGradebookScreen" // Teacher gradebook screen
+import ImportClassDataScreen from "../screens/ImportClassDataScreen" // CSV import screen
 import GalleryScreen from "../screens/GalleryScreen" // New Gallery screen
 import AlbumScreen from "../screens/AlbumScreen" // Album screen
 import GalleryApprovalScreen from "../screens/GalleryApprovalScreen" // Gallery approvals screen
@@ -40,6 +42,8 @@ import AnimatedBottomBar from "../components/AnimatedBottomBar"
 import AiScreen from "../screens/AiScreen"
 import AddAiMaterial from "../screens/AddAiMaterial"
 import AiMaterialDetails from "../screens/AiMaterialDetails"
+import AiMaterialEditor from "../screens/AiMaterialEditor"
+import FlashcardStudy from "../screens/FlashcardStudy"
 
 const Tab = createBottomTabNavigator()
 const Stack = createStackNavigator()
@@ -224,6 +228,8 @@ const AiStack = () => (
     <Stack.Screen name="AI" component={AiScreen} options={{ title: t("AI Assistant") }} />
     <Stack.Screen name="AddAiMaterial" component={AddAiMaterial} options={{ title: t("Add AI Material") }} />
     <Stack.Screen name="AiMaterialDetails" component={AiMaterialDetails} options={{ title: t("AI Material Details") }} />
+    <Stack.Screen name="AiMaterialEditor" component={AiMaterialEditor} options={{ title: t("Review AI Material") }} />
+    <Stack.Screen name="FlashcardStudy" component={FlashcardStudy} options={{ title: t("Flashcards") }} />
   </Stack.Navigator>
 )
 
@@ -257,6 +263,8 @@ const ProfileStack = () => (
     <Stack.Screen name="EditProfile" component={EditProfileScreen} options={{ title: t("Edit Profile") }} />
     <Stack.Screen name="ChangePassword" component={ChangePasswordScreen} options={{ title: t("Change Password") }} />
     <Stack.Screen name="StudentGrades" component={StudentGradesScreen} options={{ title: t("My Grades") }} />
+    <Stack.Screen name="ClassGradebook" component={ClassGradebookScreen} options={{ title: t("Class Gradebook") }} />
+    <Stack.Screen name="ImportClassData" component={ImportClassDataScreen} options={{ title: t("Import from CSV") }} />
     <Stack.Screen name="ProfileView" component={ProfileViewScreen} options={{ title: t("User Profile") }} />
     <Stack.Screen name="ClassMembers" component={ClassMembersScreen} options={{ title: t("Class Members") }} />
     <Stack.Screen name="ClassSettings" component={ClassSettingsScreen} options={{ title: t("Class Settings") }} />
@@ -20,18 +20,18 @@ import { launchImageLibrary, launchCamera } from "react-native-image-picker"
 import { pick } from "@react-native-documents/picker"
 import RNFetchBlob from "rn-fetch-blob"
 import Icon from "react-native-vector-icons/MaterialCommunityIcons"
-import firestore from "@react-native-firebase/firestore"
-import auth from "@react-native-firebase/auth"
 import { useClass } from "../context/ClassContext"
 import Colors from "../constants/Colors"
 import { t } from "../translations"
 import AsyncStorage from "@react-native-async-storage/async-storage"
-import { getApiKeys, testApiKeys } from '../utils/apiKeys'
-import { GoogleGenAI } from "@google/genai"
+import { generateAiMaterial } from "../utils/firestore"
+import { MAX_AI_SOURCE_FILES, MAX_AI_FILE_BYTES, MAX_AI_TOTAL_BYTES } from "../constants/AiProviders"
 
-// Get API keys with fallback mechanism
-const { AIMLAPI_KEY_1, AIMLAPI_KEY_2, AIMLAPI_KEY_3, GEMINI_API_KEY } = getApiKeys();
-const AIMLAPI_KEYS = [AIMLAPI_KEY_1, AIMLAPI_KEY_2, AIMLAPI_KEY_3];
+// Documents every AI provider can read, images are always supported
+const SUPPORTED_DOCUMENT_TYPES = ["application/pdf", "text/plain"]
+
+// Size of a base64 encoded file in bytes
+const getFileBytes = (file) => (file.content ? Math.round((file.content.length * 3) / 4) : file.size || 0)
 
 const { width, height } = Dimensions.get("window")
 
@@ -183,7 +183,7 @@ const SuccessPopup = ({ visible, onClose, onViewMaterial, onCreateAnother, mater
             </View>
             <View style={styles.featureItem}>
               <Icon name="brain" size={20} color={Colors.primary} />
-              <Text style={styles.featureText}>Materi pembelajaran siap digunakan</Text>
+              <Text style={styles.featureText}>Tinjau dan publikasikan agar kelas dapat melihatnya</Text>
             </View>
           </View>
 
@@ -195,7 +195,7 @@ const SuccessPopup = ({ visible, onClose, onViewMaterial, onCreateAnother, mater
               activeOpacity={0.8}
             >
               <Icon name="eye" size={20} color={Colors.textLight} />
-              <Text style={styles.primaryButtonText}>Lihat Material</Text>
+              <Text style={styles.primaryButtonText}>Tinjau Draf</Text>
             </TouchableOpacity>
 
             <TouchableOpacity
@@ -225,32 +225,15 @@ const SuccessPopup = ({ visible, onClose, onViewMaterial, onCreateAnother, mater
 const AddAiMaterial = ({ navigation, route }) => {
   const [title, setTitle] = useState("")
   const [prompt, setPrompt] = useState("")
-  const [file, setFile] = useState(null)
-  const [fileType, setFileType] = useState("")
+  // Source files in page order
+  const [files, setFiles] = useState([])
   const [loading, setLoading] = useState(false)
-  const [uploadType, setUploadType] = useState("")
   const [activeClassId, setActiveClassId] = useState(null)
   const { classId, currentClass } = useClass()
-  const currentUser = auth().currentUser
   const [currentStep, setCurrentStep] = useState(1)
   // Add state for success popup
   const [showSuccessPopup, setShowSuccessPopup] = useState(false)
-
-  // Test API keys on component mount
-  useEffect(() => {
-    const apiKeyResult = testApiKeys();
-    console.log('API keys test results:', apiKeyResult);
-    console.log('API keys summary:', apiKeyResult.keySummary);
-    
-    if (!apiKeyResult.allLoaded) {
-      console.warn('Some API keys are not available!');
-      Alert.alert(
-        'API Key Warning',
-        'Some API keys are missing. This may affect AI material processing.',
-        [{ text: 'OK' }]
-      );
-    }
-  }, []);
+  const [createdDraftId, setCreatedDraftId] = useState(null)
 
   // Request necessary permissions on Android
   useEffect(() => {
@@ -314,8 +297,63 @@ const AddAiMaterial = ({ navigation, route }) => {
     getActiveClassId()
   }, [classId, currentClass])
 
-  // Take photo with camera
+  // Add picked files after the ones already chosen, skipping files that are too large
+  const addFiles = (newFiles) => {
+    const tooLarge = newFiles.filter(newFile => getFileBytes(newFile) > MAX_AI_FILE_BYTES)
+    const accepted = newFiles
+      .filter(newFile => getFileBytes(newFile) <= MAX_AI_FILE_BYTES)
+      .slice(0, MAX_AI_SOURCE_FILES - files.length)
+
+    if (tooLarge.length > 0) {
+      Alert.alert(
+        t("File Too Large"),
+        t("These files are over the 20 MB limit and were not added: {names}", {
+          names: tooLarge.map(newFile => newFile.name).join(", "),
+        }),
+      )
+    } else if (accepted.length < newFiles.length) {
+      Alert.alert(t("Too Many Files"), t("A material can have up to {count} files", { count: MAX_AI_SOURCE_FILES }))
+    }
+    if (accepted.length === 0) return
+
+    setFiles((previous) => [...previous, ...accepted])
+    setCurrentStep(2)
+
+    if (!title && files.length === 0 && accepted[0].name) {
+      // Use the first filename as default title (without extension)
+      const titleFromName = accepted[0].name.split(".").slice(0, -1).join(".")
+      setTitle(titleFromName)
+    }
+  }
+
+  const canAddFiles = () => {
+    if (files.length >= MAX_AI_SOURCE_FILES) {
+      Alert.alert(t("Too Many Files"), t("A material can have up to {count} files", { count: MAX_AI_SOURCE_FILES }))
+      return false
+    }
+    return true
+  }
+
+  // Move a file one page up (-1) or down (1)
+  const moveFile = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= files.length) return
+    const reordered = [...files]
+    reordered.splice(target, 0, ...reordered.splice(index, 1))
+    setFiles(reordered)
+  }
+
+  const removeFile = (index) => {
+    const remaining = files.filter((_, fileIndex) => fileIndex !== index)
+    setFiles(remaining)
+    if (remaining.length === 0) {
+      setCurrentStep(1)
+    }
+  }
+
+  // Take photo with camera, every photo is added as the next page
   const takePhoto = async () => {
+    if (!canAddFiles()) return
     try {
       const result = await launchCamera({
         mediaType: "photo",
@@ -328,15 +366,12 @@ const AddAiMaterial = ({ navigation, route }) => {
 
       if (result.assets && result.assets.length > 0) {
         const selectedAsset = result.assets[0]
-        setFile({
-          name: "camera_photo.jpg",
+        addFiles([{
+          name: `camera_photo_${files.length + 1}.jpg`,
           uri: selectedAsset.uri,
           type: "image/jpeg",
           content: selectedAsset.base64,
-        })
-        setFileType("image/jpeg")
-        setUploadType("image")
-        setCurrentStep(2)
+        }])
       }
     } catch (error) {
       Alert.alert("Error", "Failed to take photo")
@@ -344,37 +379,27 @@ const AddAiMaterial = ({ navigation, route }) => {
     }
   }
 
-  // Pick image from gallery
+  // Pick images from gallery, in the order they were selected
   const pickImage = async () => {
+    if (!canAddFiles()) return
     try {
       const result = await launchImageLibrary({
         mediaType: "photo",
         includeBase64: true,
         maxHeight: 1200,
         maxWidth: 1200,
+        selectionLimit: MAX_AI_SOURCE_FILES - files.length,
       })
 
       if (result.didCancel) return
 
       if (result.assets && result.assets.length > 0) {
-        const selectedAsset = result.assets[0]
-        const fileName = selectedAsset.fileName || "image.jpg"
-
-        setFile({
-          name: fileName,
+        addFiles(result.assets.map((selectedAsset) => ({
+          name: selectedAsset.fileName || "image.jpg",
           uri: selectedAsset.uri,
           type: selectedAsset.type || "image/jpeg",
           content: selectedAsset.base64,
-        })
-        setFileType(selectedAsset.type || "image/jpeg")
-        setUploadType("image")
-        setCurrentStep(2)
-
-        if (!title && fileName) {
-          // Use filename as default title (without extension)
-          const titleFromName = fileName.split(".").slice(0, -1).join(".")
-          setTitle(titleFromName)
-        }
+        })))
       }
     } catch (error) {
       Alert.alert("Error", "Failed to pick image")
@@ -382,11 +407,51 @@ const AddAiMaterial = ({ navigation, route }) => {
     }
   }
 
-  // Pick a document
+  // Read a picked document as base64
+  const readDocument = async (selectedDoc) => {
+    // Get the file URI properly
+    const fileUri = selectedDoc.uri
+
+    // Determine if we need to read the file from a content URI
+    let filePath = fileUri
+    if (fileUri.startsWith("content://")) {
+      try {
+        // For content:// URIs, we may need to use the fileCopyUri if available
+        // or get a readable path another way
+        console.log("Document is a content URI, attempting to get readable path")
+
+        if (selectedDoc.fileCopyUri) {
+          filePath = selectedDoc.fileCopyUri
+        } else {
+          // For some Android content URIs, we might need RNFetchBlob's fs.stat
+          const fileInfo = await RNFetchBlob.fs.stat(fileUri)
+          filePath = fileInfo.path
+        }
+      } catch (pathError) {
+        console.warn("Could not get file path from content URI, using original URI", pathError)
+        // Continue with original URI as fallback
+      }
+    }
+
+    console.log("Reading file from path:", filePath)
+
+    // Read the file content as base64
+    const fileContent = await RNFetchBlob.fs.readFile(filePath, "base64")
+
+    return {
+      name: selectedDoc.name,
+      uri: fileUri,
+      type: selectedDoc.type || selectedDoc.mimeType,
+      content: fileContent,
+    }
+  }
+
+  // Pick one or more documents
   const pickDocument = async () => {
+    if (!canAddFiles()) return
     try {
       const results = await pick({
-        allowMultiSelection: false,
+        allowMultiSelection: true,
         type: [
           "application/pdf",
           "application/msword",
@@ -397,53 +462,18 @@ const AddAiMaterial = ({ navigation, route }) => {
 
       if (!results || results.length === 0) return
 
-      const selectedDoc = results[0]
-      console.log("Selected document:", selectedDoc)
+      console.log("Selected documents:", results.length)
 
-      // Get the file URI properly
-      const fileUri = selectedDoc.uri
-
-      // Determine if we need to read the file from a content URI
-      let filePath = fileUri
-      if (fileUri.startsWith("content://")) {
-        try {
-          // For content:// URIs, we may need to use the fileCopyUri if available
-          // or get a readable path another way
-          console.log("Document is a content URI, attempting to get readable path")
-
-          if (selectedDoc.fileCopyUri) {
-            filePath = selectedDoc.fileCopyUri
-          } else {
-            // For some Android content URIs, we might need RNFetchBlob's fs.stat
-            const fileInfo = await RNFetchBlob.fs.stat(fileUri)
-            filePath = fileInfo.path
-          }
-        } catch (pathError) {
-          console.warn("Could not get file path from content URI, using original URI", pathError)
-          // Continue with original URI as fallback
+      const documents = []
+      for (const selectedDoc of results) {
+        // Skip reading files that are too large anyway
+        if (selectedDoc.size && selectedDoc.size > MAX_AI_FILE_BYTES) {
+          documents.push({ name: selectedDoc.name, uri: selectedDoc.uri, type: selectedDoc.type, content: null, size: selectedDoc.size })
+        } else {
+          documents.push(await readDocument(selectedDoc))
         }
       }
-
-      console.log("Reading file from path:", filePath)
-
-      // Read the file content as base64
-      const fileContent = await RNFetchBlob.fs.readFile(filePath, "base64")
-
-      setFile({
-        name: selectedDoc.name,
-        uri: fileUri,
-        type: selectedDoc.type || selectedDoc.mimeType,
-        content: fileContent,
-      })
-      setFileType(selectedDoc.type || selectedDoc.mimeType)
-      setUploadType("document")
-      setCurrentStep(2)
-
-      if (!title && selectedDoc.name) {
-        // Use filename as default title (without extension)
-        const titleFromName = selectedDoc.name.split(".").slice(0, -1).join(".")
-        setTitle(titleFromName)
-      }
+      addFiles(documents)
     } catch (error) {
       // Check for cancellation
       if (error.code === "OPERATION_CANCELED") {
@@ -456,265 +486,9 @@ const AddAiMaterial = ({ navigation, route }) => {
     }
   }
 
-  // Process with AIMLAPI
-  const processWithAIMLAPI = async (apiKey, base64Content, contentType, userMessage, systemMessage) => {
-    console.log(`Trying AIMLAPI with key ending in ...${apiKey.slice(-4)}`)
-
-    const response = await fetch("https://api.aimlapi.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "google/gemini-2.5-flash-preview",
-        messages: [
-          { role: "system", content: systemMessage },
-          {
-            role: "user",
-            content: [
-              { type: "text", text: userMessage },
-              // Make sure we have a valid image URL format
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:${contentType};base64,${base64Content}`,
-                },
-              },
-            ],
-          },
-        ],
-        temperature: 0.5, // Lower temperature for more predictable JSON
-        max_tokens: 4000,
-        response_format: { type: "json_object" },
-      }),
-    })
-
-    console.log("API response status:", response.status)
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error("API error response:", errorText)
-      throw new Error(`API request failed with status ${response.status}: ${errorText}`)
-    }
-
-    return await response.json()
-  }
-
-  // Process with Gemini API
-  const processWithGeminiAPI = async (base64Content, contentType, userMessage, systemMessage) => {
-    console.log("Falling back to Gemini API using direct HTTP request");
-
-    // GEMINI_API_KEY is already loaded through getApiKeys() at the top of the file
-    if (!GEMINI_API_KEY) {
-      console.error('GEMINI_API_KEY is not available');
-      throw new Error('Gemini API key is not configured');
-    }
-    
-    console.log('Using GEMINI_API_KEY');
-    
-    try {
-      // Check if the MIME type is supported by Gemini
-      // Gemini supports primarily image formats and text
-      const supportedMimeTypes = [
-        "image/jpeg",
-        "image/png",
-        "image/gif",
-        "image/webp",
-        "text/plain",
-        "application/pdf",
-        "application/json",
-      ];
-
-      const isSupported = supportedMimeTypes.includes(contentType);
-      console.log(`MIME type ${contentType} supported by Gemini: ${isSupported}`);
-
-      // Prepare the prompt text
-      let promptText = `${systemMessage}
-
-${userMessage}`;
-      
-      if (!isSupported) {
-        // For unsupported types, just add a note to the prompt
-        promptText += `
-
-Note: A file of type ${contentType} was uploaded but cannot be processed directly by the AI.`;
-        console.log("Skipping file attachment for unsupported MIME type");
-
-        // Show user-friendly alert about unsupported file type
-        Alert.alert(
-          "Unsupported File Type",
-          `The file type ${contentType} (like .docx) is not supported by the AI. 
-
-For best results, please use PDF, JPG, PNG, or text files.`,
-          [{ text: "OK", onPress: () => console.log("User acknowledged unsupported file format") }]
-        );
-      }
-
-      // Build a prompt that explicitly requests the expected JSON format
-      // Include the format instructions from the original userMessage
-      const formattedPrompt = `${promptText}
-
-IMPORTANT: You MUST format your response exactly as a valid JSON object with the following structure:
-{
-  "summary": "Detailed summary of the material using Markdown formatting...",
-  "quiz": [
-    {
-      "question": "Question text...",
-      "options": ["Option A", "Option B", "Option C", "Option D"],
-      "correctAnswer": 0
-    }
-  ]
-}
-
-Make sure the JSON is correctly formatted with no syntax errors. Use markdown in the summary field.`;
-      
-      // Create a request payload with the formatted prompt
-      const payload = {
-        contents: [
-          {
-            parts: [
-              { text: formattedPrompt }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.4,
-          maxOutputTokens: 4000,
-          topP: 0.8,
-          topK: 40
-        }
-      };
-
-      // If the file type is supported, we could add the file attachment later
-      // For now, let's make sure the basic text processing works
-
-      // URL for Gemini API
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-04-17:generateContent?key=${GEMINI_API_KEY}`;
-      
-      console.log("Sending direct HTTP request to Gemini API");
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Gemini API error: ${response.status} ${response.statusText} - ${errorText}`);
-      }
-
-      const data = await response.json();
-      console.log("Gemini API response received");
-      
-      // Extract the text from the response
-      let responseText = '';
-      if (data.candidates && data.candidates.length > 0 && 
-          data.candidates[0].content && data.candidates[0].content.parts) {
-        responseText = data.candidates[0].content.parts
-          .filter(part => part.text)
-          .map(part => part.text)
-          .join('\n');
-      }
-      
-      console.log('Raw response:', responseText);
-      
-      // Clean up the response to extract just the JSON part
-      // Sometimes AI models add extra text before or after the JSON
-      let jsonStartIndex = responseText.indexOf('{');
-      let jsonEndIndex = responseText.lastIndexOf('}') + 1;
-      
-      if (jsonStartIndex !== -1 && jsonEndIndex !== -1 && jsonEndIndex > jsonStartIndex) {
-        // Extract what looks like JSON
-        responseText = responseText.substring(jsonStartIndex, jsonEndIndex);
-      }
-      
-      // Try to parse as JSON first
-      let parsedResponse;
-      try {
-        parsedResponse = JSON.parse(responseText);
-        console.log("Successfully parsed Gemini API response as JSON");
-        
-        // Validate the response has the expected format
-        if (!parsedResponse.summary || !parsedResponse.quiz || !Array.isArray(parsedResponse.quiz)) {
-          console.warn("Response JSON doesn't have the expected format, fixing structure");
-          // Fix missing fields if needed
-          parsedResponse = {
-            summary: parsedResponse.summary || "The AI couldn't generate a proper summary.",
-            quiz: Array.isArray(parsedResponse.quiz) ? parsedResponse.quiz : []
-          };
-          
-          // Ensure we have at least one quiz question if none were generated
-          if (parsedResponse.quiz.length === 0) {
-            parsedResponse.quiz.push({
-              question: "What is the main topic of this content?",
-              options: ["Option A", "Option B", "Option C", "Option D"],
-              correctAnswer: 0
-            });
-          }
-        }
-      } catch (e) {
-        console.error("Failed to parse response as JSON:", e);
-        console.log("Response text:", responseText);
-        
-        // If it's not valid JSON, create a basic structured response
-        parsedResponse = {
-          summary: `The AI generated content in an unexpected format. Here's the raw response:
-
-${responseText}`,
-          quiz: [
-            {
-              question: "What is the main topic of this content?",
-              options: ["Topic A", "Topic B", "Topic C", "Topic D"],
-              correctAnswer: 0
-            }
-          ]
-        };
-      }
-
-      // Return in the format expected by the app
-      return {
-        choices: [
-          {
-            message: {
-              // Instead of stringifying, which would escape quotes, we return the object directly
-              // This ensures the content is properly parsed by the app later
-              content: JSON.stringify(parsedResponse),
-            },
-          },
-        ],
-      };
-    } catch (error) {
-      // Handle any errors in the Gemini API processing
-      console.error("Error in Gemini API processing:", error);
-      throw error;
-    }
-  }
-
-  // Attempt processing with all available APIs
-  const attemptProcessing = async (base64Content, contentType, userMessage, systemMessage) => {
-    // Try each AIMLAPI key
-    for (const apiKey of AIMLAPI_KEYS) {
-      try {
-        return await processWithAIMLAPI(apiKey, base64Content, contentType, userMessage, systemMessage)
-      } catch (error) {
-      }
-    }
-
-    // If all AIMLAPI keys fail, try Gemini API
-    try {
-      return await processWithGeminiAPI(base64Content, contentType, userMessage, systemMessage)
-    } catch (error) {
-      console.error("Gemini API failed:", error)
-      throw new Error("All API attempts failed. Please try again later.")
-    }
-  }
-
   // Process the uploaded content with AI
   const processWithAI = async () => {
-    if (!file) {
+    if (files.length === 0) {
       Alert.alert("Error", "Please upload a file first")
       return
     }
@@ -744,212 +518,47 @@ ${responseText}`,
       console.log("Starting AI processing for class:", activeClassId)
 
       // Validate file data
-      if (!file.content) {
-        console.error("File content is missing or empty")
-        throw new Error("Image data is missing or corrupted. Please try uploading again.")
-      }
-
-      const base64Content = file.content
-      const contentType = file.type || "image/jpeg"
-      console.log("Image data length:", base64Content.length, "Content type:", contentType)
-
-      // Prepare user message based on file type
-      let userMessage = ""
-      if (uploadType === "image") {
-        userMessage = `Here is an image that contains text or information to understand. ${prompt ? "Additional context: " + prompt : ""}`
-      } else {
-        userMessage = `Here is a document that contains text or information to understand. ${prompt ? "Additional context: " + prompt : ""}`
+      const emptyFile = files.find(file => !file.content)
+      if (emptyFile) {
+        console.error("File content is missing or empty:", emptyFile.name)
+        throw new Error(`${emptyFile.name} is missing or corrupted. Please try uploading again.`)
       }
-
-      // System message to guide the AI
-      const systemMessage = `You are an educational AI assistant. Your task is to:
-1. Analyze the uploaded content thoroughly
-2. Create a detailed summary of the key points and concepts
-3. Generate a quiz with questions that test understanding of the material
-4. For each question, provide 4 multiple-choice options with exactly one correct answer
-5. Mark the correct answer for each question
-
-IMPORTANT: You MUST format your response as clean, parseable JSON without backticks or code blocks around the JSON itself.
-
-Format your response as follows:
-{
-  "summary": "Detailed summary of the material using Markdown formatting...",
-  "quiz": [
-    {
-      "question": "Question text...",
-      "options": ["Option A", "Option B", "Option C", "Option D"],
-      "correctAnswer": 0
-    }
-  ]
-}
-
-You SHOULD use markdown formatting in the summary for better readability:
-- Use **bold** for important terms or concepts
-- Use *italics* for emphasis
-- Use # for headings (# Main Heading, ## Section, etc.)
-- Use bullet points and numbered lists where appropriate
-- Use code formatting for code snippets or mathematical formulas
-- Use > for quotes or important information
-- Use tables if needed for structured data
-
-The number of questions should be proportional to the complexity and length of the material, with a minimal of 5 questions. Make sure you respond with the language that the user is using.`
-
-      // Try processing with available APIs
-      const responseData = await attemptProcessing(base64Content, contentType, userMessage, systemMessage)
-
-      console.log("API response received:", JSON.stringify(responseData).substring(0, 200) + "...")
-
-      // Check if responseData has the expected structure
-      if (!responseData || !responseData.choices || !responseData.choices.length) {
-        console.error("Unexpected API response format:", responseData)
-        throw new Error("API returned an unexpected response format")
+      if (files.reduce((total, file) => total + getFileBytes(file), 0) > MAX_AI_TOTAL_BYTES) {
+        throw new Error("The files are too large together, the limit is 60 MB. Please remove some files.")
       }
 
-      // Extract and parse the response
-      const aiResponse = responseData.choices[0]?.message?.content
-
-      if (!aiResponse) {
-        console.error("No content in AI response:", responseData)
-        throw new Error("API response is missing content")
-      }
+      const sourceFiles = files.map(file => ({ ...file, type: file.type || "image/jpeg" }))
+      console.log("Files:", sourceFiles.length, "Content types:", sourceFiles.map(file => file.type).join(", "))
 
-      console.log("AI response content:", aiResponse?.substring(0, 100)) // Log the first 100 chars
-
-      // Robust JSON parsing with better error handling
-      let parsedResponse
-      try {
-        // Some models might return markdown-formatted JSON with backticks
-        // Remove any markdown code block indicators if present
-        const cleanedResponse = aiResponse.replace(/^```json\s*|```\s*$/g, "")
-        parsedResponse = JSON.parse(cleanedResponse)
-        console.log("JSON parsed successfully")
-      } catch (parseError) {
-        console.error("JSON parse error:", parseError)
-        console.error("Response content causing parse error:", aiResponse)
-        throw new Error("Failed to parse AI response as JSON. Try again or use a different model.")
-      }
+      const unsupportedTypes = sourceFiles
+        .map(file => file.type)
+        .filter(contentType => !contentType.startsWith("image/") && !SUPPORTED_DOCUMENT_TYPES.includes(contentType))
+      if (unsupportedTypes.length > 0) {
+        Alert.alert(
+          "Unsupported File Type",
+          `The file type ${unsupportedTypes[0]} (like .docx) is not supported by the AI. 
 
-      // Validate the parsed response has expected properties
-      if (!parsedResponse.summary || !parsedResponse.quiz || !Array.isArray(parsedResponse.quiz)) {
-        console.error("Invalid response format:", parsedResponse)
-        throw new Error("AI response is missing required fields (summary or quiz)")
+For best results, please use PDF, JPG, PNG, or text files.`,
+        )
       }
 
-      // Sanitize quiz data to ensure no undefined values (Firestore doesn't accept undefined)
-      const sanitizedQuiz = parsedResponse.quiz.map((question) => {
-        // Ensure all required question fields exist
-        const sanitizedQuestion = {
-          question: question.question || "Question missing",
-          options: Array.isArray(question.options)
-            ? // Make sure no undefined values in options array
-              question.options.map((opt) => opt || "Option missing")
-            : ["Option missing", "Option missing", "Option missing", "Option missing"],
-          correctAnswer: typeof question.correctAnswer === "number" ? question.correctAnswer : 0,
-        }
-
-        // Ensure correctAnswer is within valid range (0-3)
-        if (
-          sanitizedQuestion.correctAnswer < 0 ||
-          sanitizedQuestion.correctAnswer >= sanitizedQuestion.options.length
-        ) {
-          sanitizedQuestion.correctAnswer = 0
-        }
-
-        return sanitizedQuestion
-      })
-
-      // Create a material record in Firestore
-      const materialData = {
+      // The files are uploaded and the generateAiMaterial function calls the model with the
+      // class's AI settings, splitting large materials into parts, then saves the draft
+      const result = await generateAiMaterial(activeClassId, {
         title,
-        prompt: prompt || "",
-        fileType: fileType || "unknown",
-        fileName: file.name || "unnamed",
-        uploadType: uploadType || "image",
-        summary: parsedResponse.summary || "No summary available",
-        quizQuestions: sanitizedQuiz,
-        createdAt: firestore.FieldValue.serverTimestamp(),
-        createdBy: {
-          uid: currentUser?.uid || "anonymous",
-          displayName: currentUser?.displayName || "",
-          email: currentUser?.email || "",
-        },
-        classId: activeClassId, // Use the resolved classId
-        scoreBoard: [],
-      }
-
-      console.log("Prepared Firestore document:", JSON.stringify(materialData))
-
-      // Validate entire document to ensure no undefined values
-      const validateFirestoreDoc = (obj) => {
-        for (const key in obj) {
-          if (obj[key] === undefined) {
-            console.error(`Found undefined value in document at key: ${key}`)
-            obj[key] = null // Replace undefined with null
-          }
-
-          // Special handling for arrays
-          if (Array.isArray(obj[key])) {
-            // Check for undefined elements or empty arrays
-            if (obj[key].length === 0) {
-              console.warn(`Empty array found at key: ${key}, adding default item`)
-              // Add default item depending on context
-              if (key === "quizQuestions") {
-                obj[key] = [
-                  {
-                    question: "Default question",
-                    options: ["Option A", "Option B", "Option C", "Option D"],
-                    correctAnswer: 0,
-                  },
-                ]
-              } else {
-                obj[key] = ["Default item"] // Generic default
-              }
-            }
-
-            // Check array items
-            for (let i = 0; i < obj[key].length; i++) {
-              if (obj[key][i] === undefined) {
-                console.error(`Found undefined value in array at ${key}[${i}]`)
-                obj[key][i] = null
-              } else if (typeof obj[key][i] === "object" && obj[key][i] !== null) {
-                validateFirestoreDoc(obj[key][i]) // Recursively check objects in array
-              }
-            }
-
-            // Remove _elements property if exists (causes Firestore errors)
-            if (obj[key]._elements !== undefined) {
-              console.warn(`Found _elements property in array at key: ${key}, removing it`)
-              delete obj[key]._elements
-            }
-          }
-          // Check nested objects
-          else if (typeof obj[key] === "object" && obj[key] !== null) {
-            // Check for special Firebase timestamp objects and don't validate them
-            if (obj[key]._type === "timestamp") {
-              continue // Skip validating Firebase timestamp objects
-            }
+        prompt,
+        uploadType: sourceFiles.every(file => file.type.startsWith("image/")) ? "image" : "document",
+        files: sourceFiles,
+      })
 
-            validateFirestoreDoc(obj[key]) // Recursively check nested objects
-          }
-        }
+      if (!result.success) {
+        throw new Error(result.error)
       }
 
-      // Run validation to catch any undefined values
-      validateFirestoreDoc(materialData)
-
-      // Save to Firestore
-      try {
-        console.log("Saving AI material to class:", activeClassId)
-        // Store AI material as a subcollection of the class
-        await firestore().collection("classes").doc(activeClassId).collection("aiMaterials").add(materialData)
-
-        // Show custom success popup instead of Alert
-        setShowSuccessPopup(true)
-        
-      } catch (firestoreError) {
-        console.error("Firestore save error:", firestoreError)
-        Alert.alert("Error", "Failed to save the processed material to the database. Please try again.")
-      }
+      console.log("AI material draft created:", result.draftId)
+      setCreatedDraftId(result.draftId)
+      // Show custom success popup instead of Alert
+      setShowSuccessPopup(true)
     } catch (error) {
       console.error("Error processing with AI:", error)
       Alert.alert("Error", "Failed to process with AI: " + (error.message || "Unknown error"))
@@ -958,49 +567,87 @@ The number of questions should be proportional to the complexity and length of t
     }
   }
 
-  const renderFilePreview = () => {
-    if (!file) return null
-
-    if (uploadType === "image") {
-      return (
-        <View style={styles.filePreviewContainer}>
-          <View style={styles.filePreview}>
-            <Image source={{ uri: file.uri }} style={styles.imagePreview} resizeMode="contain" />
-          </View>
-          <Text style={styles.fileName} numberOfLines={1}>
-            {file.name}
-          </Text>
-        </View>
-      )
-    }
-
-    // Select appropriate icon based on document type
-    let iconName = "file-document"
-    let iconColor = Colors.primary
-
-    if (fileType?.includes("pdf")) {
-      iconName = "file-pdf-box"
-      iconColor = Colors.error
-    } else if (fileType?.includes("word") || fileType?.includes("doc")) {
-      iconName = "file-word-box"
-      iconColor = Colors.primary
-    } else if (fileType?.includes("text") || fileType?.includes("txt")) {
-      iconName = "file-text"
-      iconColor = Colors.textSecondary
+  const getFileIcon = (contentType) => {
+    if (contentType?.includes("pdf")) {
+      return { iconName: "file-pdf-box", iconColor: Colors.error }
+    } else if (contentType?.includes("word") || contentType?.includes("doc")) {
+      return { iconName: "file-word-box", iconColor: Colors.primary }
+    } else if (contentType?.includes("text") || contentType?.includes("txt")) {
+      return { iconName: "file-document-outline", iconColor: Colors.textSecondary }
     }
+    return { iconName: "file-document", iconColor: Colors.primary }
+  }
 
-    // Calculate file size if content exists
-    const fileSize = file.content ? Math.round((file.content.length * 3) / 4 / 1024) : "?"
+  // Files in page order, the AI reads them in this order
+  const renderFileList = () => {
+    if (files.length === 0) return null
 
     return (
-      <View style={styles.filePreviewContainer}>
-        <View style={styles.filePreview}>
-          <Icon name={iconName} size={70} color={iconColor} />
-        </View>
-        <Text style={styles.fileName} numberOfLines={1}>
-          {file.name}
+      <View style={styles.fileListContainer}>
+        <Text style={styles.inputLabel}>
+          {t("Pages ({count}/{max})", { count: files.length, max: MAX_AI_SOURCE_FILES })}
         </Text>
-        <Text style={styles.fileSize}>{fileSize} KB</Text>
+
+        {files.map((file, index) => {
+          const { iconName, iconColor } = getFileIcon(file.type)
+
+          return (
+            <View key={`${file.uri}_${index}`} style={styles.fileRow}>
+              <Text style={styles.pageNumber}>{index + 1}</Text>
+              <View style={styles.fileThumbnail}>
+                {file.type?.startsWith("image/") ? (
+                  <Image source={{ uri: file.uri }} style={styles.imagePreview} resizeMode="cover" />
+                ) : (
+                  <Icon name={iconName} size={28} color={iconColor} />
+                )}
+              </View>
+              <View style={styles.fileInfo}>
+                <Text style={styles.fileName} numberOfLines={1}>
+                  {file.name}
+                </Text>
+                <Text style={styles.fileSize}>{Math.round(getFileBytes(file) / 1024)} KB</Text>
+              </View>
+              <TouchableOpacity
+                style={styles.fileActionButton}
+                onPress={() => moveFile(index, -1)}
+                disabled={index === 0}
+              >
+                <Icon name="arrow-up" size={20} color={index === 0 ? Colors.separator : Colors.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.fileActionButton}
+                onPress={() => moveFile(index, 1)}
+                disabled={index === files.length - 1}
+              >
+                <Icon
+                  name="arrow-down"
+                  size={20}
+                  color={index === files.length - 1 ? Colors.separator : Colors.primary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.fileActionButton} onPress={() => removeFile(index)}>
+                <Icon name="close" size={20} color={Colors.error} />
+              </TouchableOpacity>
+            </View>
+          )
+        })}
+
+        {files.length < MAX_AI_SOURCE_FILES && (
+          <View style={styles.addMoreRow}>
+            <TouchableOpacity style={styles.addMoreButton} onPress={takePhoto}>
+              <Icon name="camera" size={18} color={Colors.primary} />
+              <Text style={styles.addMoreText}>{t("Camera")}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.addMoreButton} onPress={pickImage}>
+              <Icon name="image-multiple" size={18} color={Colors.primary} />
+              <Text style={styles.addMoreText}>{t("Gallery")}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.addMoreButton} onPress={pickDocument}>
+              <Icon name="file-document" size={18} color={Colors.primary} />
+              <Text style={styles.addMoreText}>{t("Document")}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
     )
   }
@@ -1067,7 +714,7 @@ The number of questions should be proportional to the complexity and length of t
           <Icon name="robot" size={60} color={Colors.primary} style={styles.uploadIcon} />
           <Text style={styles.uploadTitle}>{t("Upload Learning Material")}</Text>
           <Text style={styles.uploadSubtitle}>
-            {t("Upload an image or document to generate AI-powered educational content")}
+            {t("Upload images or documents to generate AI-powered educational content")}
           </Text>
         </View>
 
@@ -1085,7 +732,7 @@ The number of questions should be proportional to the complexity and length of t
               <Icon name="image-multiple" size={32} color={Colors.primary} />
             </View>
             <Text style={styles.uploadOptionTitle}>{t("Gallery")}</Text>
-            <Text style={styles.uploadOptionDescription}>{t("Select an image from your device")}</Text>
+            <Text style={styles.uploadOptionDescription}>{t("Select one or more images from your device")}</Text>
           </TouchableOpacity>
 
           <TouchableOpacity style={styles.uploadOptionCard} onPress={pickDocument}>
@@ -1111,7 +758,7 @@ The number of questions should be proportional to the complexity and length of t
     return (
       <View style={styles.stepContent}>
         <View style={styles.detailsContainer}>
-          {renderFilePreview()}
+          {renderFileList()}
 
           <View style={styles.inputContainer}>
             <Text style={styles.inputLabel}>{t("Material Title")}</Text>
@@ -1187,8 +834,10 @@ The number of questions should be proportional to the complexity and length of t
             <View style={styles.summaryRow}>
               <Icon name="file-document-outline" size={20} color={Colors.primary} />
               <View style={styles.summaryTextContainer}>
-                <Text style={styles.summaryLabel}>{t("File")}</Text>
-                <Text style={styles.summaryValue}>{file?.name || "Unknown file"}</Text>
+                <Text style={styles.summaryLabel}>{files.length > 1 ? t("Files") : t("File")}</Text>
+                <Text style={styles.summaryValue} numberOfLines={3}>
+                  {files.map(file => file.name).join(", ") || "Unknown file"}
+                </Text>
               </View>
             </View>
 
@@ -1239,7 +888,9 @@ The number of questions should be proportional to the complexity and length of t
             <View style={styles.warningContainer}>
               <Icon name="alert-circle" size={16} color={Colors.warning} />
               <Text style={styles.warningText}>
-                {t("Processing may take up to a minute depending on the content size")}
+                {files.length > 3
+                  ? t("Large materials are processed in parts and may take several minutes")
+                  : t("Processing may take up to a minute depending on the content size")}
               </Text>
             </View>
           </View>
@@ -1301,12 +952,12 @@ The number of questions should be proportional to the complexity and length of t
         onClose={() => setShowSuccessPopup(false)}
         onViewMaterial={() => {
           setShowSuccessPopup(false);
-          navigation.goBack();
+          navigation.replace("AiMaterialEditor", { draftId: createdDraftId, classId: activeClassId });
         }}
         onCreateAnother={() => {
           setShowSuccessPopup(false);
           setCurrentStep(1);
-          setFile(null);
+          setFiles([]);
           setTitle("");
           setPrompt("");
         }}
@@ -1495,38 +1146,83 @@ const styles = StyleSheet.create({
   detailsContainer: {
     marginVertical: 16,
   },
-  filePreviewContainer: {
-    alignItems: "center",
+  fileListContainer: {
     marginBottom: 24,
   },
-  filePreview: {
-    width: width * 0.7,
-    height: width * 0.5,
+  fileRow: {
+    flexDirection: "row",
+    alignItems: "center",
     backgroundColor: Colors.surface,
     borderRadius: 12,
+    padding: 8,
+    marginBottom: 8,
+    elevation: 1,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  pageNumber: {
+    width: 24,
+    fontSize: 14,
+    fontWeight: "bold",
+    color: Colors.primary,
+    textAlign: "center",
+  },
+  fileThumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+    backgroundColor: Colors.background,
     justifyContent: "center",
     alignItems: "center",
     overflow: "hidden",
-    elevation: 3,
-    shadowColor: Colors.shadow,
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.2,
-    shadowRadius: 4,
+    marginRight: 12,
+  },
+  fileInfo: {
+    flex: 1,
+  },
+  fileActionButton: {
+    width: 32,
+    height: 32,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  addMoreRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 4,
+  },
+  addMoreButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderStyle: "dashed",
+  },
+  addMoreText: {
+    fontSize: 13,
+    color: Colors.primary,
+    marginLeft: 6,
   },
   imagePreview: {
     width: "100%",
     height: "100%",
   },
   fileName: {
-    fontSize: 16,
+    fontSize: 15,
     fontWeight: "500",
     color: Colors.text,
-    marginTop: 12,
   },
   fileSize: {
-    fontSize: 14,
+    fontSize: 13,
     color: Colors.textSecondary,
-    marginTop: 4,
+    marginTop: 2,
   },
   inputContainer: {
     marginBottom: 16,
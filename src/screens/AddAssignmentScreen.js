@@ -21,14 +21,52 @@ import {
   DEADLINE_OPTIONS, 
   ASSIGNMENT_STATUS,
   ASSIGNMENT_GROUP_TYPE,
-  RANDOMIZATION_MODE
+  RANDOMIZATION_MODE,
+  RECURRENCE_FREQUENCY,
+  RECURRENCE_END_TYPE
 } from '../constants/Types';
 import { getSubjects } from '../utils/storage';
 import { useAssignment } from '../context/AssignmentContext';
 import { useClass } from '../context/ClassContext';
-import { getClassMembers, addNotificationToQueue } from '../utils/firestore'; // Added addNotificationToQueue
+import { getClassMembers, getClassMembersExperience, addNotificationToQueue, uploadAssignmentAttachment, deleteAssignmentAttachments, getClassRubrics, saveRubric, deleteRubric, isClassAdmin } from '../utils/firestore'; // Added addNotificationToQueue
+import { pick } from '@react-native-documents/picker';
+import {
+  MAX_ATTACHMENTS,
+  ATTACHMENT_PICKER_TYPES,
+  getAttachmentType,
+  validateAttachment,
+  formatFileSize
+} from '../utils/attachments';
 import ScreenContainer from '../components/ScreenContainer';
+import GroupRulesModal from '../components/GroupRulesModal';
+import RubricEditorModal from '../components/RubricEditorModal';
+import { getRubricMaxPoints } from '../utils/rubrics';
+import { calculateLevelFromExp } from '../constants/UserTypes';
+import { MAX_GROUP_SIZE, getGroupSettings } from '../utils/groups';
+import {
+  EMPTY_GROUP_RULES,
+  generateSeed,
+  buildPairHistory,
+  drawGroups,
+  toStoredGroupRules,
+  fromStoredGroupRules
+} from '../utils/groupRandomizer';
 import { useTranslation } from 'react-i18next';
+import {
+  WEEKDAY_LABELS,
+  MAX_OCCURRENCES,
+  isRecurring,
+  validateRecurrenceRule,
+  generateOccurrenceDates,
+  describeRecurrenceRule
+} from '../utils/recurrence';
+
+const RANDOMIZATION_MODE_DESCRIPTIONS = {
+  [RANDOMIZATION_MODE.ABSOLUTE_RANDOM]: 'Anyone can end up with anyone',
+  [RANDOMIZATION_MODE.FAIR_GENDER]: 'Spread boys and girls evenly over the groups',
+  [RANDOMIZATION_MODE.SKILL_BALANCED]: 'Mix levels so every group has about the same total level',
+  [RANDOMIZATION_MODE.AVOID_REPEATS]: 'Keep apart students who were already in a group together this semester',
+};
 
 // Custom color palette
 const CustomColors = {
@@ -50,7 +88,7 @@ const CustomColors = {
 
 const AddAssignmentScreen = ({ navigation, route }) => {
   const { currentClass } = useClass();
-  const { addAssignment, updateAssignment, deleteAssignment, assignments, syncedWithCloud } = useAssignment();
+  const { addAssignment, addRecurringAssignment, updateAssignment, deleteAssignment, assignments, syncedWithCloud } = useAssignment();
   const { t } = useTranslation();
   
   const [title, setTitle] = useState('');
@@ -64,6 +102,15 @@ const AddAssignmentScreen = ({ navigation, route }) => {
   const [dateTimePickerMode, setDateTimePickerMode] = useState('date');
   const [groupType, setGroupType] = useState(ASSIGNMENT_GROUP_TYPE.INDIVIDUAL);
   const [attachments, setAttachments] = useState([]);
+  // Only admins and teachers upload attachments (see storage.rules)
+  const [canAttachFiles, setCanAttachFiles] = useState(false);
+  // Rubric the assignment is graded with, a copy of one of the class rubrics (see src/utils/rubrics.js)
+  const [rubric, setRubric] = useState(null);
+  const [classRubrics, setClassRubrics] = useState([]);
+  const [showRubricModal, setShowRubricModal] = useState(false);
+  const [showRubricEditor, setShowRubricEditor] = useState(false);
+  const [editingRubric, setEditingRubric] = useState(null);
+  const [savingRubric, setSavingRubric] = useState(false);
   const [classMembers, setClassMembers] = useState([]);
   const [groupCount, setGroupCount] = useState(2); // Default to 2 groups
   const [groups, setGroups] = useState([]); // Will hold the groups with their members
@@ -71,6 +118,15 @@ const AddAssignmentScreen = ({ navigation, route }) => {
   const [showGroupCountModal, setShowGroupCountModal] = useState(false);
   const [showMembersModal, setShowMembersModal] = useState(false);
   const [loadingMembers, setLoadingMembers] = useState(false);
+  // Group sign-up rules, see src/utils/groups.js
+  const [maxGroupSize, setMaxGroupSize] = useState('');
+  const [groupJoinDeadline, setGroupJoinDeadline] = useState(null);
+  const [groupLeaveDeadline, setGroupLeaveDeadline] = useState(null);
+  // The group deadline being picked: { field: 'join' or 'leave', mode: 'date' or 'time', value }
+  const [groupDeadlinePicker, setGroupDeadlinePicker] = useState(null);
+  // The groups as loaded for editing, so saving only rewrites them when they were changed here
+  // and students who joined a group in the meantime aren't dropped
+  const [loadedGroupsJson, setLoadedGroupsJson] = useState(null);
   
   const [showSubjectModal, setShowSubjectModal] = useState(false);
   const [showTypeModal, setShowTypeModal] = useState(false);
@@ -84,6 +140,26 @@ const AddAssignmentScreen = ({ navigation, route }) => {
   const [isRandomizing, setIsRandomizing] = useState(false);
   const [randomizationMode, setRandomizationMode] = useState(RANDOMIZATION_MODE.ABSOLUTE_RANDOM);
   const [showRandomizationModeModal, setShowRandomizationModeModal] = useState(false);
+  const [groupRules, setGroupRules] = useState(EMPTY_GROUP_RULES);
+  const [showGroupRulesModal, setShowGroupRulesModal] = useState(false);
+  // Seed typed in to repeat an earlier draw, a new one is used when it is empty
+  const [drawSeed, setDrawSeed] = useState('');
+  // How the current groups were drawn, saved on the assignment so the draw can be checked later
+  const [groupDraw, setGroupDraw] = useState(null);
+  
+  // Recurrence (only available when creating a new assignment)
+  const [recurrenceFrequency, setRecurrenceFrequency] = useState(RECURRENCE_FREQUENCY.NONE);
+  const [recurrenceWeekdays, setRecurrenceWeekdays] = useState([]);
+  const [recurrenceInterval, setRecurrenceInterval] = useState('7');
+  const [recurrenceEndType, setRecurrenceEndType] = useState(RECURRENCE_END_TYPE.COUNT);
+  const [recurrenceCount, setRecurrenceCount] = useState('10');
+  const [recurrenceUntil, setRecurrenceUntil] = useState(() => {
+    const until = new Date();
+    until.setMonth(until.getMonth() + 3);
+    until.setHours(23, 59, 59, 999);
+    return until;
+  });
+  const [showUntilPicker, setShowUntilPicker] = useState(false);
 
   useEffect(() => {
     loadSubjects();
@@ -105,6 +181,22 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     }
   }, [route.params]);
 
+  useEffect(() => {
+    if (!currentClass) return;
+    getClassRubrics(currentClass.id).then(result => {
+      if (result.success) {
+        setClassRubrics(result.rubrics);
+      } else {
+        console.error('Error loading rubrics:', result.error);
+      }
+    });
+  }, [currentClass]);
+
+  useEffect(() => {
+    if (!currentClass) return;
+    isClassAdmin(currentClass.id).then(setCanAttachFiles);
+  }, [currentClass]);
+
   useEffect(() => {
     // Load class members when group type changes to GROUP
     if (groupType === ASSIGNMENT_GROUP_TYPE.GROUP && currentClass) {
@@ -177,136 +269,184 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     }
   };
 
-  // Function to randomly assign members to groups
-  const randomizeGroupMembers = () => {
+  // Draw the class members into groups with the selected mode and the teacher's rules
+  const randomizeGroupMembers = async () => {
     if (classMembers.length === 0 || groupCount === 0) {
       Alert.alert('Error', 'No class members or groups to randomize');
       return;
     }
 
+    let mode = randomizationMode;
+    if (mode === RANDOMIZATION_MODE.FAIR_GENDER &&
+      classMembers.filter(member => member.gender).length < classMembers.length * 0.5) {
+      // If less than half of members have gender data, notify user and fall back to absolute randomization
+      Alert.alert(
+        'Limited Gender Data',
+        'Not enough members have gender information. Performing standard randomization instead.',
+        [{ text: 'OK' }]
+      );
+      mode = RANDOMIZATION_MODE.ABSOLUTE_RANDOM;
+    }
+
     setIsRandomizing(true);
     
     try {
-      if (randomizationMode === RANDOMIZATION_MODE.ABSOLUTE_RANDOM) {
-        performAbsoluteRandomization();
-      } else if (randomizationMode === RANDOMIZATION_MODE.FAIR_GENDER) {
-        performFairGenderRandomization();
+      const skills = {};
+      if (mode === RANDOMIZATION_MODE.SKILL_BALANCED) {
+        const result = await getClassMembersExperience(currentClass.id);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        result.members.forEach(member => {
+          skills[member.userId] = calculateLevelFromExp(member.experience?.totalExp || 0).level;
+        });
       }
+
+      const seed = drawSeed.trim().toUpperCase() || generateSeed();
+      const draw = drawGroups(classMembers, {
+        groupCount,
+        mode,
+        seed,
+        rules: groupRules,
+        skills,
+        pairHistory: buildPairHistory(assignments, currentAssignment?.id)
+      });
+
+      const drawnAt = new Date();
+      setGroups(draw.groups.map((group, index) => ({ id: `group_${drawnAt.getTime()}_${index}`, ...group })));
+      setGroupDraw({
+        mode,
+        seed,
+        groupCount,
+        rules: toStoredGroupRules(groupRules),
+        repeatPairs: draw.repeatPairs,
+        brokenRules: draw.brokenRules,
+        drawnAt: drawnAt.toISOString(),
+        editedAfterDraw: false
+      });
+
+      let message = `Groups drawn with seed ${seed}. Enter this seed to repeat the draw.`;
+      if (draw.repeatPairs > 0) {
+        message += `\n\n${draw.repeatPairs} pair${draw.repeatPairs !== 1 ? 's have' : ' has'} been in a group together before.`;
+      }
+      if (draw.brokenRules > 0) {
+        message += `\n\n${draw.brokenRules} keep-apart rule${draw.brokenRules !== 1 ? 's' : ''} could not be kept.`;
+      }
+      Alert.alert('Success', message);
     } catch (error) {
       console.error('Error randomizing group members:', error);
       Alert.alert('Error', 'Failed to randomize group members');
+    } finally {
       setIsRandomizing(false);
     }
   };
-  
-  const performAbsoluteRandomization = () => {
-    // Create a shuffled copy of the class members
-    const shuffledMembers = [...classMembers].sort(() => Math.random() - 0.5);
-    
-    // Initialize empty groups
-    const randomizedGroups = [];
-    for (let i = 0; i < groupCount; i++) {
-      randomizedGroups.push({
-        id: `group_${Date.now()}_${i}`,
-        name: `Group ${i + 1}`,
-        members: []
+
+  // Attach worksheets or rubrics, they are uploaded when the assignment is saved
+  const pickAttachments = async () => {
+    try {
+      const results = await pick({
+        allowMultiSelection: true,
+        type: ATTACHMENT_PICKER_TYPES
+      });
+      if (!results || results.length === 0) return;
+
+      const errors = [];
+      const picked = [];
+      results.forEach(file => {
+        const candidate = {
+          name: file.name || 'file',
+          uri: file.uri,
+          fileCopyUri: file.fileCopyUri || null,
+          size: file.size || 0,
+          pending: true
+        };
+        const error = validateAttachment(candidate);
+        if (error) {
+          errors.push(error);
+        } else {
+          picked.push(candidate);
+        }
       });
+
+      const room = MAX_ATTACHMENTS - attachments.length;
+      if (picked.length > room) {
+        errors.push(`You can attach up to ${MAX_ATTACHMENTS} files.`);
+      }
+      setAttachments(current => [...current, ...picked.slice(0, room)]);
+      if (errors.length > 0) {
+        Alert.alert('Some files were not attached', errors.join('\n'));
+      }
+    } catch (error) {
+      if (error.code === 'OPERATION_CANCELED') {
+        return;
+      }
+      console.error('Error picking attachments:', error);
+      Alert.alert('Error', 'Failed to pick files: ' + (error.message || error));
     }
-    
-    // Distribute members evenly across groups
-    shuffledMembers.forEach((member, index) => {
-      const groupIndex = index % groupCount;
-      randomizedGroups[groupIndex].members.push(member);
-    });
-    
-    setGroups(randomizedGroups);
-    
-    Alert.alert('Success', 'Group members have been randomized');
-    setIsRandomizing(false);
   };
-  
-  const performFairGenderRandomization = () => {
-    // Check if we have gender data available
-    const membersWithGender = classMembers.filter(member => member.gender);
-    
-    if (membersWithGender.length < classMembers.length * 0.5) {
-      // If less than half of members have gender data, notify user and fall back to absolute randomization
-      Alert.alert(
-        'Limited Gender Data',
-        'Not enough members have gender information. Performing standard randomization instead.',
-        [{ text: 'OK' }]
-      );
-      performAbsoluteRandomization();
+
+  const removeAttachment = (indexToRemove) => {
+    setAttachments(current => current.filter((attachment, index) => index !== indexToRemove));
+  };
+
+  // The assignment keeps its own copy, so editing the class rubric later doesn't regrade old work
+  const attachRubric = (classRubric) => {
+    setRubric({ rubricId: classRubric.id, name: classRubric.name, criteria: classRubric.criteria });
+    setShowRubricModal(false);
+  };
+
+  const openRubricEditor = (classRubric) => {
+    setEditingRubric(classRubric);
+    setShowRubricModal(false);
+    setShowRubricEditor(true);
+  };
+
+  const handleSaveRubric = async (draft) => {
+    setSavingRubric(true);
+    const result = await saveRubric(currentClass.id, draft);
+    setSavingRubric(false);
+
+    if (!result.success) {
+      Alert.alert(t('Error'), result.error || 'Failed to save rubric');
       return;
     }
-    
-    // Separate members by gender
-    const maleMembers = [...classMembers.filter(member => member.gender === 'male')]
-      .sort(() => Math.random() - 0.5);
-    
-    const femaleMembers = [...classMembers.filter(member => member.gender === 'female')]
-      .sort(() => Math.random() - 0.5);
-    
-    const otherMembers = [...classMembers.filter(member => 
-      !member.gender || (member.gender !== 'male' && member.gender !== 'female')
-    )].sort(() => Math.random() - 0.5);
-    
-    console.log(`Gender distribution - Male: ${maleMembers.length}, Female: ${femaleMembers.length}, Other/Unknown: ${otherMembers.length}`);
-    
-    // Initialize empty groups
-    const randomizedGroups = [];
-    for (let i = 0; i < groupCount; i++) {
-      randomizedGroups.push({
-        id: `group_${Date.now()}_${i}`,
-        name: `Group ${i + 1}`,
-        members: []
-      });
-    }
-    
-    // Helper function to find the group with the fewest members of a specific gender
-    const findGroupWithFewestGender = (groups, gender) => {
-      return groups.reduce((minGroup, currentGroup, currentIndex) => {
-        const minCount = minGroup.members.filter(m => m.gender === gender).length;
-        const currentCount = currentGroup.members.filter(m => m.gender === gender).length;
-        
-        if (currentCount < minCount) return currentGroup;
-        // If equal, use the group with fewer total members
-        if (currentCount === minCount && currentGroup.members.length < minGroup.members.length) {
-          return currentGroup;
+
+    const saved = { ...draft, id: result.rubricId };
+    setClassRubrics(current => [...current.filter(r => r.id !== saved.id), saved]
+      .sort((a, b) => a.name.localeCompare(b.name)));
+    attachRubric(saved);
+    setShowRubricEditor(false);
+  };
+
+  const handleDeleteRubric = (classRubric) => {
+    Alert.alert(
+      'Delete Rubric',
+      `Delete "${classRubric.name}"? Assignments it is attached to keep their copy.`,
+      [
+        { text: 'Cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setSavingRubric(true);
+            const result = await deleteRubric(currentClass.id, classRubric.id);
+            setSavingRubric(false);
+
+            if (result.success) {
+              setClassRubrics(current => current.filter(r => r.id !== classRubric.id));
+              setShowRubricEditor(false);
+            } else {
+              Alert.alert(t('Error'), result.error || 'Failed to delete rubric');
+            }
+          }
         }
-        return minGroup;
-      });
-    };
-    
-    // Helper function to find the group with the fewest members overall
-    const findGroupWithFewestMembers = (groups) => {
-      return groups.reduce((minGroup, currentGroup) => {
-        return currentGroup.members.length < minGroup.members.length ? currentGroup : minGroup;
-      });
-    };
-    
-    // Distribute male members
-    maleMembers.forEach(member => {
-      const targetGroup = findGroupWithFewestGender(randomizedGroups, 'male');
-      targetGroup.members.push(member);
-    });
-    
-    // Distribute female members
-    femaleMembers.forEach(member => {
-      const targetGroup = findGroupWithFewestGender(randomizedGroups, 'female');
-      targetGroup.members.push(member);
-    });
-    
-    // Distribute other/unknown members
-    otherMembers.forEach(member => {
-      const targetGroup = findGroupWithFewestMembers(randomizedGroups);
-      targetGroup.members.push(member);
-    });
-    
-    setGroups(randomizedGroups);
-    
-    Alert.alert('Success', 'Group members have been randomized with fair gender distribution');
-    setIsRandomizing(false);
+      ]
+    );
+  };
+
+  // Groups changed by hand no longer match their draw
+  const markGroupsEdited = () => {
+    setGroupDraw(draw => (draw ? { ...draw, editedAfterDraw: true } : draw));
   };
   
   const loadSubjects = async () => {
@@ -341,6 +481,7 @@ const AddAssignmentScreen = ({ navigation, route }) => {
       }
       setGroupType(assignment.groupType || ASSIGNMENT_GROUP_TYPE.INDIVIDUAL);
       setAttachments(assignment.attachments || []);
+      setRubric(assignment.rubric || null);
       if (assignment.groups && assignment.groups.length > 0) {
         setGroups(assignment.groups);
         setGroupCount(assignment.groups.length);
@@ -348,6 +489,19 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         setGroups([]); // Reset groups if none are loaded
         setGroupCount(2); // Reset to default if no groups
       }
+      setLoadedGroupsJson(JSON.stringify(assignment.groups || []));
+      if (assignment.groupDraw) {
+        setGroupDraw(assignment.groupDraw);
+        setGroupRules(fromStoredGroupRules(assignment.groupDraw.rules));
+        if (Object.values(RANDOMIZATION_MODE).includes(assignment.groupDraw.mode)) {
+          setRandomizationMode(assignment.groupDraw.mode);
+        }
+      }
+
+      const groupSettings = getGroupSettings(assignment);
+      setMaxGroupSize(groupSettings.maxGroupSize ? String(groupSettings.maxGroupSize) : '');
+      setGroupJoinDeadline(groupSettings.joinDeadline);
+      setGroupLeaveDeadline(groupSettings.leaveDeadline);
     } else {
       Alert.alert(t('Error'), t('Assignment not found. It might have been deleted.'));
       navigation.goBack();
@@ -360,6 +514,7 @@ const AddAssignmentScreen = ({ navigation, route }) => {
       case DEADLINE_OPTIONS.ONE_HOUR:
         deadlineDate.setHours(deadlineDate.getHours() + 1);
         break;
+      case DEADLINE_OPTIONS.TODAY:
       case DEADLINE_OPTIONS.END_OF_DAY:
         deadlineDate.setHours(23, 59, 59, 999);
         break;
@@ -375,6 +530,10 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         deadlineDate.setDate(deadlineDate.getDate() + 7);
         deadlineDate.setHours(23, 59, 59, 999);
         break;
+      case DEADLINE_OPTIONS.TWO_WEEKS:
+        deadlineDate.setDate(deadlineDate.getDate() + 14);
+        deadlineDate.setHours(23, 59, 59, 999);
+        break;
       case DEADLINE_OPTIONS.CUSTOM:
         deadlineDate = customDeadline; // Already a Date object
         break;
@@ -384,6 +543,80 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     return deadlineDate.toISOString();
   };
 
+  const handleDeadlineOptionSelect = (option) => {
+    setSelectedDeadlineOption(option);
+    setShowDeadlineModal(false);
+    if (option === DEADLINE_OPTIONS.CUSTOM) {
+      setDateTimePickerMode('date');
+      setShowDatePicker(true);
+    }
+  };
+
+  const handleDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    if (event.type === 'dismissed' || !selectedDate) {
+      return;
+    }
+    
+    setCustomDeadline(selectedDate);
+    // Pick the time right after the date on Android, where the picker only does one at a time
+    if (dateTimePickerMode === 'date' && Platform.OS === 'android') {
+      setDateTimePickerMode('time');
+      setShowDatePicker(true);
+    } else {
+      setDateTimePickerMode('date');
+    }
+  };
+
+  const setGroupDeadline = (field, date) => (field === 'join' ? setGroupJoinDeadline(date) : setGroupLeaveDeadline(date));
+
+  const handleGroupDeadlineChange = (event, selectedDate) => {
+    const { field, mode } = groupDeadlinePicker;
+    setGroupDeadlinePicker(null);
+    if (event.type === 'dismissed' || !selectedDate) {
+      return;
+    }
+    
+    setGroupDeadline(field, selectedDate);
+    // Pick the time right after the date on Android, where the picker only does one at a time
+    if (mode === 'date' && Platform.OS === 'android') {
+      setGroupDeadlinePicker({ field, mode: 'time', value: selectedDate });
+    }
+  };
+
+  const handleUntilDateChange = (event, selectedDate) => {
+    setShowUntilPicker(false);
+    if (event.type === 'dismissed' || !selectedDate) {
+      return;
+    }
+    
+    // The series runs through the whole end date
+    const until = new Date(selectedDate);
+    until.setHours(23, 59, 59, 999);
+    setRecurrenceUntil(until);
+  };
+
+  const toggleRecurrenceWeekday = (day) => {
+    setRecurrenceWeekdays(prev => 
+      prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort((a, b) => a - b)
+    );
+  };
+
+  const buildRecurrenceRule = () => {
+    if (recurrenceFrequency === RECURRENCE_FREQUENCY.NONE) {
+      return null;
+    }
+    
+    return {
+      frequency: recurrenceFrequency,
+      weekdays: recurrenceFrequency === RECURRENCE_FREQUENCY.WEEKLY ? recurrenceWeekdays : [],
+      interval: recurrenceFrequency === RECURRENCE_FREQUENCY.EVERY_N_DAYS ? parseInt(recurrenceInterval, 10) : null,
+      endType: recurrenceEndType,
+      until: recurrenceEndType === RECURRENCE_END_TYPE.UNTIL_DATE ? recurrenceUntil.toISOString() : null,
+      count: recurrenceEndType === RECURRENCE_END_TYPE.COUNT ? parseInt(recurrenceCount, 10) : null
+    };
+  };
+
   const handleSaveAssignment = async () => {
     if (!title.trim()) {
       Alert.alert(t('Validation Error'), t('Title is required.'));
@@ -398,9 +631,44 @@ const AddAssignmentScreen = ({ navigation, route }) => {
       return;
     }
 
+    const deadlineTimestamp = calculateDeadlineTimestamp();
+    const recurrenceRule = isEditing ? null : buildRecurrenceRule();
+    
+    if (recurrenceRule) {
+      const recurrenceErrors = validateRecurrenceRule(recurrenceRule, deadlineTimestamp);
+      if (recurrenceErrors.length > 0) {
+        Alert.alert(t('Validation Error'), recurrenceErrors.join('\n'));
+        return;
+      }
+    }
+
+    const groupSizeLimit = maxGroupSize ? parseInt(maxGroupSize, 10) : null;
+    if (groupType === ASSIGNMENT_GROUP_TYPE.GROUP && groupSizeLimit !== null &&
+      (groupSizeLimit < 1 || groupSizeLimit > MAX_GROUP_SIZE)) {
+      Alert.alert(t('Validation Error'), `Groups can have 1 to ${MAX_GROUP_SIZE} students.`);
+      return;
+    }
+
     setIsSubmitting(true);
 
-    const deadlineTimestamp = calculateDeadlineTimestamp();
+    // Upload the newly attached files first, the assignment keeps only the stored file records
+    const savedAttachments = [];
+    const newlyUploaded = [];
+    for (const attachment of attachments) {
+      if (!attachment.pending) {
+        savedAttachments.push(attachment);
+        continue;
+      }
+      const uploadResult = await uploadAssignmentAttachment(currentClass.id, attachment);
+      if (!uploadResult.success) {
+        await deleteAssignmentAttachments(newlyUploaded);
+        setIsSubmitting(false);
+        Alert.alert(t('Error'), `Failed to upload ${attachment.name}: ${uploadResult.error}`);
+        return;
+      }
+      savedAttachments.push(uploadResult.attachment);
+      newlyUploaded.push(uploadResult.attachment);
+    }
 
     let assignmentData = {
       title: title.trim(),
@@ -412,12 +680,26 @@ const AddAssignmentScreen = ({ navigation, route }) => {
       deadlineTimestamp: deadlineTimestamp,
       groupType: groupType,
       groups: groupType === ASSIGNMENT_GROUP_TYPE.GROUP ? groups : [],
-      attachments: attachments,
+      attachments: savedAttachments,
+      rubric: rubric,
       classId: currentClass.id,
       className: currentClass.name,
       updatedAt: new Date().toISOString(),
     };
 
+    if (groupType === ASSIGNMENT_GROUP_TYPE.GROUP) {
+      assignmentData.groupSettings = {
+        maxGroupSize: groupSizeLimit,
+        joinDeadline: groupJoinDeadline ? groupJoinDeadline.toISOString() : null,
+        leaveDeadline: groupLeaveDeadline ? groupLeaveDeadline.toISOString() : null,
+        // Groups are locked from the assignment's details, keep it as it is
+        locked: isEditing && currentAssignment ? getGroupSettings(currentAssignment).locked : false
+      };
+      if (groupDraw) {
+        assignmentData.groupDraw = groupDraw;
+      }
+    }
+
     let result = { success: false };
 
     if (isEditing && currentAssignment) {
@@ -426,12 +708,19 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         assignmentData.documentId = currentAssignment.documentId; // Preserve Firestore doc ID if present
       }
       assignmentData.createdAt = currentAssignment.createdAt; // Preserve original creation date
-      result = await updateAssignment(assignmentData);
+      if (groupType === ASSIGNMENT_GROUP_TYPE.GROUP && JSON.stringify(groups) === loadedGroupsJson) {
+        delete assignmentData.groups;
+      }
+      result = await updateAssignment(currentAssignment.id, assignmentData);
     } else {
       assignmentData.id = Date.now().toString(); // For local/optimistic updates
       assignmentData.status = ASSIGNMENT_STATUS.UNFINISHED;
       assignmentData.createdAt = new Date().toISOString();
-      result = await addAssignment(assignmentData);
+      if (isRecurring(recurrenceRule)) {
+        result = await addRecurringAssignment(assignmentData, recurrenceRule);
+      } else {
+        result = await addAssignment(assignmentData);
+      }
     }
 
     if (result.success) {
@@ -441,9 +730,9 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         `${t('newAssignmentIn')} ${currentClass.name}`;
       const notificationBody = isEditing ? 
         `${t('assignment')}: ${assignmentData.title} ${t('hasBeenUpdated')}` :
-        `${t('assignment')}: ${assignmentData.title}`;
+        `${t('assignment')}: ${assignmentData.title}${result.occurrenceCount ? ` (${describeRecurrenceRule(recurrenceRule)})` : ''}`;
       
-      const assignmentIdForNotification = isEditing ? currentAssignment.id : assignmentData.id;
+      const assignmentIdForNotification = isEditing ? currentAssignment.id : (result.seriesId ? result.assignmentId : assignmentData.id);
 
       const notificationPayload = {
         topic: `class_${currentClass.id}`,
@@ -457,17 +746,34 @@ const AddAssignmentScreen = ({ navigation, route }) => {
           params: JSON.stringify({ id: assignmentIdForNotification, classId: currentClass.id }),
         }
       };
-      try {
-        await addNotificationToQueue(notificationPayload);
-        console.log(`Notification request added to queue for ${notificationType}:`, assignmentIdForNotification);
-      } catch (queueError) {
-        console.error('Failed to add notification to queue:', queueError);
+      if (result.queued) {
+        // Offline: Firestore keeps the write locally and sends it once we reconnect,
+        // so don't block the screen waiting for the server acknowledgement
+        addNotificationToQueue(notificationPayload).catch(queueError => {
+          console.error('Failed to add notification to queue:', queueError);
+        });
+      } else {
+        try {
+          await addNotificationToQueue(notificationPayload);
+          console.log(`Notification request added to queue for ${notificationType}:`, assignmentIdForNotification);
+        } catch (queueError) {
+          console.error('Failed to add notification to queue:', queueError);
+        }
       }
     }
 
+    if (result.success && isEditing && currentAssignment && !currentAssignment.seriesId) {
+      // Files removed from the assignment aren't referenced anymore. Occurrences of a series share
+      // their files, so those are kept
+      await deleteAssignmentAttachments((currentAssignment.attachments || []).filter(
+        attachment => !savedAttachments.some(saved => saved.filePath === attachment.filePath)
+      ));
+    } else if (!result.success) {
+      await deleteAssignmentAttachments(newlyUploaded);
+    }
+
     setIsSubmitting(false);
     if (result.success) {
-      Toast.show({ type: 'success', text1: t('assignmentSaved') });
       // Navigate to details screen for both new and updated assignments
       const navId = isEditing ? currentAssignment.id : (result.assignmentId || assignmentData.id);
       if (navId) {
@@ -552,6 +858,7 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     }
     
     setGroups(updatedGroups);
+    markGroupsEdited();
   };
 
   const renderSubjectItem = ({ item }) => (
@@ -569,6 +876,26 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     </TouchableOpacity>
   );
 
+  const renderRubricItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.modalItem}
+      onPress={() => attachRubric(item)}
+    >
+      <View style={styles.modalItemInfo}>
+        <Text style={styles.modalItemText}>{item.name}</Text>
+        <Text style={styles.modalItemDescription}>
+          {item.criteria.map(criterion => criterion.name).join(', ')} · {getRubricMaxPoints(item)} points
+        </Text>
+      </View>
+      {rubric && rubric.rubricId === item.id && (
+        <Icon name="check" size={20} color={CustomColors.primary} />
+      )}
+      <TouchableOpacity style={styles.rubricEditButton} onPress={() => openRubricEditor(item)}>
+        <Icon name="edit" size={20} color={CustomColors.primary} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
   const renderTypeItem = ({ item }) => (
     <TouchableOpacity
       style={styles.modalItem}
@@ -611,6 +938,9 @@ const AddAssignmentScreen = ({ navigation, route }) => {
 
   const renderGroupMemberChip = (member, groupIndex) => (
     <View key={member.userId} style={styles.memberChip}>
+      {groups[groupIndex].leaderId === member.userId && (
+        <Icon name="star" size={14} color="#FFFFFF" />
+      )}
       <Text style={styles.memberChipText}>{member.displayName}</Text>
       <TouchableOpacity
         onPress={() => {
@@ -619,6 +949,7 @@ const AddAssignmentScreen = ({ navigation, route }) => {
             m => m.userId !== member.userId
           );
           setGroups(updatedGroups);
+          markGroupsEdited();
         }}
         style={styles.memberChipRemove}
       >
@@ -627,6 +958,28 @@ const AddAssignmentScreen = ({ navigation, route }) => {
     </View>
   );
 
+  const renderGroupDeadline = (label, field, value) => (
+    <View style={styles.recurrenceRow}>
+      <Text style={[styles.recurrenceRowLabel, styles.groupLimitLabel]}>{label}</Text>
+      <TouchableOpacity
+        style={[styles.selector, styles.groupDeadlineSelector]}
+        onPress={() => setGroupDeadlinePicker({ field, mode: 'date', value: value || new Date() })}
+      >
+        <Text style={value ? styles.selectorText : styles.selectorPlaceholder}>
+          {value
+            ? value.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : 'None'}
+        </Text>
+        <Icon name="event" size={20} color={CustomColors.primary} />
+      </TouchableOpacity>
+      {value && (
+        <TouchableOpacity onPress={() => setGroupDeadline(field, null)}>
+          <Icon name="clear" size={20} color={CustomColors.textSecondary} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
   const renderGroupItem = (group, index) => (
     <View key={group.id} style={styles.groupCard}>
       <View style={styles.groupHeader}>
@@ -660,13 +1013,118 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         setShowRandomizationModeModal(false);
       }}
     >
-      <Text style={styles.modalItemText}>{item}</Text>
+      <View style={styles.modalItemInfo}>
+        <Text style={styles.modalItemText}>{item}</Text>
+        <Text style={styles.modalItemDescription}>{RANDOMIZATION_MODE_DESCRIPTIONS[item]}</Text>
+      </View>
       {randomizationMode === item && (
         <Icon name="check" size={20} color={CustomColors.primary} />
       )}
     </TouchableOpacity>
   );
 
+  const renderRecurrenceSection = () => {
+    const rule = buildRecurrenceRule();
+    const previewDates = rule && validateRecurrenceRule(rule, calculateDeadlineTimestamp()).length === 0
+      ? generateOccurrenceDates(rule, calculateDeadlineTimestamp())
+      : [];
+    
+    return (
+      <View style={styles.recurrenceContainer}>
+        <Text style={styles.label}>Repeat</Text>
+        <View style={styles.chipRow}>
+          {Object.values(RECURRENCE_FREQUENCY).map(frequency => (
+            <TouchableOpacity
+              key={frequency}
+              style={[styles.optionChip, recurrenceFrequency === frequency && styles.optionChipActive]}
+              onPress={() => setRecurrenceFrequency(frequency)}
+            >
+              <Text style={[styles.optionChipText, recurrenceFrequency === frequency && styles.optionChipTextActive]}>
+                {frequency}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {recurrenceFrequency === RECURRENCE_FREQUENCY.WEEKLY && (
+          <View style={styles.chipRow}>
+            {WEEKDAY_LABELS.map((label, day) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.weekdayChip, recurrenceWeekdays.includes(day) && styles.optionChipActive]}
+                onPress={() => toggleRecurrenceWeekday(day)}
+              >
+                <Text style={[styles.optionChipText, recurrenceWeekdays.includes(day) && styles.optionChipTextActive]}>
+                  {label.substring(0, 3)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {recurrenceFrequency === RECURRENCE_FREQUENCY.EVERY_N_DAYS && (
+          <View style={styles.recurrenceRow}>
+            <Text style={styles.recurrenceRowLabel}>Every</Text>
+            <TextInput
+              style={[styles.input, styles.recurrenceNumberInput]}
+              value={recurrenceInterval}
+              onChangeText={value => setRecurrenceInterval(value.replace(/[^0-9]/g, ''))}
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+            <Text style={styles.recurrenceRowLabel}>days</Text>
+          </View>
+        )}
+
+        {recurrenceFrequency !== RECURRENCE_FREQUENCY.NONE && (
+          <>
+            <Text style={styles.recurrenceSubLabel}>Ends</Text>
+            <View style={styles.chipRow}>
+              {Object.values(RECURRENCE_END_TYPE).map(endType => (
+                <TouchableOpacity
+                  key={endType}
+                  style={[styles.optionChip, recurrenceEndType === endType && styles.optionChipActive]}
+                  onPress={() => setRecurrenceEndType(endType)}
+                >
+                  <Text style={[styles.optionChipText, recurrenceEndType === endType && styles.optionChipTextActive]}>
+                    {endType}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {recurrenceEndType === RECURRENCE_END_TYPE.COUNT ? (
+              <View style={styles.recurrenceRow}>
+                <Text style={styles.recurrenceRowLabel}>After</Text>
+                <TextInput
+                  style={[styles.input, styles.recurrenceNumberInput]}
+                  value={recurrenceCount}
+                  onChangeText={value => setRecurrenceCount(value.replace(/[^0-9]/g, ''))}
+                  keyboardType="number-pad"
+                  maxLength={2}
+                />
+                <Text style={styles.recurrenceRowLabel}>{`occurrences (max ${MAX_OCCURRENCES})`}</Text>
+              </View>
+            ) : (
+              <TouchableOpacity style={styles.selector} onPress={() => setShowUntilPicker(true)}>
+                <Text style={styles.selectorText}>
+                  {recurrenceUntil.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}
+                </Text>
+                <Icon name="event" size={20} color={CustomColors.primary} />
+              </TouchableOpacity>
+            )}
+
+            <Text style={styles.recurrencePreview}>
+              {previewDates.length > 0
+                ? `${describeRecurrenceRule(rule)} · ${previewDates.length} assignment${previewDates.length !== 1 ? 's' : ''} will be created, first due ${previewDates[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+                : 'Complete the repeat settings to preview the series'}
+            </Text>
+          </>
+        )}
+      </View>
+    );
+  };
+
   return (
     <ScreenContainer scroll style={styles.container}>
       <View style={styles.formContainer}>
@@ -727,6 +1185,15 @@ const AddAssignmentScreen = ({ navigation, route }) => {
           <Icon name="calendar-today" size={20} color={CustomColors.primary} />
         </TouchableOpacity>
 
+        {isEditing && currentAssignment?.seriesId ? (
+          <View style={styles.recurrenceInfo}>
+            <Icon name="repeat" size={18} color={CustomColors.primary} />
+            <Text style={styles.recurrenceInfoText}>
+              {`${describeRecurrenceRule(currentAssignment.recurrence)} · Occurrence ${currentAssignment.occurrenceIndex} of ${currentAssignment.occurrenceCount}. Changes only apply to this occurrence.`}
+            </Text>
+          </View>
+        ) : !isEditing && renderRecurrenceSection()}
+
         <View style={styles.groupTypeContainer}>
           <Text style={styles.label}>Assignment Type</Text>
           <View style={styles.switchContainer}>
@@ -766,6 +1233,21 @@ const AddAssignmentScreen = ({ navigation, route }) => {
               </TouchableOpacity>
             </View>
             
+            <View style={styles.recurrenceRow}>
+              <Text style={[styles.recurrenceRowLabel, styles.groupLimitLabel]}>Max students per group</Text>
+              <TextInput
+                style={[styles.input, styles.recurrenceNumberInput]}
+                value={maxGroupSize}
+                onChangeText={value => setMaxGroupSize(value.replace(/[^0-9]/g, ''))}
+                placeholder="-"
+                placeholderTextColor={CustomColors.textSecondary}
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+            {renderGroupDeadline('Join deadline', 'join', groupJoinDeadline)}
+            {renderGroupDeadline('Leave deadline', 'leave', groupLeaveDeadline)}
+            
             {classMembers.length > 0 && (
               <View style={styles.randomizationContainer}>
                 <TouchableOpacity 
@@ -776,6 +1258,28 @@ const AddAssignmentScreen = ({ navigation, route }) => {
                   <Text style={styles.randomizationModeText}>{randomizationMode}</Text>
                   <Icon name="arrow-drop-down" size={24} color={CustomColors.text} />
                 </TouchableOpacity>
+
+                <View style={styles.drawOptionsRow}>
+                  <TouchableOpacity 
+                    style={[styles.randomizationModeButton, styles.groupRulesButton]}
+                    onPress={() => setShowGroupRulesModal(true)}
+                  >
+                    <Icon name="rule" size={20} color={CustomColors.text} />
+                    <Text style={styles.randomizationModeText}>
+                      {`Rules (${groupRules.leaders.length + groupRules.together.length + groupRules.apart.length})`}
+                    </Text>
+                  </TouchableOpacity>
+                  <TextInput
+                    style={[styles.input, styles.seedInput]}
+                    value={drawSeed}
+                    onChangeText={setDrawSeed}
+                    placeholder="Seed (optional)"
+                    placeholderTextColor={CustomColors.textSecondary}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={12}
+                  />
+                </View>
                 
                 <TouchableOpacity 
                   style={styles.randomizeButton}
@@ -794,6 +1298,12 @@ const AddAssignmentScreen = ({ navigation, route }) => {
               </View>
             )}
             
+            {groupDraw && (
+              <Text style={styles.groupDrawInfo}>
+                {`${groupDraw.mode} · seed ${groupDraw.seed}${groupDraw.editedAfterDraw ? ' · changed by hand after the draw' : ''}`}
+              </Text>
+            )}
+
             {groups.map((group, index) => renderGroupItem(group, index))}
           </View>
         )}
@@ -810,6 +1320,47 @@ const AddAssignmentScreen = ({ navigation, route }) => {
           textAlignVertical="top"
         />
 
+        <Text style={styles.label}>Rubric</Text>
+        <TouchableOpacity
+          style={styles.selector}
+          onPress={() => setShowRubricModal(true)}
+        >
+          <Text style={rubric ? styles.selectorText : styles.selectorPlaceholder}>
+            {rubric
+              ? `${rubric.name} (${rubric.criteria.length} criteria, ${getRubricMaxPoints(rubric)} points)`
+              : 'Grade with a single score'}
+          </Text>
+          <Icon name="arrow-drop-down" size={24} color={CustomColors.primary} />
+        </TouchableOpacity>
+
+        <Text style={styles.label}>Attachments</Text>
+        {attachments.map((attachment, index) => (
+          <View key={attachment.filePath || `${attachment.name}_${index}`} style={styles.attachmentItem}>
+            <Icon
+              name={getAttachmentType(attachment.name)?.icon || 'insert-drive-file'}
+              size={22}
+              color={CustomColors.primary}
+            />
+            <View style={styles.attachmentInfo}>
+              <Text style={styles.attachmentName} numberOfLines={1}>{attachment.name}</Text>
+              <Text style={styles.attachmentMeta}>
+                {attachment.pending
+                  ? `${formatFileSize(attachment.size)} · uploaded when saved`
+                  : formatFileSize(attachment.size)}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => removeAttachment(index)} disabled={isSubmitting}>
+              <Icon name="close" size={20} color={CustomColors.error} />
+            </TouchableOpacity>
+          </View>
+        ))}
+        {canAttachFiles && attachments.length < MAX_ATTACHMENTS && (
+          <TouchableOpacity style={styles.addAttachmentButton} onPress={pickAttachments} disabled={isSubmitting}>
+            <Icon name="attach-file" size={20} color={CustomColors.primary} />
+            <Text style={styles.addAttachmentText}>Attach Worksheet or Rubric</Text>
+          </TouchableOpacity>
+        )}
+
         <View style={styles.buttonContainer}>
           {isEditing && (
             <TouchableOpacity
@@ -834,7 +1385,7 @@ const AddAssignmentScreen = ({ navigation, route }) => {
               styles.saveButton, 
               (!title.trim() || !selectedSubject || !selectedType || isLoading || isDeleting) ? styles.disabledButton : null
             ]}
-            onPress={handleSave}
+            onPress={handleSaveAssignment}
             disabled={isLoading || isDeleting || !title.trim() || !selectedSubject || !selectedType}
           >
             {isLoading ? (
@@ -1063,6 +1614,73 @@ const AddAssignmentScreen = ({ navigation, route }) => {
         </View>
       </Modal>
       
+      <GroupRulesModal
+        visible={showGroupRulesModal}
+        onClose={() => setShowGroupRulesModal(false)}
+        members={classMembers}
+        rules={groupRules}
+        onChange={setGroupRules}
+      />
+
+      {/* Rubric Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={showRubricModal}
+        onRequestClose={() => setShowRubricModal(false)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Select Rubric</Text>
+              <TouchableOpacity onPress={() => setShowRubricModal(false)}>
+                <Icon name="close" size={24} color={CustomColors.text} />
+              </TouchableOpacity>
+            </View>
+
+            <FlatList
+              data={classRubrics}
+              keyExtractor={(item) => item.id}
+              renderItem={renderRubricItem}
+              style={styles.modalList}
+              ListHeaderComponent={
+                <TouchableOpacity
+                  style={styles.modalItem}
+                  onPress={() => {
+                    setRubric(null);
+                    setShowRubricModal(false);
+                  }}
+                >
+                  <View style={styles.modalItemInfo}>
+                    <Text style={styles.modalItemText}>No rubric</Text>
+                    <Text style={styles.modalItemDescription}>Grade with a single score out of 100</Text>
+                  </View>
+                  {!rubric && (
+                    <Icon name="check" size={20} color={CustomColors.primary} />
+                  )}
+                </TouchableOpacity>
+              }
+              ListFooterComponent={
+                <View style={styles.emptyContainer}>
+                  <TouchableOpacity style={styles.addButton} onPress={() => openRubricEditor(null)}>
+                    <Text style={styles.addButtonText}>New Rubric</Text>
+                  </TouchableOpacity>
+                </View>
+              }
+            />
+          </View>
+        </View>
+      </Modal>
+
+      <RubricEditorModal
+        visible={showRubricEditor}
+        onClose={() => setShowRubricEditor(false)}
+        rubric={editingRubric}
+        onSave={handleSaveRubric}
+        onDelete={handleDeleteRubric}
+        saving={savingRubric}
+      />
+      
       {showDatePicker && (
         <DateTimePicker
           value={customDeadline}
@@ -1072,6 +1690,26 @@ const AddAssignmentScreen = ({ navigation, route }) => {
           onChange={handleDateChange}
         />
       )}
+      
+      {groupDeadlinePicker && (
+        <DateTimePicker
+          value={groupDeadlinePicker.value}
+          mode={groupDeadlinePicker.mode}
+          is24Hour={true}
+          display="default"
+          onChange={handleGroupDeadlineChange}
+        />
+      )}
+      
+      {showUntilPicker && (
+        <DateTimePicker
+          value={recurrenceUntil}
+          mode="date"
+          display="default"
+          minimumDate={new Date()}
+          onChange={handleUntilDateChange}
+        />
+      )}
     </ScreenContainer>
   );
 };
@@ -1081,6 +1719,88 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: CustomColors.background,
   },
+  recurrenceContainer: {
+    marginBottom: 16,
+  },
+  recurrenceInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: CustomColors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  recurrenceInfoText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: CustomColors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  optionChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: CustomColors.inputBorder,
+    backgroundColor: CustomColors.surface,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  weekdayChip: {
+    width: 44,
+    paddingVertical: 8,
+    alignItems: 'center',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: CustomColors.inputBorder,
+    backgroundColor: CustomColors.surface,
+    marginRight: 6,
+    marginBottom: 8,
+  },
+  optionChipActive: {
+    backgroundColor: CustomColors.primary,
+    borderColor: CustomColors.primary,
+  },
+  optionChipText: {
+    fontSize: 13,
+    color: CustomColors.text,
+  },
+  optionChipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  recurrenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  recurrenceRowLabel: {
+    fontSize: 14,
+    color: CustomColors.text,
+    marginHorizontal: 8,
+  },
+  recurrenceNumberInput: {
+    width: 64,
+    marginBottom: 0,
+    textAlign: 'center',
+  },
+  recurrenceSubLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: CustomColors.secondary,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  recurrencePreview: {
+    fontSize: 13,
+    color: CustomColors.textSecondary,
+    fontStyle: 'italic',
+  },
   formContainer: {
     padding: 20,
   },
@@ -1127,6 +1847,46 @@ const styles = StyleSheet.create({
     minHeight: 100,
     textAlignVertical: 'top',
   },
+  attachmentItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: CustomColors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: CustomColors.inputBorder,
+  },
+  attachmentInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  attachmentName: {
+    fontSize: 15,
+    color: CustomColors.text,
+  },
+  attachmentMeta: {
+    fontSize: 12,
+    color: CustomColors.textSecondary,
+    marginTop: 2,
+  },
+  addAttachmentButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: CustomColors.primary,
+    padding: 12,
+    marginBottom: 16,
+  },
+  addAttachmentText: {
+    fontSize: 15,
+    color: CustomColors.primary,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
   selector: {
     backgroundColor: CustomColors.surface,
     borderRadius: 12,
@@ -1254,6 +2014,15 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: CustomColors.text,
   },
+  modalItemInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  modalItemDescription: {
+    fontSize: 13,
+    color: CustomColors.textSecondary,
+    marginTop: 2,
+  },
   emptyContainer: {
     padding: 24,
     alignItems: 'center',
@@ -1272,9 +2041,22 @@ const styles = StyleSheet.create({
     color: '#FFFFFF',
     fontWeight: 'bold',
   },
+  rubricEditButton: {
+    padding: 4,
+    marginLeft: 12,
+  },
   groupSettingsContainer: {
     marginBottom: 16,
   },
+  groupLimitLabel: {
+    flex: 1,
+    marginLeft: 0,
+  },
+  groupDeadlineSelector: {
+    marginBottom: 0,
+    marginRight: 8,
+    paddingVertical: 10,
+  },
   groupCountRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1382,6 +2164,24 @@ const styles = StyleSheet.create({
     color: CustomColors.text,
     marginLeft: 8,
   },
+  drawOptionsRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  groupRulesButton: {
+    flex: 1,
+    marginRight: 8,
+  },
+  seedInput: {
+    flex: 1,
+    marginBottom: 12,
+    fontSize: 14,
+  },
+  groupDrawInfo: {
+    fontSize: 13,
+    color: CustomColors.textSecondary,
+    marginBottom: 8,
+  },
   randomizeButton: {
     backgroundColor: CustomColors.primary,
     borderRadius: 12,
@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect, useCallback } from "react"
+import { useState, useEffect, useCallback, useRef } from "react"
 import {
   View,
   Text,
@@ -13,6 +13,8 @@ import {
   BackHandler,
   StatusBar,
   Animated,
+  TextInput,
+  AppState,
 } from "react-native"
 import Icon from "react-native-vector-icons/MaterialCommunityIcons"
 import firestore from "@react-native-firebase/firestore"
@@ -20,6 +22,24 @@ import auth from "@react-native-firebase/auth"
 import LinearGradient from "react-native-linear-gradient"
 import Markdown from "react-native-markdown-display"
 import { useClass } from "../context/ClassContext"
+import { submitQuizResult, getQuizAttempts, getQuizAnswerKey, startQuizExam } from "../utils/firestore"
+import { computeQuizAnalytics, NO_ANSWER_LABEL } from "../utils/quizAnalytics"
+import {
+  EXAM_WARNING_SECONDS,
+  EXAM_WINDOW_STATUS,
+  normalizeExamSettings,
+  getExamWindowStatus,
+  getQuestionOrder,
+  getOptionOrder,
+} from "../utils/quizExam"
+import QuizExamSettingsModal from "../components/QuizExamSettingsModal"
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_HINTS,
+  getQuestionType,
+  isAnswered,
+  shuffleOrdering,
+} from "../utils/quiz"
 import { t } from "../translations"
 import AsyncStorage from "@react-native-async-storage/async-storage"
 import { useFocusEffect } from "@react-navigation/native"
@@ -59,7 +79,8 @@ const AiMaterialDetails = ({ route, navigation }) => {
   const [quizFinished, setQuizFinished] = useState(false)
   const [currentQuestion, setCurrentQuestion] = useState(0)
   const [userAnswers, setUserAnswers] = useState([])
-  const [quizScore, setQuizScore] = useState(0)
+  // The graded attempt from submitQuizResult, null while it's being graded
+  const [quizResult, setQuizResult] = useState(null)
   const [quizTimer, setQuizTimer] = useState(0)
   const [quizStartTime, setQuizStartTime] = useState(null)
   const [quizEndTime, setQuizEndTime] = useState(null)
@@ -76,7 +97,28 @@ const AiMaterialDetails = ({ route, navigation }) => {
     crown: new Animated.Value(0),
   })
 
-  const { classId: contextClassId, currentClass } = useClass()
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [analytics, setAnalytics] = useState(null)
+  const [analyticsLoading, setAnalyticsLoading] = useState(false)
+  // Seconds spent on each question, and when the current one was shown
+  const questionTimesRef = useRef([])
+  const questionShownAtRef = useRef(null)
+  // Question indexes in the order they are shown, exams may shuffle them
+  const [questionOrder, setQuestionOrder] = useState([])
+  // Exam session from startQuizExam with its start and end on the device's clock, null outside exams
+  const [examSession, setExamSession] = useState(null)
+  const [examStarting, setExamStarting] = useState(false)
+  const [examSettingsVisible, setExamSettingsVisible] = useState(false)
+  // Times the app was left during the exam, and when it was left the last time
+  const backgroundEventsRef = useRef([])
+  const leftAppAtRef = useRef(null)
+  // Checks the exam's time limits every second, kept in a ref for the timer effect
+  const examTickRef = useRef(null)
+
+  const { classId: contextClassId, currentClass, isUserClassAdmin } = useClass()
+  // The context makes a new isUserClassAdmin on every render, the admin check only needs the latest
+  const isUserClassAdminRef = useRef(isUserClassAdmin)
+  isUserClassAdminRef.current = isUserClassAdmin
   const currentUser = auth().currentUser
 
   // Animate podium entrance
@@ -143,9 +185,14 @@ const AiMaterialDetails = ({ route, navigation }) => {
   // Handle back button presses during quiz
   useFocusEffect(
     useCallback(() => {
+      // The exam session keeps running after leaving, only the answers so far are lost
+      const quitMessage = examSession
+        ? t("If you leave now, your answers will be lost but the exam time keeps running.")
+        : t("If you leave now, your progress will be lost.")
+
       const onBackPress = () => {
         if (quizStarted && !quizFinished) {
-          Alert.alert(t("Quit Quiz?"), t("If you leave now, your progress will be lost."), [
+          Alert.alert(t("Quit Quiz?"), quitMessage, [
             { text: t("Stay"), style: "cancel" },
             {
               text: t("Quit"),
@@ -177,7 +224,7 @@ const AiMaterialDetails = ({ route, navigation }) => {
         e.preventDefault()
 
         // Prompt the user before leaving
-        Alert.alert(t("Quit Quiz?"), t("If you leave now, your progress will be lost."), [
+        Alert.alert(t("Quit Quiz?"), quitMessage, [
           { text: t("Stay"), style: "cancel" },
           {
             text: t("Quit"),
@@ -197,7 +244,7 @@ const AiMaterialDetails = ({ route, navigation }) => {
         backHandler.remove()
         unsubscribe()
       }
-    }, [quizStarted, quizFinished, navigation]),
+    }, [quizStarted, quizFinished, examSession, navigation]),
   )
 
   // Try to resolve classId from various sources if not provided in route
@@ -248,20 +295,60 @@ const AiMaterialDetails = ({ route, navigation }) => {
     }
   }, [materialId, activeClassId])
 
+  // Teachers and class admins get the Analytics tab
+  useEffect(() => {
+    if (!activeClassId) return
+    let cancelled = false
+    isUserClassAdminRef.current(activeClassId).then((adminStatus) => {
+      if (!cancelled) setIsAdmin(adminStatus)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [activeClassId])
+
   // Timer effect
   useEffect(() => {
     let intervalId
 
     if (quizStarted && !quizFinished) {
+      // Exams count from their start, timers don't run while the app is in the background
       intervalId = setInterval(() => {
-        setQuizTimer((prev) => prev + 1)
+        setQuizTimer((prev) => (examSession ? Math.round((Date.now() - examSession.startedAtLocal) / 1000) : prev + 1))
       }, 1000)
     }
 
     return () => {
       if (intervalId) clearInterval(intervalId)
     }
-  }, [quizStarted, quizFinished])
+  }, [quizStarted, quizFinished, examSession])
+
+  // Exams end when their time runs out, and questions with a time limit move on
+  useEffect(() => {
+    if (quizStarted && !quizFinished && examSession) {
+      examTickRef.current()
+    }
+  }, [quizTimer, quizStarted, quizFinished, examSession])
+
+  // Leaving the app during an exam is recorded on the result
+  useEffect(() => {
+    if (!quizStarted || quizFinished || !examSession) return
+
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state !== "active") {
+        if (leftAppAtRef.current === null) leftAppAtRef.current = Date.now()
+        return
+      }
+      if (leftAppAtRef.current !== null) {
+        backgroundEventsRef.current.push({
+          leftAt: Math.round((leftAppAtRef.current - examSession.startedAtLocal) / 1000),
+          seconds: Math.round((Date.now() - leftAppAtRef.current) / 1000),
+        })
+        leftAppAtRef.current = null
+      }
+    })
+    return () => subscription.remove()
+  }, [quizStarted, quizFinished, examSession])
 
   const loadMaterialDetails = async () => {
     if (!activeClassId) {
@@ -311,8 +398,24 @@ const AiMaterialDetails = ({ route, navigation }) => {
   const loadScoreboard = async (materialData) => {
     setScoresLoading(true)
     try {
-      // Use the scoreBoard field from the materialData
-      let scoreboardData = materialData.scoreBoard || []
+      // Each user's score is its own document in the scores subcollection,
+      // older materials still keep them in the scoreBoard array
+      const scoresSnapshot = await firestore()
+        .collection("classes")
+        .doc(activeClassId)
+        .collection("aiMaterials")
+        .doc(materialData.id)
+        .collection("scores")
+        .get()
+      const legacyScores = materialData.scoreBoard || []
+      const scoresByUser = {}
+      legacyScores.forEach((score) => {
+        if (score && score.userId) scoresByUser[score.userId] = score
+      })
+      scoresSnapshot.docs.forEach((doc) => {
+        scoresByUser[doc.id] = { userId: doc.id, ...doc.data() }
+      })
+      let scoreboardData = Object.values(scoresByUser)
       
       // Check if current user has attempted this quiz
       const userAttempted = currentUser ? scoreboardData.some(score => score.userId === currentUser.uid) : false
@@ -339,7 +442,9 @@ const AiMaterialDetails = ({ route, navigation }) => {
     }
   }
 
-  const startQuiz = () => {
+  // Exams start with a session from the server that fixes the question order and when the exam
+  // ends. Coming back to an exam that wasn't submitted resumes it, with the time still running
+  const startQuiz = async () => {
     if (userHasAttempted) {
       Alert.alert("Quiz Already Completed", "You have already completed this quiz. You can only take it once.", [
         { text: "OK" },
@@ -347,22 +452,106 @@ const AiMaterialDetails = ({ route, navigation }) => {
       return
     }
 
+    let session = null
+    if (normalizeExamSettings(material.examSettings).enabled) {
+      setExamStarting(true)
+      const result = await startQuizExam(activeClassId, materialId)
+      setExamStarting(false)
+      if (!result.success) {
+        Alert.alert(t("Cannot start the exam"), result.error)
+        return
+      }
+
+      // The session's times are on the server's clock, the device's may be off
+      const clockOffset = Date.now() - result.session.serverTime
+      session = {
+        ...result.session,
+        startedAtLocal: result.session.startedAt + clockOffset,
+        endsAtLocal: result.session.endsAt !== null ? result.session.endsAt + clockOffset : null,
+      }
+      backgroundEventsRef.current = []
+      leftAppAtRef.current = null
+      if (session.resumed) {
+        Alert.alert(t("Exam resumed"), t("The exam time kept running while you were away. Answer the questions again."))
+      }
+    }
+
+    setExamSession(session)
+    setQuestionOrder(getQuestionOrder(session, material.quizQuestions.length))
     setQuizStarted(true)
     setQuizStartTime(new Date())
+    setQuizTimer(session ? Math.round((Date.now() - session.startedAtLocal) / 1000) : 0)
     setCurrentQuestion(0)
-    setUserAnswers([])
+    questionTimesRef.current = material.quizQuestions.map(() => 0)
+    questionShownAtRef.current = Date.now()
+    // Ordering questions start with their items shuffled, which already counts as an answer
+    setUserAnswers(
+      material.quizQuestions.map((question) =>
+        getQuestionType(question) === QUESTION_TYPES.ORDERING ? shuffleOrdering(question.items.length) : undefined,
+      ),
+    )
   }
 
-  const handleAnswerSelect = (questionIndex, answerIndex) => {
-    console.log("Quiz: Answer selected", { questionIndex, answerIndex })
+  const handleAnswerSelect = (questionIndex, answer) => {
+    console.log("Quiz: Answer selected", { questionIndex, answer })
     const newAnswers = [...userAnswers]
-    newAnswers[questionIndex] = answerIndex
+    newAnswers[questionIndex] = answer
     console.log("Quiz: Updated userAnswers", newAnswers)
     setUserAnswers(newAnswers)
   }
 
+  const toggleMultiSelectOption = (questionIndex, optionIndex) => {
+    const selected = userAnswers[questionIndex] || []
+    handleAnswerSelect(
+      questionIndex,
+      selected.includes(optionIndex)
+        ? selected.filter((index) => index !== optionIndex)
+        : [...selected, optionIndex].sort((a, b) => a - b),
+    )
+  }
+
+  const moveOrderingItem = (questionIndex, position, direction) => {
+    const order = [...userAnswers[questionIndex]]
+    const target = position + direction
+    if (target < 0 || target >= order.length) return
+    ;[order[position], order[target]] = [order[target], order[position]]
+    handleAnswerSelect(questionIndex, order)
+  }
+
+  // Index in the quiz of the question shown
+  const questionIndex = questionOrder.length > 0 ? questionOrder[currentQuestion] : currentQuestion
+
+  // Add the time since the current question was shown to its total
+  const recordQuestionTime = () => {
+    const now = Date.now()
+    questionTimesRef.current[questionIndex] += (now - questionShownAtRef.current) / 1000
+    questionShownAtRef.current = now
+  }
+
+  // Seconds left of the exam and of the current question, null without a limit
+  const getExamSecondsLeft = () =>
+    examSession && examSession.endsAtLocal !== null
+      ? Math.max(0, Math.ceil((examSession.endsAtLocal - Date.now()) / 1000))
+      : null
+
+  const getQuestionSecondsLeft = () => {
+    if (!examSession || !examSession.questionTimeLimitSeconds) return null
+    const spent = questionTimesRef.current[questionIndex] + (Date.now() - questionShownAtRef.current) / 1000
+    return Math.max(0, Math.ceil(examSession.questionTimeLimitSeconds - spent))
+  }
+
+  examTickRef.current = () => {
+    if (getExamSecondsLeft() === 0) {
+      recordQuestionTime()
+      finishQuiz(true)
+    } else if (getQuestionSecondsLeft() === 0) {
+      goToNextQuestion()
+    }
+  }
+
   const goToNextQuestion = () => {
     console.log("Quiz: Next button pressed", { currentQuestion, totalQuestions: material.quizQuestions.length })
+    recordQuestionTime()
 
     if (currentQuestion < material.quizQuestions.length - 1) {
       console.log("Quiz: Moving to next question", currentQuestion + 1)
@@ -375,111 +564,84 @@ const AiMaterialDetails = ({ route, navigation }) => {
 
   const goToPreviousQuestion = () => {
     if (currentQuestion > 0) {
+      recordQuestionTime()
       setCurrentQuestion(currentQuestion - 1)
     }
   }
 
-  const finishQuiz = () => {
+  const finishQuiz = (timeUp = false) => {
     const endTime = new Date()
     setQuizEndTime(endTime)
     setQuizFinished(true)
 
-    // Calculate score
-    let correctAnswers = 0
-    material.quizQuestions.forEach((question, index) => {
-      if (userAnswers[index] === question.correctAnswer) {
-        correctAnswers++
-      }
-    })
-
-    const score = (correctAnswers / material.quizQuestions.length) * 100
-    setQuizScore(score)
-
-    // Calculate time bonus (faster = higher bonus)
-    // Maximum time bonus for finishing in under 30 seconds per question
-    const totalTimeSeconds = quizTimer
-    const optimalTimeSeconds = material.quizQuestions.length * 30
-    const timeBonus = Math.max(0, 100 - (totalTimeSeconds / optimalTimeSeconds) * 100)
+    setQuizResult(null)
 
-    // Save results
-    saveQuizResults(score, timeBonus, totalTimeSeconds, endTime)
+    // The material has no answers, the submitQuizResult function grades the quiz and awards the XP
+    saveQuizResults(quizTimer, timeUp)
   }
 
-  const saveQuizResults = async (score, timeBonus, totalTimeSeconds, endTime) => {
+  const saveQuizResults = async (totalTimeSeconds, timeUp) => {
     if (!activeClassId || !currentUser) {
       console.error("Cannot save quiz results - no active class ID or user is not logged in")
       Alert.alert("Error", "Failed to save quiz results")
+      setQuizResult({ error: true })
       return
     }
 
-    try {
-      // Calculate total score based on correct answers and time bonus
-      const totalScore = Math.round(score * 0.7 + timeBonus * 0.3)
-
-      // Calculate XP to award (50 XP per question, scaled by score percentage)
-      const baseXP = material.quizQuestions.length * 50
-      const earnedXP = Math.round(baseXP * (score / 100))
-
-      // Create score record
-      const scoreData = {
-        userId: currentUser.uid,
-        displayName: currentUser.displayName || "Anonymous",
-        score: score,
-        timeBonus: timeBonus,
-        totalScore: totalScore,
-        completionTime: totalTimeSeconds,
-        completedAt: new Date(),
-        earnedXP: earnedXP
-      }
+    console.log("Submitting quiz results for user:", currentUser.uid, "in material:", materialId)
 
-      console.log("Saving quiz results for user:", currentUser.uid, "in material:", materialId)
-      
-      // Update the AI material document with the new score - this should work now that the rules allow updates
-      const aiMaterialRef = firestore()
-        .collection("classes")
-        .doc(activeClassId)
-        .collection("aiMaterials")
-        .doc(materialId)
-      
-      // Get the current document to check if scoreBoard exists
-      const materialDoc = await aiMaterialRef.get()
-      const materialData = materialDoc.data()
-      
-      // Initialize scoreBoard if it doesn't exist or append to it
-      const updatedScoreBoard = materialData.scoreBoard || []
-      
-      // Check if user already has a score in the scoreBoard
-      const existingScoreIndex = updatedScoreBoard.findIndex(s => s.userId === currentUser.uid)
-      
-      if (existingScoreIndex >= 0) {
-        // Update existing score
-        updatedScoreBoard[existingScoreIndex] = scoreData
-      } else {
-        // Add new score
-        updatedScoreBoard.push(scoreData)
-      }
-      
-      // Update the document
-      await aiMaterialRef.update({
-        scoreBoard: updatedScoreBoard
-      })
-      
-      // Update user's XP
-      await firestore().collection("users").doc(currentUser.uid).update({
-        exp: firestore.FieldValue.increment(earnedXP),
-      })
+    // The answers are graded again on the server, which saves the score and awards the XP
+    const submitResult = await submitQuizResult(
+      activeClassId,
+      materialId,
+      userAnswers,
+      totalTimeSeconds,
+      questionTimesRef.current.map((seconds) => Math.round(seconds)),
+      examSession ? backgroundEventsRef.current : [],
+    )
+    if (!submitResult.success) {
+      Alert.alert("Error", examSession ? submitResult.error : "Failed to save quiz results")
+      setQuizResult({ error: true })
+      return
+    }
 
-      // Refresh material data
-      loadMaterialDetails()
+    // Partly right answers count for part of a question
+    const { score, credits, earnedXP, xpGained } = submitResult.result
+    setQuizResult({ score, credits: credits || [] })
 
-      // Show completion message
-      Alert.alert("Quiz Completed!", `You scored ${score.toFixed(1)}% and earned ${earnedXP} XP!`, [
-        { text: "View Results", onPress: () => setActiveTab("scoreboard") },
-      ])
-    } catch (error) {
-      console.error("Error saving quiz results:", error)
-      Alert.alert("Error", "Failed to save quiz results")
+    // Refresh material data
+    loadMaterialDetails()
+
+    // Retakes only earn the XP above the best attempt so far
+    const xpMessage = xpGained < earnedXP
+      ? `You earned ${xpGained} more XP (${earnedXP} XP for this attempt).`
+      : `You earned ${earnedXP} XP!`
+
+    // Show completion message
+    Alert.alert(timeUp ? t("Time's up!") : "Quiz Completed!", `You scored ${score.toFixed(1)}%. ${xpMessage}`, [
+      { text: "View Results", onPress: () => setActiveTab("scoreboard") },
+    ])
+  }
+
+  const loadAnalytics = async () => {
+    setAnalyticsLoading(true)
+    const [result, answerKey] = await Promise.all([
+      getQuizAttempts(activeClassId, materialId),
+      getQuizAnswerKey(activeClassId, materialId),
+    ])
+    if (result.success && answerKey.success) {
+      // Attempts are saved with the answers to the questions of the answer key
+      const quizQuestions = answerKey.quizQuestions || material.quizQuestions
+      setAnalytics(computeQuizAnalytics({ ...material, quizQuestions }, result.attempts))
+    } else {
+      Alert.alert(t("Error"), t("Failed to load quiz analytics"))
     }
+    setAnalyticsLoading(false)
+  }
+
+  const openAnalytics = () => {
+    setActiveTab("analytics")
+    loadAnalytics()
   }
 
   const formatTime = (seconds) => {
@@ -499,6 +661,22 @@ const AiMaterialDetails = ({ route, navigation }) => {
     }
   }
 
+  // What teachers see of how an exam went, restarts and time spent outside the app. Late
+  // submissions are rejected now, only exams graded before were saved as late
+  const describeExamResult = (exam) => {
+    if (!exam) return ""
+    let text = ""
+    if (exam.late) text += `\n⏰ ${t("Submitted after the time limit")}`
+    if (exam.backgroundCount > 0) {
+      text += `\n📱 ${t("Left the app {count} times ({time})", {
+        count: exam.backgroundCount,
+        time: formatTime(exam.backgroundSeconds || 0),
+      })}`
+    }
+    if (exam.resumeCount > 0) text += `\n🔁 ${t("Restarted the exam {count} times", { count: exam.resumeCount })}`
+    return text
+  }
+
   const handlePodiumUserPress = (user, rank) => {
     setSelectedPodiumUser({ ...user, rank })
     
@@ -511,7 +689,8 @@ const AiMaterialDetails = ({ route, navigation }) => {
       `📊 Score: ${user.score?.toFixed(1)}%\n` +
       `⏱️ Time: ${formatTime(user.completionTime || 0)}\n` +
       `✨ XP Earned: ${user.earnedXP || 0}\n` +
-      `📅 Completed: ${formatDate(user.completedAt)}`,
+      `📅 Completed: ${formatDate(user.completedAt)}` +
+      (isAdmin ? describeExamResult(user.exam) : ""),
       [
         { text: "Close", style: "cancel" }
       ]
@@ -544,7 +723,9 @@ const AiMaterialDetails = ({ route, navigation }) => {
           size={20}
           color={activeTab === "summary" ? AppColors.primary : AppColors.textSecondary}
         />
-        <Text style={[styles.tabText, activeTab === "summary" && styles.activeTabText]}>{t("Summary")}</Text>
+        {(!isAdmin || activeTab === "summary") && (
+          <Text style={[styles.tabText, activeTab === "summary" && styles.activeTabText]}>{t("Summary")}</Text>
+        )}
       </TouchableOpacity>
 
       <TouchableOpacity
@@ -556,7 +737,9 @@ const AiMaterialDetails = ({ route, navigation }) => {
           size={20}
           color={activeTab === "quiz" ? AppColors.primary : AppColors.textSecondary}
         />
-        <Text style={[styles.tabText, activeTab === "quiz" && styles.activeTabText]}>{t("Quiz")}</Text>
+        {(!isAdmin || activeTab === "quiz") && (
+          <Text style={[styles.tabText, activeTab === "quiz" && styles.activeTabText]}>{t("Quiz")}</Text>
+        )}
       </TouchableOpacity>
 
       <TouchableOpacity
@@ -568,8 +751,23 @@ const AiMaterialDetails = ({ route, navigation }) => {
           size={20}
           color={activeTab === "scoreboard" ? AppColors.primary : AppColors.textSecondary}
         />
-        <Text style={[styles.tabText, activeTab === "scoreboard" && styles.activeTabText]}>{t("Scoreboard")}</Text>
+        {(!isAdmin || activeTab === "scoreboard") && (
+          <Text style={[styles.tabText, activeTab === "scoreboard" && styles.activeTabText]}>{t("Scoreboard")}</Text>
+        )}
       </TouchableOpacity>
+
+      {isAdmin && (
+        <TouchableOpacity style={[styles.tab, activeTab === "analytics" && styles.activeTab]} onPress={openAnalytics}>
+          <Icon
+            name="chart-bar"
+            size={20}
+            color={activeTab === "analytics" ? AppColors.primary : AppColors.textSecondary}
+          />
+          {activeTab === "analytics" && (
+            <Text style={[styles.tabText, styles.activeTabText]}>{t("Analytics")}</Text>
+          )}
+        </TouchableOpacity>
+      )}
     </View>
   )
 
@@ -579,28 +777,180 @@ const AiMaterialDetails = ({ route, navigation }) => {
     </ScrollView>
   )
 
+  const renderOption = (option, idx, selected, onPress, label) => (
+    <TouchableOpacity
+      key={idx}
+      style={[styles.optionButton, selected && styles.selectedOption]}
+      onPress={onPress}
+    >
+      <View style={[styles.optionLabel, selected && styles.selectedOptionLabel]}>
+        <Text style={[styles.optionLabelText, selected && styles.selectedOptionLabelText]}>{label}</Text>
+      </View>
+      <Text style={[styles.optionText, selected && styles.selectedOptionText]}>{option}</Text>
+    </TouchableOpacity>
+  )
+
+  const renderAnswerInput = (question) => {
+    const answer = userAnswers[questionIndex]
+    // Options in the order this student sees them, answers keep the option indexes of the quiz
+    const optionOrder = getOptionOrder(examSession, questionIndex, (question.options || []).length)
+
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.MULTI_SELECT:
+        return (
+          <View style={styles.optionsContainer}>
+            {optionOrder.map((idx) => {
+              const selected = (answer || []).includes(idx)
+              return renderOption(
+                question.options[idx],
+                idx,
+                selected,
+                () => toggleMultiSelectOption(questionIndex, idx),
+                <Icon name={selected ? "check" : "plus"} size={18} color={selected ? "#FFFFFF" : AppColors.secondary} />,
+              )
+            })}
+          </View>
+        )
+
+      case QUESTION_TYPES.SHORT_ANSWER:
+        return (
+          <View style={styles.optionsContainer}>
+            <TextInput
+              style={styles.shortAnswerInput}
+              value={answer || ""}
+              onChangeText={(text) => handleAnswerSelect(questionIndex, text)}
+              placeholder={t("Your answer")}
+              placeholderTextColor={AppColors.textSecondary}
+              autoCapitalize="none"
+              autoCorrect={false}
+              maxLength={200}
+            />
+          </View>
+        )
+
+      case QUESTION_TYPES.ORDERING:
+        return (
+          <View style={styles.optionsContainer}>
+            {(answer || []).map((itemIndex, position) => (
+              <View key={itemIndex} style={styles.optionButton}>
+                <View style={styles.optionLabel}>
+                  <Text style={styles.optionLabelText}>{position + 1}</Text>
+                </View>
+                <Text style={styles.optionText}>{question.items[itemIndex]}</Text>
+                <TouchableOpacity
+                  style={styles.orderButton}
+                  onPress={() => moveOrderingItem(questionIndex, position, -1)}
+                  disabled={position === 0}
+                >
+                  <Icon
+                    name="chevron-up"
+                    size={24}
+                    color={position === 0 ? AppColors.divider : AppColors.primary}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.orderButton}
+                  onPress={() => moveOrderingItem(questionIndex, position, 1)}
+                  disabled={position === answer.length - 1}
+                >
+                  <Icon
+                    name="chevron-down"
+                    size={24}
+                    color={position === answer.length - 1 ? AppColors.divider : AppColors.primary}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )
+
+      default:
+        return (
+          <View style={styles.optionsContainer}>
+            {optionOrder.map((idx, position) =>
+              renderOption(
+                question.options[idx],
+                idx,
+                answer === idx,
+                () => handleAnswerSelect(questionIndex, idx),
+                String.fromCharCode(65 + position),
+              ),
+            )}
+          </View>
+        )
+    }
+  }
+
+  const renderExamInfoRow = (iconName, text) => (
+    <View style={styles.examInfoRow}>
+      <Icon name={iconName} size={18} color={AppColors.primary} />
+      <Text style={styles.examInfoText}>{text}</Text>
+    </View>
+  )
+
+  const renderExamInfo = (examSettings) => (
+    <View style={styles.examInfoCard}>
+      {renderExamInfoRow(
+        "timer-outline",
+        examSettings.timeLimitMinutes
+          ? t("{minutes} minutes for the whole exam", { minutes: examSettings.timeLimitMinutes })
+          : t("No time limit for the whole exam"),
+      )}
+      {examSettings.questionTimeLimitSeconds &&
+        renderExamInfoRow(
+          "timer-sand",
+          t("{seconds} seconds per question, without going back", { seconds: examSettings.questionTimeLimitSeconds }),
+        )}
+      {(examSettings.shuffleQuestions || examSettings.shuffleOptions) &&
+        renderExamInfoRow("shuffle-variant", t("Questions are in a different order for everyone"))}
+      {examSettings.opensAt && renderExamInfoRow("calendar-start", t("Opens {date}", { date: formatDate(examSettings.opensAt) }))}
+      {examSettings.closesAt && renderExamInfoRow("calendar-end", t("Closes {date}", { date: formatDate(examSettings.closesAt) }))}
+      {renderExamInfoRow("numeric-1-circle-outline", t("One attempt only"))}
+      {renderExamInfoRow("cellphone-arrow-down", t("Leaving the app during the exam is recorded"))}
+    </View>
+  )
+
   const renderQuiz = () => {
     if (!quizStarted) {
+      const examSettings = normalizeExamSettings(material.examSettings)
+      const windowStatus = getExamWindowStatus(examSettings)
+      const canStart = !examSettings.enabled || windowStatus === EXAM_WINDOW_STATUS.OPEN
+      let startLabel = t("Start Quiz")
+      if (examSettings.enabled) {
+        if (windowStatus === EXAM_WINDOW_STATUS.UPCOMING) startLabel = t("Not open yet")
+        else if (windowStatus === EXAM_WINDOW_STATUS.CLOSED) startLabel = t("Exam closed")
+        else startLabel = t("Start Exam")
+      }
+
       return (
-        <View style={styles.quizStartContainer}>
+        <ScrollView contentContainerStyle={styles.quizStartContainer} showsVerticalScrollIndicator={false}>
           <LinearGradient
             colors={[AppColors.primaryLight, AppColors.primary]}
             style={styles.quizIconContainer}
           >
-            <Icon name="brain" size={50} color="#FFFFFF" />
+            <Icon name={examSettings.enabled ? "clipboard-text-clock-outline" : "brain"} size={50} color="#FFFFFF" />
           </LinearGradient>
-          <Text style={styles.quizTitle}>{t("Test Your Knowledge")}</Text>
+          <Text style={styles.quizTitle}>{examSettings.enabled ? t("Exam") : t("Test Your Knowledge")}</Text>
           <Text style={styles.quizDescription}>
             {material.quizQuestions.length} {t("questions about")} "{material.title}"
           </Text>
-          <TouchableOpacity style={styles.startButton} onPress={startQuiz}>
+          {examSettings.enabled && renderExamInfo(examSettings)}
+          <TouchableOpacity
+            style={[styles.startButton, (!canStart || examStarting) && styles.disabledButton]}
+            onPress={startQuiz}
+            disabled={!canStart || examStarting}
+          >
             <LinearGradient
               colors={[AppColors.secondary, AppColors.primary]}
               start={{ x: 0, y: 0 }}
               end={{ x: 1, y: 0 }}
               style={styles.gradientButton}
             >
-              <Text style={styles.startButtonText}>{t("Start Quiz")}</Text>
+              {examStarting ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.startButtonText}>{startLabel}</Text>
+              )}
             </LinearGradient>
           </TouchableOpacity>
           {userHasAttempted && (
@@ -611,11 +961,45 @@ const AiMaterialDetails = ({ route, navigation }) => {
               </Text>
             </View>
           )}
+          <TouchableOpacity
+            style={styles.flashcardsButton}
+            onPress={() => navigation.navigate("FlashcardStudy", { classId: activeClassId, materialId })}
+          >
+            <Icon name="cards-outline" size={20} color={AppColors.primary} />
+            <Text style={styles.flashcardsButtonText}>{t("Study Flashcards")}</Text>
+          </TouchableOpacity>
+          {isAdmin && (
+            <TouchableOpacity style={styles.flashcardsButton} onPress={() => setExamSettingsVisible(true)}>
+              <Icon name="shield-lock-outline" size={20} color={AppColors.primary} />
+              <Text style={styles.flashcardsButtonText}>{t("Exam Settings")}</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )
+    }
+
+    if (quizFinished && !quizResult) {
+      return (
+        <View style={styles.loadingScoreboard}>
+          <ActivityIndicator size="large" color={AppColors.primary} />
+          <Text style={styles.loadingScoreboardText}>{t("Grading your answers...")}</Text>
+        </View>
+      )
+    }
+
+    if (quizFinished && quizResult.error) {
+      return (
+        <View style={styles.loadingScoreboard}>
+          <Icon name="alert-circle-outline" size={50} color={AppColors.error} />
+          <Text style={styles.loadingScoreboardText}>{t("Your answers could not be graded.")}</Text>
         </View>
       )
     }
 
     if (quizFinished) {
+      const { score: quizScore, credits } = quizResult
+      const partlyCorrectCount = credits.filter((credit) => credit > 0 && credit < 1).length
+
       return (
         <View style={styles.quizResultContainer}>
           <LinearGradient
@@ -641,25 +1025,25 @@ const AiMaterialDetails = ({ route, navigation }) => {
                 <Icon name="check" size={20} color="#FFFFFF" />
               </LinearGradient>
               <Text style={styles.statText}>
-                {
-                  userAnswers.filter(
-                    (answer, idx) => answer === material.quizQuestions[idx].correctAnswer,
-                  ).length
-                }{" "}
-                {t("Correct")}
+                {credits.filter((credit) => credit === 1).length} {t("Correct")}
               </Text>
             </View>
+            {partlyCorrectCount > 0 && (
+              <View style={styles.statItem}>
+                <LinearGradient colors={["#FFC107", "#FF9800"]} style={styles.statIconContainer}>
+                  <Icon name="check-outline" size={20} color="#FFFFFF" />
+                </LinearGradient>
+                <Text style={styles.statText}>
+                  {partlyCorrectCount} {t("Partly correct")}
+                </Text>
+              </View>
+            )}
             <View style={styles.statItem}>
               <LinearGradient colors={[AppColors.error, "#D32F2F"]} style={styles.statIconContainer}>
                 <Icon name="close" size={20} color="#FFFFFF" />
               </LinearGradient>
               <Text style={styles.statText}>
-                {
-                  userAnswers.filter(
-                    (answer, idx) => answer !== material.quizQuestions[idx].correctAnswer,
-                  ).length
-                }{" "}
-                {t("Incorrect")}
+                {credits.filter((credit) => credit === 0).length} {t("Incorrect")}
               </Text>
             </View>
           </View>
@@ -678,7 +1062,10 @@ const AiMaterialDetails = ({ route, navigation }) => {
       )
     }
 
-    const currentQ = material.quizQuestions[currentQuestion]
+    const currentQ = material.quizQuestions[questionIndex]
+    const currentAnswered = isAnswered(currentQ, userAnswers[questionIndex])
+    const examSecondsLeft = getExamSecondsLeft()
+    const questionSecondsLeft = getQuestionSecondsLeft()
 
     return (
       <View style={styles.quizContainer}>
@@ -693,9 +1080,20 @@ const AiMaterialDetails = ({ route, navigation }) => {
               </Text>
             </LinearGradient>
           </View>
-          <View style={styles.timerContainer}>
-            <Icon name="clock-outline" size={18} color={AppColors.accent} />
-            <Text style={styles.timerText}>{formatTime(quizTimer)}</Text>
+          {questionSecondsLeft !== null && (
+            <View style={[styles.timerContainer, styles.questionTimerContainer]}>
+              <Icon name="timer-sand" size={18} color={AppColors.secondary} />
+              <Text style={[styles.timerText, styles.questionTimerText]}>{formatTime(questionSecondsLeft)}</Text>
+            </View>
+          )}
+          <View
+            style={[
+              styles.timerContainer,
+              examSecondsLeft !== null && examSecondsLeft <= EXAM_WARNING_SECONDS && styles.timerWarning,
+            ]}
+          >
+            <Icon name={examSecondsLeft !== null ? "timer-outline" : "clock-outline"} size={18} color={AppColors.accent} />
+            <Text style={styles.timerText}>{formatTime(examSecondsLeft !== null ? examSecondsLeft : quizTimer)}</Text>
           </View>
         </View>
 
@@ -708,43 +1106,13 @@ const AiMaterialDetails = ({ route, navigation }) => {
             <Markdown style={markdownStyles}>{currentQ.question}</Markdown>
           </View>
 
-          <View style={styles.optionsContainer}>
-            {currentQ.options.map((option, idx) => (
-              <TouchableOpacity
-                key={idx}
-                style={[styles.optionButton, userAnswers[currentQuestion] === idx && styles.selectedOption]}
-                onPress={() => handleAnswerSelect(currentQuestion, idx)}
-              >
-                <View
-                  style={[
-                    styles.optionLabel,
-                    userAnswers[currentQuestion] === idx && styles.selectedOptionLabel,
-                  ]}
-                >
-                  <Text
-                    style={[
-                      styles.optionLabelText,
-                      userAnswers[currentQuestion] === idx && styles.selectedOptionLabelText,
-                    ]}
-                  >
-                    {String.fromCharCode(65 + idx)}
-                  </Text>
-                </View>
-                <Text
-                  style={[
-                    styles.optionText,
-                    userAnswers[currentQuestion] === idx && styles.selectedOptionText,
-                  ]}
-                >
-                  {option}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </View>
+          <Text style={styles.questionTypeHint}>{t(QUESTION_TYPE_HINTS[getQuestionType(currentQ)])}</Text>
+          {renderAnswerInput(currentQ)}
 
           {/* Navigation buttons now appear directly after answers */}
           <View style={styles.navigationButtonsContainer}>
-            {currentQuestion > 0 ? (
+            {/* Questions with a time limit can't be gone back to */}
+            {currentQuestion > 0 && !(examSession && examSession.questionTimeLimitSeconds) ? (
               <TouchableOpacity
                 style={styles.previousButton}
                 onPress={goToPreviousQuestion}
@@ -759,9 +1127,9 @@ const AiMaterialDetails = ({ route, navigation }) => {
             )}
 
             <TouchableOpacity
-              style={[styles.nextButton, userAnswers[currentQuestion] === undefined && styles.disabledButton]}
+              style={[styles.nextButton, !currentAnswered && styles.disabledButton]}
               onPress={goToNextQuestion}
-              disabled={userAnswers[currentQuestion] === undefined}
+              disabled={!currentAnswered}
               activeOpacity={0.7}
               hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
               testID="quiz-next-button"
@@ -772,7 +1140,7 @@ const AiMaterialDetails = ({ route, navigation }) => {
                 end={{ x: 1, y: 0 }}
                 style={[
                   styles.nextButtonGradient,
-                  userAnswers[currentQuestion] === undefined && styles.disabledButtonGradient,
+                  !currentAnswered && styles.disabledButtonGradient,
                 ]}
               >
                 <Text style={styles.nextButtonText}>
@@ -1122,6 +1490,102 @@ const AiMaterialDetails = ({ route, navigation }) => {
     )
   }
 
+  // Which questions the class got wrong and what they answered instead, for teachers
+  const renderAnalytics = () => {
+    if (analyticsLoading || !analytics) {
+      return (
+        <View style={styles.analyticsLoading}>
+          <ActivityIndicator size="large" color={AppColors.primary} />
+        </View>
+      )
+    }
+
+    if (analytics.studentCount === 0) {
+      return (
+        <View style={styles.emptyScoreboard}>
+          <LinearGradient
+            colors={[AppColors.secondaryLight, AppColors.secondary]}
+            style={styles.emptyScoreboardIcon}
+          >
+            <Icon name="chart-bar" size={40} color="#FFFFFF" />
+          </LinearGradient>
+          <Text style={styles.emptyText}>{t("No attempts on this version of the quiz yet")}</Text>
+        </View>
+      )
+    }
+
+    const maxBucketCount = Math.max(...analytics.distribution.map((bucket) => bucket.count), 1)
+    const hardestFirst = [...analytics.questions].sort((a, b) => a.averageCredit - b.averageCredit)
+
+    return (
+      <ScrollView style={styles.contentContainer} showsVerticalScrollIndicator={false}>
+        <View style={styles.analyticsStatsRow}>
+          <View style={styles.analyticsStat}>
+            <Text style={styles.analyticsStatValue}>{analytics.studentCount}</Text>
+            <Text style={styles.analyticsStatLabel}>{t("Students")}</Text>
+          </View>
+          <View style={styles.analyticsStat}>
+            <Text style={styles.analyticsStatValue}>{analytics.averageScore.toFixed(0)}%</Text>
+            <Text style={styles.analyticsStatLabel}>{t("Average score")}</Text>
+          </View>
+          <View style={styles.analyticsStat}>
+            <Text style={styles.analyticsStatValue}>{analytics.attemptCount}</Text>
+            <Text style={styles.analyticsStatLabel}>{t("Attempts")}</Text>
+          </View>
+        </View>
+        <Text style={styles.analyticsNote}>
+          {t("Based on each student's first attempt.")}
+          {analytics.olderAttemptCount > 0
+            ? ` ${t("{count} attempts on earlier versions of the quiz are not included.", { count: analytics.olderAttemptCount })}`
+            : ""}
+        </Text>
+
+        <Text style={styles.analyticsSectionTitle}>{t("Score distribution")}</Text>
+        <View style={styles.distributionChart}>
+          {analytics.distribution.map((bucket) => (
+            <View key={bucket.label} style={styles.distributionColumn}>
+              <Text style={styles.distributionCount}>{bucket.count}</Text>
+              <View style={styles.distributionBarTrack}>
+                <View style={[styles.distributionBar, { height: `${(bucket.count / maxBucketCount) * 100}%` }]} />
+              </View>
+              <Text style={styles.distributionLabel}>{bucket.label}</Text>
+            </View>
+          ))}
+        </View>
+
+        <Text style={styles.analyticsSectionTitle}>{t("Questions, hardest first")}</Text>
+        {hardestFirst.map((item) => (
+          <View key={item.index} style={styles.itemCard}>
+            <View style={styles.itemHeader}>
+              <Text style={styles.itemNumber}>Q{item.index + 1}</Text>
+              <View style={[styles.difficultyBadge, styles[`difficulty_${item.difficulty}`]]}>
+                <Text style={styles.difficultyText}>{t(item.difficulty)}</Text>
+              </View>
+              <Text style={styles.itemMeta}>
+                {(item.correctRate * 100).toFixed(0)}% {t("correct")} · {formatTime(Math.round(item.averageTime))}
+              </Text>
+            </View>
+            <Text style={styles.itemQuestion}>{item.question}</Text>
+            <View style={styles.creditTrack}>
+              <View style={[styles.creditFill, { width: `${item.averageCredit * 100}%` }]} />
+            </View>
+            {item.wrongAnswers.length > 0 && (
+              <View style={styles.wrongAnswers}>
+                <Text style={styles.wrongAnswersTitle}>{t("Most common wrong answers")}</Text>
+                {item.wrongAnswers.map((wrong) => (
+                  <View key={wrong.label} style={styles.wrongAnswerRow}>
+                    <Text style={styles.wrongAnswerLabel} numberOfLines={2}>{wrong.label === NO_ANSWER_LABEL ? t(NO_ANSWER_LABEL) : wrong.label}</Text>
+                    <Text style={styles.wrongAnswerCount}>{wrong.count}×</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+          </View>
+        ))}
+      </ScrollView>
+    )
+  }
+
   const renderScoreboard = () => (
     <View style={styles.scoreboardContainer}>
       {scoresLoading ? (
@@ -1266,6 +1730,17 @@ const AiMaterialDetails = ({ route, navigation }) => {
       {activeTab === "summary" && renderSummary()}
       {activeTab === "quiz" && renderQuiz()}
       {activeTab === "scoreboard" && renderScoreboard()}
+      {activeTab === "analytics" && renderAnalytics()}
+
+      {isAdmin && (
+        <QuizExamSettingsModal
+          visible={examSettingsVisible}
+          onClose={() => setExamSettingsVisible(false)}
+          classId={activeClassId}
+          material={material}
+          onSaved={(examSettings) => setMaterial((current) => ({ ...current, examSettings }))}
+        />
+      )}
     </View>
   )
 }
@@ -1494,8 +1969,162 @@ const styles = StyleSheet.create({
     borderRadius: 16,
     elevation: 2,
   },
-  quizStartContainer: {
+  analyticsLoading: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  analyticsStatsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  analyticsStat: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  analyticsStatValue: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: AppColors.primary,
+  },
+  analyticsStatLabel: {
+    fontSize: 12,
+    color: AppColors.textSecondary,
+    marginTop: 2,
+  },
+  analyticsNote: {
+    fontSize: 12,
+    color: AppColors.textSecondary,
+    textAlign: "center",
+    marginTop: 4,
+  },
+  analyticsSectionTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: AppColors.text,
+    marginTop: 20,
+    marginBottom: 12,
+  },
+  distributionChart: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    height: 140,
+  },
+  distributionColumn: {
+    flex: 1,
+    alignItems: "center",
+    marginHorizontal: 4,
+  },
+  distributionCount: {
+    fontSize: 12,
+    fontWeight: "bold",
+    color: AppColors.text,
+    marginBottom: 4,
+  },
+  distributionBarTrack: {
+    flex: 1,
+    width: "100%",
+    justifyContent: "flex-end",
+  },
+  distributionBar: {
+    width: "100%",
+    backgroundColor: AppColors.secondary,
+    borderTopLeftRadius: 6,
+    borderTopRightRadius: 6,
+  },
+  distributionLabel: {
+    fontSize: 11,
+    color: AppColors.textSecondary,
+    marginTop: 4,
+  },
+  itemCard: {
+    borderWidth: 1,
+    borderColor: AppColors.divider,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  itemHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  itemNumber: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: AppColors.primary,
+    marginRight: 8,
+  },
+  difficultyBadge: {
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 8,
+  },
+  difficulty_easy: {
+    backgroundColor: AppColors.success + "30",
+  },
+  difficulty_medium: {
+    backgroundColor: AppColors.warning + "40",
+  },
+  difficulty_hard: {
+    backgroundColor: AppColors.error + "30",
+  },
+  difficultyText: {
+    fontSize: 11,
+    fontWeight: "bold",
+    color: AppColors.text,
+    textTransform: "capitalize",
+  },
+  itemMeta: {
+    flex: 1,
+    fontSize: 12,
+    color: AppColors.textSecondary,
+    textAlign: "right",
+  },
+  itemQuestion: {
+    fontSize: 14,
+    color: AppColors.text,
+    marginBottom: 8,
+  },
+  creditTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: AppColors.divider,
+    overflow: "hidden",
+  },
+  creditFill: {
+    height: 6,
+    backgroundColor: AppColors.success,
+  },
+  wrongAnswers: {
+    marginTop: 10,
+  },
+  wrongAnswersTitle: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: AppColors.textSecondary,
+    marginBottom: 4,
+  },
+  wrongAnswerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 2,
+  },
+  wrongAnswerLabel: {
     flex: 1,
+    fontSize: 13,
+    color: AppColors.error,
+  },
+  wrongAnswerCount: {
+    fontSize: 13,
+    fontWeight: "bold",
+    color: AppColors.text,
+    marginLeft: 8,
+  },
+  quizStartContainer: {
+    flexGrow: 1,
     alignItems: "center",
     justifyContent: "center",
     padding: 24,
@@ -1539,6 +2168,43 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     fontSize: 16,
   },
+  flashcardsButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1.5,
+    borderColor: AppColors.primary,
+    borderRadius: 30,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    marginTop: 16,
+  },
+  flashcardsButtonText: {
+    color: AppColors.primary,
+    fontWeight: "bold",
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  examInfoCard: {
+    alignSelf: "stretch",
+    backgroundColor: AppColors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+    borderWidth: 1,
+    borderColor: AppColors.primaryLight + "60",
+  },
+  examInfoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  examInfoText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 14,
+    color: AppColors.text,
+  },
   warningContainer: {
     flexDirection: "row",
     alignItems: "center",
@@ -1598,6 +2264,15 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginLeft: 6,
   },
+  timerWarning: {
+    backgroundColor: AppColors.accent + "35",
+  },
+  questionTimerContainer: {
+    backgroundColor: AppColors.secondary + "15",
+  },
+  questionTimerText: {
+    color: AppColors.secondary,
+  },
   questionCard: {
     backgroundColor: AppColors.surface,
     borderRadius: 16,
@@ -1607,9 +2282,29 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: AppColors.primary,
   },
+  questionTypeHint: {
+    color: AppColors.textSecondary,
+    fontSize: 13,
+    fontStyle: "italic",
+    marginBottom: 12,
+  },
   optionsContainer: {
     marginBottom: 24,
   },
+  shortAnswerInput: {
+    backgroundColor: AppColors.surface,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: AppColors.divider,
+    padding: 16,
+    fontSize: 15,
+    color: AppColors.text,
+    elevation: 2,
+  },
+  orderButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
   optionButton: {
     flexDirection: "row",
     alignItems: "center",
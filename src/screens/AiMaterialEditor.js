@@ -0,0 +1,921 @@
+import { useState, useEffect } from "react"
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  FlatList,
+  StatusBar,
+} from "react-native"
+import Icon from "react-native-vector-icons/MaterialCommunityIcons"
+import Markdown from "react-native-markdown-display"
+import Colors from "../constants/Colors"
+import { t } from "../translations"
+import {
+  getAiMaterialDraft,
+  saveAiMaterialDraft,
+  getAiMaterialDraftVersions,
+  publishAiMaterial,
+} from "../utils/firestore"
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  MIN_QUIZ_OPTIONS,
+  MAX_QUIZ_OPTIONS,
+  MIN_ORDERING_ITEMS,
+  MAX_ACCEPTED_ANSWERS,
+  getQuestionType,
+  validateQuizQuestions,
+  createEmptyQuestion,
+} from "../utils/quiz"
+
+const VERSION_ACTION_LABELS = {
+  generate: "Generated by AI",
+  edit: "Edited",
+  publish: "Published",
+}
+
+const formatDate = (timestamp) => {
+  if (!timestamp) return ""
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp)
+  return date.toLocaleString()
+}
+
+// Moves an entry of a list up (-1) or down (1)
+const moveInList = (list, index, direction) => {
+  const target = index + direction
+  if (target < 0 || target >= list.length) return list
+  const next = [...list]
+  ;[next[index], next[target]] = [next[target], next[index]]
+  return next
+}
+
+// Review and edit an AI material before it's published: the summary, and the quiz questions
+// with their answer keys. Also used to fix published materials, which are updated on publishing
+const AiMaterialEditor = ({ route, navigation }) => {
+  const { classId, draftId } = route.params
+  const [draft, setDraft] = useState(null)
+  const [isSaved, setIsSaved] = useState(true)
+  const [title, setTitle] = useState("")
+  const [summary, setSummary] = useState("")
+  const [questions, setQuestions] = useState([])
+  const [hasChanges, setHasChanges] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [publishing, setPublishing] = useState(false)
+  const [previewSummary, setPreviewSummary] = useState(false)
+  const [expandedQuestion, setExpandedQuestion] = useState(null)
+  const [historyVisible, setHistoryVisible] = useState(false)
+  const [versions, setVersions] = useState([])
+  const [versionsLoading, setVersionsLoading] = useState(false)
+
+  const quizErrors = validateQuizQuestions(questions)
+
+  useEffect(() => {
+    const loadDraft = async () => {
+      const result = await getAiMaterialDraft(classId, draftId)
+      if (!result.success) {
+        Alert.alert(t("Error"), t("Failed to load the material"))
+        navigation.goBack()
+        return
+      }
+
+      setDraft(result.draft)
+      setIsSaved(result.isSaved)
+      setTitle(result.draft.title || "")
+      setSummary(result.draft.summary || "")
+      setQuestions(result.draft.quizQuestions || [])
+      setLoading(false)
+    }
+
+    loadDraft()
+  }, [classId, draftId, navigation])
+
+  // Ask before leaving with unsaved edits
+  useEffect(() => {
+    const unsubscribe = navigation.addListener("beforeRemove", (e) => {
+      if (!hasChanges || saving || publishing) return
+
+      e.preventDefault()
+      Alert.alert(t("Discard changes?"), t("Your edits haven't been saved."), [
+        { text: t("Stay"), style: "cancel" },
+        { text: t("Discard"), style: "destructive", onPress: () => navigation.dispatch(e.data.action) },
+      ])
+    })
+
+    return unsubscribe
+  }, [navigation, hasChanges, saving, publishing])
+
+  const updateQuestions = (nextQuestions) => {
+    setQuestions(nextQuestions)
+    setHasChanges(true)
+  }
+
+  const updateQuestion = (index, changes) => {
+    updateQuestions(questions.map((question, questionIndex) =>
+      questionIndex === index ? { ...question, ...changes } : question,
+    ))
+  }
+
+  const addQuestion = (type) => {
+    updateQuestions([...questions, createEmptyQuestion(type)])
+    setExpandedQuestion(questions.length)
+  }
+
+  const moveQuestion = (index, direction) => {
+    updateQuestions(moveInList(questions, index, direction))
+    if (expandedQuestion === index) {
+      setExpandedQuestion(index + direction)
+    }
+  }
+
+  const deleteQuestion = (index) => {
+    Alert.alert(t("Delete Question"), t("Remove this question from the quiz?"), [
+      { text: t("Cancel"), style: "cancel" },
+      {
+        text: t("Delete"),
+        style: "destructive",
+        onPress: () => {
+          updateQuestions(questions.filter((_, questionIndex) => questionIndex !== index))
+          setExpandedQuestion(null)
+        },
+      },
+    ])
+  }
+
+  // Options keep their answer key when another option is removed
+  const removeOption = (index, optionIndex) => {
+    const question = questions[index]
+    const options = question.options.filter((_, i) => i !== optionIndex)
+    const shift = (answer) => (answer > optionIndex ? answer - 1 : answer)
+
+    if (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT) {
+      updateQuestion(index, {
+        options,
+        correctAnswers: (question.correctAnswers || []).filter((answer) => answer !== optionIndex).map(shift),
+      })
+    } else {
+      updateQuestion(index, {
+        options,
+        correctAnswer: question.correctAnswer === optionIndex ? null : shift(question.correctAnswer),
+      })
+    }
+  }
+
+  const toggleCorrectOption = (index, optionIndex) => {
+    const question = questions[index]
+    if (getQuestionType(question) !== QUESTION_TYPES.MULTI_SELECT) {
+      updateQuestion(index, { correctAnswer: optionIndex })
+      return
+    }
+
+    const correctAnswers = question.correctAnswers || []
+    updateQuestion(index, {
+      correctAnswers: correctAnswers.includes(optionIndex)
+        ? correctAnswers.filter((answer) => answer !== optionIndex)
+        : [...correctAnswers, optionIndex].sort((a, b) => a - b),
+    })
+  }
+
+  const updateListEntry = (index, field, entryIndex, value) => {
+    updateQuestion(index, {
+      [field]: questions[index][field].map((entry, i) => (i === entryIndex ? value : entry)),
+    })
+  }
+
+  const saveDraft = async () => {
+    if (!title.trim()) {
+      Alert.alert(t("Error"), t("Please provide a title for this material"))
+      return false
+    }
+
+    setSaving(true)
+    const result = await saveAiMaterialDraft(classId, draft, { title, summary, quizQuestions: questions }, isSaved)
+    setSaving(false)
+
+    if (!result.success) {
+      Alert.alert(t("Error"), t("Failed to save the draft"))
+      return false
+    }
+
+    setIsSaved(true)
+    setHasChanges(false)
+    setDraft({ ...draft, hasUnpublishedChanges: true })
+    return true
+  }
+
+  const publish = async () => {
+    if (hasChanges && !(await saveDraft())) return
+
+    setPublishing(true)
+    const result = await publishAiMaterial(classId, draftId)
+    setPublishing(false)
+
+    if (!result.success) {
+      Alert.alert(t("Cannot Publish"), result.error)
+      return
+    }
+
+    setDraft({ ...draft, status: "published", hasUnpublishedChanges: false })
+    Alert.alert(t("Published"), t("The material is now visible to the class."), [
+      { text: t("OK"), onPress: () => navigation.goBack() },
+    ])
+  }
+
+  const confirmPublish = () => {
+    if (quizErrors.length > 0) {
+      Alert.alert(t("Quiz needs fixing"), quizErrors.map((error) => t(error)).join("\n"))
+      return
+    }
+
+    // Answers aren't stored with scores, so changed answer keys can't regrade earlier attempts
+    const message = draft.status === "published"
+      ? t("The published material will be updated. Scores already earned are not recalculated.")
+      : t("Everyone in the class will be able to see this material and take its quiz.")
+    Alert.alert(t("Publish Material"), message, [
+      { text: t("Cancel"), style: "cancel" },
+      { text: t("Publish"), onPress: publish },
+    ])
+  }
+
+  const openHistory = async () => {
+    setHistoryVisible(true)
+    if (!isSaved) {
+      setVersions([])
+      return
+    }
+
+    setVersionsLoading(true)
+    const result = await getAiMaterialDraftVersions(classId, draftId)
+    setVersions(result.success ? result.versions : [])
+    setVersionsLoading(false)
+  }
+
+  const restoreVersion = (version) => {
+    Alert.alert(t("Restore Version"), t("Replace your current edits with this version? Save to keep it."), [
+      { text: t("Cancel"), style: "cancel" },
+      {
+        text: t("Restore"),
+        onPress: () => {
+          setTitle(version.title || "")
+          setSummary(version.summary || "")
+          setQuestions(version.quizQuestions || [])
+          setHasChanges(true)
+          setExpandedQuestion(null)
+          setHistoryVisible(false)
+        },
+      },
+    ])
+  }
+
+  const renderListEditor = (index, field, { min, max, placeholder, correct, ordered }) => {
+    const question = questions[index]
+    const entries = question[field] || []
+
+    return (
+      <View>
+        {entries.map((entry, entryIndex) => (
+          <View key={entryIndex} style={styles.entryRow}>
+            {correct ? (
+              <TouchableOpacity onPress={() => toggleCorrectOption(index, entryIndex)} style={styles.entryIcon}>
+                <Icon
+                  name={correct(entryIndex)
+                    ? (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT ? "checkbox-marked" : "radiobox-marked")
+                    : (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT ? "checkbox-blank-outline" : "radiobox-blank")}
+                  size={22}
+                  color={correct(entryIndex) ? Colors.success : Colors.textSecondary}
+                />
+              </TouchableOpacity>
+            ) : (
+              <Text style={styles.entryNumber}>{ordered ? `${entryIndex + 1}.` : "•"}</Text>
+            )}
+            <TextInput
+              style={styles.entryInput}
+              value={entry}
+              onChangeText={(value) => updateListEntry(index, field, entryIndex, value)}
+              placeholder={t(placeholder)}
+              placeholderTextColor={Colors.textSecondary}
+            />
+            {ordered && (
+              <>
+                <TouchableOpacity
+                  onPress={() => updateQuestion(index, { [field]: moveInList(entries, entryIndex, -1) })}
+                  disabled={entryIndex === 0}
+                  style={styles.entryIcon}
+                >
+                  <Icon name="chevron-up" size={22} color={entryIndex === 0 ? Colors.separator : Colors.primary} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => updateQuestion(index, { [field]: moveInList(entries, entryIndex, 1) })}
+                  disabled={entryIndex === entries.length - 1}
+                  style={styles.entryIcon}
+                >
+                  <Icon
+                    name="chevron-down"
+                    size={22}
+                    color={entryIndex === entries.length - 1 ? Colors.separator : Colors.primary}
+                  />
+                </TouchableOpacity>
+              </>
+            )}
+            {entries.length > min && (
+              <TouchableOpacity
+                onPress={() => field === "options"
+                  ? removeOption(index, entryIndex)
+                  : updateQuestion(index, { [field]: entries.filter((_, i) => i !== entryIndex) })}
+                style={styles.entryIcon}
+              >
+                <Icon name="close" size={20} color={Colors.error} />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+        {entries.length < max && (
+          <TouchableOpacity
+            style={styles.addEntryButton}
+            onPress={() => updateQuestion(index, { [field]: [...entries, ""] })}
+          >
+            <Icon name="plus" size={18} color={Colors.primary} />
+            <Text style={styles.addEntryText}>{t("Add")}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    )
+  }
+
+  const renderAnswerEditor = (index) => {
+    const question = questions[index]
+
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.TRUE_FALSE:
+        return renderListEditor(index, "options", {
+          min: 2,
+          max: 2,
+          placeholder: "Option",
+          correct: (optionIndex) => question.correctAnswer === optionIndex,
+        })
+      case QUESTION_TYPES.MULTI_SELECT:
+        return renderListEditor(index, "options", {
+          min: MIN_QUIZ_OPTIONS,
+          max: MAX_QUIZ_OPTIONS,
+          placeholder: "Option",
+          correct: (optionIndex) => (question.correctAnswers || []).includes(optionIndex),
+        })
+      case QUESTION_TYPES.SHORT_ANSWER:
+        return renderListEditor(index, "acceptedAnswers", {
+          min: 1,
+          max: MAX_ACCEPTED_ANSWERS,
+          placeholder: "Accepted answer",
+        })
+      case QUESTION_TYPES.ORDERING:
+        return renderListEditor(index, "items", {
+          min: MIN_ORDERING_ITEMS,
+          max: MAX_QUIZ_OPTIONS,
+          placeholder: "Item",
+          ordered: true,
+        })
+      default:
+        return renderListEditor(index, "options", {
+          min: MIN_QUIZ_OPTIONS,
+          max: MAX_QUIZ_OPTIONS,
+          placeholder: "Option",
+          correct: (optionIndex) => question.correctAnswer === optionIndex,
+        })
+    }
+  }
+
+  const renderAnswerHint = (question) => {
+    switch (getQuestionType(question)) {
+      case QUESTION_TYPES.MULTI_SELECT:
+        return t("Check every correct option")
+      case QUESTION_TYPES.SHORT_ANSWER:
+        return t("Answers are matched ignoring case, accents and punctuation")
+      case QUESTION_TYPES.ORDERING:
+        return t("Items in the correct order, students see them shuffled")
+      default:
+        return t("Tap the correct option")
+    }
+  }
+
+  const renderQuestion = (question, index) => {
+    const expanded = expandedQuestion === index
+    const hasError = quizErrors.some((error) => error.startsWith(`Question ${index + 1} `) ||
+      error.startsWith(`Question ${index + 1}:`))
+
+    return (
+      <View key={index} style={[styles.questionCard, hasError && styles.questionCardError]}>
+        <TouchableOpacity style={styles.questionHeader} onPress={() => setExpandedQuestion(expanded ? null : index)}>
+          <View style={styles.questionHeaderText}>
+            <Text style={styles.questionType}>
+              {index + 1}. {t(QUESTION_TYPE_LABELS[getQuestionType(question)])}
+            </Text>
+            <Text style={styles.questionPreview} numberOfLines={expanded ? undefined : 2}>
+              {question.question || t("No question text")}
+            </Text>
+          </View>
+          <Icon name={expanded ? "chevron-up" : "chevron-down"} size={24} color={Colors.textSecondary} />
+        </TouchableOpacity>
+
+        {expanded && (
+          <View style={styles.questionBody}>
+            <TextInput
+              style={[styles.input, styles.questionInput]}
+              value={question.question}
+              onChangeText={(value) => updateQuestion(index, { question: value })}
+              placeholder={t("Question")}
+              placeholderTextColor={Colors.textSecondary}
+              multiline
+            />
+            <Text style={styles.hintText}>{renderAnswerHint(question)}</Text>
+            {renderAnswerEditor(index)}
+
+            <View style={styles.questionActions}>
+              <TouchableOpacity
+                style={styles.questionAction}
+                onPress={() => moveQuestion(index, -1)}
+                disabled={index === 0}
+              >
+                <Icon name="arrow-up" size={20} color={index === 0 ? Colors.separator : Colors.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.questionAction}
+                onPress={() => moveQuestion(index, 1)}
+                disabled={index === questions.length - 1}
+              >
+                <Icon
+                  name="arrow-down"
+                  size={20}
+                  color={index === questions.length - 1 ? Colors.separator : Colors.primary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.questionAction} onPress={() => deleteQuestion(index)}>
+                <Icon name="delete-outline" size={20} color={Colors.error} />
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </View>
+    )
+  }
+
+  const renderVersion = ({ item }) => (
+    <View style={styles.versionItem}>
+      <View style={styles.versionInfo}>
+        <Text style={styles.versionAction}>{t(VERSION_ACTION_LABELS[item.action] || item.action)}</Text>
+        <Text style={styles.versionMeta}>
+          {item.editedBy?.displayName || t("Unknown user")} · {formatDate(item.editedAt)}
+        </Text>
+        <Text style={styles.versionMeta}>
+          {item.quizQuestions?.length || 0} {t("questions")}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.restoreButton} onPress={() => restoreVersion(item)}>
+        <Text style={styles.restoreButtonText}>{t("Restore")}</Text>
+      </TouchableOpacity>
+    </View>
+  )
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={Colors.primary} />
+      </View>
+    )
+  }
+
+  const busy = saving || publishing
+  const statusLabel = draft.status === "published"
+    ? (draft.hasUnpublishedChanges || hasChanges ? t("Published, with unpublished changes") : t("Published"))
+    : t("Draft, only you and teachers can see it")
+
+  return (
+    <View style={styles.container}>
+      <StatusBar backgroundColor={Colors.primary} barStyle="light-content" />
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <View style={styles.statusRow}>
+          <Icon
+            name={draft.status === "published" ? "earth" : "file-document-edit-outline"}
+            size={18}
+            color={Colors.textSecondary}
+          />
+          <Text style={styles.statusText}>{statusLabel}</Text>
+          <TouchableOpacity style={styles.historyButton} onPress={openHistory}>
+            <Icon name="history" size={18} color={Colors.primary} />
+            <Text style={styles.historyButtonText}>{t("History")}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.sectionTitle}>{t("Title")}</Text>
+        <TextInput
+          style={styles.input}
+          value={title}
+          onChangeText={(value) => {
+            setTitle(value)
+            setHasChanges(true)
+          }}
+          placeholder={t("Title")}
+          placeholderTextColor={Colors.textSecondary}
+        />
+
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>{t("Summary")}</Text>
+          <TouchableOpacity onPress={() => setPreviewSummary(!previewSummary)}>
+            <Text style={styles.linkText}>{previewSummary ? t("Edit") : t("Preview")}</Text>
+          </TouchableOpacity>
+        </View>
+        {previewSummary ? (
+          <View style={styles.previewContainer}>
+            <Markdown>{summary}</Markdown>
+          </View>
+        ) : (
+          <TextInput
+            style={[styles.input, styles.summaryInput]}
+            value={summary}
+            onChangeText={(value) => {
+              setSummary(value)
+              setHasChanges(true)
+            }}
+            placeholder={t("Summary in Markdown")}
+            placeholderTextColor={Colors.textSecondary}
+            multiline
+            textAlignVertical="top"
+          />
+        )}
+
+        <Text style={styles.sectionTitle}>
+          {t("Quiz")} ({questions.length} {t("questions")})
+        </Text>
+        {quizErrors.length > 0 && (
+          <View style={styles.errorBox}>
+            {quizErrors.slice(0, 5).map((error) => (
+              <Text key={error} style={styles.errorText}>• {t(error)}</Text>
+            ))}
+            {quizErrors.length > 5 && (
+              <Text style={styles.errorText}>{t("and {count} more", { count: quizErrors.length - 5 })}</Text>
+            )}
+          </View>
+        )}
+        {questions.map(renderQuestion)}
+
+        <Text style={styles.addQuestionLabel}>{t("Add a question")}</Text>
+        <View style={styles.typeChips}>
+          {Object.values(QUESTION_TYPES).map((type) => (
+            <TouchableOpacity key={type} style={styles.typeChip} onPress={() => addQuestion(type)}>
+              <Icon name="plus" size={16} color={Colors.primary} />
+              <Text style={styles.typeChipText}>{t(QUESTION_TYPE_LABELS[type])}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.footerButton, styles.saveButton, (!hasChanges || busy) && styles.disabledButton]}
+          onPress={saveDraft}
+          disabled={!hasChanges || busy}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color={Colors.primary} />
+          ) : (
+            <Text style={styles.saveButtonText}>{t("Save Draft")}</Text>
+          )}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.footerButton, styles.publishButton, busy && styles.disabledButton]}
+          onPress={confirmPublish}
+          disabled={busy}
+        >
+          {publishing ? (
+            <ActivityIndicator size="small" color={Colors.textLight} />
+          ) : (
+            <Text style={styles.publishButtonText}>{t("Publish")}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <Modal visible={historyVisible} transparent animationType="slide" onRequestClose={() => setHistoryVisible(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{t("Version History")}</Text>
+              <TouchableOpacity onPress={() => setHistoryVisible(false)}>
+                <Icon name="close" size={24} color={Colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+            {versionsLoading ? (
+              <ActivityIndicator size="large" color={Colors.primary} style={styles.modalLoading} />
+            ) : (
+              <FlatList
+                data={versions}
+                keyExtractor={(item) => item.id}
+                renderItem={renderVersion}
+                ListEmptyComponent={<Text style={styles.emptyText}>{t("No versions yet")}</Text>}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: Colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 13,
+    color: Colors.textSecondary,
+  },
+  historyButton: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  historyButtonText: {
+    marginLeft: 4,
+    color: Colors.primary,
+    fontWeight: "500",
+  },
+  sectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: Colors.text,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  linkText: {
+    color: Colors.primary,
+    fontWeight: "500",
+    marginTop: 8,
+  },
+  input: {
+    backgroundColor: Colors.surface,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: Colors.separator,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: Colors.text,
+  },
+  summaryInput: {
+    minHeight: 200,
+  },
+  previewContainer: {
+    backgroundColor: Colors.surface,
+    borderRadius: 8,
+    padding: 12,
+  },
+  errorBox: {
+    backgroundColor: Colors.error + "15",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: Colors.error,
+    fontSize: 13,
+  },
+  questionCard: {
+    backgroundColor: Colors.surface,
+    borderRadius: 8,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: Colors.separator,
+  },
+  questionCardError: {
+    borderColor: Colors.error,
+  },
+  questionHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 12,
+  },
+  questionHeaderText: {
+    flex: 1,
+    marginRight: 8,
+  },
+  questionType: {
+    fontSize: 12,
+    fontWeight: "bold",
+    color: Colors.primary,
+    marginBottom: 2,
+  },
+  questionPreview: {
+    fontSize: 14,
+    color: Colors.text,
+  },
+  questionBody: {
+    paddingHorizontal: 12,
+    paddingBottom: 12,
+  },
+  questionInput: {
+    minHeight: 60,
+    textAlignVertical: "top",
+  },
+  hintText: {
+    fontSize: 12,
+    fontStyle: "italic",
+    color: Colors.textSecondary,
+    marginVertical: 8,
+  },
+  entryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  entryIcon: {
+    padding: 4,
+  },
+  entryNumber: {
+    width: 30,
+    textAlign: "center",
+    color: Colors.textSecondary,
+  },
+  entryInput: {
+    flex: 1,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+    fontSize: 14,
+    color: Colors.text,
+  },
+  addEntryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  },
+  addEntryText: {
+    marginLeft: 4,
+    color: Colors.primary,
+  },
+  questionActions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: Colors.separator,
+    paddingTop: 8,
+  },
+  questionAction: {
+    padding: 6,
+    marginLeft: 12,
+  },
+  addQuestionLabel: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  typeChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  typeChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  typeChipText: {
+    marginLeft: 4,
+    color: Colors.primary,
+    fontSize: 13,
+  },
+  footer: {
+    flexDirection: "row",
+    padding: 12,
+    backgroundColor: Colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: Colors.separator,
+  },
+  footerButton: {
+    flex: 1,
+    height: 46,
+    borderRadius: 8,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  saveButton: {
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    marginRight: 8,
+  },
+  saveButtonText: {
+    color: Colors.primary,
+    fontWeight: "bold",
+  },
+  publishButton: {
+    backgroundColor: Colors.primary,
+    marginLeft: 8,
+  },
+  publishButtonText: {
+    color: Colors.textLight,
+    fontWeight: "bold",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: Colors.surface,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: "70%",
+    padding: 16,
+  },
+  modalHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: Colors.text,
+  },
+  modalLoading: {
+    marginVertical: 24,
+  },
+  versionItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  versionInfo: {
+    flex: 1,
+  },
+  versionAction: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: Colors.text,
+  },
+  versionMeta: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  restoreButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+  },
+  restoreButtonText: {
+    color: Colors.primary,
+    fontSize: 13,
+  },
+  emptyText: {
+    textAlign: "center",
+    color: Colors.textSecondary,
+    marginVertical: 24,
+  },
+})
+
+export default AiMaterialEditor
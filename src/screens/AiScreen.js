@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react"
+import { useState, useEffect, useRef } from "react"
 import { View, Text, StyleSheet, TouchableOpacity, FlatList, ActivityIndicator, StatusBar } from "react-native"
 import { useNavigation } from "@react-navigation/native"
 import firestore from "@react-native-firebase/firestore"
@@ -8,6 +8,8 @@ import { useClass } from "../context/ClassContext"
 import Colors from "../constants/Colors"
 import { t } from "../translations"
 import AsyncStorage from "@react-native-async-storage/async-storage"
+import { subscribeToAiMaterialDrafts, subscribeToFlashcardProgress } from "../utils/firestore"
+import { getMaterialFlashcards, buildStudyQueue } from "../utils/flashcards"
 
 const AiScreen = () => {
   console.log("AiScreen rendering")
@@ -15,8 +17,14 @@ const AiScreen = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [activeClassId, setActiveClassId] = useState(null)
+  const [drafts, setDrafts] = useState([])
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [flashcardProgress, setFlashcardProgress] = useState({})
   const navigation = useNavigation()
-  const { classId, currentClass } = useClass()
+  const { classId, currentClass, isUserClassAdmin } = useClass()
+  // The context makes a new isUserClassAdmin on every render, the drafts listener only needs the latest
+  const isUserClassAdminRef = useRef(isUserClassAdmin)
+  isUserClassAdminRef.current = isUserClassAdmin
   const currentUser = auth().currentUser
 
   // Try to get classId from multiple sources
@@ -117,6 +125,46 @@ const AiScreen = () => {
     }
   }, [activeClassId])
 
+  // Drafts waiting for review, teachers see everyone's
+  useEffect(() => {
+    if (!activeClassId) return
+
+    let unsubscribe = () => {}
+    let cancelled = false
+    const subscribe = async () => {
+      const adminStatus = await isUserClassAdminRef.current(activeClassId)
+      if (cancelled) return
+      setIsAdmin(adminStatus)
+      unsubscribe = subscribeToAiMaterialDrafts(activeClassId, adminStatus, setDrafts)
+    }
+
+    subscribe()
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [activeClassId])
+
+  useEffect(() => {
+    if (!activeClassId) return
+    return subscribeToFlashcardProgress(activeClassId, setFlashcardProgress)
+  }, [activeClassId])
+
+  // Flashcards due today across every material, new cards are counted up to one session's worth
+  const { due: dueCards, fresh: newCards } = buildStudyQueue(
+    materials.flatMap(getMaterialFlashcards),
+    flashcardProgress,
+  )
+
+  const canEdit = (item) => isAdmin || item.createdBy?.uid === currentUser?.uid
+
+  const handleEditMaterial = (materialId) => {
+    navigation.navigate("AiMaterialEditor", {
+      draftId: materialId,
+      classId: activeClassId,
+    })
+  }
+
   const handleAddMaterial = () => {
     console.log("AiScreen: + button pressed, navigating to AddAiMaterial")
     console.log("AiScreen: Current navigation state:", navigation.getState())
@@ -148,6 +196,15 @@ const AiScreen = () => {
               <Text style={styles.materialTitle} numberOfLines={1}>
                 {item.title}
               </Text>
+              {canEdit(item) && (
+                <TouchableOpacity
+                  style={styles.editButton}
+                  onPress={() => handleEditMaterial(item.id)}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                >
+                  <Icon name="pencil" size={18} color={Colors.primary} />
+                </TouchableOpacity>
+              )}
               <View style={styles.dateContainer}>
                 <Icon name="calendar" size={14} color={Colors.primary} />
                 <Text style={styles.materialDate}>
@@ -183,6 +240,64 @@ const AiScreen = () => {
     }
   }
 
+  const handleStudyFlashcards = () => {
+    navigation.navigate("FlashcardStudy", { classId: activeClassId })
+  }
+
+  const FlashcardsCard = () => {
+    if (materials.length === 0) return null
+    const dueCount = dueCards.length + newCards.length
+
+    return (
+      <TouchableOpacity style={styles.flashcardsCard} onPress={handleStudyFlashcards}>
+        <View style={styles.flashcardsIcon}>
+          <Icon name="cards-outline" size={26} color={Colors.textLight} />
+        </View>
+        <View style={styles.draftInfo}>
+          <Text style={styles.flashcardsTitle}>
+            {dueCount > 0 ? t("{count} flashcards due today", { count: dueCount }) : t("All caught up")}
+          </Text>
+          <Text style={styles.draftMeta} numberOfLines={1}>
+            {dueCount > 0
+              ? t("{review} to review · {new} new", { review: dueCards.length, new: newCards.length })
+              : t("Practice any material's cards from its quiz tab")}
+          </Text>
+        </View>
+        <Icon name="chevron-right" size={22} color={Colors.textSecondary} />
+      </TouchableOpacity>
+    )
+  }
+
+  const ListHeader = () => (
+    <>
+      <FlashcardsCard />
+      <DraftsHeader />
+    </>
+  )
+
+  const DraftsHeader = () => {
+    if (drafts.length === 0) return null
+
+    return (
+      <View style={styles.draftsContainer}>
+        <Text style={styles.draftsTitle}>{t("Waiting for review")}</Text>
+        {drafts.map((draft) => (
+          <TouchableOpacity key={draft.id} style={styles.draftCard} onPress={() => handleEditMaterial(draft.id)}>
+            <Icon name="file-document-edit-outline" size={22} color={Colors.warning} />
+            <View style={styles.draftInfo}>
+              <Text style={styles.draftTitle} numberOfLines={1}>{draft.title}</Text>
+              <Text style={styles.draftMeta} numberOfLines={1}>
+                {draft.status === "published" ? t("Unpublished changes") : t("Draft")} ·{" "}
+                {draft.quizQuestions?.length || 0} {t("questions")} · {draft.createdBy?.displayName || t("Unknown user")}
+              </Text>
+            </View>
+            <Icon name="chevron-right" size={22} color={Colors.textSecondary} />
+          </TouchableOpacity>
+        ))}
+      </View>
+    )
+  }
+
   const EmptyListComponent = () => (
     <View style={styles.emptyContainer}>
       <View style={[styles.emptyIconContainer, { backgroundColor: Colors.primary }]}>
@@ -251,6 +366,7 @@ const AiScreen = () => {
           renderItem={renderMaterialItem}
           keyExtractor={(item) => item.id}
           contentContainerStyle={styles.listContainer}
+          ListHeaderComponent={ListHeader}
           ListEmptyComponent={EmptyListComponent}
           showsVerticalScrollIndicator={false}
         />
@@ -350,6 +466,70 @@ const styles = StyleSheet.create({
     color: Colors.text,
     flex: 1,
   },
+  editButton: {
+    padding: 4,
+    marginHorizontal: 6,
+  },
+  flashcardsCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  flashcardsIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: Colors.accent,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  flashcardsTitle: {
+    fontSize: 15,
+    fontWeight: "bold",
+    color: Colors.text,
+  },
+  draftsContainer: {
+    marginBottom: 16,
+  },
+  draftsTitle: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: Colors.textSecondary,
+    marginBottom: 8,
+  },
+  draftCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: Colors.warning,
+  },
+  draftInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  draftTitle: {
+    fontSize: 15,
+    fontWeight: "bold",
+    color: Colors.text,
+  },
+  draftMeta: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
   dateContainer: {
     flexDirection: "row",
     alignItems: "center",
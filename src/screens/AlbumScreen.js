@@ -19,6 +19,8 @@ import { useAuth } from "../context/AuthContext"
 import { useClass } from "../context/ClassContext"
 import firestore from "@react-native-firebase/firestore"
 import { formatDate } from "../utils/helpers"
+import { getImageSource, pickImageFields } from "../utils/blobStore"
+import { setGalleryImageLiked } from "../utils/firestore"
 const { width } = Dimensions.get("window")
 const GALLERY_COLLECTION = 'gallery'
 const FEATURED_IMAGES_COLLECTION = 'featuredImages'
@@ -182,6 +184,29 @@ const AlbumScreen = ({ route, navigation }) => {
     }
   }
   
+  // Likes count towards the uploader's gallery achievements
+  const toggleImageLike = async (image) => {
+    if (!image || !currentClass || !user) return
+    
+    const likedBy = image.likedBy || []
+    const liked = !likedBy.includes(user.uid)
+    const updatedImage = {
+      ...image,
+      likedBy: liked ? [...likedBy, user.uid] : likedBy.filter(uid => uid !== user.uid)
+    }
+    
+    // Show the change right away and roll it back if the write fails
+    setSelectedImage(updatedImage)
+    setImages(prev => prev.map(item => item.id === image.id ? updatedImage : item))
+    
+    const result = await setGalleryImageLiked(currentClass.id, image.id, liked)
+    if (!result.success) {
+      setSelectedImage(image)
+      setImages(prev => prev.map(item => item.id === image.id ? image : item))
+      Alert.alert('Error', 'Failed to update like')
+    }
+  }
+  
   const handleImagePress = (image) => {
     setSelectedImage(image)
     setImageActionMenuVisible(true)
@@ -210,7 +235,7 @@ const AlbumScreen = ({ route, navigation }) => {
       setLoading(true)
       
       // Check if this image is already featured
-      const existingFeatured = featuredImages.find(item => item.image === image.image)
+      const existingFeatured = featuredImages.find(item => item.sourceId === image.id)
       
       if (existingFeatured) {
         Alert.alert('Info', 'This image is already featured')
@@ -226,7 +251,7 @@ const AlbumScreen = ({ route, navigation }) => {
         .collection(FEATURED_IMAGES_COLLECTION)
         .add({
           title: image.title || 'Featured Image',
-          image: image.image,
+          ...pickImageFields(image),
           sourceId: image.id,
           createdBy: user.uid,
           createdAt: firestore.FieldValue.serverTimestamp(),
@@ -236,7 +261,7 @@ const AlbumScreen = ({ route, navigation }) => {
       const newFeaturedImage = {
         id: featuredRef.id,
         title: image.title || 'Featured Image',
-        image: image.image,
+        ...pickImageFields(image),
         sourceId: image.id,
         createdBy: user.uid,
         createdAt: new Date()
@@ -329,6 +354,8 @@ const AlbumScreen = ({ route, navigation }) => {
                 .doc(image.id)
                 .delete()
               
+              // The stored files are deleted by the onGalleryImageDeleted function
+              
               // Remove from local state
               setImages(prevImages => prevImages.filter(item => item.id !== image.id))
               
@@ -453,7 +480,7 @@ const AlbumScreen = ({ route, navigation }) => {
       activeOpacity={0.8}
     >
       <Image 
-        source={{ uri: `data:image/jpeg;base64,${item.image}` }} 
+        source={getImageSource(item, { thumbnail: true })} 
         style={styles.thumbnail} 
       />
       <View style={styles.imageOverlay}>
@@ -681,7 +708,7 @@ const AlbumScreen = ({ route, navigation }) => {
               <>
                 <View style={styles.imageDetailPreview}>
                   <Image 
-                    source={{ uri: `data:image/jpeg;base64,${selectedImage.image}` }}
+                    source={getImageSource(selectedImage)}
                     style={styles.imageDetailThumbnail}
                     resizeMode="contain"
                   />
@@ -718,6 +745,21 @@ const AlbumScreen = ({ route, navigation }) => {
                     </View>
                   )}
                   
+                  <TouchableOpacity 
+                    style={styles.metadataItem}
+                    onPress={() => toggleImageLike(selectedImage)}
+                  >
+                    <MaterialIcons 
+                      name={(selectedImage.likedBy || []).includes(user?.uid) ? "favorite" : "favorite-border"} 
+                      size={20} 
+                      color={NewColors.error} 
+                    />
+                    <View style={styles.metadataContent}>
+                      <Text style={styles.metadataLabel}>Likes</Text>
+                      <Text style={styles.metadataValue}>{(selectedImage.likedBy || []).length}</Text>
+                    </View>
+                  </TouchableOpacity>
+                  
                   <View style={styles.metadataItem}>
                     <MaterialIcons name="folder" size={20} color={NewColors.primary} />
                     <View style={styles.metadataContent}>
@@ -779,7 +821,7 @@ const AlbumScreen = ({ route, navigation }) => {
               <>
                 <View style={styles.editPreview}>
                   <Image 
-                    source={{ uri: `data:image/jpeg;base64,${selectedImage.image}` }}
+                    source={getImageSource(selectedImage)}
                     style={styles.editThumbnail}
                     resizeMode="contain"
                   />
@@ -20,10 +20,23 @@ import { getAssignments, updateAssignment as updateLocalAssignment } from '../ut
 import { ASSIGNMENT_STATUS, ASSIGNMENT_GROUP_TYPE } from '../constants/Types';
 import { useAuth } from '../context/AuthContext';
 import { useAssignment } from '../context/AssignmentContext';
-import { findAssignmentByInternalId, updateClassAssignment, addCommentToAssignment, getAssignmentComments, updateComment, deleteComment, subscribeToAssignmentComments, isClassAdmin, getAssignmentCompletions, submitCompletionForApproval, getClassDetails, CLASSES_COLLECTION, SUBJECTS_COLLECTION } from '../utils/firestore';
+import { describeRecurrenceRule } from '../utils/recurrence';
+import { getGroupSettings, getGroupCapacity, isGroupFull, getSignupStatus } from '../utils/groups';
+import { findAssignmentByInternalId, updateClassAssignment, addCommentToAssignment, getAssignmentComments, updateComment, deleteComment, subscribeToAssignmentComments, isClassAdmin, getAssignmentCompletions, submitCompletionForApproval, getClassDetails, joinAssignmentGroup, leaveAssignmentGroup, setAssignmentGroupsLocked, getMyPeerEvaluation, savePeerEvaluation, CLASSES_COLLECTION, SUBJECTS_COLLECTION } from '../utils/firestore';
 import { useClass } from '../context/ClassContext';
 import CommentItem from '../components/CommentItem';
 import AssignmentCompletionList from '../components/AssignmentCompletionList';
+import PeerEvaluationModal from '../components/PeerEvaluationModal';
+import { pick } from '@react-native-documents/picker';
+import {
+  MAX_ATTACHMENTS,
+  ATTACHMENT_PICKER_TYPES,
+  getAttachmentType,
+  validateAttachment,
+  formatFileSize,
+  isFileSubmission,
+  openAttachment
+} from '../utils/attachments';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { launchCamera, launchImageLibrary } from 'react-native-image-picker';
 import firestore from '@react-native-firebase/firestore';
@@ -44,7 +57,7 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
   const { assignmentId, documentId } = route.params;
   const { user } = useAuth();
   const { currentClass } = useClass();
-  const { assignments, updateAssignment, diagnoseAssignmentById, toggleAssignmentStatus } = useAssignment();
+  const { assignments, updateAssignment, diagnoseAssignmentById, toggleAssignmentStatus, skipAssignmentOccurrence } = useAssignment();
   
   // Tab navigation state
   const [activeTab, setActiveTab] = useState(TABS.DETAILS);
@@ -64,13 +77,25 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
   
   // Separate grade state to ensure it's properly updated and displayed
   const [assignmentGrade, setAssignmentGrade] = useState(null);
+  // Level picked for each criterion and the teacher's feedback, when graded with a rubric
+  const [rubricGrade, setRubricGrade] = useState(null);
   
   // Class requires approval for completions
   const [requiresApproval, setRequiresApproval] = useState(false);
   const [photoSelectionVisible, setPhotoSelectionVisible] = useState(false);
   const [selectedPhotos, setSelectedPhotos] = useState([]);
+  // Documents and archives handed in with the completion
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  // Attachment being downloaded to open it, by file path
+  const [openingAttachment, setOpeningAttachment] = useState(null);
   const [isSubmittingCompletion, setIsSubmittingCompletion] = useState(false);
   const [hasPendingApproval, setHasPendingApproval] = useState(false);
+  
+  // Peer evaluation of the user's teammates in a group assignment
+  const [showPeerEvaluationModal, setShowPeerEvaluationModal] = useState(false);
+  const [myPeerRatings, setMyPeerRatings] = useState(null);
+  const [isLoadingPeerRatings, setIsLoadingPeerRatings] = useState(false);
+  const [isSavingPeerRatings, setIsSavingPeerRatings] = useState(false);
 
   useEffect(() => {
     loadAssignmentDetails();
@@ -255,55 +280,50 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
   };
 
   const userGroupInfo = assignment?.groups ? findUserInGroups() : null;
-  const canJoinGroup = assignment?.groupType === ASSIGNMENT_GROUP_TYPE.GROUP && !userGroupInfo && user;
+  const groupSettings = getGroupSettings(assignment);
+  const groupSignup = getSignupStatus(groupSettings);
+  const canJoinGroup = assignment?.groupType === ASSIGNMENT_GROUP_TYPE.GROUP && !userGroupInfo && user && groupSignup.canJoin;
+  // In a class a group hands in its work once, for all its members
+  const submitsAsGroup = !!currentClass && assignment?.groupType === ASSIGNMENT_GROUP_TYPE.GROUP;
+  const teammates = userGroupInfo ? userGroupInfo.group.members.filter(member => member.userId !== user.uid) : [];
+
+  // Groups of a personal assignment are only kept on this device
+  const updateLocalGroups = async (targetGroupId) => {
+    const member = {
+      userId: user.uid,
+      displayName: user.displayName || user.email.split('@')[0],
+      email: user.email,
+    };
+    const updatedAssignment = {
+      ...assignment,
+      groups: assignment.groups.map(group => {
+        const members = group.members.filter(m => m.userId !== user.uid);
+        return { ...group, members: group.id === targetGroupId ? [...members, member] : members };
+      }),
+      updatedAt: new Date().toISOString(),
+    };
 
-  const handleJoinGroup = async (groupIndex) => {
+    await updateLocalAssignment(assignment.id, updatedAssignment);
+    setAssignment(updatedAssignment);
+    return { success: true };
+  };
+
+  const handleJoinGroup = async (group) => {
     if (!assignment || !user) return;
     
     setIsJoining(true);
     try {
-      // Clone the assignment and update the groups
-      const updatedAssignment = { ...assignment };
-      const updatedGroups = [...assignment.groups];
-      
-      // Add the current user to the selected group
-      const newMember = {
-        userId: user.uid,
-        displayName: user.displayName || user.email.split('@')[0],
-        email: user.email,
-      };
-      
-      // First remove user from any existing groups
-      for (const group of updatedGroups) {
-        group.members = group.members.filter(m => m.userId !== user.uid);
-      }
-      
-      // Add user to the selected group
-      updatedGroups[groupIndex].members.push(newMember);
-      updatedAssignment.groups = updatedGroups;
-      
-      // Update assignment in storage/Firestore
-      let result;
-      if (currentClass) {
-        result = await updateAssignment(assignment.id, {
-          ...updatedAssignment,
-          updatedAt: new Date().toISOString(),
-        });
-      } else {
-        // Only update locally if not in a class
-        await updateLocalAssignment(assignment.id, {
-          ...updatedAssignment,
-          updatedAt: new Date().toISOString(),
-        });
-        result = { success: true };
-      }
+      // In a class the function adds the user in a transaction, so students joining at the same
+      // time don't overwrite each other, and the roster updates through the assignments listener
+      const result = currentClass
+        ? await joinAssignmentGroup(currentClass.id, assignment.documentId || assignment.id, group.id)
+        : await updateLocalGroups(group.id);
       
-      if (result && result.success) {
-        setAssignment(updatedAssignment);
+      if (result.success) {
         setShowJoinGroupModal(false);
-        Alert.alert('Success', `You have joined ${updatedGroups[groupIndex].name}`);
+        Alert.alert('Success', `You have joined ${group.name}`);
       } else {
-        Alert.alert('Error', 'Failed to join the group. Please try again later.');
+        Alert.alert('Error', result.error || 'Failed to join the group. Please try again later.');
       }
     } catch (error) {
       console.error("Error joining group:", error);
@@ -327,39 +347,14 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
           onPress: async () => {
             setIsJoining(true);
             try {
-              // Clone the assignment and update the groups
-              const updatedAssignment = { ...assignment };
-              const updatedGroups = [...assignment.groups];
-              
-              // Remove user from the group
-              const groupIndex = userGroupInfo.groupIndex;
-              updatedGroups[groupIndex].members = updatedGroups[groupIndex].members.filter(
-                m => m.userId !== user.uid
-              );
+              const result = currentClass
+                ? await leaveAssignmentGroup(currentClass.id, assignment.documentId || assignment.id)
+                : await updateLocalGroups(null);
               
-              updatedAssignment.groups = updatedGroups;
-              
-              // Update assignment in storage/Firestore
-              let result;
-              if (currentClass) {
-                result = await updateAssignment(assignment.id, {
-                  ...updatedAssignment,
-                  updatedAt: new Date().toISOString(),
-                });
-              } else {
-                // Only update locally if not in a class
-                await updateLocalAssignment(assignment.id, {
-                  ...updatedAssignment,
-                  updatedAt: new Date().toISOString(),
-                });
-                result = { success: true };
-              }
-              
-              if (result && result.success) {
-                setAssignment(updatedAssignment);
-                Alert.alert('Success', `You have left ${updatedGroups[groupIndex].name}`);
+              if (result.success) {
+                Alert.alert('Success', `You have left ${userGroupInfo.group.name}`);
               } else {
-                Alert.alert('Error', 'Failed to leave the group. Please try again later.');
+                Alert.alert('Error', result.error || 'Failed to leave the group. Please try again later.');
               }
             } catch (error) {
               console.error("Error leaving group:", error);
@@ -373,13 +368,56 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
     );
   };
 
+  const openPeerEvaluation = async () => {
+    setShowPeerEvaluationModal(true);
+    setIsLoadingPeerRatings(true);
+    const result = await getMyPeerEvaluation(currentClass.id, assignment.id);
+    setIsLoadingPeerRatings(false);
+    if (result.success) {
+      setMyPeerRatings(result.evaluation ? result.evaluation.ratings : null);
+    }
+  };
+
+  const handleSavePeerRatings = async (ratings) => {
+    setIsSavingPeerRatings(true);
+    const result = await savePeerEvaluation(currentClass.id, assignment.id, userGroupInfo.group.id, ratings);
+    setIsSavingPeerRatings(false);
+
+    if (result.success) {
+      setMyPeerRatings(ratings);
+      setShowPeerEvaluationModal(false);
+      Alert.alert('Success', 'Your ratings have been saved.');
+    } else {
+      Alert.alert('Error', result.error || 'Failed to save your ratings. Please try again later.');
+    }
+  };
+
+  const handleToggleGroupsLocked = async () => {
+    setIsJoining(true);
+    const result = await setAssignmentGroupsLocked(
+      currentClass.id,
+      assignment.documentId || assignment.id,
+      !groupSettings.locked
+    );
+    setIsJoining(false);
+
+    if (!result.success) {
+      Alert.alert('Error', 'Failed to update the groups. Please try again later.');
+    }
+  };
+
+  // Members of a group against its capacity, like "3/4 members"
+  const describeGroupMembers = (group) => {
+    const capacity = getGroupCapacity(group, groupSettings);
+    const count = group.members.length;
+    return capacity ? `${count}/${capacity} members` : `${count} ${count === 1 ? 'member' : 'members'}`;
+  };
+
   const renderGroupItem = ({ item, index }) => (
     <View style={styles.groupItem}>
       <View style={styles.groupHeader}>
         <Text style={styles.groupName}>{item.name}</Text>
-        <Text style={styles.memberCount}>
-          {item.members.length} {item.members.length === 1 ? 'member' : 'members'}
-        </Text>
+        <Text style={styles.memberCount}>{describeGroupMembers(item)}</Text>
       </View>
       
       {item.members.length > 0 ? (
@@ -390,6 +428,7 @@ const AssignmentDetailsScreen = ({ route, navigation }) => {
               <Text style={styles.memberName}>
                 {member.displayName}
                 {member.userId === user?.uid && ' (You)'}
+                {member.userId === item.leaderId && ' · Leader'}
               </Text>
             </View>
           ))}
@@ -543,6 +582,10 @@ const loadCompletions = async () => {
     const result = await getAssignmentCompletions(currentClass.id, assignment.id);
     if (result.success) {
       setCompletions(result.completions);
+      // A teammate may have handed in the group's work
+      if (result.completions.some(completion => completion.userId === user.uid && completion.status === 'pending')) {
+        setHasPendingApproval(true);
+      }
     } else {
       console.error('Error loading completions:', result.error);
     }
@@ -599,6 +642,7 @@ const loadCompletions = async () => {
           console.log('No grade found in completed assignment record');
           setAssignmentGrade(null);
         }
+        setRubricGrade(completedData.rubricGrade || null);
       } else {
         console.log('No completed assignment records found in user collection');
       }
@@ -666,9 +710,14 @@ const TabNavigator = () => (
       return;
     }
     
-    // If this class requires approval and assignment is not completed yet,
+    if (submitsAsGroup && !userGroupInfo) {
+      Alert.alert('Join a Group', 'Join a group first, your group hands in its work together.');
+      return;
+    }
+    
+    // If this class requires approval (or the group hands in its work) and assignment is not completed yet,
     // show the photo selection modal directly instead of navigating to another screen
-    if (requiresApproval && !hasPendingApproval) {
+    if ((requiresApproval || submitsAsGroup) && !hasPendingApproval) {
       setPhotoSelectionVisible(true);
       return;
     }
@@ -691,6 +740,34 @@ const TabNavigator = () => (
     }
   };
   
+  // Skip or restore a single occurrence of a recurring assignment
+  const handleToggleSkipOccurrence = () => {
+    if (!assignment?.seriesId) return;
+    
+    const skipping = !assignment.skipped;
+    Alert.alert(
+      skipping ? 'Skip Occurrence' : 'Restore Occurrence',
+      skipping
+        ? 'Students will no longer see this occurrence. Other occurrences in the series are not affected.'
+        : 'This occurrence will be visible to students again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: skipping ? 'Skip' : 'Restore',
+          style: skipping ? 'destructive' : 'default',
+          onPress: async () => {
+            const result = await skipAssignmentOccurrence(assignment.id, skipping);
+            if (result.success) {
+              setAssignment(prev => ({ ...prev, skipped: skipping }));
+            } else {
+              Alert.alert('Error', result.error || 'Failed to update occurrence');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   // Take a photo with camera
   const takePhoto = async () => {
     try {
@@ -755,10 +832,66 @@ const TabNavigator = () => (
     }
   };
   
-  // Submit completion with photo evidence
+  // Pick documents or archives to hand in, e.g. the code of a coding assignment
+  const pickSubmissionFiles = async () => {
+    try {
+      const results = await pick({
+        allowMultiSelection: true,
+        type: ATTACHMENT_PICKER_TYPES,
+      });
+      if (!results || results.length === 0) return;
+      
+      const errors = [];
+      const picked = [];
+      results.forEach(file => {
+        const candidate = {
+          name: file.name || 'file',
+          uri: file.uri,
+          fileCopyUri: file.fileCopyUri || null,
+          size: file.size || 0,
+        };
+        const error = validateAttachment(candidate);
+        if (error) {
+          errors.push(error);
+        } else {
+          picked.push(candidate);
+        }
+      });
+      
+      const room = MAX_ATTACHMENTS - selectedFiles.length;
+      if (picked.length > room) {
+        errors.push(`You can submit up to ${MAX_ATTACHMENTS} files.`);
+      }
+      setSelectedFiles(prevFiles => [...prevFiles, ...picked.slice(0, room)]);
+      if (errors.length > 0) {
+        Alert.alert('Some files were not added', errors.join('\n'));
+      }
+    } catch (error) {
+      if (error.code === 'OPERATION_CANCELED') {
+        return;
+      }
+      console.error('Error picking files:', error);
+      Alert.alert('Error', 'Could not select files. Please try again.');
+    }
+  };
+  
+  // Download an attachment and open it in a viewer app
+  const handleOpenAttachment = async (attachment) => {
+    setOpeningAttachment(attachment.filePath);
+    try {
+      await openAttachment(attachment);
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+      Alert.alert('Error', `Could not open ${attachment.name}. You may not have an app that opens this type of file.`);
+    } finally {
+      setOpeningAttachment(null);
+    }
+  };
+  
+  // Submit completion with photo and file evidence
   const submitCompletionWithPhoto = async () => {
-    if (selectedPhotos.length === 0 || !currentClass || !assignment) {
-      Alert.alert('Error', 'Please select at least one photo');
+    if ((selectedPhotos.length === 0 && selectedFiles.length === 0) || !currentClass || !assignment) {
+      Alert.alert('Error', 'Please select at least one photo or file');
       return;
     }
     
@@ -771,17 +904,22 @@ const TabNavigator = () => (
       const result = await submitCompletionForApproval(
         currentClass.id, 
         assignment.id, 
-        photoUris // Pass array of URIs
+        photoUris, // Pass array of URIs
+        submitsAsGroup ? userGroupInfo.group : null,
+        selectedFiles
       );
       
       if (result.success) {
         Alert.alert(
           'Success', 
-          'Your completion request has been submitted for approval.',
+          submitsAsGroup
+            ? `${userGroupInfo.group.name}'s completion request has been submitted for approval for every member.`
+            : 'Your completion request has been submitted for approval.',
           [{ text: 'OK', onPress: () => setPhotoSelectionVisible(false) }]
         );
         setHasPendingApproval(true);
         setSelectedPhotos([]); // Clear all selected photos
+        setSelectedFiles([]);
       } else {
         Alert.alert('Error', result.error || 'Failed to submit completion');
       }
@@ -797,6 +935,7 @@ const TabNavigator = () => (
   const cancelPhotoSubmission = () => {
     setPhotoSelectionVisible(false);
     setSelectedPhotos([]);
+    setSelectedFiles([]);
   };
   
   // Remove a photo from the selected photos
@@ -1076,6 +1215,36 @@ const TabNavigator = () => (
               )}
             </View>
 
+            {/* Recurring series info */}
+            {assignment.seriesId && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Repeats</Text>
+                <View style={styles.detailRow}>
+                  <Icon name="repeat" size={20} color={Colors.textPrimary} style={styles.icon} />
+                  <Text style={styles.detailValue}>{describeRecurrenceRule(assignment.recurrence)}</Text>
+                </View>
+                <View style={styles.detailRow}>
+                  <Icon name="format-list-numbered" size={20} color={Colors.textSecondary} style={styles.icon} />
+                  <Text style={styles.detailLabel}>Occurrence:</Text>
+                  <Text style={styles.detailValue}>
+                    {assignment.occurrenceIndex} of {assignment.occurrenceCount}
+                    {assignment.skipped ? ' (skipped)' : ''}
+                  </Text>
+                </View>
+                {isAdmin && (
+                  <TouchableOpacity
+                    style={[styles.skipOccurrenceButton, assignment.skipped && styles.restoreOccurrenceButton]}
+                    onPress={handleToggleSkipOccurrence}
+                  >
+                    <Icon name={assignment.skipped ? 'restore' : 'event-busy'} size={18} color={assignment.skipped ? Colors.success : Colors.error} />
+                    <Text style={[styles.skipOccurrenceText, { color: assignment.skipped ? Colors.success : Colors.error }]}>
+                      {assignment.skipped ? 'Restore this occurrence' : 'Skip this occurrence'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
             {assignment.description && (
               <View style={styles.section}>
                 <Text style={styles.sectionTitle}>Description</Text>
@@ -1083,22 +1252,116 @@ const TabNavigator = () => (
               </View>
             )}
 
+            {assignment.attachments && assignment.attachments.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Attachments</Text>
+                {assignment.attachments.map(attachment => (
+                  <TouchableOpacity
+                    key={attachment.filePath || attachment.name}
+                    style={styles.attachmentItem}
+                    onPress={() => handleOpenAttachment(attachment)}
+                    disabled={openingAttachment !== null || !attachment.fileUrl}
+                  >
+                    <Icon name={getAttachmentType(attachment.name)?.icon || 'insert-drive-file'} size={22} color={Colors.primary} />
+                    <View style={styles.attachmentInfo}>
+                      <Text style={styles.attachmentName} numberOfLines={1}>{attachment.name}</Text>
+                      <Text style={styles.attachmentMeta}>{formatFileSize(attachment.size)}</Text>
+                    </View>
+                    {openingAttachment === attachment.filePath ? (
+                      <ActivityIndicator size="small" color={Colors.primary} />
+                    ) : (
+                      <Icon name="open-in-new" size={20} color={Colors.textSecondary} />
+                    )}
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {rubricGrade ? (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Rubric Feedback</Text>
+                {rubricGrade.criteria.map(criterion => (
+                  <View key={criterion.criterionId} style={styles.rubricRow}>
+                    <View style={styles.rubricCriterionInfo}>
+                      <Text style={styles.rubricCriterionName}>{criterion.name}</Text>
+                      <Text style={styles.rubricLevels}>{criterion.levelLabel}</Text>
+                    </View>
+                    <Text style={styles.rubricPoints}>{criterion.points} / {criterion.maxPoints}</Text>
+                  </View>
+                ))}
+                <View style={styles.rubricRow}>
+                  <Text style={[styles.rubricCriterionInfo, styles.rubricCriterionName]}>Total</Text>
+                  <Text style={styles.rubricPoints}>{rubricGrade.points} / {rubricGrade.maxPoints}</Text>
+                </View>
+                {!!rubricGrade.feedback && (
+                  <Text style={[styles.descriptionText, styles.rubricFeedback]}>{rubricGrade.feedback}</Text>
+                )}
+              </View>
+            ) : assignment.rubric && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Rubric: {assignment.rubric.name}</Text>
+                {assignment.rubric.criteria.map(criterion => (
+                  <View key={criterion.id} style={styles.rubricRow}>
+                    <View style={styles.rubricCriterionInfo}>
+                      <Text style={styles.rubricCriterionName}>{criterion.name}</Text>
+                      <Text style={styles.rubricLevels}>
+                        {criterion.levels.map(level => `${level.label} (${level.points})`).join(' · ')}
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+
             {/* Display groups for group assignments */}
             {assignment.groupType === ASSIGNMENT_GROUP_TYPE.GROUP && assignment.groups && (
               <View style={styles.section}>
-                <Text style={styles.sectionTitle}>Groups</Text>
+                <View style={styles.groupsHeader}>
+                  <Text style={styles.sectionTitle}>Groups</Text>
+                  {isAdmin && currentClass && (
+                    <TouchableOpacity
+                      style={styles.lockGroupsButton}
+                      onPress={handleToggleGroupsLocked}
+                      disabled={isJoining}
+                    >
+                      <Icon name={groupSettings.locked ? 'lock-open' : 'lock'} size={16} color={Colors.primary} />
+                      <Text style={styles.lockGroupsText}>
+                        {groupSettings.locked ? 'Unlock Groups' : 'Lock Groups'}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+
+                {groupSettings.locked ? (
+                  <Text style={styles.groupRulesText}>The teacher has locked the groups.</Text>
+                ) : (
+                  <>
+                    {groupSettings.maxGroupSize && (
+                      <Text style={styles.groupRulesText}>Up to {groupSettings.maxGroupSize} students per group</Text>
+                    )}
+                    {groupSettings.joinDeadline && (
+                      <Text style={styles.groupRulesText}>Join by {formatDate(groupSettings.joinDeadline)}</Text>
+                    )}
+                    {groupSettings.leaveDeadline && (
+                      <Text style={styles.groupRulesText}>Leave by {formatDate(groupSettings.leaveDeadline)}</Text>
+                    )}
+                  </>
+                )}
                 
                 {userGroupInfo ? (
                   <View style={styles.userGroupInfo}>
                     <Text style={styles.groupInfoText}>
                       You are in <Text style={styles.highlightText}>{userGroupInfo.group.name}</Text>
                     </Text>
-                    <TouchableOpacity
-                      style={styles.leaveGroupButton}
-                      onPress={handleLeaveGroup}
-                    >
-                      <Text style={styles.leaveGroupText}>Leave Group</Text>
-                    </TouchableOpacity>
+                    {groupSignup.canLeave && (
+                      <TouchableOpacity
+                        style={styles.leaveGroupButton}
+                        onPress={handleLeaveGroup}
+                        disabled={isJoining}
+                      >
+                        <Text style={styles.leaveGroupText}>Leave Group</Text>
+                      </TouchableOpacity>
+                    )}
                   </View>
                 ) : canJoinGroup ? (
                   <TouchableOpacity 
@@ -1109,6 +1372,15 @@ const TabNavigator = () => (
                     <Text style={styles.joinGroupText}>Join a Group</Text>
                   </TouchableOpacity>
                 ) : null}
+
+                {submitsAsGroup && teammates.length > 0 && (
+                  <TouchableOpacity style={styles.peerEvaluationButton} onPress={openPeerEvaluation}>
+                    <Icon name="star-rate" size={18} color={Colors.primary} />
+                    <Text style={styles.peerEvaluationText}>
+                      {myPeerRatings ? 'Update Teammate Ratings' : 'Rate Your Teammates'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
                 
                 <FlatList
                   data={assignment.groups}
@@ -1169,6 +1441,18 @@ const TabNavigator = () => (
         )}
       </ScrollView>
       
+      {submitsAsGroup && userGroupInfo && (
+        <PeerEvaluationModal
+          visible={showPeerEvaluationModal}
+          onClose={() => setShowPeerEvaluationModal(false)}
+          teammates={teammates}
+          initialRatings={myPeerRatings}
+          onSubmit={handleSavePeerRatings}
+          loading={isLoadingPeerRatings}
+          saving={isSavingPeerRatings}
+        />
+      )}
+      
       {/* Group selection modal */}
       <Modal
         visible={showJoinGroupModal}
@@ -1186,18 +1470,21 @@ const TabNavigator = () => (
             
             <FlatList
               data={assignment.groups}
-              renderItem={({ item, index }) => (
-                <TouchableOpacity
-                  style={styles.groupSelectItem}
-                  onPress={() => handleJoinGroup(index)}
-                  disabled={isJoining}
-                >
-                  <Text style={styles.groupSelectName}>{item.name}</Text>
-                  <Text style={styles.groupSelectMembers}>
-                    {item.members.length} member{item.members.length !== 1 ? 's' : ''}
-                  </Text>
-                </TouchableOpacity>
-              )}
+              renderItem={({ item }) => {
+                const isFull = isGroupFull(item, groupSettings);
+                return (
+                  <TouchableOpacity
+                    style={[styles.groupSelectItem, isFull && styles.groupSelectItemFull]}
+                    onPress={() => handleJoinGroup(item)}
+                    disabled={isJoining || isFull}
+                  >
+                    <Text style={styles.groupSelectName}>{item.name}</Text>
+                    <Text style={styles.groupSelectMembers}>
+                      {describeGroupMembers(item)}{isFull ? ' · Full' : ''}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              }}
               keyExtractor={(item, index) => index.toString()}
               contentContainerStyle={styles.groupSelectList}
             />
@@ -1225,11 +1512,40 @@ const TabNavigator = () => (
             <Text style={styles.photoModalTitle}>Submit Completion Evidence</Text>
             
             <Text style={styles.photoInstructions}>
-              {selectedPhotos.length === 0 
-                ? 'Take photos of your completed assignment to submit for approval.' 
-                : `You can upload up to ${5 - selectedPhotos.length} more photo${5 - selectedPhotos.length !== 1 ? 's' : ''}.`}
+              {isFileSubmission(assignment)
+                ? 'Attach your project files (PDF, Word, PowerPoint, Excel or ZIP) to submit for approval. You can add photos too.'
+                : selectedPhotos.length === 0 
+                  ? 'Take photos of your completed assignment or attach files to submit for approval.' 
+                  : `You can upload up to ${5 - selectedPhotos.length} more photo${5 - selectedPhotos.length !== 1 ? 's' : ''}.`}
             </Text>
             
+            {selectedFiles.map((file, index) => (
+              <View key={`${file.name}_${index}`} style={styles.attachmentItem}>
+                <Icon name={getAttachmentType(file.name)?.icon || 'insert-drive-file'} size={22} color={Colors.primary} />
+                <View style={styles.attachmentInfo}>
+                  <Text style={styles.attachmentName} numberOfLines={1}>{file.name}</Text>
+                  <Text style={styles.attachmentMeta}>{formatFileSize(file.size)}</Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => setSelectedFiles(prevFiles => prevFiles.filter((_, fileIndex) => fileIndex !== index))}
+                  disabled={isSubmittingCompletion}
+                >
+                  <Icon name="close" size={20} color={Colors.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+            
+            {selectedFiles.length < MAX_ATTACHMENTS && (
+              <TouchableOpacity
+                style={styles.attachFileButton}
+                onPress={pickSubmissionFiles}
+                disabled={isSubmittingCompletion}
+              >
+                <Icon name="attach-file" size={18} color={Colors.primary} />
+                <Text style={styles.attachFileText}>Attach Files</Text>
+              </TouchableOpacity>
+            )}
+            
             {selectedPhotos.length > 0 ? (
               <View style={styles.selectedPhotosContainer}>
                 <FlatList
@@ -1304,7 +1620,7 @@ const TabNavigator = () => (
                 <Text style={styles.cancelButtonText}>Cancel</Text>
               </TouchableOpacity>
               
-              {selectedPhotos.length > 0 && (
+              {(selectedPhotos.length > 0 || selectedFiles.length > 0) && (
                 <TouchableOpacity
                   style={[
                     styles.submitPhotoButton,
@@ -1319,7 +1635,9 @@ const TabNavigator = () => (
                     <>
                       <Icon name="check" size={16} color="#fff" />
                       <Text style={styles.submitButtonText}>
-                        Submit {selectedPhotos.length > 1 ? `${selectedPhotos.length} Photos` : 'Photo'}
+                        {selectedFiles.length === 0
+                          ? `Submit ${selectedPhotos.length > 1 ? `${selectedPhotos.length} Photos` : 'Photo'}`
+                          : `Submit ${selectedPhotos.length + selectedFiles.length} Item${selectedPhotos.length + selectedFiles.length > 1 ? 's' : ''}`}
                       </Text>
                     </>
                   )}
@@ -1334,6 +1652,24 @@ const TabNavigator = () => (
 };
 
 const styles = StyleSheet.create({
+  skipOccurrenceButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 8,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: Colors.error,
+  },
+  restoreOccurrenceButton: {
+    borderColor: Colors.success,
+  },
+  skipOccurrenceText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '500',
+  },
   container: {
     flex: 1,
     backgroundColor: Colors.background,
@@ -1510,6 +1846,113 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 14,
   },
+  attachmentItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.inputBackground,
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+  },
+  attachmentInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  attachmentName: {
+    fontSize: 14,
+    color: Colors.text,
+  },
+  attachmentMeta: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  rubricRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: Colors.separator,
+  },
+  rubricCriterionInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  rubricCriterionName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: Colors.text,
+  },
+  rubricLevels: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  rubricPoints: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.primary,
+  },
+  rubricFeedback: {
+    marginTop: 10,
+    fontStyle: 'italic',
+  },
+  attachFileButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: Colors.primary,
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  attachFileText: {
+    color: Colors.primary,
+    fontWeight: 'bold',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  peerEvaluationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginTop: 10,
+  },
+  peerEvaluationText: {
+    color: Colors.primary,
+    fontWeight: 'bold',
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  groupsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  lockGroupsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  lockGroupsText: {
+    color: Colors.primary,
+    fontWeight: 'bold',
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  groupRulesText: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginBottom: 4,
+  },
   // Group modal styles
   modalOverlay: {
     flex: 1,
@@ -1596,6 +2039,9 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     backgroundColor: Colors.cardBackground,
   },
+  groupSelectItemFull: {
+    opacity: 0.5,
+  },
   groupSelectName: {
     fontSize: 16,
     fontWeight: 'bold',
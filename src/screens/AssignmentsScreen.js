@@ -38,7 +38,12 @@ const AssignmentsScreen = ({ navigation, route }) => {
     syncedWithCloud, 
     refreshAssignments,
     approveAssignment,
-    rejectAssignment 
+    rejectAssignment,
+    pendingMutations,
+    queueConflicts,
+    isReplayingQueue,
+    syncQueuedChanges,
+    resolveQueueConflict
   } = useAssignment();
   
   const [filteredAssignments, setFilteredAssignments] = useState([]);
@@ -62,7 +67,7 @@ const AssignmentsScreen = ({ navigation, route }) => {
 
   useEffect(() => {
     filterAndSortAssignments();
-  }, [assignments, activeFilters, sortBy]);
+  }, [assignments, activeFilters, sortBy, isAdmin]);
 
   useEffect(() => {
     const checkAdminStatus = async () => {
@@ -84,6 +89,11 @@ const AssignmentsScreen = ({ navigation, route }) => {
       classId: currentClass?.id
     }));
 
+    // Skipped occurrences of a recurring series are only shown to admins
+    if (!isAdmin) {
+      filtered = filtered.filter(assignment => !assignment.skipped);
+    }
+
     // Apply filters
     if (activeFilters.length > 0) {
       filtered = filtered.filter(assignment => {
@@ -204,6 +214,78 @@ const AssignmentsScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleConflictPress = (conflict) => {
+    const title = conflict.data?.title || conflict.serverAssignment?.title || 'Assignment';
+    let message;
+    if (conflict.reason === 'deleted_on_server') {
+      message = `"${title}" was deleted while you were offline. Restore it with your changes?`;
+    } else if (conflict.reason === 'rejected') {
+      message = `Your offline change to "${title}" was rejected: ${conflict.error || 'Unknown error'}`;
+    } else {
+      message = `"${title}" was changed by someone else while you were offline. Keep your version or use the latest one?`;
+    }
+
+    Alert.alert('Sync Conflict', message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Use Latest',
+        onPress: async () => {
+          const result = await resolveQueueConflict(conflict.mutationId, 'server');
+          if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to discard your change');
+          }
+        }
+      },
+      ...(conflict.reason === 'rejected' ? [] : [{
+        text: 'Keep Mine',
+        onPress: async () => {
+          const result = await resolveQueueConflict(conflict.mutationId, 'local');
+          if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to apply your change');
+          }
+        }
+      }])
+    ]);
+  };
+
+  const renderSyncStatus = () => {
+    if (pendingMutations.length > 0) {
+      return (
+        <TouchableOpacity 
+          style={styles.syncStatusContainer} 
+          onPress={syncQueuedChanges}
+          disabled={isReplayingQueue}
+        >
+          {isReplayingQueue ? (
+            <ActivityIndicator size="small" color={CustomColors.warning} />
+          ) : (
+            <Icon name="cloud-upload" size={16} color={CustomColors.warning} />
+          )}
+          <Text style={[styles.syncStatusText, { color: CustomColors.warning }]}>
+            {isReplayingQueue
+              ? 'Syncing offline changes...'
+              : `${pendingMutations.length} change(s) waiting to sync. Tap to retry`}
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <View style={styles.syncStatusContainer}>
+        <Icon 
+          name={syncedWithCloud ? "cloud-done" : "cloud-off"} 
+          size={16} 
+          color={syncedWithCloud ? CustomColors.success : CustomColors.warning} 
+        />
+        <Text style={[styles.syncStatusText, { color: syncedWithCloud ? CustomColors.success : CustomColors.warning }]}>
+          {currentClass && syncedWithCloud 
+            ? `Synced with ${currentClass.name}` 
+            : "Using local assignments"}
+        </Text>
+      </View>
+    );
+  };
+
   return (
     <ScreenContainer style={styles.container} withTabBarSpacing={false}>
       <View style={styles.header}>
@@ -228,18 +310,21 @@ const AssignmentsScreen = ({ navigation, route }) => {
         </View>
       ) : (
         <>
-          <View style={styles.syncStatusContainer}>
-            <Icon 
-              name={syncedWithCloud ? "cloud-done" : "cloud-off"} 
-              size={16} 
-              color={syncedWithCloud ? CustomColors.success : CustomColors.warning} 
-            />
-            <Text style={[styles.syncStatusText, { color: syncedWithCloud ? CustomColors.success : CustomColors.warning }]}>
-              {currentClass && syncedWithCloud 
-                ? `Synced with ${currentClass.name}` 
-                : "Using local assignments"}
-            </Text>
-          </View>
+          {renderSyncStatus()}
+
+          {queueConflicts.map(conflict => (
+            <TouchableOpacity
+              key={conflict.mutationId}
+              style={styles.conflictBanner}
+              onPress={() => handleConflictPress(conflict)}
+            >
+              <Icon name="sync-problem" size={18} color={CustomColors.error} />
+              <Text style={styles.conflictText} numberOfLines={1}>
+                {`Sync conflict: ${conflict.data?.title || conflict.serverAssignment?.title || 'Assignment'}`}
+              </Text>
+              <Icon name="chevron-right" size={18} color={CustomColors.error} />
+            </TouchableOpacity>
+          ))}
           
           <FlatList
             data={filteredAssignments}
@@ -398,6 +483,22 @@ const styles = StyleSheet.create({
   syncStatusText: {
     fontSize: 12,
     marginLeft: 4
+  },
+  conflictBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    marginBottom: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: 'rgba(244, 67, 54, 0.08)'
+  },
+  conflictText: {
+    flex: 1,
+    fontSize: 13,
+    marginLeft: 8,
+    color: CustomColors.error
   }
 });
 
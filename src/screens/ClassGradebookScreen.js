@@ -0,0 +1,660 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  TextInput,
+  RefreshControl
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useClass } from '../context/ClassContext';
+import { getClassGradebookData, updateSubjectGradingConfig } from '../utils/firestore';
+import {
+  MISSING_WORK_POLICY,
+  normalizeGradingConfig,
+  validateGradingConfig,
+  isGradableAssignment,
+  computeSubjectGrade,
+  computeStudentGradebook,
+  getAssignmentGradeCell
+} from '../utils/gradebook';
+import { EXPORT_FORMATS, exportClassGrades } from '../utils/gradeExport';
+import Colors from '../constants/Colors';
+import { t } from '../translations';
+
+const NAME_COLUMN_WIDTH = 140;
+const SCORE_COLUMN_WIDTH = 72;
+
+const MISSING_POLICY_LABELS = {
+  [MISSING_WORK_POLICY.EXCLUDE]: 'Ignore until submitted',
+  [MISSING_WORK_POLICY.ZERO]: 'Count as 0 after deadline'
+};
+
+const ClassGradebookScreen = () => {
+  const { currentClass } = useClass();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [gradebook, setGradebook] = useState(null);
+  const [selectedSubjectId, setSelectedSubjectId] = useState(null);
+  const [showWeightsModal, setShowWeightsModal] = useState(false);
+  const [draftConfig, setDraftConfig] = useState(null);
+  const [savingConfig, setSavingConfig] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const loadGradebook = useCallback(async (isRefresh = false) => {
+    if (isRefresh) {
+      setRefreshing(true);
+    } else {
+      setLoading(true);
+    }
+
+    const result = await getClassGradebookData(currentClass.id);
+    if (result.success) {
+      setGradebook(result);
+      setSelectedSubjectId(prev => prev || result.subjects[0]?.id || null);
+    } else {
+      Alert.alert(t('Error'), result.error || t('Failed to load gradebook'));
+    }
+
+    setLoading(false);
+    setRefreshing(false);
+  }, [currentClass]);
+
+  useEffect(() => {
+    if (currentClass) {
+      loadGradebook();
+    }
+  }, [currentClass, loadGradebook]);
+
+  const selectedSubject = gradebook?.subjects.find(subject => subject.id === selectedSubjectId) || null;
+
+  const subjectAssignments = useMemo(() => {
+    if (!gradebook || !selectedSubjectId) return [];
+    return gradebook.assignments
+      .filter(assignment => assignment.subjectId === selectedSubjectId && isGradableAssignment(assignment))
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  }, [gradebook, selectedSubjectId]);
+
+  // Subject grade for the selected subject and term grade across all subjects, per student
+  const studentRows = useMemo(() => {
+    if (!gradebook) return [];
+    const now = new Date();
+    return gradebook.students.map(student => {
+      const completions = gradebook.completionsByUser[student.userId] || [];
+      const subjectGrade = selectedSubject
+        ? computeSubjectGrade(subjectAssignments, completions, selectedSubject.gradingConfig, now)
+        : null;
+      const { termGrade } = computeStudentGradebook(gradebook.subjects, gradebook.assignments, completions, now);
+      return { student, completions, subjectGrade, termGrade };
+    });
+  }, [gradebook, selectedSubject, subjectAssignments]);
+
+  const openWeightsModal = () => {
+    if (!selectedSubject) return;
+    const config = normalizeGradingConfig(selectedSubject.gradingConfig);
+    // Keep numbers as strings while editing so the inputs can be cleared
+    const categories = {};
+    Object.entries(config.categories).forEach(([type, category]) => {
+      categories[type] = {
+        weight: String(category.weight),
+        dropLowest: String(category.dropLowest)
+      };
+    });
+    setDraftConfig({ categories, missingWorkPolicy: config.missingWorkPolicy });
+    setShowWeightsModal(true);
+  };
+
+  const updateDraftCategory = (type, field, value) => {
+    setDraftConfig(prev => ({
+      ...prev,
+      categories: {
+        ...prev.categories,
+        [type]: { ...prev.categories[type], [field]: value.replace(/[^0-9]/g, '') }
+      }
+    }));
+  };
+
+  const handleSaveWeights = async () => {
+    const gradingConfig = {
+      categories: {},
+      missingWorkPolicy: draftConfig.missingWorkPolicy
+    };
+    Object.entries(draftConfig.categories).forEach(([type, category]) => {
+      gradingConfig.categories[type] = {
+        weight: Number(category.weight) || 0,
+        dropLowest: Number(category.dropLowest) || 0
+      };
+    });
+
+    const errors = validateGradingConfig(gradingConfig);
+    if (errors.length > 0) {
+      Alert.alert(t('Invalid Weights'), errors.join('\n'));
+      return;
+    }
+
+    setSavingConfig(true);
+    const result = await updateSubjectGradingConfig(currentClass.id, selectedSubject.id, gradingConfig);
+    setSavingConfig(false);
+
+    if (result.success) {
+      setGradebook(prev => ({
+        ...prev,
+        subjects: prev.subjects.map(subject =>
+          subject.id === selectedSubject.id ? { ...subject, gradingConfig } : subject
+        )
+      }));
+      setShowWeightsModal(false);
+    } else {
+      Alert.alert(t('Error'), result.error || t('Failed to save grading weights'));
+    }
+  };
+
+  const runExport = async (fileFormat) => {
+    setExporting(true);
+    const result = await exportClassGrades(currentClass.id, currentClass.name, fileFormat);
+    setExporting(false);
+
+    if (!result.success) {
+      Alert.alert(t('Export Failed'), result.error || t('Could not export grades'));
+    }
+  };
+
+  const handleExport = () => {
+    Alert.alert(
+      t('Export Grades'),
+      t('Scores, completion times and XP for every student will be exported.'),
+      [
+        { text: t('Cancel'), style: 'cancel' },
+        { text: 'CSV', onPress: () => runExport(EXPORT_FORMATS.CSV) },
+        { text: 'Excel (XLSX)', onPress: () => runExport(EXPORT_FORMATS.XLSX) }
+      ]
+    );
+  };
+
+  const renderGradeCell = (assignment, completions) => {
+    const cell = getAssignmentGradeCell(assignment, completions);
+    let text = '–';
+    let style = styles.cellPending;
+    if (cell.status === 'graded') {
+      text = String(cell.score);
+      style = styles.cellGraded;
+    } else if (cell.status === 'ungraded') {
+      text = '✓';
+      style = styles.cellUngraded;
+    } else if (cell.status === 'missing') {
+      text = 'M';
+      style = styles.cellMissing;
+    }
+    return (
+      <View key={assignment.id} style={styles.scoreCell}>
+        <Text style={[styles.cellText, style]}>{text}</Text>
+      </View>
+    );
+  };
+
+  const renderSubjectTabs = () => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.subjectTabs}>
+      {gradebook.subjects.map(subject => (
+        <TouchableOpacity
+          key={subject.id}
+          style={[styles.subjectTab, subject.id === selectedSubjectId && styles.subjectTabActive]}
+          onPress={() => setSelectedSubjectId(subject.id)}
+        >
+          <Text style={[styles.subjectTabText, subject.id === selectedSubjectId && styles.subjectTabTextActive]}>
+            {subject.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderGrid = () => (
+    <ScrollView horizontal>
+      <View>
+        <View style={[styles.row, styles.headerRow]}>
+          <View style={styles.nameCell}>
+            <Text style={styles.headerText}>{t('Student')}</Text>
+          </View>
+          {subjectAssignments.map(assignment => (
+            <View key={assignment.id} style={styles.scoreCell}>
+              <Text style={styles.headerText} numberOfLines={2}>{assignment.title}</Text>
+              <Text style={styles.headerSubtext} numberOfLines={1}>{t(assignment.type)}</Text>
+            </View>
+          ))}
+          <View style={styles.scoreCell}>
+            <Text style={styles.headerText}>{t('Subject')}</Text>
+          </View>
+          <View style={styles.scoreCell}>
+            <Text style={styles.headerText}>{t('Term')}</Text>
+          </View>
+        </View>
+
+        {studentRows.map(({ student, completions, subjectGrade, termGrade }) => (
+          <View key={student.userId} style={styles.row}>
+            <View style={styles.nameCell}>
+              <Text style={styles.studentName} numberOfLines={1}>{student.displayName}</Text>
+              {subjectGrade?.missingCount > 0 && (
+                <Text style={styles.missingCount}>{subjectGrade.missingCount} {t('missing')}</Text>
+              )}
+            </View>
+            {subjectAssignments.map(assignment => renderGradeCell(assignment, completions))}
+            <View style={styles.scoreCell}>
+              <Text style={[styles.cellText, styles.gradeText]}>
+                {subjectGrade?.grade ?? '–'}
+              </Text>
+            </View>
+            <View style={styles.scoreCell}>
+              <Text style={[styles.cellText, styles.gradeText]}>{termGrade ?? '–'}</Text>
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+
+  const renderWeightsModal = () => {
+    if (!draftConfig) return null;
+    const totalWeight = Object.values(draftConfig.categories)
+      .reduce((sum, category) => sum + (Number(category.weight) || 0), 0);
+
+    return (
+      <Modal
+        visible={showWeightsModal}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setShowWeightsModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('Grading Weights')}</Text>
+            <Text style={styles.modalSubtitle}>{selectedSubject?.name}</Text>
+
+            <View style={styles.weightHeaderRow}>
+              <Text style={[styles.weightHeaderText, styles.weightTypeColumn]}>{t('Category')}</Text>
+              <Text style={styles.weightHeaderText}>{t('Weight %')}</Text>
+              <Text style={styles.weightHeaderText}>{t('Drop lowest')}</Text>
+            </View>
+            {Object.entries(draftConfig.categories).map(([type, category]) => (
+              <View key={type} style={styles.weightRow}>
+                <Text style={[styles.weightTypeText, styles.weightTypeColumn]}>{t(type)}</Text>
+                <TextInput
+                  style={styles.weightInput}
+                  value={category.weight}
+                  onChangeText={value => updateDraftCategory(type, 'weight', value)}
+                  keyboardType="number-pad"
+                  maxLength={3}
+                />
+                <TextInput
+                  style={styles.weightInput}
+                  value={category.dropLowest}
+                  onChangeText={value => updateDraftCategory(type, 'dropLowest', value)}
+                  keyboardType="number-pad"
+                  maxLength={2}
+                />
+              </View>
+            ))}
+            <Text style={[styles.totalWeight, totalWeight !== 100 && styles.totalWeightInvalid]}>
+              {t('Total')}: {totalWeight}%
+            </Text>
+
+            <Text style={styles.policyLabel}>{t('Missing work')}</Text>
+            {Object.values(MISSING_WORK_POLICY).map(policy => (
+              <TouchableOpacity
+                key={policy}
+                style={styles.policyOption}
+                onPress={() => setDraftConfig(prev => ({ ...prev, missingWorkPolicy: policy }))}
+              >
+                <Icon
+                  name={draftConfig.missingWorkPolicy === policy ? 'radio-button-checked' : 'radio-button-unchecked'}
+                  size={20}
+                  color={Colors.primary}
+                />
+                <Text style={styles.policyText}>{t(MISSING_POLICY_LABELS[policy])}</Text>
+              </TouchableOpacity>
+            ))}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowWeightsModal(false)}
+                disabled={savingConfig}
+              >
+                <Text style={styles.cancelButtonText}>{t('Cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleSaveWeights}
+                disabled={savingConfig}
+              >
+                {savingConfig ? (
+                  <ActivityIndicator size="small" color={Colors.textLight} />
+                ) : (
+                  <Text style={styles.saveButtonText}>{t('Save')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={Colors.primary} />
+        <Text style={styles.loadingText}>{t('Loading gradebook...')}</Text>
+      </View>
+    );
+  }
+
+  if (!gradebook || gradebook.subjects.length === 0) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Icon name="grid-on" size={64} color={Colors.textSecondary} />
+        <Text style={styles.loadingText}>{t('Add subjects to start using the gradebook')}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {renderSubjectTabs()}
+
+      <View style={styles.toolbar}>
+        <Text style={styles.toolbarText}>
+          {gradebook.students.length} {t('students')} · {subjectAssignments.length} {t('assignments')}
+        </Text>
+        <View style={styles.toolbarActions}>
+          <TouchableOpacity style={styles.weightsButton} onPress={handleExport} disabled={exporting}>
+            {exporting ? (
+              <ActivityIndicator size="small" color={Colors.primary} />
+            ) : (
+              <Icon name="file-download" size={18} color={Colors.primary} />
+            )}
+            <Text style={styles.weightsButtonText}>{t('Export')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.weightsButton, styles.toolbarButtonSpacing]} onPress={openWeightsModal}>
+            <Icon name="tune" size={18} color={Colors.primary} />
+            <Text style={styles.weightsButtonText}>{t('Weights')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <ScrollView
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => loadGradebook(true)} />}
+      >
+        {renderGrid()}
+        <Text style={styles.legend}>
+          {t('M = missing, ✓ = submitted but not graded, – = not due yet')}
+        </Text>
+      </ScrollView>
+
+      {renderWeightsModal()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: Colors.background,
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+  subjectTabs: {
+    flexGrow: 0,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+  subjectTab: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    backgroundColor: Colors.surface,
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    marginRight: 8,
+  },
+  subjectTabActive: {
+    backgroundColor: Colors.primary,
+    borderColor: Colors.primary,
+  },
+  subjectTabText: {
+    fontSize: 14,
+    color: Colors.text,
+  },
+  subjectTabTextActive: {
+    color: Colors.textLight,
+    fontWeight: 'bold',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  toolbarText: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+  },
+  toolbarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  toolbarButtonSpacing: {
+    marginLeft: 8,
+  },
+  weightsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+  },
+  weightsButtonText: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: Colors.primary,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+    backgroundColor: Colors.surface,
+  },
+  headerRow: {
+    backgroundColor: Colors.background,
+  },
+  nameCell: {
+    width: NAME_COLUMN_WIDTH,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    justifyContent: 'center',
+  },
+  scoreCell: {
+    width: SCORE_COLUMN_WIDTH,
+    paddingVertical: 10,
+    paddingHorizontal: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderLeftWidth: 1,
+    borderLeftColor: Colors.separator,
+  },
+  headerText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.text,
+    textAlign: 'center',
+  },
+  headerSubtext: {
+    fontSize: 10,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+  studentName: {
+    fontSize: 14,
+    color: Colors.text,
+    fontWeight: '500',
+  },
+  missingCount: {
+    fontSize: 11,
+    color: Colors.error,
+  },
+  cellText: {
+    fontSize: 14,
+  },
+  cellGraded: {
+    color: Colors.text,
+  },
+  cellUngraded: {
+    color: Colors.success,
+  },
+  cellMissing: {
+    color: Colors.error,
+    fontWeight: 'bold',
+  },
+  cellPending: {
+    color: Colors.textSecondary,
+  },
+  gradeText: {
+    fontWeight: 'bold',
+    color: Colors.primary,
+  },
+  legend: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    padding: 16,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: Colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: Colors.surface,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 16,
+  },
+  weightHeaderRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  weightHeaderText: {
+    width: 80,
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.textSecondary,
+    textAlign: 'center',
+  },
+  weightTypeColumn: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  weightRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  weightTypeText: {
+    fontSize: 14,
+    color: Colors.text,
+  },
+  weightInput: {
+    width: 64,
+    marginHorizontal: 8,
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    borderRadius: 8,
+    paddingVertical: 6,
+    textAlign: 'center',
+    backgroundColor: Colors.inputBackground,
+    color: Colors.text,
+  },
+  totalWeight: {
+    fontSize: 13,
+    color: Colors.success,
+    textAlign: 'right',
+    marginBottom: 16,
+  },
+  totalWeightInvalid: {
+    color: Colors.error,
+  },
+  policyLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.text,
+    marginBottom: 8,
+  },
+  policyOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  policyText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: Colors.text,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  modalButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    marginLeft: 12,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: Colors.background,
+  },
+  cancelButtonText: {
+    color: Colors.textSecondary,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: Colors.primary,
+  },
+  saveButtonText: {
+    color: Colors.textLight,
+    fontWeight: '600',
+  },
+});
+
+export default ClassGradebookScreen;
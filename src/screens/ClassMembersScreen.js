@@ -9,6 +9,8 @@ import {
   Alert,
   Modal,
   StatusBar,
+  ScrollView,
+  TextInput,
 } from 'react-native';
 import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
 import { useClass } from '../context/ClassContext';
@@ -17,9 +19,18 @@ import {
   isClassAdmin, 
   setClassRole, 
   removeClassMember,
-  getClassMembersExperience
+  getClassMembersExperience,
+  getClassDetails,
+  startLeaderboardSeason,
+  getLeaderboardSeasons
 } from '../utils/firestore';
 import { calculateLevelFromExp } from '../constants/UserTypes';
+import {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_PERIOD_LABELS,
+  getPeriodExp,
+  getActiveStreak
+} from '../utils/leaderboard';
 import { t } from '../translations';
 import LevelProgressBar from '../components/LevelProgressBar';
 import Colors from '../constants/Colors';
@@ -34,6 +45,15 @@ const ClassMembersScreen = ({ navigation }) => {
   const [selectedMember, setSelectedMember] = useState(null);
   const [showMemberActions, setShowMemberActions] = useState(false);
   const [sortOrder, setSortOrder] = useState('level'); // 'level', 'name', 'role'
+  // Weekly by default so new students have a chance at the top
+  const [period, setPeriod] = useState(LEADERBOARD_PERIODS.WEEK);
+  const [currentSeason, setCurrentSeason] = useState(currentClass?.currentSeason || null);
+  const [showSeasonModal, setShowSeasonModal] = useState(false);
+  const [seasonName, setSeasonName] = useState('');
+  const [startingSeason, setStartingSeason] = useState(false);
+  const [showPastSeasons, setShowPastSeasons] = useState(false);
+  const [pastSeasons, setPastSeasons] = useState([]);
+  const [loadingSeasons, setLoadingSeasons] = useState(false);
 
   useEffect(() => {
     loadMembers();
@@ -55,8 +75,14 @@ const ClassMembersScreen = ({ navigation }) => {
 
     setLoading(true);
     try {
-      // Get members with experience data
-      const result = await getClassMembersExperience(currentClass.id);
+      // Get members with experience data, and the class for its current season
+      const [result, classDetails] = await Promise.all([
+        getClassMembersExperience(currentClass.id),
+        getClassDetails(currentClass.id)
+      ]);
+      if (classDetails) {
+        setCurrentSeason(classDetails.currentSeason || null);
+      }
       if (result.success) {
         // Process member data to include level information
         const membersWithLevels = result.members.map(member => {
@@ -70,6 +96,7 @@ const ClassMembersScreen = ({ navigation }) => {
             expToNextLevel: levelData.expToNextLevel,
             totalExp: expData.totalExp || 0,
             completedAssignments: expData.completedAssignments || [],
+            streak: getActiveStreak(expData),
             isCurrentUser: member.userId === user?.uid
           };
         });
@@ -113,7 +140,10 @@ const ClassMembersScreen = ({ navigation }) => {
     const sortedMembers = [...members];
     switch (sortOrder) {
       case 'level':
-        sortedMembers.sort((a, b) => b.totalExp - a.totalExp);
+        sortedMembers.sort((a, b) =>
+          getPeriodExp(b.experience, period) - getPeriodExp(a.experience, period) ||
+          b.totalExp - a.totalExp
+        );
         break;
       case 'name':
         sortedMembers.sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
@@ -136,6 +166,66 @@ const ClassMembersScreen = ({ navigation }) => {
     else setSortOrder('level');
   };
 
+  const handleStartSeason = () => {
+    const name = seasonName.trim();
+    if (!name) {
+      Alert.alert(t('Error'), t('Please enter a name for the new season'));
+      return;
+    }
+
+    Alert.alert(
+      t('Start New Season'),
+      t('The current standings will be archived and everyone starts the season at 0 XP. Lifetime XP and levels are kept.'),
+      [
+        { text: t('Cancel'), style: 'cancel' },
+        {
+          text: t('Start'),
+          onPress: async () => {
+            setStartingSeason(true);
+            try {
+              const result = await startLeaderboardSeason(currentClass.id, name);
+              if (result.success) {
+                setShowSeasonModal(false);
+                setSeasonName('');
+                setPeriod(LEADERBOARD_PERIODS.SEASON);
+                Alert.alert(t('Success'), t('Season "{name}" has started', { name }));
+                loadMembers();
+              } else {
+                Alert.alert(t('Error'), result.error || t('Failed to start a new season'));
+              }
+            } catch (error) {
+              console.error('Error starting season:', error);
+              Alert.alert(t('Error'), t('An unexpected error occurred'));
+            } finally {
+              setStartingSeason(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const openPastSeasons = async () => {
+    setShowPastSeasons(true);
+    setLoadingSeasons(true);
+    try {
+      const result = await getLeaderboardSeasons(currentClass.id);
+      if (result.success) {
+        setPastSeasons(result.seasons);
+      } else {
+        Alert.alert(t('Error'), result.error || t('Failed to load past seasons'));
+      }
+    } finally {
+      setLoadingSeasons(false);
+    }
+  };
+
+  const formatSeasonDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  };
+
   // Function to promote a user to teacher role
   const handlePromoteToTeacher = async () => {
     if (!selectedMember) return;
@@ -346,8 +436,16 @@ const ClassMembersScreen = ({ navigation }) => {
           
           <View style={styles.statsContainer}>
             <Text style={styles.statText}>
-              {item.totalExp.toLocaleString()} XP
+              {period === LEADERBOARD_PERIODS.ALL_TIME
+                ? `${item.totalExp.toLocaleString()} XP`
+                : `${getPeriodExp(item.experience, period).toLocaleString()} XP · ${item.totalExp.toLocaleString()} ${t('lifetime')}`}
             </Text>
+            {item.streak > 0 && (
+              <View style={styles.streakBadge}>
+                <MaterialIcons name="local-fire-department" size={14} color={Colors.warning} />
+                <Text style={styles.streakText}>{item.streak}</Text>
+              </View>
+            )}
             <Text style={styles.statText}>
               {item.completedAssignments.length} completed
             </Text>
@@ -376,12 +474,53 @@ const ClassMembersScreen = ({ navigation }) => {
     );
   };
 
+  const periods = [
+    LEADERBOARD_PERIODS.WEEK,
+    LEADERBOARD_PERIODS.MONTH,
+    LEADERBOARD_PERIODS.SEMESTER,
+    ...(currentSeason ? [LEADERBOARD_PERIODS.SEASON] : []),
+    LEADERBOARD_PERIODS.ALL_TIME
+  ];
+
   const renderListHeader = () => (
     <View style={styles.leaderboardHeader}>
       <Text style={styles.leaderboardTitle}>{t('Class Leaderboard')}</Text>
       <Text style={styles.leaderboardSubtitle}>
-        {t('Based on experience points and completed assignments')}
+        {period === LEADERBOARD_PERIODS.SEASON && currentSeason
+          ? t('{name}, since {date}', { name: currentSeason.name, date: formatSeasonDate(currentSeason.startedAt) })
+          : t('Based on experience points and completed assignments')}
       </Text>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.periodTabs}
+      >
+        {periods.map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.periodTab, period === option && styles.periodTabActive]}
+            onPress={() => setPeriod(option)}
+          >
+            <Text style={[styles.periodTabText, period === option && styles.periodTabTextActive]}>
+              {option === LEADERBOARD_PERIODS.SEASON ? currentSeason.name : t(LEADERBOARD_PERIOD_LABELS[option])}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={styles.seasonActions}>
+        <TouchableOpacity style={styles.seasonActionButton} onPress={openPastSeasons}>
+          <MaterialIcons name="history" size={16} color={Colors.primary} />
+          <Text style={styles.seasonActionText}>{t('Past Seasons')}</Text>
+        </TouchableOpacity>
+        {isUserClassAdmin && (
+          <TouchableOpacity style={styles.seasonActionButton} onPress={() => setShowSeasonModal(true)}>
+            <MaterialIcons name="restart-alt" size={16} color={Colors.primary} />
+            <Text style={styles.seasonActionText}>{t('New Season')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
     </View>
   );
 
@@ -539,6 +678,115 @@ const ClassMembersScreen = ({ navigation }) => {
           </View>
         </TouchableOpacity>
       </Modal>
+
+      {/* New Season Modal */}
+      <Modal
+        transparent={true}
+        visible={showSeasonModal}
+        animationType="fade"
+        onRequestClose={() => setShowSeasonModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{t('Start New Season')}</Text>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => setShowSeasonModal(false)}
+              >
+                <MaterialIcons name="close" size={24} color={Colors.textPrimary} />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.seasonForm}>
+              <Text style={styles.seasonFormText}>
+                {t('The current standings are archived and season XP starts again from 0. Lifetime XP, levels and achievements are kept.')}
+              </Text>
+              <TextInput
+                style={styles.seasonInput}
+                value={seasonName}
+                onChangeText={setSeasonName}
+                placeholder={t('Season name, e.g. Semester 2')}
+                placeholderTextColor={Colors.textSecondary}
+                maxLength={50}
+              />
+            </View>
+
+            <TouchableOpacity
+              style={styles.modalOption}
+              onPress={handleStartSeason}
+              disabled={startingSeason}
+            >
+              <View style={[styles.modalIconContainer, { backgroundColor: 'rgba(106, 76, 228, 0.15)' }]}>
+                {startingSeason ? (
+                  <ActivityIndicator size="small" color={Colors.primary} />
+                ) : (
+                  <MaterialIcons name="restart-alt" size={22} color={Colors.primary} />
+                )}
+              </View>
+              <Text style={styles.modalOptionText}>{t('Start Season')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => setShowSeasonModal(false)}
+            >
+              <Text style={styles.cancelButtonText}>{t('Cancel')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Past Seasons Modal */}
+      <Modal
+        transparent={true}
+        visible={showPastSeasons}
+        animationType="fade"
+        onRequestClose={() => setShowPastSeasons(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, styles.pastSeasonsContent]}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>{t('Past Seasons')}</Text>
+              <TouchableOpacity
+                style={styles.closeButton}
+                onPress={() => setShowPastSeasons(false)}
+              >
+                <MaterialIcons name="close" size={24} color={Colors.textPrimary} />
+              </TouchableOpacity>
+            </View>
+
+            {loadingSeasons ? (
+              <ActivityIndicator size="large" color={Colors.primary} style={styles.seasonsLoading} />
+            ) : (
+              <ScrollView contentContainerStyle={styles.seasonList}>
+                {pastSeasons.length === 0 && (
+                  <Text style={styles.emptyText}>{t('No seasons have ended yet')}</Text>
+                )}
+                {pastSeasons.map(season => (
+                  <View key={season.id} style={styles.seasonCard}>
+                    <Text style={styles.seasonTitle}>{t(season.name)}</Text>
+                    <Text style={styles.seasonDates}>
+                      {season.startedAt
+                        ? `${formatSeasonDate(season.startedAt)} - ${formatSeasonDate(season.endedAt)}`
+                        : t('Until {date}', { date: formatSeasonDate(season.endedAt) })}
+                    </Text>
+                    {(season.standings || []).slice(0, 3).map(standing => (
+                      <View key={standing.userId} style={styles.standingRow}>
+                        <Text style={styles.standingRank}>#{standing.rank}</Text>
+                        <Text style={styles.standingName} numberOfLines={1}>
+                          {standing.displayName}
+                        </Text>
+                        <Text style={styles.standingExp}>{standing.exp.toLocaleString()} XP</Text>
+                      </View>
+                    ))}
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -636,6 +884,44 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     textAlign: 'center',
   },
+  periodTabs: {
+    paddingTop: 12,
+  },
+  periodTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'rgba(106, 76, 228, 0.1)',
+    marginHorizontal: 4,
+  },
+  periodTabActive: {
+    backgroundColor: Colors.primary,
+  },
+  periodTabText: {
+    fontSize: 13,
+    color: Colors.primary,
+    fontWeight: '500',
+  },
+  periodTabTextActive: {
+    color: Colors.textLight,
+  },
+  seasonActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  seasonActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  seasonActionText: {
+    fontSize: 13,
+    color: Colors.primary,
+    marginLeft: 4,
+    fontWeight: '500',
+  },
   
   // List content
   listContent: {
@@ -755,6 +1041,16 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: Colors.textSecondary,
   },
+  streakBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  streakText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: Colors.warning,
+    marginLeft: 2,
+  },
   
   // Role badge
   roleBadge: {
@@ -871,6 +1167,74 @@ const styles = StyleSheet.create({
     color: Colors.primary,
     fontWeight: 'bold',
   },
+
+  // Seasons
+  seasonForm: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.separator,
+  },
+  seasonFormText: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 12,
+  },
+  seasonInput: {
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    borderRadius: 8,
+    backgroundColor: Colors.inputBackground,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: Colors.text,
+  },
+  pastSeasonsContent: {
+    maxHeight: '80%',
+  },
+  seasonsLoading: {
+    padding: 32,
+  },
+  seasonList: {
+    padding: 16,
+  },
+  seasonCard: {
+    backgroundColor: Colors.cardBackground,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  seasonTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  seasonDates: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginBottom: 8,
+  },
+  standingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  standingRank: {
+    width: 32,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.primary,
+  },
+  standingName: {
+    flex: 1,
+    fontSize: 14,
+    color: Colors.text,
+  },
+  standingExp: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: Colors.textSecondary,
+  },
 });
 
 export default ClassMembersScreen;
\ No newline at end of file
@@ -6,6 +6,7 @@ import {
   TouchableOpacity,
   Switch,
   ScrollView,
+  TextInput,
   ActivityIndicator,
   Alert
 } from 'react-native';
@@ -14,6 +15,14 @@ import { useClass } from '../context/ClassContext';
 import { isClassAdmin } from '../utils/firestore';
 import { useAuth } from '../context/AuthContext';
 import Colors from '../constants/Colors';
+import {
+  AI_PROVIDERS,
+  AI_PROVIDER_LABELS,
+  DEFAULT_AI_MODELS,
+  DEFAULT_AI_SETTINGS,
+  MAX_DAILY_USER_AI_LIMIT,
+  MAX_DAILY_CLASS_AI_LIMIT
+} from '../constants/AiProviders';
 
 const ClassSettingsScreen = ({ navigation }) => {
   const { currentClass, updateSettings } = useClass();
@@ -22,6 +31,7 @@ const ClassSettingsScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [requireCompletionApproval, setRequireCompletionApproval] = useState(false);
   const [requireGalleryApproval, setRequireGalleryApproval] = useState(true);
+  const [aiSettings, setAiSettings] = useState(DEFAULT_AI_SETTINGS);
   const [isSaving, setIsSaving] = useState(false);
 
   useEffect(() => {
@@ -29,6 +39,7 @@ const ClassSettingsScreen = ({ navigation }) => {
       checkAdminStatus();
       setRequireCompletionApproval(currentClass.requireCompletionApproval || false);
       setRequireGalleryApproval(currentClass.requireGalleryApproval !== false);
+      setAiSettings({ ...DEFAULT_AI_SETTINGS, ...(currentClass.aiSettings || {}) });
     }
   }, [currentClass]);
 
@@ -59,15 +70,46 @@ const ClassSettingsScreen = ({ navigation }) => {
     }
   };
 
+  const updateAiSetting = (field, value) => {
+    setAiSettings(prevSettings => ({ ...prevSettings, [field]: value }));
+  };
+
   // Save settings to Firestore
   const saveSettings = async () => {
     if (!currentClass || !isAdmin) return;
+
+    const baseUrl = aiSettings.baseUrl.trim();
+    if (aiSettings.provider === AI_PROVIDERS.OPENAI_COMPATIBLE && !/^https?:\/\//.test(baseUrl)) {
+      Alert.alert('Error', 'Please enter the server URL, e.g. https://ai.myschool.sch.id/v1');
+      return;
+    }
+
+    const dailyUserLimit = parseInt(aiSettings.dailyUserLimit, 10);
+    const dailyClassLimit = parseInt(aiSettings.dailyClassLimit, 10);
+    if (!(dailyUserLimit > 0) || !(dailyClassLimit > 0)) {
+      Alert.alert('Error', 'Daily AI limits must be at least 1');
+      return;
+    }
+    if (dailyUserLimit > MAX_DAILY_USER_AI_LIMIT || dailyClassLimit > MAX_DAILY_CLASS_AI_LIMIT) {
+      Alert.alert(
+        'Error',
+        `Daily AI limits can be at most ${MAX_DAILY_USER_AI_LIMIT} per member and ${MAX_DAILY_CLASS_AI_LIMIT} for the class`
+      );
+      return;
+    }
     
     setIsSaving(true);
     try {
       const result = await updateSettings(currentClass.id, {
         requireCompletionApproval,
-        requireGalleryApproval
+        requireGalleryApproval,
+        aiSettings: {
+          provider: aiSettings.provider,
+          model: aiSettings.model.trim(),
+          baseUrl: aiSettings.provider === AI_PROVIDERS.OPENAI_COMPATIBLE ? baseUrl : '',
+          dailyUserLimit,
+          dailyClassLimit
+        }
       });
       
       if (result.success) {
@@ -157,6 +199,85 @@ const ClassSettingsScreen = ({ navigation }) => {
         </View>
       </View>
       
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>AI Material Settings</Text>
+        <Text style={styles.settingDescription}>
+          The AI service that creates summaries and quizzes from uploaded materials.
+          API keys are stored with the Cloud Functions, not in the app.
+        </Text>
+
+        <View style={styles.providerOptions}>
+          {Object.values(AI_PROVIDERS).map(provider => (
+            <TouchableOpacity
+              key={provider}
+              style={[
+                styles.providerOption,
+                aiSettings.provider === provider && styles.providerOptionSelected
+              ]}
+              onPress={() => updateAiSetting('provider', provider)}
+            >
+              <Icon
+                name={aiSettings.provider === provider ? 'radio-button-checked' : 'radio-button-unchecked'}
+                size={20}
+                color={aiSettings.provider === provider ? Colors.primary : Colors.textSecondary}
+              />
+              <Text style={styles.providerOptionText}>{AI_PROVIDER_LABELS[provider]}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {aiSettings.provider !== AI_PROVIDERS.MOCK && (
+          <>
+            <Text style={styles.inputLabel}>Model</Text>
+            <TextInput
+              style={styles.input}
+              value={aiSettings.model}
+              onChangeText={value => updateAiSetting('model', value)}
+              placeholder={DEFAULT_AI_MODELS[aiSettings.provider]}
+              placeholderTextColor={Colors.textSecondary}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </>
+        )}
+
+        {aiSettings.provider === AI_PROVIDERS.OPENAI_COMPATIBLE && (
+          <>
+            <Text style={styles.inputLabel}>Server URL</Text>
+            <TextInput
+              style={styles.input}
+              value={aiSettings.baseUrl}
+              onChangeText={value => updateAiSetting('baseUrl', value)}
+              placeholder="https://ai.myschool.sch.id/v1"
+              placeholderTextColor={Colors.textSecondary}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <Text style={styles.settingDescription}>
+              Any server with an OpenAI-compatible API, such as Ollama, vLLM or LM Studio.
+              It must be one of the servers allowed in the Cloud Functions config.
+            </Text>
+          </>
+        )}
+
+        <Text style={styles.inputLabel}>Daily generations per member</Text>
+        <TextInput
+          style={styles.input}
+          value={String(aiSettings.dailyUserLimit)}
+          onChangeText={value => updateAiSetting('dailyUserLimit', value.replace(/[^0-9]/g, ''))}
+          keyboardType="number-pad"
+        />
+
+        <Text style={styles.inputLabel}>Daily generations for the class</Text>
+        <TextInput
+          style={styles.input}
+          value={String(aiSettings.dailyClassLimit)}
+          onChangeText={value => updateAiSetting('dailyClassLimit', value.replace(/[^0-9]/g, ''))}
+          keyboardType="number-pad"
+        />
+      </View>
+      
       <TouchableOpacity 
         style={[styles.saveButton, isSaving && styles.savingButton]}
         onPress={saveSettings}
@@ -270,6 +391,42 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     lineHeight: 20,
   },
+  providerOptions: {
+    marginTop: 12,
+  },
+  providerOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  providerOptionSelected: {
+    backgroundColor: 'rgba(74, 20, 140, 0.08)',
+  },
+  providerOptionText: {
+    fontSize: 16,
+    color: Colors.text,
+    marginLeft: 10,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: Colors.text,
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: Colors.inputBorder,
+    borderRadius: 8,
+    backgroundColor: Colors.inputBackground,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: Colors.text,
+    marginBottom: 8,
+  },
   saveButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,385 @@
+import { useState, useEffect, useRef } from "react"
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, Alert, StatusBar } from "react-native"
+import Icon from "react-native-vector-icons/MaterialCommunityIcons"
+import Colors from "../constants/Colors"
+import { t } from "../translations"
+import { getAiMaterials, subscribeToFlashcardProgress, saveFlashcardReview } from "../utils/firestore"
+import {
+  REVIEW_GRADES,
+  REVIEW_GRADE_LABELS,
+  getMaterialFlashcards,
+  getProgressId,
+  scheduleReview,
+  buildStudyQueue,
+  formatInterval,
+} from "../utils/flashcards"
+
+const GRADE_COLORS = {
+  [REVIEW_GRADES.AGAIN]: Colors.error,
+  [REVIEW_GRADES.HARD]: Colors.warning,
+  [REVIEW_GRADES.GOOD]: Colors.success,
+  [REVIEW_GRADES.EASY]: Colors.primary,
+}
+
+// Flashcard study session: the cards due today and some new ones, of one material or of every
+// material in the class. Practice sessions go through all cards without changing their schedule
+const FlashcardStudy = ({ route, navigation }) => {
+  const { classId, materialId } = route.params
+  const [cards, setCards] = useState(null)
+  const [progressById, setProgressById] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [position, setPosition] = useState(0)
+  const [showBack, setShowBack] = useState(false)
+  const [reviewedCount, setReviewedCount] = useState(0)
+  const [forgottenCount, setForgottenCount] = useState(0)
+  const [practicing, setPracticing] = useState(false)
+  // The queue is built once, later progress updates only feed the schedule of the next review
+  const queueBuiltRef = useRef(false)
+
+  useEffect(() => {
+    const loadCards = async () => {
+      const result = await getAiMaterials(classId, materialId)
+      if (!result.success) {
+        Alert.alert(t("Error"), t("Failed to load flashcards"))
+        navigation.goBack()
+        return
+      }
+      setCards(result.materials.flatMap(getMaterialFlashcards))
+    }
+
+    loadCards()
+  }, [classId, materialId, navigation])
+
+  useEffect(() => subscribeToFlashcardProgress(classId, setProgressById), [classId])
+
+  useEffect(() => {
+    if (queueBuiltRef.current || !cards || !progressById) return
+    queueBuiltRef.current = true
+    setQueue(buildStudyQueue(cards, progressById).queue)
+  }, [cards, progressById])
+
+  const startPractice = () => {
+    setPracticing(true)
+    setQueue(cards)
+    setPosition(0)
+    setShowBack(false)
+  }
+
+  const handleGrade = (grade) => {
+    const card = queue[position]
+
+    if (!practicing) {
+      const schedule = scheduleReview(progressById[getProgressId(card.materialId, card.id)], grade)
+      saveFlashcardReview(classId, card, schedule, grade).then((result) => {
+        if (!result.success) {
+          Alert.alert(t("Error"), t("Failed to save your review"))
+        }
+      })
+    }
+
+    setReviewedCount((count) => count + 1)
+    // Forgotten cards come back at the end of the session
+    if (grade === REVIEW_GRADES.AGAIN) {
+      setForgottenCount((count) => count + 1)
+      setQueue((currentQueue) => [...currentQueue, card])
+    }
+    setShowBack(false)
+    setPosition((currentPosition) => currentPosition + 1)
+  }
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+        <Icon name="arrow-left" size={24} color={Colors.textLight} />
+      </TouchableOpacity>
+      <Text style={styles.headerTitle}>{practicing ? t("Practice") : t("Flashcards")}</Text>
+      <Text style={styles.headerCount}>
+        {queue.length > 0 ? `${Math.min(position + 1, queue.length)}/${queue.length}` : ""}
+      </Text>
+    </View>
+  )
+
+  const renderMessage = (iconName, title, message, actions) => (
+    <View style={styles.messageContainer}>
+      <Icon name={iconName} size={64} color={Colors.primary} />
+      <Text style={styles.messageTitle}>{title}</Text>
+      <Text style={styles.messageText}>{message}</Text>
+      {actions}
+    </View>
+  )
+
+  const renderDoneButton = () => (
+    <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.goBack()}>
+      <Text style={styles.primaryButtonText}>{t("Done")}</Text>
+    </TouchableOpacity>
+  )
+
+  const renderPracticeButton = () => (
+    <TouchableOpacity style={styles.secondaryButton} onPress={startPractice}>
+      <Icon name="cards-outline" size={18} color={Colors.primary} />
+      <Text style={styles.secondaryButtonText}>{t("Practice all cards")}</Text>
+    </TouchableOpacity>
+  )
+
+  const renderContent = () => {
+    if (!cards || !progressById || !queueBuiltRef.current) {
+      return (
+        <View style={styles.messageContainer}>
+          <ActivityIndicator size="large" color={Colors.primary} />
+        </View>
+      )
+    }
+
+    if (cards.length === 0) {
+      return renderMessage(
+        "cards-outline",
+        t("No flashcards yet"),
+        t("Flashcards are made from the material's quiz and summary once it is published"),
+        renderDoneButton(),
+      )
+    }
+
+    if (queue.length === 0) {
+      return renderMessage(
+        "check-circle-outline",
+        t("All caught up"),
+        t("No cards are due today. Come back tomorrow, or practice without changing your schedule."),
+        <>
+          {renderPracticeButton()}
+          {renderDoneButton()}
+        </>,
+      )
+    }
+
+    if (position >= queue.length) {
+      return renderMessage(
+        "trophy-outline",
+        t("Session complete"),
+        t("You reviewed {count} cards, {forgotten} of them needed another look.", {
+          count: reviewedCount,
+          forgotten: forgottenCount,
+        }),
+        <>
+          {!practicing && renderPracticeButton()}
+          {renderDoneButton()}
+        </>,
+      )
+    }
+
+    const card = queue[position]
+    const progress = progressById[getProgressId(card.materialId, card.id)]
+
+    return (
+      <ScrollView contentContainerStyle={styles.studyContainer}>
+        <View style={styles.progressBar}>
+          <View style={[styles.progressFill, { width: `${(position / queue.length) * 100}%` }]} />
+        </View>
+
+        <TouchableOpacity style={styles.card} onPress={() => setShowBack(true)} activeOpacity={0.9}>
+          <Text style={styles.cardMaterial} numberOfLines={1}>
+            {card.materialTitle}
+            {!progress && !practicing ? ` · ${t("New")}` : ""}
+          </Text>
+          <Text style={styles.cardFront}>{card.front}</Text>
+          {showBack ? (
+            <>
+              <View style={styles.cardDivider} />
+              <Text style={styles.cardBack}>{card.back}</Text>
+            </>
+          ) : (
+            <Text style={styles.tapHint}>{t("Tap to show the answer")}</Text>
+          )}
+        </TouchableOpacity>
+
+        {showBack && (
+          <View style={styles.gradeRow}>
+            {Object.values(REVIEW_GRADES).map((grade) => (
+              <TouchableOpacity
+                key={grade}
+                style={[styles.gradeButton, { borderColor: GRADE_COLORS[grade] }]}
+                onPress={() => handleGrade(grade)}
+              >
+                <Text style={[styles.gradeLabel, { color: GRADE_COLORS[grade] }]}>{t(REVIEW_GRADE_LABELS[grade])}</Text>
+                {!practicing && <Text style={styles.gradeInterval}>{formatInterval(scheduleReview(progress, grade))}</Text>}
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      <StatusBar backgroundColor={Colors.primary} barStyle="light-content" />
+      {renderHeader()}
+      {renderContent()}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  header: {
+    height: 100,
+    paddingTop: 40,
+    backgroundColor: Colors.primary,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    elevation: 4,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: Colors.textLight,
+  },
+  headerCount: {
+    width: 40,
+    fontSize: 14,
+    color: Colors.textLight,
+    textAlign: "right",
+  },
+  messageContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 32,
+  },
+  messageTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: Colors.text,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  messageText: {
+    fontSize: 15,
+    color: Colors.textSecondary,
+    textAlign: "center",
+    marginBottom: 24,
+  },
+  primaryButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 48,
+    marginTop: 12,
+  },
+  primaryButtonText: {
+    color: Colors.textLight,
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  secondaryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: Colors.primary,
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+  },
+  secondaryButtonText: {
+    color: Colors.primary,
+    fontSize: 15,
+    fontWeight: "600",
+    marginLeft: 8,
+  },
+  studyContainer: {
+    flexGrow: 1,
+    padding: 16,
+  },
+  progressBar: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: Colors.separator,
+    marginBottom: 16,
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: Colors.primary,
+  },
+  card: {
+    minHeight: 280,
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 24,
+    justifyContent: "center",
+    elevation: 3,
+    shadowColor: Colors.shadow,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+  },
+  cardMaterial: {
+    position: "absolute",
+    top: 16,
+    left: 24,
+    right: 24,
+    fontSize: 12,
+    color: Colors.textSecondary,
+  },
+  cardFront: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: Colors.text,
+    textAlign: "center",
+  },
+  cardDivider: {
+    height: 1,
+    backgroundColor: Colors.separator,
+    marginVertical: 20,
+  },
+  cardBack: {
+    fontSize: 17,
+    color: Colors.text,
+    textAlign: "center",
+  },
+  tapHint: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    textAlign: "center",
+    marginTop: 24,
+  },
+  gradeRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  gradeButton: {
+    flex: 1,
+    alignItems: "center",
+    borderWidth: 1.5,
+    borderRadius: 12,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    backgroundColor: Colors.surface,
+  },
+  gradeLabel: {
+    fontSize: 15,
+    fontWeight: "bold",
+  },
+  gradeInterval: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+})
+
+export default FlashcardStudy
@@ -18,6 +18,7 @@ import { useAuth } from "../context/AuthContext"
 import { useClass } from "../context/ClassContext"
 import firestore from "@react-native-firebase/firestore"
 import LinearGradient from 'react-native-linear-gradient'
+import { deleteStoredImage, getImageSource, pickImageFields } from "../utils/blobStore"
 
 // Collection names
 const GALLERY_COLLECTION = 'gallery'
@@ -190,7 +191,7 @@ const GalleryApprovalScreen = ({ navigation }) => {
           .add({
             title: approval.title || 'Uploaded Image',
             albumId: approval.albumId,
-            image: approval.image,
+            ...pickImageFields(approval),
             createdBy: approval.createdBy,
             createdAt: firestore.FieldValue.serverTimestamp(),
             updatedAt: firestore.FieldValue.serverTimestamp()
@@ -251,6 +252,11 @@ const GalleryApprovalScreen = ({ navigation }) => {
           rejectionReason: rejectionReason.trim() || 'Not approved'
         })
       
+      // Rejected uploads never reach the gallery, so their files can go
+      if (selectedImage.type !== 'edit') {
+        await deleteStoredImage(selectedImage)
+      }
+      
       // Remove from local state
       setPendingApprovals(prev => prev.filter(item => item.id !== selectedImage.id))
       
@@ -289,7 +295,7 @@ const GalleryApprovalScreen = ({ navigation }) => {
           </View>
         ) : (
           <Image 
-            source={{ uri: `data:image/jpeg;base64,${item.image}` }}
+            source={getImageSource(item, { thumbnail: true })}
             style={styles.thumbnailImage}
           />
         )}
@@ -380,7 +386,7 @@ const GalleryApprovalScreen = ({ navigation }) => {
             </TouchableOpacity>
             
             <Image 
-              source={{ uri: `data:image/jpeg;base64,${selectedImage.image}` }} 
+              source={getImageSource(selectedImage)} 
               style={styles.fullImage} 
               resizeMode="contain"
             />
@@ -18,13 +18,13 @@ import {
 } from "react-native"
 import MaterialIcons from "react-native-vector-icons/MaterialIcons"
 import { launchCamera, launchImageLibrary } from "react-native-image-picker"
-import ImageResizer from "react-native-image-resizer"
-import RNFetchBlob from "rn-fetch-blob"
 import { useAuth } from "../context/AuthContext"
 import { useClass } from "../context/ClassContext"
 import firestore from "@react-native-firebase/firestore"
 import React from "react"
 import LinearGradient from 'react-native-linear-gradient'
+import { uploadImage, getImageSource, pickImageFields } from "../utils/blobStore"
+import { setGalleryImageLiked } from "../utils/firestore"
 
 // Collection names
 const GALLERY_COLLECTION = 'gallery'
@@ -339,28 +339,8 @@ const GalleryScreen = ({ navigation }) => {
       // Check if user is admin or if gallery approval is not required
       const isAdmin = await isUserClassAdmin(currentClass.id)
       
-      // Clean the URI if needed
-      const cleanUri = selectedPhoto.uri.startsWith('file://') 
-        ? selectedPhoto.uri 
-        : `file://${selectedPhoto.uri}`
-      
-      // Resize and compress the image
-      const resizedImage = await ImageResizer.createResizedImage(
-        cleanUri,            // uri
-        1200,                // maxWidth
-        1200,                // maxHeight
-        'JPEG',              // compressFormat
-        80,                  // quality (0-100)
-        0,                   // rotation
-        null,                // outputPath (null = temp file)
-        false,               // keepMeta
-        { onlyScaleDown: true }  // options
-      )
-      
-      // Get base64 for Firestore or small preview
-      const fs = RNFetchBlob.fs
-      const realPath = resizedImage.uri.replace('file://', '')
-      const base64Image = await fs.readFile(realPath, 'base64')
+      // Upload the photo and a thumbnail, only the URLs go into Firestore
+      const storedImage = await uploadImage(selectedPhoto.uri, `classes/${currentClass.id}/gallery`)
       
       // Use the provided title or an empty string if not provided
       const imageTitle = newImageTitle.trim() || "";
@@ -376,10 +356,10 @@ const GalleryScreen = ({ navigation }) => {
       
       if (isAdmin || !requireApproval) {
         // Admin or approval not required: direct upload to gallery
-        uploadToGallery(base64Image, imageTitle)
+        uploadToGallery(storedImage, imageTitle)
       } else {
         // Non-admin and approval required: submit for approval
-        submitForApproval(base64Image, imageTitle)
+        submitForApproval(storedImage, imageTitle)
       }
     } catch (error) {
       console.error('Error processing image:', error)
@@ -388,7 +368,7 @@ const GalleryScreen = ({ navigation }) => {
     }
   }
   
-  const uploadToGallery = async (base64Image, imageTitle) => {
+  const uploadToGallery = async (storedImage, imageTitle) => {
     try {
       // Add to gallery collection
       const galleryRef = await firestore()
@@ -398,7 +378,7 @@ const GalleryScreen = ({ navigation }) => {
         .add({
           title: imageTitle,
           albumId: selectedAlbum,
-          image: base64Image,
+          ...storedImage,
           createdBy: user.uid,
           createdAt: firestore.FieldValue.serverTimestamp(),
           updatedAt: firestore.FieldValue.serverTimestamp()
@@ -410,7 +390,7 @@ const GalleryScreen = ({ navigation }) => {
           {
             id: galleryRef.id,
             title: imageTitle,
-            image: base64Image,
+            ...storedImage,
             createdBy: user.uid,
             createdAt: new Date()
           },
@@ -431,7 +411,7 @@ const GalleryScreen = ({ navigation }) => {
     }
   }
   
-  const submitForApproval = async (base64Image, imageTitle) => {
+  const submitForApproval = async (storedImage, imageTitle) => {
     try {
       // Submit for approval
       await firestore()
@@ -441,7 +421,7 @@ const GalleryScreen = ({ navigation }) => {
         .add({
           title: imageTitle,
           albumId: selectedAlbum,
-          image: base64Image,
+          ...storedImage,
           createdBy: user.uid,
           submittedAt: firestore.FieldValue.serverTimestamp(),
           status: 'pending'
@@ -551,7 +531,7 @@ const GalleryScreen = ({ navigation }) => {
             ]}
           >
             <Image 
-              source={{ uri: `data:image/jpeg;base64,${item.image}` }} 
+              source={getImageSource(item, { thumbnail: true })} 
               style={styles.carouselBackgroundImage} 
               blurRadius={15}
               resizeMode="cover"
@@ -580,7 +560,7 @@ const GalleryScreen = ({ navigation }) => {
               onPress={() => handleCarouselImagePress(item)}
             >
               <Image 
-                source={{ uri: `data:image/jpeg;base64,${item.image}` }} 
+                source={getImageSource(item)} 
                 style={styles.carouselImage} 
                 resizeMode="contain"
               />
@@ -672,6 +652,29 @@ const GalleryScreen = ({ navigation }) => {
     )
   }
 
+  // Likes count towards the uploader's gallery achievements
+  const toggleImageLike = async (image) => {
+    if (!image || !currentClass || !user) return
+    
+    const likedBy = image.likedBy || []
+    const liked = !likedBy.includes(user.uid)
+    const updatedImage = {
+      ...image,
+      likedBy: liked ? [...likedBy, user.uid] : likedBy.filter(uid => uid !== user.uid)
+    }
+    
+    // Show the change right away and roll it back if the write fails
+    setSelectedGalleryImage(updatedImage)
+    setImages(prev => prev.map(item => item.id === image.id ? updatedImage : item))
+    
+    const result = await setGalleryImageLiked(currentClass.id, image.id, liked)
+    if (!result.success) {
+      setSelectedGalleryImage(image)
+      setImages(prev => prev.map(item => item.id === image.id ? image : item))
+      Alert.alert('Error', 'Failed to update like')
+    }
+  }
+  
   const handleGalleryImagePress = (image) => {
     setSelectedGalleryImage(image)
     setImageActionMenuVisible(true)
@@ -684,7 +687,7 @@ const GalleryScreen = ({ navigation }) => {
       setLoading(true)
       
       // Check if this image is already featured
-      const existingFeatured = featuredImages.find(item => item.image === image.image)
+      const existingFeatured = featuredImages.find(item => item.sourceId === image.id)
       
       if (existingFeatured) {
         Alert.alert('Info', 'This image is already featured')
@@ -700,7 +703,7 @@ const GalleryScreen = ({ navigation }) => {
         .collection(FEATURED_IMAGES_COLLECTION)
         .add({
           title: image.title || 'Featured Image',
-          image: image.image,
+          ...pickImageFields(image),
           sourceId: image.id,
           createdBy: user.uid,
           createdAt: firestore.FieldValue.serverTimestamp(),
@@ -710,7 +713,7 @@ const GalleryScreen = ({ navigation }) => {
       const newFeaturedImage = {
         id: featuredRef.id,
         title: image.title || 'Featured Image',
-        image: image.image,
+        ...pickImageFields(image),
         sourceId: image.id,
         createdBy: user.uid,
         createdAt: new Date()
@@ -808,7 +811,7 @@ const GalleryScreen = ({ navigation }) => {
       onPress={() => handleGalleryImagePress(item)}
     >
       <Image 
-        source={{ uri: `data:image/jpeg;base64,${item.image}` }} 
+        source={getImageSource(item, { thumbnail: true })} 
         style={styles.galleryImage} 
       />
       <LinearGradient
@@ -875,6 +878,8 @@ const GalleryScreen = ({ navigation }) => {
                 .doc(image.id)
                 .delete();
               
+              // The stored files are deleted by the onGalleryImageDeleted function
+              
               // Remove from local state
               if (!image.albumId) {
                 setImages(prevImages => prevImages.filter(item => item.id !== image.id));
@@ -1500,7 +1505,7 @@ const GalleryScreen = ({ navigation }) => {
               <>
                 <View style={styles.imageDetailPreview}>
                   <Image 
-                    source={{ uri: `data:image/jpeg;base64,${selectedGalleryImage.image}` }}
+                    source={getImageSource(selectedGalleryImage)}
                     style={styles.imageDetailThumbnail}
                     resizeMode="contain"
                   />
@@ -1528,6 +1533,19 @@ const GalleryScreen = ({ navigation }) => {
                     </View>
                   )}
                   
+                  <TouchableOpacity 
+                    style={styles.metadataItem}
+                    onPress={() => toggleImageLike(selectedGalleryImage)}
+                  >
+                    <Text style={styles.metadataLabel}>Likes:</Text>
+                    <Text style={styles.metadataValue}>{(selectedGalleryImage.likedBy || []).length}</Text>
+                    <MaterialIcons 
+                      name={(selectedGalleryImage.likedBy || []).includes(user?.uid) ? "favorite" : "favorite-border"} 
+                      size={20} 
+                      color={Colors.error} 
+                    />
+                  </TouchableOpacity>
+                  
                   {selectedGalleryImage.albumId ? (
                     <View style={styles.metadataItem}>
                       <Text style={styles.metadataLabel}>Album:</Text>
@@ -1574,7 +1592,7 @@ const GalleryScreen = ({ navigation }) => {
               <>
                 <View style={styles.editPreview}>
                   <Image 
-                    source={{ uri: `data:image/jpeg;base64,${selectedGalleryImage.image}` }}
+                    source={getImageSource(selectedGalleryImage)}
                     style={styles.editThumbnail}
                     resizeMode="contain"
                   />
@@ -115,18 +115,20 @@ const HomeScreen = ({ navigation }) => {
 
   const processAssignments = () => {
     const now = new Date();
-    const completed = assignments.filter(a => a.status === ASSIGNMENT_STATUS.FINISHED).length;
-    const upcoming = assignments.filter(a => {
+    // Skipped occurrences of a recurring series don't count as work to do
+    const activeAssignments = assignments.filter(a => !a.skipped);
+    const completed = activeAssignments.filter(a => a.status === ASSIGNMENT_STATUS.FINISHED).length;
+    const upcoming = activeAssignments.filter(a => {
       const deadline = new Date(a.deadline);
       return a.status === ASSIGNMENT_STATUS.UNFINISHED && deadline > now;
     }).length;
-    const overdue = assignments.filter(a => {
+    const overdue = activeAssignments.filter(a => {
       const deadline = new Date(a.deadline);
       return a.status === ASSIGNMENT_STATUS.UNFINISHED && deadline < now;
     }).length;
 
     setStats({
-      total: assignments.length,
+      total: activeAssignments.length,
       completed,
       upcoming,
       overdue
@@ -135,7 +137,7 @@ const HomeScreen = ({ navigation }) => {
     const sevenDaysLater = new Date();
     sevenDaysLater.setDate(now.getDate() + 7);
     
-    const upcoming7Days = assignments.filter(a => {
+    const upcoming7Days = activeAssignments.filter(a => {
       if (a.status === ASSIGNMENT_STATUS.FINISHED) return false;
       const deadline = new Date(a.deadline);
       return deadline > now && deadline <= sevenDaysLater;
@@ -0,0 +1,367 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { pick, types } from '@react-native-documents/picker';
+import RNFetchBlob from 'rn-fetch-blob';
+import Share from 'react-native-share';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useClass } from '../context/ClassContext';
+import { getClassSubjects } from '../utils/firestore';
+import {
+  IMPORT_TEMPLATE,
+  parseCsv,
+  validateImportRows,
+  planImport,
+  runImport
+} from '../utils/csvImport';
+import Colors from '../constants/Colors';
+import { t } from '../translations';
+
+const ImportClassDataScreen = ({ navigation }) => {
+  const { currentClass } = useClass();
+
+  const [fileName, setFileName] = useState(null);
+  const [isParsing, setIsParsing] = useState(false);
+  const [headerErrors, setHeaderErrors] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [existingSubjects, setExistingSubjects] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const pickCsvFile = async () => {
+    try {
+      const results = await pick({
+        allowMultiSelection: false,
+        type: [types.csv, types.plainText]
+      });
+      if (!results || results.length === 0) return;
+
+      const selectedDoc = results[0];
+      setIsParsing(true);
+
+      // Content URIs may need the cached copy to be readable
+      let filePath = selectedDoc.fileCopyUri || selectedDoc.uri;
+      if (filePath.startsWith('content://') && !selectedDoc.fileCopyUri) {
+        try {
+          const fileInfo = await RNFetchBlob.fs.stat(filePath);
+          filePath = fileInfo.path;
+        } catch (pathError) {
+          console.warn('Could not get file path from content URI, using original URI', pathError);
+        }
+      }
+
+      const content = await RNFetchBlob.fs.readFile(filePath.replace('file://', ''), 'utf8');
+      const subjects = await getClassSubjects(currentClass.id, true);
+      const validation = validateImportRows(parseCsv(content));
+
+      setFileName(selectedDoc.name);
+      setExistingSubjects(subjects);
+      setHeaderErrors(validation.headerErrors);
+      setRows(validation.rows);
+      setPlan(validation.headerErrors.length === 0 ? planImport(validation.rows, subjects) : null);
+    } catch (error) {
+      if (error.code === 'OPERATION_CANCELED') {
+        return;
+      }
+      console.error('Error reading import file:', error);
+      Alert.alert(t('Error'), t('Failed to read the CSV file') + ': ' + (error.message || error));
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const shareTemplate = async () => {
+    try {
+      const path = `${RNFetchBlob.fs.dirs.CacheDir}/import_template.csv`;
+      await RNFetchBlob.fs.writeFile(path, IMPORT_TEMPLATE, 'utf8');
+      await Share.open({
+        url: `file://${path}`,
+        type: 'text/csv',
+        filename: 'import_template.csv',
+        failOnCancel: false
+      });
+    } catch (error) {
+      console.error('Error sharing import template:', error);
+    }
+  };
+
+  const startImport = async () => {
+    setIsImporting(true);
+    const result = await runImport(
+      { id: currentClass.id, name: currentClass.name },
+      plan,
+      existingSubjects,
+      (stage, done, total) => setProgress({ stage, done, total })
+    );
+    setIsImporting(false);
+    setProgress(null);
+
+    const summary = `${result.createdSubjects} ${t('subjects')} · ${result.createdAssignments} ${t('assignments')}`;
+    if (result.success) {
+      Alert.alert(t('Import Complete'), summary, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+    } else {
+      const failureList = result.failures
+        .slice(0, 5)
+        .map(failure => `${failure.label}: ${failure.error}`)
+        .join('\n');
+      Alert.alert(
+        t('Import Finished With Errors'),
+        `${summary}\n\n${failureList}${result.failures.length > 5 ? `\n+${result.failures.length - 5} more` : ''}`
+      );
+    }
+  };
+
+  const handleImport = () => {
+    if (!plan) return;
+
+    const message = [
+      `${plan.newSubjects.length} ${t('new subjects')}`,
+      `${plan.assignments.length} ${t('assignments')}`,
+      plan.skippedRows > 0 ? `${plan.skippedRows} ${t('rows with errors will be skipped')}` : null
+    ].filter(Boolean).join('\n');
+
+    Alert.alert(t('Import'), message, [
+      { text: t('Cancel'), style: 'cancel' },
+      { text: t('Import'), onPress: startImport }
+    ]);
+  };
+
+  const renderRow = (row) => {
+    const hasErrors = row.errors.length > 0;
+    return (
+      <View key={row.rowNumber} style={[styles.rowCard, hasErrors && styles.rowCardError]}>
+        <View style={styles.rowHeader}>
+          <Icon
+            name={hasErrors ? 'error-outline' : row.kind === 'subject' ? 'book' : 'assignment'}
+            size={18}
+            color={hasErrors ? Colors.error : Colors.primary}
+          />
+          <Text style={styles.rowNumber}>{t('Row')} {row.rowNumber}</Text>
+          <Text style={styles.rowTitle} numberOfLines={1}>
+            {row.kind === 'subject' ? row.data.subjectName : row.data.title}
+          </Text>
+        </View>
+        {row.kind === 'assignment' && !hasErrors && (
+          <Text style={styles.rowDetails}>
+            {[
+              row.data.subjectName,
+              t(row.data.type),
+              row.data.groupType,
+              row.data.deadline.toLocaleString()
+            ].filter(Boolean).join(' · ')}
+          </Text>
+        )}
+        {row.errors.map((error, index) => (
+          <Text key={index} style={styles.rowError}>• {error}</Text>
+        ))}
+      </View>
+    );
+  };
+
+  const validCount = rows.filter(row => row.errors.length === 0).length;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.description}>
+          {t('Import subjects and assignments from a CSV file with the columns: title, subject, type, deadline, group type, description.')}
+        </Text>
+
+        <View style={styles.actionRow}>
+          <TouchableOpacity style={styles.pickButton} onPress={pickCsvFile} disabled={isParsing || isImporting}>
+            {isParsing ? (
+              <ActivityIndicator size="small" color={Colors.textLight} />
+            ) : (
+              <Icon name="upload-file" size={20} color={Colors.textLight} />
+            )}
+            <Text style={styles.pickButtonText}>{fileName ? t('Choose Another File') : t('Choose CSV File')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.templateButton} onPress={shareTemplate}>
+            <Icon name="description" size={20} color={Colors.primary} />
+            <Text style={styles.templateButtonText}>{t('Template')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {fileName && <Text style={styles.fileName}>{fileName}</Text>}
+
+        {headerErrors.map((error, index) => (
+          <Text key={index} style={styles.headerError}>{error}</Text>
+        ))}
+
+        {rows.length > 0 && (
+          <>
+            <Text style={styles.summary}>
+              {validCount} {t('valid')} · {rows.length - validCount} {t('with errors')}
+              {plan && plan.newSubjects.length > 0 ? ` · ${plan.newSubjects.length} ${t('new subjects')}` : ''}
+            </Text>
+            {rows.map(renderRow)}
+          </>
+        )}
+      </ScrollView>
+
+      {plan && (
+        <View style={styles.footer}>
+          {progress && (
+            <Text style={styles.progressText}>
+              {progress.stage === 'subjects' ? t('Creating subjects') : t('Creating assignments')} {progress.done}/{progress.total}
+            </Text>
+          )}
+          <TouchableOpacity
+            style={[
+              styles.importButton,
+              (isImporting || (plan.assignments.length === 0 && plan.newSubjects.length === 0)) && styles.importButtonDisabled
+            ]}
+            onPress={handleImport}
+            disabled={isImporting || (plan.assignments.length === 0 && plan.newSubjects.length === 0)}
+          >
+            {isImporting ? (
+              <ActivityIndicator size="small" color={Colors.textLight} />
+            ) : (
+              <Text style={styles.importButtonText}>{t('Import')} ({validCount})</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  description: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+    marginBottom: 16,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  pickButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: Colors.primary,
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  pickButtonText: {
+    color: Colors.textLight,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  templateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: Colors.primary,
+  },
+  templateButtonText: {
+    color: Colors.primary,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  fileName: {
+    marginTop: 12,
+    fontSize: 13,
+    color: Colors.text,
+    fontStyle: 'italic',
+  },
+  headerError: {
+    marginTop: 8,
+    fontSize: 14,
+    color: Colors.error,
+  },
+  summary: {
+    marginTop: 16,
+    marginBottom: 8,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.text,
+  },
+  rowCard: {
+    backgroundColor: Colors.surface,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: Colors.success,
+  },
+  rowCardError: {
+    borderLeftColor: Colors.error,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowNumber: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginLeft: 6,
+    marginRight: 8,
+  },
+  rowTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.text,
+  },
+  rowDetails: {
+    marginTop: 4,
+    fontSize: 12,
+    color: Colors.textSecondary,
+  },
+  rowError: {
+    marginTop: 4,
+    fontSize: 12,
+    color: Colors.error,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: Colors.separator,
+    backgroundColor: Colors.surface,
+  },
+  progressText: {
+    fontSize: 13,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  importButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  importButtonDisabled: {
+    opacity: 0.5,
+  },
+  importButtonText: {
+    color: Colors.textLight,
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default ImportClassDataScreen;
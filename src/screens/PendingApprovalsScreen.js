@@ -14,6 +14,7 @@ import {
   Easing,
   Dimensions,
   StatusBar,
+  ScrollView,
 } from "react-native"
 import Icon from "react-native-vector-icons/MaterialIcons"
 import LinearGradient from "react-native-linear-gradient"
@@ -28,12 +29,17 @@ import {
   getPendingCompletionApprovals,
   approveCompletion,
   rejectCompletion,
+  getPeerContributions,
 } from "../utils/firestore"
+import { computeMemberScore } from "../utils/peerEvaluation"
+import { scoreRubric } from "../utils/rubrics"
+import { getAttachmentType, formatFileSize, openAttachment } from "../utils/attachments"
 import { t } from "../translations"
 import { format } from "date-fns"
 import { useAssignment } from "../context/AssignmentContext"
 import { useSafeAreaInsets } from "react-native-safe-area-context"
 import { EXP_CONSTANTS } from "../constants/UserTypes"
+import { getImageSource } from "../utils/blobStore"
 
 // Tab names
 const TABS = {
@@ -185,6 +191,16 @@ const CompletionItemCard = ({ item, index, onApprove, onRejectModal, onViewImage
     }
   }
   
+  // Submitted documents and archives open in a viewer app
+  const handleOpenAttachment = async (attachment) => {
+    try {
+      await openAttachment(attachment)
+    } catch (error) {
+      console.error("Error opening attachment:", error)
+      Alert.alert("Error", `Could not open ${attachment.name}`)
+    }
+  }
+
   // Debug logging for the approve handler
   const handleApprove = () => {
     console.log('Approve button pressed for item:', item?.id);
@@ -219,15 +235,27 @@ const CompletionItemCard = ({ item, index, onApprove, onRejectModal, onViewImage
       </View>
 
       <View style={styles.completionCardContent}>
-        <View style={styles.studentInfoContainer}>
-          <Icon name="person" size={16} color={Colors.textSecondary} />
-          <Text style={styles.studentNameText}>
-            {item.displayName || "Unknown user"}
-          </Text>
-        </View>
+        {item.groupId ? (
+          <View style={styles.studentInfoContainer}>
+            <Icon name="group" size={16} color={Colors.textSecondary} />
+            <View style={styles.groupInfoText}>
+              <Text style={styles.studentNameText}>
+                {`${item.groupName || "Group"}: ${(item.members || []).map(member => member.displayName).join(", ")}`}
+              </Text>
+              <Text style={styles.submittedByText}>Submitted by {item.displayName || "Unknown user"}</Text>
+            </View>
+          </View>
+        ) : (
+          <View style={styles.studentInfoContainer}>
+            <Icon name="person" size={16} color={Colors.textSecondary} />
+            <Text style={styles.studentNameText}>
+              {item.displayName || "Unknown user"}
+            </Text>
+          </View>
+        )}
 
         {/* Handle single image or images array */}
-        {((item.image || item.base64Image || item.photoUrl || (item.images && item.images.length > 0)) && (
+        {((item.imageUrl || item.image || item.base64Image || item.photoUrl || (item.images && item.images.length > 0)) && (
           <TouchableOpacity
             style={styles.thumbnailContainer}
             onPress={() => {
@@ -237,13 +265,10 @@ const CompletionItemCard = ({ item, index, onApprove, onRejectModal, onViewImage
             activeOpacity={0.9}
           >
             <Image
-              source={{ uri: item.images && item.images.length > 0
-                ? `data:image/jpeg;base64,${item.images[0].base64Image}`
-                : item.image
-                  ? `data:image/jpeg;base64,${item.image}`
-                  : item.base64Image
-                    ? `data:image/jpeg;base64,${item.base64Image}`
-                    : item.photoUrl }}
+              source={getImageSource(
+                item.images && item.images.length > 0 ? item.images[0] : item,
+                { thumbnail: true }
+              )}
               style={styles.thumbnail}
               resizeMode="cover"
             />
@@ -254,6 +279,19 @@ const CompletionItemCard = ({ item, index, onApprove, onRejectModal, onViewImage
           </TouchableOpacity>
         ))}
 
+        {(item.attachments || []).map(attachment => (
+          <TouchableOpacity
+            key={attachment.filePath}
+            style={styles.attachmentItem}
+            onPress={() => handleOpenAttachment(attachment)}
+            activeOpacity={0.8}
+          >
+            <Icon name={getAttachmentType(attachment.name)?.icon || "insert-drive-file"} size={20} color={Colors.primary} />
+            <Text style={styles.attachmentName} numberOfLines={1}>{attachment.name}</Text>
+            <Text style={styles.attachmentSize}>{formatFileSize(attachment.size)}</Text>
+          </TouchableOpacity>
+        ))}
+
         <View style={styles.rewardInfoContainer}>
           <View style={styles.rewardContainer}>
             <Icon name="star" size={16} color={Colors.warning} />
@@ -307,6 +345,13 @@ const PendingApprovalsScreen = ({ navigation }) => {
   const [gradeModalVisible, setGradeModalVisible] = useState(false)
   const [selectedCompletion, setSelectedCompletion] = useState(null)
   const [score, setScore] = useState("90")
+  // Peer-rated contribution of each member when grading a group submission, and the teacher's
+  // adjustments in points by userId
+  const [memberContributions, setMemberContributions] = useState(null)
+  const [memberAdjustments, setMemberAdjustments] = useState({})
+  // Level picked per criterion (by criterion id) when the assignment has a rubric, the score follows them
+  const [rubricSelections, setRubricSelections] = useState({})
+  const [rubricFeedback, setRubricFeedback] = useState("")
   const [isTeacher, setIsTeacher] = useState(false)
   const [isAdmin, setIsAdmin] = useState(false)
   const insets = useSafeAreaInsets()
@@ -322,6 +367,15 @@ const PendingApprovalsScreen = ({ navigation }) => {
   const gradeModalScaleAnim = useRef(new Animated.Value(0.9)).current
   const gradeModalOpacityAnim = useRef(new Animated.Value(0)).current
   
+  const gradingRubric = selectedCompletion?.assignment?.rubric || null
+  const rubricResult = gradingRubric ? scoreRubric(gradingRubric, rubricSelections) : null
+
+  const selectRubricLevel = (criterionId, levelId) => {
+    const selections = { ...rubricSelections, [criterionId]: levelId }
+    setRubricSelections(selections)
+    setScore(String(scoreRubric(gradingRubric, selections).score))
+  }
+
   // Submit grade and approve completion
   const submitGrade = async () => {
     console.log('Submit grade function called');
@@ -340,6 +394,11 @@ const PendingApprovalsScreen = ({ navigation }) => {
     
     console.log(`Submitting grade for completion: ${selectedCompletion.id}, class: ${currentClass.id}`);
     
+    if (rubricResult && !rubricResult.complete) {
+      Alert.alert("Rubric Incomplete", "Pick a level for every criterion of the rubric");
+      return;
+    }
+    
     // Validate score input
     const numScore = parseInt(score, 10);
     if (isNaN(numScore) || numScore < 0 || numScore > 100) {
@@ -350,6 +409,18 @@ const PendingApprovalsScreen = ({ navigation }) => {
     
     console.log(`Validated score: ${numScore}`);
     
+    const adjustments = {};
+    const invalidAdjustment = Object.entries(memberAdjustments).some(([userId, value]) => {
+      if (value.trim() === '' || value.trim() === '-') return false;
+      const points = parseInt(value, 10);
+      adjustments[userId] = points;
+      return isNaN(points) || points < -100 || points > 100;
+    });
+    if (invalidAdjustment) {
+      Alert.alert("Invalid Adjustment", "Adjustments must be between -100 and 100 points");
+      return;
+    }
+    
     // Close the grading modal with animation first
     setGradeModalVisible(false);
     
@@ -360,13 +431,24 @@ const PendingApprovalsScreen = ({ navigation }) => {
       console.log(`Calling approveCompletion with classId: ${currentClass.id}, completionId: ${selectedCompletion.id}, score: ${numScore}`);
       
       // Call approveCompletion with score parameter
-      const result = await approveCompletion(currentClass.id, selectedCompletion.id, numScore);
+      const result = await approveCompletion(
+        currentClass.id,
+        selectedCompletion.id,
+        numScore,
+        adjustments,
+        gradingRubric ? { selections: rubricSelections, feedback: rubricFeedback } : null
+      );
       console.log('Approval result:', result);
       
       if (result && result.success) {
         // Refresh the list
         await loadPendingCompletions();
-        Alert.alert("Success", `Completion approved with score: ${numScore}`);
+        Alert.alert(
+          "Success",
+          selectedCompletion.groupId
+            ? `Group completion approved with score: ${numScore}`
+            : `Completion approved with score: ${numScore}`
+        );
       } else {
         console.error('Approval failed:', result?.error || 'Unknown error');
         Alert.alert("Error", result?.error || "Failed to approve completion");
@@ -606,6 +688,16 @@ const PendingApprovalsScreen = ({ navigation }) => {
     }
   }
 
+  // Contribution factors from the group's peer evaluations, shown while grading
+  const loadMemberContributions = async (completion) => {
+    const result = await getPeerContributions(currentClass.id, completion.assignmentId, completion.memberIds || [])
+    if (result.success) {
+      setMemberContributions(result.contributions)
+    } else {
+      setMemberContributions({})
+    }
+  }
+
   const handleApproveCompletion = async (completion) => {
     if (!currentClass) {
       console.log('No current class found')
@@ -621,9 +713,17 @@ const PendingApprovalsScreen = ({ navigation }) => {
       console.log('Showing grading modal')
       // For teachers, show grading modal
       setSelectedCompletion(completion)
-      setScore("90") // Default score
+      setScore(completion.assignment?.rubric ? "" : "90") // Default score, a rubric fills it in
+      setRubricSelections({})
+      setRubricFeedback("")
+      setMemberAdjustments({})
+      setMemberContributions(null)
       setGradeModalVisible(true)
       
+      if (completion.groupId) {
+        loadMemberContributions(completion)
+      }
+      
       // Animate modal appearance
       gradeModalScaleAnim.setValue(0.9)
       gradeModalOpacityAnim.setValue(0)
@@ -729,20 +829,8 @@ const PendingApprovalsScreen = ({ navigation }) => {
     // Reset current image index
     setCurrentImageIndex(0);
     
-    // Store the selected item or its image in state
-    if (item.images && item.images.length > 0) {
-      // For multiple images, store the whole item
-      setSelectedImage(item);
-    } else if (item.image) {
-      // For single image in image field
-      setSelectedImage(item.image);
-    } else if (item.base64Image) {
-      // For single image in base64Image field
-      setSelectedImage(item.base64Image);
-    } else if (item.photoUrl) {
-      // For single image in photoUrl field
-      setSelectedImage(item.photoUrl);
-    }
+    // Store the whole item, the viewer picks the stored URL or the legacy base64 field
+    setSelectedImage(item);
     
     setImageModalVisible(true)
 
@@ -1001,7 +1089,7 @@ const PendingApprovalsScreen = ({ navigation }) => {
             {selectedImage && typeof selectedImage === 'object' && selectedImage.images && selectedImage.images.length > 0 ? (
               <View style={styles.multipleImagesContainer}>
                 <Image
-                  source={{ uri: `data:image/jpeg;base64,${selectedImage.images[currentImageIndex].base64Image}` }}
+                  source={getImageSource(selectedImage.images[currentImageIndex])}
                   style={styles.fullImage}
                   resizeMode="contain"
                 />
@@ -1030,11 +1118,7 @@ const PendingApprovalsScreen = ({ navigation }) => {
               </View>
             ) : (
               <Image
-                source={
-                  typeof selectedImage === 'string' && selectedImage.startsWith("http")
-                    ? { uri: selectedImage }
-                    : { uri: `data:image/jpeg;base64,${selectedImage}` }
-                }
+                source={getImageSource(selectedImage)}
                 style={styles.fullImage}
                 resizeMode="contain"
               />
@@ -1143,10 +1227,11 @@ const PendingApprovalsScreen = ({ navigation }) => {
                   borderWidth: 1,
                   borderColor: 'rgba(255, 255, 255, 0.3)'
                 }}
-                placeholder="90"
+                placeholder={gradingRubric ? "–" : "90"}
                 placeholderTextColor="#808080"
                 value={score}
                 onChangeText={setScore}
+                editable={!gradingRubric}
                 keyboardType="number-pad"
                 maxLength={3}
               />
@@ -1158,7 +1243,89 @@ const PendingApprovalsScreen = ({ navigation }) => {
               }}>/100</Text>
             </View>
             
-            {selectedCompletion && selectedCompletion.displayName && (
+            {gradingRubric && (
+              <View style={styles.groupGradeContainer}>
+                <Text style={styles.groupGradeTitle}>
+                  {gradingRubric.name}: {rubricResult.points}/{rubricResult.maxPoints} points
+                </Text>
+                <ScrollView style={styles.rubricGradeList}>
+                  {gradingRubric.criteria.map(criterion => (
+                    <View key={criterion.id} style={styles.rubricCriterion}>
+                      <Text style={styles.groupGradeName}>{criterion.name}</Text>
+                      <View style={styles.rubricLevelRow}>
+                        {criterion.levels.map(level => {
+                          const selected = rubricSelections[criterion.id] === level.id
+                          return (
+                            <TouchableOpacity
+                              key={level.id}
+                              style={[styles.rubricLevelChip, selected && styles.rubricLevelChipSelected]}
+                              onPress={() => selectRubricLevel(criterion.id, level.id)}
+                              activeOpacity={0.7}
+                            >
+                              <Text style={styles.rubricLevelText}>{level.label} · {level.points}</Text>
+                            </TouchableOpacity>
+                          )
+                        })}
+                      </View>
+                    </View>
+                  ))}
+                </ScrollView>
+                <TextInput
+                  style={styles.rubricFeedbackInput}
+                  placeholder="Feedback for the student (optional)"
+                  placeholderTextColor="#808080"
+                  value={rubricFeedback}
+                  onChangeText={setRubricFeedback}
+                  multiline
+                  maxLength={1000}
+                />
+              </View>
+            )}
+            
+            {selectedCompletion && selectedCompletion.groupId && (
+              <View style={styles.groupGradeContainer}>
+                <Text style={styles.groupGradeTitle}>
+                  {selectedCompletion.groupName || "Group"}: score × peer-rated contribution + adjustment
+                </Text>
+                {memberContributions === null ? (
+                  <ActivityIndicator size="small" color={Colors.primary} />
+                ) : (
+                  <ScrollView style={styles.groupGradeList}>
+                    {(selectedCompletion.members || []).map(member => {
+                      const contribution = memberContributions[member.userId] || { averageRating: null, factor: 1 }
+                      const adjustment = parseInt(memberAdjustments[member.userId], 10) || 0
+                      const groupScore = parseInt(score, 10) || 0
+                      return (
+                        <View key={member.userId} style={styles.groupGradeRow}>
+                          <View style={styles.groupGradeMember}>
+                            <Text style={styles.groupGradeName}>{member.displayName}</Text>
+                            <Text style={styles.groupGradeDetail}>
+                              {contribution.averageRating !== null
+                                ? `Peers: ${contribution.averageRating.toFixed(1)}★ · ×${contribution.factor.toFixed(2)}`
+                                : "Not rated · ×1.00"}
+                            </Text>
+                          </View>
+                          <TextInput
+                            style={styles.adjustmentInput}
+                            placeholder="±0"
+                            placeholderTextColor="#808080"
+                            value={memberAdjustments[member.userId] || ""}
+                            onChangeText={value => setMemberAdjustments(prev => ({ ...prev, [member.userId]: value }))}
+                            keyboardType="numbers-and-punctuation"
+                            maxLength={4}
+                          />
+                          <Text style={styles.groupGradeScore}>
+                            {computeMemberScore(groupScore, contribution.factor, adjustment)}
+                          </Text>
+                        </View>
+                      )
+                    })}
+                  </ScrollView>
+                )}
+              </View>
+            )}
+            
+            {selectedCompletion && !selectedCompletion.groupId && selectedCompletion.displayName && (
               <View style={{
                 flexDirection: 'row',
                 alignItems: 'center',
@@ -1603,6 +1770,123 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontWeight: "500",
   },
+  groupInfoText: {
+    flex: 1,
+  },
+  attachmentItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "rgba(255, 255, 255, 0.08)",
+    padding: 10,
+    borderRadius: 10,
+    marginBottom: 8,
+  },
+  attachmentName: {
+    flex: 1,
+    fontSize: 14,
+    color: Colors.text,
+    marginLeft: 8,
+  },
+  attachmentSize: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginLeft: 8,
+  },
+  submittedByText: {
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginLeft: 8,
+    marginTop: 2,
+  },
+  groupGradeContainer: {
+    backgroundColor: "rgba(50, 50, 50, 0.8)",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: "rgba(255, 255, 255, 0.15)",
+  },
+  groupGradeTitle: {
+    fontSize: 13,
+    color: "#FFFFFF",
+    fontWeight: "500",
+    marginBottom: 8,
+  },
+  groupGradeList: {
+    maxHeight: 220,
+  },
+  groupGradeRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  groupGradeMember: {
+    flex: 1,
+  },
+  groupGradeName: {
+    fontSize: 14,
+    color: "#FFFFFF",
+  },
+  groupGradeDetail: {
+    fontSize: 12,
+    color: "#B0B0B0",
+    marginTop: 2,
+  },
+  adjustmentInput: {
+    backgroundColor: "rgba(80, 80, 80, 0.8)",
+    borderRadius: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    width: 56,
+    textAlign: "center",
+    color: "#FFFFFF",
+    marginHorizontal: 8,
+  },
+  groupGradeScore: {
+    width: 32,
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#FFFFFF",
+    textAlign: "right",
+  },
+  rubricGradeList: {
+    maxHeight: 240,
+  },
+  rubricCriterion: {
+    paddingVertical: 6,
+  },
+  rubricLevelRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 4,
+  },
+  rubricLevelChip: {
+    backgroundColor: "rgba(80, 80, 80, 0.8)",
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginTop: 4,
+    borderWidth: 1,
+    borderColor: "transparent",
+  },
+  rubricLevelChipSelected: {
+    backgroundColor: Colors.primary,
+    borderColor: "rgba(255, 255, 255, 0.5)",
+  },
+  rubricLevelText: {
+    fontSize: 12,
+    color: "#FFFFFF",
+  },
+  rubricFeedbackInput: {
+    backgroundColor: "rgba(80, 80, 80, 0.8)",
+    borderRadius: 6,
+    padding: 8,
+    marginTop: 8,
+    minHeight: 56,
+    color: "#FFFFFF",
+    textAlignVertical: "top",
+  },
   thumbnailContainer: {
     width: "100%",
     height: 200,
@@ -20,11 +20,12 @@ import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useAuth } from '../context/AuthContext';
 import { useClass } from '../context/ClassContext';
 import { useLanguage } from '../context/LanguageContext';
-import { isClassAdmin, getUserExperience } from '../utils/firestore';
+import { isClassAdmin, getUserExperience, getExperienceLedger } from '../utils/firestore';
 import Colors from '../constants/Colors';
 import { t } from '../translations';
 import ScreenContainer from '../components/ScreenContainer';
 import LevelProgressBar from '../components/LevelProgressBar';
+import XpHistoryTimeline from '../components/XpHistoryTimeline';
 
 // Custom color theme with purple, blue, and white
 const CustomColors = {
@@ -244,6 +245,7 @@ const ProfileScreen = ({ navigation }) => {
   const [isCurrentClassAdmin, setIsCurrentClassAdmin] = useState(false);
   const [userExperience, setUserExperience] = useState(null);
   const [loadingExperience, setLoadingExperience] = useState(false);
+  const [expHistory, setExpHistory] = useState([]);
   
   // Toast state
   const [toast, setToast] = useState({
@@ -319,13 +321,17 @@ const ProfileScreen = ({ navigation }) => {
       if (user && currentClass) {
         setLoadingExperience(true);
         try {
-          const expResult = await getUserExperience(currentClass.id);
+          const [expResult, ledgerResult] = await Promise.all([
+            getUserExperience(currentClass.id),
+            getExperienceLedger(currentClass.id)
+          ]);
           if (expResult.success) {
             setUserExperience(expResult.experience);
           } else {
             console.error("Error loading experience data:", expResult.error);
             showToast('Failed to load experience data', 'error');
           }
+          setExpHistory(ledgerResult.success ? ledgerResult.entries : []);
         } catch (error) {
           console.error("Error fetching experience:", error);
           showToast('Failed to load experience data', 'error');
@@ -334,6 +340,7 @@ const ProfileScreen = ({ navigation }) => {
         }
       } else {
         setUserExperience(null);
+        setExpHistory([]);
       }
     };
     
@@ -597,6 +604,24 @@ const ProfileScreen = ({ navigation }) => {
                     <Icon name="chevron-right" size={24} color={CustomColors.textSecondary} />
                   </TouchableOpacity>
                   
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={() => navigation.navigate('ClassGradebook')}
+                  >
+                    <Icon name="grid-on" size={24} color={CustomColors.secondary} />
+                    <Text style={styles.menuItemText}>{t('Class Gradebook')}</Text>
+                    <Icon name="chevron-right" size={24} color={CustomColors.textSecondary} />
+                  </TouchableOpacity>
+                  
+                  <TouchableOpacity 
+                    style={styles.menuItem}
+                    onPress={() => navigation.navigate('ImportClassData')}
+                  >
+                    <Icon name="upload-file" size={24} color={CustomColors.secondary} />
+                    <Text style={styles.menuItemText}>{t('Import from CSV')}</Text>
+                    <Icon name="chevron-right" size={24} color={CustomColors.textSecondary} />
+                  </TouchableOpacity>
+                  
                   <TouchableOpacity 
                     style={styles.menuItem}
                     onPress={handleViewClassMembers}
@@ -852,6 +877,11 @@ const ProfileScreen = ({ navigation }) => {
                       )}
                     </View>
                     
+                    <View style={styles.experienceCard}>
+                      <Text style={styles.experienceTitle}>{t('XP History')}</Text>
+                      <XpHistoryTimeline entries={expHistory} loading={loadingExperience} />
+                    </View>
+                    
                     <TouchableOpacity 
                       style={styles.menuItem}
                       onPress={handleViewClassMembers}
@@ -8,14 +8,25 @@ import {
   ScrollView,
   ActivityIndicator,
   StatusBar,
-  FlatList
+  FlatList,
+  Modal,
+  TextInput,
+  Alert
 } from 'react-native';
 import MaterialIcons from 'react-native-vector-icons/MaterialIcons';
 import { useAuth } from '../context/AuthContext';
 import { useClass } from '../context/ClassContext';
-import { getUserProfile, getUserExperience } from '../utils/firestore';
+import {
+  getUserProfile,
+  getUserExperience,
+  getExperienceLedger,
+  awardBonusExperience,
+  isClassAdmin
+} from '../utils/firestore';
 import { t } from '../translations';
 import LevelProgressBar from '../components/LevelProgressBar';
+import XpHistoryTimeline from '../components/XpHistoryTimeline';
+import AchievementShelf from '../components/AchievementShelf';
 import { calculateLevelFromExp } from '../constants/UserTypes';
 
 // Custom color theme
@@ -44,6 +55,12 @@ const ProfileViewScreen = ({ route, navigation }) => {
   const [userProfile, setUserProfile] = useState(null);
   const [userExperience, setUserExperience] = useState(null);
   const [isCurrentUser, setIsCurrentUser] = useState(false);
+  const [canManageXp, setCanManageXp] = useState(false);
+  const [expHistory, setExpHistory] = useState([]);
+  const [bonusModalVisible, setBonusModalVisible] = useState(false);
+  const [bonusAmount, setBonusAmount] = useState('');
+  const [bonusReason, setBonusReason] = useState('');
+  const [savingBonus, setSavingBonus] = useState(false);
 
   useEffect(() => {
     setIsCurrentUser(userId === user?.uid);
@@ -72,6 +89,14 @@ const ProfileViewScreen = ({ route, navigation }) => {
         if (expResult.success) {
           setUserExperience(expResult.experience);
         }
+        
+        // Teachers and admins see the student's XP history and can give bonus XP
+        const isAdmin = userId !== user?.uid && await isClassAdmin(currentClass.id);
+        setCanManageXp(isAdmin);
+        if (isAdmin) {
+          const ledgerResult = await getExperienceLedger(currentClass.id, userId);
+          setExpHistory(ledgerResult.success ? ledgerResult.entries : []);
+        }
       }
     } catch (error) {
       console.error('Error loading user data:', error);
@@ -80,6 +105,35 @@ const ProfileViewScreen = ({ route, navigation }) => {
     }
   };
 
+  const closeBonusModal = () => {
+    setBonusModalVisible(false);
+    setBonusAmount('');
+    setBonusReason('');
+  };
+
+  const handleAwardBonus = async () => {
+    const amount = parseInt(bonusAmount, 10);
+    if (!amount) {
+      Alert.alert(t('Error'), t('Enter a positive or negative amount of XP'));
+      return;
+    }
+    if (!bonusReason.trim()) {
+      Alert.alert(t('Error'), t('Enter a reason, the student sees it in their XP history'));
+      return;
+    }
+
+    setSavingBonus(true);
+    const result = await awardBonusExperience(currentClass.id, userId, amount, bonusReason.trim());
+    setSavingBonus(false);
+
+    if (result.success) {
+      closeBonusModal();
+      loadUserData();
+    } else {
+      Alert.alert(t('Error'), result.error || t('Failed to award bonus XP'));
+    }
+  };
+
   const renderStatItem = ({ item }) => (
     <View style={styles.statCard}>
       <View style={styles.statIconContainer}>
@@ -222,6 +276,33 @@ const ProfileViewScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Achievements Section */}
+        {currentClass && (
+          <View style={styles.levelContainer}>
+            <Text style={styles.sectionTitle}>{t('Achievements')}</Text>
+            <View style={styles.levelCard}>
+              <AchievementShelf experience={userExperience} />
+            </View>
+          </View>
+        )}
+
+        {/* XP history and bonus XP, for teachers and admins */}
+        {currentClass && canManageXp && (
+          <View style={styles.levelContainer}>
+            <Text style={styles.sectionTitle}>{t('XP History')}</Text>
+            <View style={styles.levelCard}>
+              <TouchableOpacity
+                style={styles.bonusButton}
+                onPress={() => setBonusModalVisible(true)}
+              >
+                <MaterialIcons name="stars" size={20} color={Colors.textLight} />
+                <Text style={styles.bonusButtonText}>{t('Give Bonus XP')}</Text>
+              </TouchableOpacity>
+              <XpHistoryTimeline entries={expHistory} />
+            </View>
+          </View>
+        )}
+
         {/* Stats Section */}
         <View style={styles.statsContainer}>
           <Text style={styles.sectionTitle}>{t('Statistics')}</Text>
@@ -246,6 +327,45 @@ const ProfileViewScreen = ({ route, navigation }) => {
           </TouchableOpacity>
         )}
       </ScrollView>
+
+      <Modal
+        visible={bonusModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={closeBonusModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{t('Give Bonus XP')}</Text>
+            <TextInput
+              style={styles.modalInput}
+              placeholder={t('Amount (use a minus sign to remove XP)')}
+              keyboardType="numbers-and-punctuation"
+              value={bonusAmount}
+              onChangeText={setBonusAmount}
+            />
+            <TextInput
+              style={[styles.modalInput, styles.modalReasonInput]}
+              placeholder={t('Reason')}
+              value={bonusReason}
+              onChangeText={setBonusReason}
+              multiline
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalCancelButton} onPress={closeBonusModal} disabled={savingBonus}>
+                <Text style={styles.modalCancelText}>{t('Cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalSaveButton} onPress={handleAwardBonus} disabled={savingBonus}>
+                {savingBonus ? (
+                  <ActivityIndicator size="small" color={Colors.textLight} />
+                ) : (
+                  <Text style={styles.modalSaveText}>{t('Save')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -465,6 +585,78 @@ const styles = StyleSheet.create({
     color: Colors.textLight,
     marginLeft: 8,
   },
+  bonusButton: {
+    backgroundColor: Colors.secondary,
+    borderRadius: 8,
+    paddingVertical: 10,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  bonusButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.textLight,
+    marginLeft: 8,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modalContent: {
+    backgroundColor: Colors.background,
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: Colors.textPrimary,
+    marginBottom: 16,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: Colors.textPrimary,
+    marginBottom: 12,
+  },
+  modalReasonInput: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalCancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginRight: 8,
+  },
+  modalCancelText: {
+    fontSize: 14,
+    color: Colors.textSecondary,
+  },
+  modalSaveButton: {
+    backgroundColor: Colors.primary,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  modalSaveText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: Colors.textLight,
+  },
 });
 
 export default ProfileViewScreen;
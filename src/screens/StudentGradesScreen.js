@@ -14,6 +14,7 @@ import { useNavigation } from '@react-navigation/native';
 import { useAuth } from '../context/AuthContext';
 import { useClass } from '../context/ClassContext';
 import { USERS_COLLECTION } from '../utils/firestore';
+import { computeStudentGradebook } from '../utils/gradebook';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import Colors from '../constants/Colors';
 import { t } from '../translations';
@@ -121,7 +122,8 @@ const StudentGradesScreen = () => {
       
       const assignmentsData = assignmentsSnapshot.docs.map(doc => ({
         id: doc.id,
-        ...doc.data()
+        ...doc.data(),
+        documentId: doc.id
       }));
       setTotalAssignments(assignmentsData);
       
@@ -139,61 +141,15 @@ const StudentGradesScreen = () => {
       }));
       setCompletedAssignments(completedData);
       
-      // Calculate grades by subject
-      const gradesBySubject = {};
-      const subjectCompletedCounts = {};
-      
-      // Initialize subject grade objects
-      subjectsData.forEach(subject => {
-        gradesBySubject[subject.id] = {
-          totalScore: 0,
-          count: 0,
-          average: 0,
-          completedCount: 0,
-          totalCount: 0
-        };
-      });
-      
-      // Count total assignments per subject
-      assignmentsData.forEach(assignment => {
-        if (assignment.subjectId) {
-          if (gradesBySubject[assignment.subjectId]) {
-            gradesBySubject[assignment.subjectId].totalCount++;
-          }
-        }
-      });
-      
-      // Sum up grades by subject
-      completedData.forEach(completion => {
-        if (completion.subjectId && completion.score !== undefined && completion.score !== null) {
-          if (gradesBySubject[completion.subjectId]) {
-            gradesBySubject[completion.subjectId].totalScore += Number(completion.score);
-            gradesBySubject[completion.subjectId].count++;
-            gradesBySubject[completion.subjectId].completedCount++;
-          }
-        }
-      });
-      
-      // Calculate average grade for each subject
-      let overallTotalScore = 0;
-      let overallCount = 0;
-      
-      Object.keys(gradesBySubject).forEach(subjectId => {
-        const subject = gradesBySubject[subjectId];
-        if (subject.count > 0) {
-          subject.average = Math.round(subject.totalScore / subject.count);
-          overallTotalScore += subject.totalScore;
-          overallCount += subject.count;
-        }
-      });
-      
-      // Set overall grade average
-      const calculatedOverallGrade = overallCount > 0 
-        ? Math.round(overallTotalScore / overallCount) 
-        : null;
+      // Weighted grades per subject, using each subject's grading config
+      const { subjectGrades: gradesBySubject, termGrade } = computeStudentGradebook(
+        subjectsData,
+        assignmentsData,
+        completedData
+      );
       
       setSubjectGrades(gradesBySubject);
-      setOverallGrade(calculatedOverallGrade);
+      setOverallGrade(termGrade);
       
     } catch (error) {
       console.error('Error loading grade data:', error);
@@ -214,7 +170,7 @@ const StudentGradesScreen = () => {
     const deviceWidth = Dimensions.get('window').width;
     const chartSize = deviceWidth * 0.7;
     const subjects = Object.keys(subjectGrades).filter(
-      id => subjectGrades[id].count > 0
+      id => subjectGrades[id].grade !== null
     );
     
     if (subjects.length === 0 || overallGrade === null) {
@@ -266,12 +222,12 @@ const StudentGradesScreen = () => {
   // Render subject cards
   const renderSubjectCards = () => {
     return subjects.map((subject) => {
-      const subjectGrade = subjectGrades[subject.id] || { average: 0, completedCount: 0, totalCount: 0 };
-      const hasGrades = subjectGrade.count > 0;
+      const subjectGrade = subjectGrades[subject.id] || { grade: null, categories: {}, completedCount: 0, missingCount: 0, totalCount: 0 };
+      const hasGrades = subjectGrade.grade !== null;
       const subjectColor = colorMap[subject.id] || CustomColors.primary;
       
       // Calculate percentage for the mini-chart
-      const percentage = hasGrades ? subjectGrade.average : 0;
+      const percentage = hasGrades ? subjectGrade.grade : 0;
       const radius = 20; // Radius of the mini-circle
       const circumference = 2 * Math.PI * radius;
       const strokeDashoffset = circumference - (percentage / 100) * circumference;
@@ -339,6 +295,25 @@ const StudentGradesScreen = () => {
                 />
               </View>
             </View>
+            
+            {subjectGrade.missingCount > 0 && (
+              <Text style={styles.missingWorkText}>
+                {t('Missing')}: {subjectGrade.missingCount}
+              </Text>
+            )}
+            
+            {/* Category breakdown for the weighted grade */}
+            {hasGrades && Object.entries(subjectGrade.categories)
+              .filter(([, category]) => category.average !== null && category.weight > 0)
+              .map(([type, category]) => (
+                <View key={type} style={styles.categoryRow}>
+                  <Text style={styles.categoryName}>{t(type)} ({category.weight}%)</Text>
+                  <Text style={styles.categoryScore}>
+                    {Math.round(category.average)}%
+                    {category.dropped.length > 0 ? ` · ${category.dropped.length} ${t('dropped')}` : ''}
+                  </Text>
+                </View>
+              ))}
           </View>
         </TouchableOpacity>
       );
@@ -577,6 +552,26 @@ const styles = StyleSheet.create({
     flex: 1,
     alignItems: 'flex-end',
   },
+  missingWorkText: {
+    fontSize: 13,
+    color: CustomColors.error,
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  categoryName: {
+    fontSize: 13,
+    color: CustomColors.textSecondary,
+  },
+  categoryScore: {
+    fontSize: 13,
+    color: CustomColors.textPrimary,
+    fontWeight: '600',
+  },
   progressLabel: {
     fontSize: 15,
     color: CustomColors.textSecondary,
@@ -0,0 +1,121 @@
+import { Platform } from 'react-native';
+import RNFetchBlob from 'rn-fetch-blob';
+import { ASSIGNMENT_TYPES } from '../constants/Types';
+
+/**
+ * File attachments of assignments and completion submissions
+ *
+ * Teachers attach worksheets and rubrics to an assignment (`attachments` on the assignment) and
+ * students hand in documents and archives with their completion (`attachments` on the completion
+ * request). Files go to the blob store (see uploadFile in utils/blobStore.js) and the documents
+ * keep a record per file:
+ * { name, fileUrl, filePath, size, contentType, storageProvider }
+ * The storage rules accept the same types and size, see storage.rules (keep them in sync).
+ */
+
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 5;
+
+// Allowed files by extension, with the MIME type they are stored as
+export const ATTACHMENT_TYPES = {
+  pdf: { contentType: 'application/pdf', icon: 'picture-as-pdf' },
+  doc: { contentType: 'application/msword', icon: 'description' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', icon: 'description' },
+  ppt: { contentType: 'application/vnd.ms-powerpoint', icon: 'slideshow' },
+  pptx: { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', icon: 'slideshow' },
+  xls: { contentType: 'application/vnd.ms-excel', icon: 'grid-on' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', icon: 'grid-on' },
+  zip: { contentType: 'application/zip', icon: 'folder-zip' },
+  txt: { contentType: 'text/plain', icon: 'article' },
+  jpg: { contentType: 'image/jpeg', icon: 'image' },
+  jpeg: { contentType: 'image/jpeg', icon: 'image' },
+  png: { contentType: 'image/png', icon: 'image' }
+};
+
+// MIME types to offer in the document picker. Some providers report archives as octet-stream,
+// the extension decides whether they are accepted
+export const ATTACHMENT_PICKER_TYPES = [
+  ...new Set(Object.values(ATTACHMENT_TYPES).map(type => type.contentType)),
+  'application/x-zip-compressed',
+  'application/octet-stream'
+];
+
+// Assignment types handed in as files rather than photos of the work
+export const FILE_SUBMISSION_TYPES = [ASSIGNMENT_TYPES.CODING, ASSIGNMENT_TYPES.DIGITAL];
+
+const getExtension = (name) => {
+  const dotIndex = (name || '').lastIndexOf('.');
+  return dotIndex === -1 ? '' : name.substring(dotIndex + 1).toLowerCase();
+};
+
+/**
+ * Type of an attachment from its file name
+ * @param {string} name - File name
+ * @returns {Object|null} { extension, contentType, icon }, null when the type isn't allowed
+ */
+export const getAttachmentType = (name) => {
+  const extension = getExtension(name);
+  const type = ATTACHMENT_TYPES[extension];
+  return type ? { extension, ...type } : null;
+};
+
+/**
+ * Why a picked file can't be attached
+ * @param {Object} file - Picked file: { name, size }
+ * @returns {string|null} Error message, null when the file is fine
+ */
+export const validateAttachment = (file) => {
+  if (!getAttachmentType(file.name)) {
+    return `${file.name}: only PDF, Word, PowerPoint, Excel, ZIP, text and image files can be attached`;
+  }
+  if (file.size && file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}`;
+  }
+  return null;
+};
+
+/**
+ * File size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size like "1.2 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Whether submissions of an assignment are files rather than photos
+ * @param {Object} assignment - Assignment
+ * @returns {boolean} True for coding and digital assignments
+ */
+export const isFileSubmission = (assignment) => FILE_SUBMISSION_TYPES.includes(assignment?.type);
+
+const toSafeFileName = name => name.replace(/[^\w.-]+/g, '_');
+
+/**
+ * Download an attachment to the cache and open it in a viewer app
+ * Files from the local provider are opened where they are.
+ * @param {Object} attachment - Attachment record
+ * @returns {Promise<void>}
+ */
+export const openAttachment = async (attachment) => {
+  let localPath;
+  if (attachment.fileUrl.startsWith('file://')) {
+    localPath = attachment.fileUrl.replace('file://', '');
+  } else {
+    localPath = `${RNFetchBlob.fs.dirs.CacheDir}/attachments/${toSafeFileName(attachment.filePath || attachment.name)}`;
+    if (!(await RNFetchBlob.fs.exists(localPath))) {
+      await RNFetchBlob.config({ path: localPath }).fetch('GET', attachment.fileUrl);
+    }
+  }
+
+  if (Platform.OS === 'ios') {
+    await RNFetchBlob.ios.openDocument(localPath);
+  } else {
+    await RNFetchBlob.android.actionViewIntent(localPath, attachment.contentType);
+  }
+};
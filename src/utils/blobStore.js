@@ -0,0 +1,300 @@
+import storage from '@react-native-firebase/storage';
+import RNFetchBlob from 'rn-fetch-blob';
+import ImageResizer from 'react-native-image-resizer';
+
+/**
+ * Blob store for images and file attachments
+ *
+ * Images are uploaded to a storage provider and Firestore documents only keep
+ * the URLs, storage paths and dimensions:
+ * {
+ *   imageUrl, imagePath, width, height,
+ *   thumbnailUrl, thumbnailPath, thumbnailWidth, thumbnailHeight,
+ *   storageProvider
+ * }
+ * Other files keep { name, fileUrl, filePath, size, contentType, storageProvider },
+ * see utils/attachments.js.
+ *
+ * A provider implements:
+ *   upload(localPath, remotePath, contentType) -> Promise<{ url, path }>
+ *   remove(remotePath) -> Promise<void>
+ */
+
+export const STORAGE_PROVIDERS = {
+  FIREBASE: 'firebase',
+  LOCAL: 'local'
+};
+
+const IMAGE_MAX_SIZE = 1200;
+const IMAGE_QUALITY = 80;
+const THUMBNAIL_MAX_SIZE = 320;
+const THUMBNAIL_QUALITY = 70;
+
+const stripFileScheme = (uri) => uri.replace('file://', '');
+
+// Default port of the Storage emulator (firebase emulators:start --only storage)
+const STORAGE_EMULATOR_PORT = 9199;
+
+// Firebase Storage, used in production
+export const createFirebaseStorageProvider = () => ({
+  name: STORAGE_PROVIDERS.FIREBASE,
+
+  upload: async (localPath, remotePath, contentType) => {
+    const ref = storage().ref(remotePath);
+    await ref.putFile(stripFileScheme(localPath), { contentType });
+    const url = await ref.getDownloadURL();
+    return { url, path: remotePath };
+  },
+
+  remove: async (remotePath) => {
+    try {
+      await storage().ref(remotePath).delete();
+    } catch (error) {
+      // Already gone is fine
+      if (error.code !== 'storage/object-not-found') {
+        throw error;
+      }
+    }
+  }
+});
+
+// Copies files into the app's document directory, for tests and the emulator
+export const createLocalFileProvider = (baseDir = `${RNFetchBlob.fs.dirs.DocumentDir}/blobstore`) => ({
+  name: STORAGE_PROVIDERS.LOCAL,
+
+  upload: async (localPath, remotePath) => {
+    const destination = `${baseDir}/${remotePath}`;
+    const directory = destination.substring(0, destination.lastIndexOf('/'));
+    if (!(await RNFetchBlob.fs.exists(directory))) {
+      await RNFetchBlob.fs.mkdir(directory);
+    }
+    if (await RNFetchBlob.fs.exists(destination)) {
+      await RNFetchBlob.fs.unlink(destination);
+    }
+    await RNFetchBlob.fs.cp(stripFileScheme(localPath), destination);
+    return { url: `file://${destination}`, path: remotePath };
+  },
+
+  remove: async (remotePath) => {
+    const destination = `${baseDir}/${remotePath}`;
+    if (await RNFetchBlob.fs.exists(destination)) {
+      await RNFetchBlob.fs.unlink(destination);
+    }
+  }
+});
+
+let currentProvider = null;
+
+/**
+ * Send Firebase Storage requests to the Storage emulator
+ * Call once at startup, before anything is uploaded. Download URLs then point at the emulator too.
+ * @param {string} host - Emulator host, 10.0.2.2 from the Android emulator
+ * @param {number} port - Emulator port
+ */
+export const connectStorageEmulator = (host = 'localhost', port = STORAGE_EMULATOR_PORT) => {
+  storage().useEmulator(host, port);
+  currentProvider = createFirebaseStorageProvider();
+};
+
+// Swap the provider, e.g. setBlobStoreProvider(createLocalFileProvider()) when running against the emulator
+export const setBlobStoreProvider = (provider) => {
+  currentProvider = provider;
+};
+
+export const getBlobStoreProvider = () => {
+  if (!currentProvider) {
+    currentProvider = createFirebaseStorageProvider();
+  }
+  return currentProvider;
+};
+
+const resizeImage = (uri, maxSize, quality) => {
+  const cleanUri = uri.startsWith('file://') || uri.startsWith('content://') ? uri : `file://${uri}`;
+  return ImageResizer.createResizedImage(
+    cleanUri,            // uri
+    maxSize,             // maxWidth
+    maxSize,             // maxHeight
+    'JPEG',              // compressFormat
+    quality,             // quality (0-100)
+    0,                   // rotation
+    null,                // outputPath (null = temp file)
+    false,               // keepMeta
+    { onlyScaleDown: true }  // options
+  );
+};
+
+const removeTempFile = async (uri) => {
+  try {
+    await RNFetchBlob.fs.unlink(stripFileScheme(uri));
+  } catch (error) {
+    console.error('Error cleaning up resized file:', error);
+  }
+};
+
+/**
+ * Resize an image, generate a thumbnail and upload both
+ * @param {string} localUri - URI of the picked or captured photo
+ * @param {string} pathPrefix - Folder in the blob store, e.g. classes/{classId}/gallery
+ * @returns {Promise<Object>} Image record to store in Firestore
+ */
+export const uploadImage = async (localUri, pathPrefix) => {
+  const provider = getBlobStoreProvider();
+  const baseName = `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+
+  const resized = await resizeImage(localUri, IMAGE_MAX_SIZE, IMAGE_QUALITY);
+  const thumbnail = await resizeImage(resized.uri, THUMBNAIL_MAX_SIZE, THUMBNAIL_QUALITY);
+
+  try {
+    const [original, thumb] = await Promise.all([
+      provider.upload(resized.uri, `${pathPrefix}/${baseName}.jpg`, 'image/jpeg'),
+      provider.upload(thumbnail.uri, `${pathPrefix}/${baseName}_thumb.jpg`, 'image/jpeg')
+    ]);
+
+    return {
+      imageUrl: original.url,
+      imagePath: original.path,
+      width: resized.width,
+      height: resized.height,
+      size: resized.size || 0,
+      thumbnailUrl: thumb.url,
+      thumbnailPath: thumb.path,
+      thumbnailWidth: thumbnail.width,
+      thumbnailHeight: thumbnail.height,
+      contentType: 'image/jpeg',
+      storageProvider: provider.name
+    };
+  } finally {
+    await removeTempFile(resized.uri);
+    await removeTempFile(thumbnail.uri);
+  }
+};
+
+/**
+ * Readable path of a file picked with the document picker
+ * Android content URIs are resolved to the cached copy or the file behind them.
+ * @param {Object} pickedFile - File from the document picker: { uri, fileCopyUri }
+ * @returns {Promise<string>} Path or URI to read the file from
+ */
+export const resolvePickedFilePath = async (pickedFile) => {
+  if (pickedFile.fileCopyUri) {
+    return pickedFile.fileCopyUri;
+  }
+  if (pickedFile.uri.startsWith('content://')) {
+    try {
+      const fileInfo = await RNFetchBlob.fs.stat(pickedFile.uri);
+      return fileInfo.path;
+    } catch (error) {
+      console.warn('Could not get file path from content URI, using original URI', error);
+    }
+  }
+  return pickedFile.uri;
+};
+
+/**
+ * Upload a document, archive or other file as it is
+ * @param {Object} file - Picked file: { name, uri, fileCopyUri, size }
+ * @param {string} pathPrefix - Folder in the blob store, e.g. classes/{classId}/completions/{userId}
+ * @param {string} contentType - MIME type to store the file as
+ * @returns {Promise<Object>} File record to store in Firestore
+ */
+export const uploadFile = async (file, pathPrefix, contentType) => {
+  const provider = getBlobStoreProvider();
+  const safeName = file.name.replace(/[^\w.-]+/g, '_');
+  const localPath = await resolvePickedFilePath(file);
+  const uploaded = await provider.upload(
+    localPath,
+    `${pathPrefix}/${Date.now()}_${Math.random().toString(36).substring(2, 8)}_${safeName}`,
+    contentType
+  );
+
+  return {
+    name: file.name,
+    fileUrl: uploaded.url,
+    filePath: uploaded.path,
+    size: file.size || 0,
+    contentType,
+    storageProvider: provider.name
+  };
+};
+
+/**
+ * Delete the blob behind a file record
+ * @param {Object} record - File record with filePath
+ */
+export const deleteStoredFile = async (record) => {
+  if (!record || !record.filePath) return;
+  try {
+    await getBlobStoreProvider().remove(record.filePath);
+  } catch (error) {
+    console.error('Error deleting stored file:', error);
+  }
+};
+
+/**
+ * Upload a file the app already holds as base64, e.g. the source of an AI material
+ * Always goes to Firebase Storage, the Cloud Functions read the file from there.
+ * @param {string} base64Content - File content
+ * @param {string} remotePath - Path in the bucket
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<Object>} { path }
+ */
+export const uploadBase64File = async (base64Content, remotePath, contentType) => {
+  await storage().ref(remotePath).putString(base64Content, 'base64', { contentType });
+  return { path: remotePath };
+};
+
+/**
+ * Delete the blobs behind an image record
+ * Records that still hold inline base64 have nothing to delete.
+ * @param {Object} record - Document or image entry with imagePath/thumbnailPath
+ */
+export const deleteStoredImage = async (record) => {
+  if (!record) return;
+  const provider = getBlobStoreProvider();
+  const paths = [record.imagePath, record.thumbnailPath].filter(Boolean);
+  try {
+    await Promise.all(paths.map(path => provider.remove(path)));
+  } catch (error) {
+    console.error('Error deleting stored image:', error);
+  }
+};
+
+// Fields to copy when the same stored image is referenced from another document
+export const pickImageFields = (record) => {
+  const fields = {};
+  [
+    'imageUrl', 'imagePath', 'width', 'height',
+    'thumbnailUrl', 'thumbnailPath', 'thumbnailWidth', 'thumbnailHeight',
+    'storageProvider', 'image'
+  ].forEach(key => {
+    if (record[key] !== undefined) {
+      fields[key] = record[key];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Image source for an image record
+ * Falls back to inline base64 for records that haven't been migrated yet.
+ * @param {Object} record - Document or image entry
+ * @param {Object} options - { thumbnail: true } to prefer the thumbnail
+ * @returns {{uri: string}|null} Source for <Image />
+ */
+export const getImageSource = (record, { thumbnail = false } = {}) => {
+  if (!record) return null;
+
+  const url = thumbnail
+    ? record.thumbnailUrl || record.imageUrl
+    : record.imageUrl || record.thumbnailUrl;
+  if (url) {
+    return { uri: url };
+  }
+
+  const base64 = record.image || record.base64Image;
+  if (base64) {
+    return { uri: `data:image/jpeg;base64,${base64}` };
+  }
+
+  return record.photoUrl ? { uri: record.photoUrl } : null;
+};
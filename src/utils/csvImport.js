@@ -0,0 +1,325 @@
+import { ASSIGNMENT_TYPES, ASSIGNMENT_GROUP_TYPE, ASSIGNMENT_STATUS, DEADLINE_OPTIONS } from '../constants/Types';
+import { createSubject, createAssignment } from './firestore';
+
+/**
+ * Bulk import of subjects and assignments from a CSV file
+ *
+ * Expected columns (header row required, order doesn't matter):
+ *   title, subject, type, deadline, group type, description
+ *
+ * A row with a subject but no title only creates the subject.
+ * Deadlines are YYYY-MM-DD (due at 23:59) or YYYY-MM-DD HH:mm.
+ */
+
+// How many documents are written at the same time
+const IMPORT_BATCH_SIZE = 10;
+
+export const IMPORT_TEMPLATE = [
+  'title,subject,type,deadline,group type,description',
+  `Essay on Climate Change,Bahasa Indonesia,${ASSIGNMENT_TYPES.WRITING},2026-09-01,${ASSIGNMENT_GROUP_TYPE.INDIVIDUAL},500 words`,
+  `Robot Project,Informatika,${ASSIGNMENT_TYPES.CODING},2026-09-15 08:00,${ASSIGNMENT_GROUP_TYPE.GROUP},`,
+  ',Matematika,,,,'
+].join('\n');
+
+// Accepted header names for each field
+const COLUMN_ALIASES = {
+  title: ['title', 'judul', 'assignment'],
+  subject: ['subject', 'mapel', 'mata pelajaran'],
+  type: ['type', 'tipe', 'jenis'],
+  deadline: ['deadline', 'due', 'due date', 'tenggat'],
+  groupType: ['group type', 'grouptype', 'group_type', 'group', 'kelompok'],
+  description: ['description', 'deskripsi', 'notes']
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes, CRLF line endings and a UTF-8 byte order mark.
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Rows of trimmed cells, with empty lines removed
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+};
+
+// Match a value against the keys or values of a constants object, ignoring case
+const matchConstant = (constants, value) => {
+  const normalized = value.trim().toLowerCase();
+  const entry = Object.entries(constants).find(([key, constant]) =>
+    key.toLowerCase() === normalized || constant.toLowerCase() === normalized
+  );
+  return entry ? entry[1] : null;
+};
+
+const parseDeadline = (value) => {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes] = match;
+  const date = new Date(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    hours !== undefined ? Number(hours) : 23,
+    minutes !== undefined ? Number(minutes) : 59
+  );
+
+  // Reject dates that rolled over, e.g. 2026-02-31
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Validate parsed CSV rows
+ * @param {string[][]} rows - Output of parseCsv, header row first
+ * @param {Date} now - Reference time for rejecting past deadlines
+ * @returns {{headerErrors: string[], rows: Object[]}} One entry per data row with its parsed data and errors
+ */
+export const validateImportRows = (rows, now = new Date()) => {
+  if (rows.length === 0) {
+    return { headerErrors: ['The file is empty'], rows: [] };
+  }
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const columnIndex = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    columnIndex[field] = header.findIndex(cell => aliases.includes(cell));
+  });
+
+  const headerErrors = [];
+  if (columnIndex.title === -1) headerErrors.push('Missing "title" column');
+  if (columnIndex.subject === -1) headerErrors.push('Missing "subject" column');
+  if (headerErrors.length > 0) {
+    return { headerErrors, rows: [] };
+  }
+
+  const cellValue = (cells, field) =>
+    columnIndex[field] === -1 ? '' : (cells[columnIndex[field]] || '');
+
+  const validatedRows = rows.slice(1).map((cells, index) => {
+    const errors = [];
+    const title = cellValue(cells, 'title');
+    const subjectName = cellValue(cells, 'subject');
+    const typeValue = cellValue(cells, 'type');
+    const deadlineValue = cellValue(cells, 'deadline');
+    const groupTypeValue = cellValue(cells, 'groupType');
+
+    // Subject-only rows just create the subject
+    if (!title) {
+      if (!subjectName) {
+        errors.push('Row needs a title or a subject');
+      }
+      return {
+        rowNumber: index + 2,
+        kind: 'subject',
+        data: { subjectName },
+        errors
+      };
+    }
+
+    const type = typeValue ? matchConstant(ASSIGNMENT_TYPES, typeValue) : null;
+    if (!typeValue) {
+      errors.push('Type is required');
+    } else if (!type) {
+      errors.push(`Unknown type "${typeValue}". Use one of: ${Object.values(ASSIGNMENT_TYPES).join(', ')}`);
+    }
+
+    const deadline = deadlineValue ? parseDeadline(deadlineValue) : null;
+    if (!deadlineValue) {
+      errors.push('Deadline is required');
+    } else if (!deadline) {
+      errors.push(`Invalid deadline "${deadlineValue}". Use YYYY-MM-DD or YYYY-MM-DD HH:mm`);
+    } else if (deadline < now) {
+      errors.push('Deadline is in the past');
+    }
+
+    const groupType = groupTypeValue
+      ? matchConstant(ASSIGNMENT_GROUP_TYPE, groupTypeValue)
+      : ASSIGNMENT_GROUP_TYPE.INDIVIDUAL;
+    if (!groupType) {
+      errors.push(`Unknown group type "${groupTypeValue}". Use one of: ${Object.values(ASSIGNMENT_GROUP_TYPE).join(', ')}`);
+    }
+
+    return {
+      rowNumber: index + 2,
+      kind: 'assignment',
+      data: {
+        title,
+        subjectName,
+        type,
+        deadline,
+        groupType,
+        description: cellValue(cells, 'description')
+      },
+      errors
+    };
+  });
+
+  return { headerErrors: [], rows: validatedRows };
+};
+
+/**
+ * Work out which subjects need creating and which assignments to write
+ * @param {Object[]} validatedRows - Rows from validateImportRows
+ * @param {Object[]} existingSubjects - Subjects already in the class
+ * @returns {{newSubjects: string[], assignments: Object[], skippedRows: number}}
+ */
+export const planImport = (validatedRows, existingSubjects) => {
+  const existingNames = new Set(existingSubjects.map(subject => (subject.name || '').toLowerCase()));
+  const newSubjects = [];
+  const assignments = [];
+  let skippedRows = 0;
+
+  validatedRows.forEach(row => {
+    if (row.errors.length > 0) {
+      skippedRows++;
+      return;
+    }
+
+    const subjectName = row.data.subjectName;
+    if (subjectName && !existingNames.has(subjectName.toLowerCase())) {
+      existingNames.add(subjectName.toLowerCase());
+      newSubjects.push(subjectName);
+    }
+
+    if (row.kind === 'assignment') {
+      assignments.push(row);
+    }
+  });
+
+  return { newSubjects, assignments, skippedRows };
+};
+
+// Run the writes in small groups so a large file doesn't open hundreds of requests at once
+const runInBatches = async (items, worker, onProgress) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+    const batch = items.slice(i, i + IMPORT_BATCH_SIZE);
+    const batchResults = await Promise.all(batch.map((item, index) => worker(item, i + index)));
+    results.push(...batchResults);
+    if (onProgress) {
+      onProgress(results.length, items.length);
+    }
+  }
+  return results;
+};
+
+/**
+ * Create the planned subjects and assignments
+ * @param {Object} classInfo - { id, name } of the class to import into
+ * @param {Object} plan - Result of planImport
+ * @param {Object[]} existingSubjects - Subjects already in the class
+ * @param {Function} onProgress - Called with (stage, done, total)
+ * @returns {Promise<Object>} { success, createdSubjects, createdAssignments, failures }
+ */
+export const runImport = async (classInfo, plan, existingSubjects, onProgress) => {
+  const failures = [];
+  const subjectIdsByName = {};
+  existingSubjects.forEach(subject => {
+    subjectIdsByName[(subject.name || '').toLowerCase()] = subject;
+  });
+
+  const baseId = Date.now();
+
+  const subjectResults = await runInBatches(plan.newSubjects, async (name, index) => {
+    const subjectData = {
+      id: `${baseId}_s${index}`,
+      name,
+      createdAt: new Date().toISOString()
+    };
+    const result = await createSubject(classInfo.id, subjectData);
+    if (result.success) {
+      subjectIdsByName[name.toLowerCase()] = subjectData;
+    } else {
+      failures.push({ label: `Subject "${name}"`, error: result.error });
+    }
+    return result;
+  }, (done, total) => onProgress && onProgress('subjects', done, total));
+
+  const assignmentResults = await runInBatches(plan.assignments, async (row, index) => {
+    const subject = row.data.subjectName ? subjectIdsByName[row.data.subjectName.toLowerCase()] : null;
+    if (row.data.subjectName && !subject) {
+      failures.push({ label: `Row ${row.rowNumber}`, error: `Subject "${row.data.subjectName}" could not be created` });
+      return { success: false };
+    }
+
+    const deadline = row.data.deadline.toISOString();
+    const result = await createAssignment(classInfo.id, {
+      id: `${baseId}_a${index}`,
+      title: row.data.title,
+      description: row.data.description,
+      subjectId: subject ? subject.id : null,
+      subjectName: subject ? subject.name : null,
+      type: row.data.type,
+      deadlineOption: DEADLINE_OPTIONS.CUSTOM,
+      deadlineTimestamp: deadline,
+      deadline,
+      groupType: row.data.groupType,
+      groups: [],
+      attachments: [],
+      status: ASSIGNMENT_STATUS.UNFINISHED,
+      classId: classInfo.id,
+      className: classInfo.name
+    });
+    if (!result.success) {
+      failures.push({ label: `Row ${row.rowNumber}`, error: result.error });
+    }
+    return result;
+  }, (done, total) => onProgress && onProgress('assignments', done, total));
+
+  return {
+    success: failures.length === 0,
+    createdSubjects: subjectResults.filter(result => result.success).length,
+    createdAssignments: assignmentResults.filter(result => result.success).length,
+    failures
+  };
+};
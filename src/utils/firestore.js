@@ -1,5 +1,11 @@
 import firestore from '@react-native-firebase/firestore';
 import auth from '@react-native-firebase/auth';
+import functions from '@react-native-firebase/functions';
+import { uploadImage, deleteStoredImage, uploadBase64File, uploadFile, deleteStoredFile } from './blobStore';
+import { getProgressId } from './flashcards';
+import { MAX_ATTACHMENTS, getAttachmentType, validateAttachment } from './attachments';
+import { validateRubric, normalizeRubric, scoreRubric } from './rubrics';
+import { getPeerEvaluationId, computeContributions, computeMemberScore, PEER_RATING_MIN, PEER_RATING_MAX } from './peerEvaluation';
 
 
 // Collection names
@@ -11,6 +17,19 @@ export const SUBJECTS_COLLECTION = 'subjects';
 export const EXPERIENCE_SUBCOLLECTION = 'experience';
 export const COMMENTS_COLLECTION = 'comments';
 export const COMPLETION_APPROVALS_COLLECTION = 'completionApprovals';
+export const CLASS_CODES_COLLECTION = 'classCodes';
+export const EXPERIENCE_LEDGER_SUBCOLLECTION = 'ledger';
+export const GALLERY_COLLECTION = 'gallery';
+export const SEASONS_SUBCOLLECTION = 'seasons';
+export const AI_MATERIALS_COLLECTION = 'aiMaterials';
+export const AI_MATERIAL_DRAFTS_COLLECTION = 'aiMaterialDrafts';
+export const VERSIONS_SUBCOLLECTION = 'versions';
+export const QUIZ_ATTEMPTS_SUBCOLLECTION = 'attempts';
+export const ANSWER_KEY_SUBCOLLECTION = 'answerKey';
+export const FLASHCARD_PROGRESS_COLLECTION = 'flashcardProgress';
+export const FLASHCARD_CARDS_SUBCOLLECTION = 'cards';
+export const PEER_EVALUATIONS_COLLECTION = 'peerEvaluations';
+export const RUBRICS_COLLECTION = 'rubrics';
 
 // Generate a unique class code (6 characters alphanumeric)
 export const generateClassCode = async () => {
@@ -24,13 +43,13 @@ export const generateClassCode = async () => {
     }
     
     // Check if this code already exists in the database
-    const existingClasses = await firestore()
-      .collection(CLASSES_COLLECTION)
-      .where('classCode', '==', result)
+    const existingCode = await firestore()
+      .collection(CLASS_CODES_COLLECTION)
+      .doc(result)
       .get();
     
     // If no existing class has this code, return it
-    if (existingClasses.empty) {
+    if (!existingCode.exists) {
       return result;
     }
   }
@@ -77,11 +96,13 @@ export const createClass = async (classData) => {
     // 'teacher' role is considered a super admin with additional privileges
     const creatorRole = classData.creatorRole === 'teacher' ? 'teacher' : 'student';
     
+    // Membership documents are keyed by user ID so security rules can look them up
     await firestore()
       .collection(CLASSES_COLLECTION)
       .doc(classRef.id)
       .collection(MEMBERS_SUBCOLLECTION)
-      .add({
+      .doc(currentUser.uid)
+      .set({
         userId: currentUser.uid,
         role: creatorRole,
         isAdmin: true, // Always true for the creator
@@ -91,6 +112,17 @@ export const createClass = async (classData) => {
         email: currentUser.email || ''
       });
 
+    // Non-members can't read classes, so joining looks the code up here
+    await firestore()
+      .collection(CLASS_CODES_COLLECTION)
+      .doc(classCode)
+      .set({
+        classId: classRef.id,
+        active: true,
+        createdBy: currentUser.uid,
+        createdAt: firestore.FieldValue.serverTimestamp()
+      });
+
     return {
       success: true,
       classId: classRef.id,
@@ -114,65 +146,62 @@ export const joinClass = async (classCode) => {
     }
 
     // Find the class with this code
-    const classesSnapshot = await firestore()
-      .collection(CLASSES_COLLECTION)
-      .where('classCode', '==', classCode)
-      .where('active', '==', true)
+    const codeDoc = await firestore()
+      .collection(CLASS_CODES_COLLECTION)
+      .doc(classCode)
       .get();
 
-    if (classesSnapshot.empty) {
+    if (!codeDoc.exists || codeDoc.data().active === false) {
       return {
         success: false,
         error: 'Invalid class code or class is no longer active'
       };
     }
 
-    const classDoc = classesSnapshot.docs[0];
-    const classData = classDoc.data();
-    const classId = classDoc.id;
-
-    // Check if user is already a member
-    const memberSnapshot = await firestore()
+    const classId = codeDoc.data().classId;
+    const memberRef = firestore()
       .collection(CLASSES_COLLECTION)
       .doc(classId)
       .collection(MEMBERS_SUBCOLLECTION)
-      .where('userId', '==', currentUser.uid)
-      .get();
+      .doc(currentUser.uid);
 
-    if (!memberSnapshot.empty) {
+    // Check if user is already a member
+    const existingMember = await memberRef.get();
+    if (existingMember.exists) {
       return {
         success: false,
         error: 'You are already a member of this class'
       };
     }
 
-    // Check if the class is full
+    // Add user as a member with role "student"
+    await memberRef.set({
+      userId: currentUser.uid,
+      role: 'student',
+      joinedAt: firestore.FieldValue.serverTimestamp(),
+      displayName: currentUser.displayName || '',
+      email: currentUser.email || ''
+    });
+
+    // The class and its members are only readable once joined, so the capacity check happens now
+    const classDoc = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .get();
     const membersSnapshot = await firestore()
       .collection(CLASSES_COLLECTION)
       .doc(classId)
       .collection(MEMBERS_SUBCOLLECTION)
       .get();
 
-    if (membersSnapshot.size >= classData.maxUsers) {
+    if (membersSnapshot.size > classDoc.data().maxUsers) {
+      await memberRef.delete();
       return {
         success: false,
         error: 'This class has reached its maximum number of members'
       };
     }
 
-    // Add user as a member with role "student"
-    await firestore()
-      .collection(CLASSES_COLLECTION)
-      .doc(classId)
-      .collection(MEMBERS_SUBCOLLECTION)
-      .add({
-        userId: currentUser.uid,
-        role: 'student',
-        joinedAt: firestore.FieldValue.serverTimestamp(),
-        displayName: currentUser.displayName || '',
-        email: currentUser.email || ''
-      });
-
     return {
       success: true,
       classId: classId
@@ -194,34 +223,28 @@ export const getUserClasses = async () => {
       throw new Error('User not authenticated');
     }
 
-    // Get all classes
-    const classesSnapshot = await firestore()
-      .collection(CLASSES_COLLECTION)
-      .where('active', '==', true)
+    // Find the user's memberships across all classes
+    const membershipsSnapshot = await firestore()
+      .collectionGroup(MEMBERS_SUBCOLLECTION)
+      .where('userId', '==', currentUser.uid)
       .get();
 
-    if (classesSnapshot.empty) {
+    if (membershipsSnapshot.empty) {
       return [];
     }
 
     const classes = [];
 
-    // For each class, check if the user is a member
-    for (const classDoc of classesSnapshot.docs) {
-      const classId = classDoc.id;
-      const classData = classDoc.data();
-      
-      // Check for membership
-      const membershipSnapshot = await firestore()
+    for (const membershipDoc of membershipsSnapshot.docs) {
+      const classId = membershipDoc.ref.parent.parent.id;
+      const classDoc = await firestore()
         .collection(CLASSES_COLLECTION)
         .doc(classId)
-        .collection(MEMBERS_SUBCOLLECTION)
-        .where('userId', '==', currentUser.uid)
-        .limit(1)
         .get();
+      const classData = classDoc.data();
       
-      if (!membershipSnapshot.empty) {
-        const memberData = membershipSnapshot.docs[0].data();
+      if (classDoc.exists && classData.active) {
+        const memberData = membershipDoc.data();
         
         // Get the total count of members in this class
         const membersSnapshot = await firestore()
@@ -310,7 +333,8 @@ export const updateClassSettings = async (classId, settings) => {
       'name',
       'description',
       'maxUsers',
-      'requireCompletionApproval'
+      'requireCompletionApproval',
+      'aiSettings'
     ];
     
     const updates = {};
@@ -651,6 +675,195 @@ export const deleteClassAssignment = async (classId, assignmentId) => {
   }
 };
 
+// Create every occurrence of a recurring assignment in one batch
+// Occurrences are built by buildOccurrenceAssignments in utils/recurrence.js
+export const createAssignmentSeries = async (classId, occurrences) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    if (!Array.isArray(occurrences) || occurrences.length === 0) {
+      throw new Error('A recurring assignment needs at least one occurrence');
+    }
+
+    // Check if user is admin
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+
+    const assignmentsRef = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(ASSIGNMENTS_COLLECTION);
+
+    const batch = firestore().batch();
+    const assignmentIds = [];
+
+    occurrences.forEach(occurrence => {
+      const occurrenceRef = assignmentsRef.doc();
+      assignmentIds.push(occurrenceRef.id);
+      batch.set(occurrenceRef, {
+        ...occurrence,
+        createdBy: currentUser.uid,
+        createdAt: firestore.FieldValue.serverTimestamp(),
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+        pending: !isAdmin, // Set to pending if not admin
+        approved: isAdmin  // Auto-approve if admin
+      });
+    });
+
+    await batch.commit();
+
+    return {
+      success: true,
+      seriesId: occurrences[0].seriesId,
+      assignmentId: assignmentIds[0],
+      assignmentIds,
+      pending: !isAdmin
+    };
+  } catch (error) {
+    console.error('Error creating assignment series:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Skip (or restore) a single occurrence of a recurring assignment
+export const setAssignmentOccurrenceSkipped = async (classId, assignmentId, skipped = true) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const result = await findAssignmentByInternalId(classId, assignmentId);
+    if (!result.success) {
+      throw new Error('Assignment not found');
+    }
+
+    const assignment = result.assignment;
+    if (!assignment.seriesId) {
+      throw new Error('Only occurrences of a recurring assignment can be skipped');
+    }
+
+    // Only admins can skip occurrences, creators change their series through a pending edit
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('You do not have permission to skip this occurrence');
+    }
+
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(ASSIGNMENTS_COLLECTION)
+      .doc(assignment.documentId)
+      .update({
+        skipped,
+        skippedBy: skipped ? currentUser.uid : firestore.FieldValue.delete(),
+        skippedAt: skipped ? firestore.FieldValue.serverTimestamp() : firestore.FieldValue.delete(),
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+        updatedBy: currentUser.uid
+      });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error skipping assignment occurrence:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Join a group of a group assignment, moving out of the current one. Groups change in the
+// joinAssignmentGroup function, which checks the group's capacity and the sign-up deadlines
+export const joinAssignmentGroup = async (classId, assignmentId, groupId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    await functions().httpsCallable('joinAssignmentGroup')({
+      classId,
+      assignmentId,
+      groupId
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error joining assignment group:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Leave the group of a group assignment
+export const leaveAssignmentGroup = async (classId, assignmentId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    await functions().httpsCallable('leaveAssignmentGroup')({
+      classId,
+      assignmentId
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error leaving assignment group:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Lock (or unlock) the groups of a group assignment so students can't join or leave, admins only
+export const setAssignmentGroupsLocked = async (classId, assignmentId, locked = true) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins can lock groups');
+    }
+
+    const result = await findAssignmentByInternalId(classId, assignmentId);
+    if (!result.success) {
+      throw new Error('Assignment not found');
+    }
+
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(ASSIGNMENTS_COLLECTION)
+      .doc(result.assignment.documentId)
+      .update({
+        'groupSettings.locked': locked,
+        updatedAt: firestore.FieldValue.serverTimestamp(),
+        updatedBy: currentUser.uid
+      });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error locking assignment groups:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 // Set up real-time listener for assignments
 export const subscribeToClassAssignments = (classId, onUpdate) => {
   try {
@@ -1955,21 +2168,14 @@ export const getUserExperience = async (classId, userId = null) => {
         experience: experienceSnapshot.data()
       };
     } else {
-      // Create a new experience record if it doesn't exist
+      // No XP yet, the record is created by the XP functions on the first award
       const initialExperience = {
         userId: targetUserId,
         totalExp: 0,
         completedAssignments: [],
-        lastUpdated: firestore.FieldValue.serverTimestamp()
+        lastUpdated: null
       };
       
-      await firestore()
-        .collection(CLASSES_COLLECTION)
-        .doc(classId)
-        .collection(EXPERIENCE_SUBCOLLECTION)
-        .doc(targetUserId)
-        .set(initialExperience);
-        
       return {
         success: true,
         experience: initialExperience
@@ -1984,63 +2190,27 @@ export const getUserExperience = async (classId, userId = null) => {
   }
 };
 
-// Add experience points for completing an assignment
-export const addExperiencePoints = async (classId, assignmentId, expPoints, userId = null, completionTimestamp = null) => {
+// Ask the requestAssignmentExp function to add or remove XP for a self-reported completion
+// XP is calculated and written by Cloud Functions, see functions/index.js
+export const requestAssignmentExperience = async (classId, assignmentId, completed = true) => {
   try {
     const currentUser = auth().currentUser;
     if (!currentUser) {
       throw new Error('User not authenticated');
     }
     
-    // Use the provided user ID or current user's ID
-    const targetUserId = userId || currentUser.uid;
-    
-    // Reference to the experience document for this user in this class
-    const expRef = firestore()
-      .collection(CLASSES_COLLECTION)
-      .doc(classId)
-      .collection(EXPERIENCE_SUBCOLLECTION)
-      .doc(targetUserId);
-    
-    // Get current experience data
-    const expDoc = await expRef.get();
-    
-    if (expDoc.exists) {
-      // User already has an experience document
-      const expData = expDoc.data();
-      const currentTotalExp = expData.totalExp || 0;
-      const completedAssignments = expData.completedAssignments || [];
-      
-      // Check if assignment is already completed
-      if (completedAssignments.includes(assignmentId)) {
-        return {
-          success: false,
-          error: 'Assignment already completed'
-        };
-      }
-      
-      // Update with new experience points and add assignment to completed list
-      await expRef.update({
-        totalExp: currentTotalExp + expPoints,
-        completedAssignments: [...completedAssignments, assignmentId],
-        lastUpdated: completionTimestamp ? 
-          firestore.Timestamp.fromDate(new Date(completionTimestamp)) : 
-          firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      // Create new experience document for this user
-      await expRef.set({
-        totalExp: expPoints,
-        completedAssignments: [assignmentId],
-        lastUpdated: completionTimestamp ? 
-          firestore.Timestamp.fromDate(new Date(completionTimestamp)) : 
-          firestore.FieldValue.serverTimestamp()
-      });
-    }
+    const result = await functions().httpsCallable('requestAssignmentExp')({
+      classId,
+      assignmentId,
+      completed
+    });
     
-    return { success: true };
+    return {
+      success: true,
+      ...result.data
+    };
   } catch (error) {
-    console.error('Error adding experience points:', error);
+    console.error('Error requesting experience points:', error);
     return {
       success: false,
       error: error.message
@@ -2048,55 +2218,58 @@ export const addExperiencePoints = async (classId, assignmentId, expPoints, user
   }
 };
 
-// Remove experience points when uncompleting an assignment
-export const removeExperiencePoints = async (classId, assignmentId, expPoints, userId = null) => {
+// Submit quiz answers for grading, the submitQuizResult function saves the score and the attempt
+// and awards the XP. questionTimes are the seconds spent on each question, backgroundEvents the
+// times the app was left during an exam ([{ leftAt, seconds }])
+export const submitQuizResult = async (classId, materialId, answers, completionTime, questionTimes = [], backgroundEvents = []) => {
   try {
     const currentUser = auth().currentUser;
-    if (!currentUser && !userId) {
+    if (!currentUser) {
       throw new Error('User not authenticated');
     }
     
-    const targetUserId = userId || currentUser.uid;
-    
-    // Get the user's current experience
-    const userExpResult = await getUserExperience(classId, targetUserId);
-    if (!userExpResult.success) {
-      throw new Error(userExpResult.error);
-    }
-    
-    const userExp = userExpResult.experience;
+    const result = await functions().httpsCallable('submitQuizResult')({
+      classId,
+      materialId,
+      answers,
+      completionTime,
+      questionTimes,
+      backgroundEvents
+    });
     
-    // Check if assignment is in completed list
-    if (!userExp.completedAssignments || !userExp.completedAssignments.includes(assignmentId)) {
-      return {
-        success: false,
-        error: 'Assignment not previously completed'
-      };
+    return {
+      success: true,
+      result: result.data
+    };
+  } catch (error) {
+    console.error('Error submitting quiz result:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Start, or resume, the current user's attempt at a quiz in exam mode. The session has the
+// question and option order and when the exam ends, in millis of the server's clock (serverTime)
+export const startQuizExam = async (classId, materialId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
     }
     
-    // Update experience (ensure totalExp doesn't go below 0)
-    const updatedExp = {
-      totalExp: Math.max(0, (userExp.totalExp || 0) - expPoints),
-      completedAssignments: (userExp.completedAssignments || []).filter(id => id !== assignmentId),
-      lastUpdated: firestore.FieldValue.serverTimestamp()
-    };
+    const result = await functions().httpsCallable('startQuizExam')({
+      classId,
+      materialId
+    });
     
-    await firestore()
-      .collection(CLASSES_COLLECTION)
-      .doc(classId)
-      .collection(EXPERIENCE_SUBCOLLECTION)
-      .doc(targetUserId)
-      .update(updatedExp);
-      
     return {
       success: true,
-      experience: {
-        ...userExp,
-        ...updatedExp
-      }
+      session: result.data
     };
   } catch (error) {
-    console.error('Error removing experience points:', error);
+    console.error('Error starting quiz exam:', error);
     return {
       success: false,
       error: error.message
@@ -2104,30 +2277,626 @@ export const removeExperiencePoints = async (classId, assignmentId, expPoints, u
   }
 };
 
-// Get experience data for all members in a class
-export const getClassMembersExperience = async (classId) => {
+// Save a material's exam settings (see src/utils/quizExam.js), class admins and teachers only
+export const updateQuizExamSettings = async (classId, materialId, settings) => {
   try {
     const currentUser = auth().currentUser;
     if (!currentUser) {
       throw new Error('User not authenticated');
     }
     
-    // First get all class members
-    const membersSnapshot = await firestore()
-      .collection(CLASSES_COLLECTION)
-      .doc(classId)
-      .collection(MEMBERS_SUBCOLLECTION)
-      .get();
-      
-    if (membersSnapshot.empty) {
-      return {
-        success: true,
-        members: []
-      };
-    }
+    const examSettings = {
+      enabled: settings.enabled === true,
+      timeLimitMinutes: settings.timeLimitMinutes || null,
+      questionTimeLimitSeconds: settings.questionTimeLimitSeconds || null,
+      shuffleQuestions: settings.shuffleQuestions === true,
+      shuffleOptions: settings.shuffleOptions === true,
+      opensAt: settings.opensAt ? firestore.Timestamp.fromDate(settings.opensAt) : null,
+      closesAt: settings.closesAt ? firestore.Timestamp.fromDate(settings.closesAt) : null
+    };
     
-    // Get all experience data
-    const experienceSnapshot = await firestore()
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIALS_COLLECTION)
+      .doc(materialId)
+      .update({
+        examSettings,
+        updatedAt: firestore.FieldValue.serverTimestamp()
+      });
+    
+    return {
+      success: true,
+      examSettings
+    };
+  } catch (error) {
+    console.error('Error updating quiz exam settings:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get the quiz attempts of a material, newest first: everyone's for class admins and teachers
+// (userId null), otherwise only the given user's
+export const getQuizAttempts = async (classId, materialId, userId = null) => {
+  try {
+    let query = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIALS_COLLECTION)
+      .doc(materialId)
+      .collection(QUIZ_ATTEMPTS_SUBCOLLECTION);
+    if (userId) {
+      query = query.where('userId', '==', userId);
+    }
+    
+    const attemptsSnapshot = await query.get();
+    const attempts = attemptsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    attempts.sort((a, b) => (b.completedAt?.toMillis?.() || 0) - (a.completedAt?.toMillis?.() || 0));
+    
+    return {
+      success: true,
+      attempts
+    };
+  } catch (error) {
+    console.error('Error getting quiz attempts:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get the quiz of a material with its answers, only the author and class admins can read it.
+// quizQuestions is null for materials published before the answers were kept apart, their
+// own quizQuestions still have the answers
+export const getQuizAnswerKey = async (classId, materialId) => {
+  try {
+    const answerKeyDoc = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIALS_COLLECTION)
+      .doc(materialId)
+      .collection(ANSWER_KEY_SUBCOLLECTION)
+      .doc('current')
+      .get();
+    
+    return {
+      success: true,
+      quizQuestions: answerKeyDoc.exists ? answerKeyDoc.data().quizQuestions || [] : null
+    };
+  } catch (error) {
+    console.error('Error getting quiz answer key:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Give bonus XP to a class member (negative to correct a mistake), admins and teachers only
+export const awardBonusExperience = async (classId, userId, amount, reason) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const result = await functions().httpsCallable('awardBonusExp')({
+      classId,
+      userId,
+      amount,
+      reason
+    });
+    
+    return {
+      success: true,
+      ...result.data
+    };
+  } catch (error) {
+    console.error('Error awarding bonus experience:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Listen to the current user's experience record in a class (XP, stats and unlocked achievements)
+export const subscribeToUserExperience = (classId, onUpdate) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const unsubscribe = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(EXPERIENCE_SUBCOLLECTION)
+      .doc(currentUser.uid)
+      .onSnapshot(snapshot => {
+        onUpdate(snapshot.exists ? snapshot.data() : null);
+      }, error => {
+        console.error('Error in experience listener:', error);
+      });
+    
+    return unsubscribe;
+  } catch (error) {
+    console.error('Error setting up experience listener:', error);
+    return () => {};
+  }
+};
+
+// Like or unlike a gallery image, likes count towards the uploader's gallery achievements
+export const setGalleryImageLiked = async (classId, imageId, liked) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(GALLERY_COLLECTION)
+      .doc(imageId)
+      .update({
+        likedBy: liked
+          ? firestore.FieldValue.arrayUnion(currentUser.uid)
+          : firestore.FieldValue.arrayRemove(currentUser.uid)
+      });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating gallery like:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get a user's XP history in a class, newest first
+// Each entry explains one award or removal: source (assignment, quiz, bonus), amount and the multipliers applied
+export const getExperienceLedger = async (classId, userId = null, maxEntries = 50) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser && !userId) {
+      throw new Error('User not authenticated');
+    }
+    
+    const targetUserId = userId || currentUser.uid;
+    
+    const ledgerSnapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(EXPERIENCE_SUBCOLLECTION)
+      .doc(targetUserId)
+      .collection(EXPERIENCE_LEDGER_SUBCOLLECTION)
+      .orderBy('createdAt', 'desc')
+      .limit(maxEntries)
+      .get();
+    
+    return {
+      success: true,
+      entries: ledgerSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting experience ledger:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Start a new leaderboard season (admins and teachers), the function archives the current standings
+export const startLeaderboardSeason = async (classId, name) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const result = await functions().httpsCallable('startLeaderboardSeason')({
+      classId,
+      name
+    });
+    
+    return {
+      success: true,
+      ...result.data
+    };
+  } catch (error) {
+    console.error('Error starting leaderboard season:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get the archived standings of past leaderboard seasons, most recent first
+export const getLeaderboardSeasons = async (classId) => {
+  try {
+    const seasonsSnapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(SEASONS_SUBCOLLECTION)
+      .orderBy('endedAt', 'desc')
+      .get();
+    
+    return {
+      success: true,
+      seasons: seasonsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting leaderboard seasons:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Generate an AI material (summary and quiz) from a picked file
+// The file is uploaded to Storage and the generateAiMaterial function calls the model and saves a draft for review
+// Files are uploaded in the order given and read by the AI as consecutive pages
+export const generateAiMaterial = async (classId, { title, prompt, uploadType, files }) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const sources = [];
+    for (const [index, file] of files.entries()) {
+      const contentType = file.type || 'application/octet-stream';
+      const safeName = (file.name || 'upload').replace(/[^a-zA-Z0-9._-]/g, '_');
+      const { path } = await uploadBase64File(
+        file.content,
+        `${CLASSES_COLLECTION}/${classId}/aiUploads/${currentUser.uid}/${Date.now()}_${index + 1}_${safeName}`,
+        contentType
+      );
+      sources.push({ storagePath: path, fileName: file.name || 'unnamed' });
+    }
+    
+    const result = await functions().httpsCallable('generateAiMaterial')({
+      classId,
+      title,
+      prompt: prompt || '',
+      uploadType,
+      sources
+    });
+    
+    return {
+      success: true,
+      ...result.data
+    };
+  } catch (error) {
+    console.error('Error generating AI material:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Drafts waiting for review: every draft for class admins and teachers, otherwise the user's own
+export const subscribeToAiMaterialDrafts = (classId, isAdmin, onUpdate) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    let query = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIAL_DRAFTS_COLLECTION)
+      .where('hasUnpublishedChanges', '==', true);
+    if (!isAdmin) {
+      query = query.where('createdBy.uid', '==', currentUser.uid);
+    }
+    
+    return query.onSnapshot(snapshot => {
+      const drafts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      drafts.sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0));
+      onUpdate(drafts);
+    }, error => {
+      console.error('Error in AI material drafts listener:', error);
+    });
+  } catch (error) {
+    console.error('Error setting up AI material drafts listener:', error);
+    return () => {};
+  }
+};
+
+// Get the draft of an AI material for editing
+// Materials published before there were drafts get one from their published content, saved on the first edit
+export const getAiMaterialDraft = async (classId, draftId) => {
+  try {
+    const classRef = firestore().collection(CLASSES_COLLECTION).doc(classId);
+    const draftDoc = await classRef.collection(AI_MATERIAL_DRAFTS_COLLECTION).doc(draftId).get();
+    if (draftDoc.exists) {
+      return {
+        success: true,
+        draft: { id: draftDoc.id, ...draftDoc.data() },
+        isSaved: true
+      };
+    }
+    
+    const materialDoc = await classRef.collection(AI_MATERIALS_COLLECTION).doc(draftId).get();
+    if (!materialDoc.exists) {
+      throw new Error('Material not found');
+    }
+    
+    const material = materialDoc.data();
+    const answerKeyDoc = await materialDoc.ref.collection(ANSWER_KEY_SUBCOLLECTION).doc('current').get();
+    // The material only has the questions, the draft needs their answers. shownOrder is the order
+    // the last publish showed the ordering items in
+    const quizQuestions = answerKeyDoc.exists
+      ? (answerKeyDoc.data().quizQuestions || []).map(({ shownOrder, ...question }) => question)
+      : material.quizQuestions || [];
+    return {
+      success: true,
+      draft: {
+        id: materialDoc.id,
+        title: material.title || '',
+        summary: material.summary || '',
+        quizQuestions,
+        createdBy: material.createdBy,
+        createdAt: material.createdAt || null,
+        status: 'published',
+        hasUnpublishedChanges: false
+      },
+      isSaved: false
+    };
+  } catch (error) {
+    console.error('Error getting AI material draft:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Save edits to a draft, every save is kept in its version history
+export const saveAiMaterialDraft = async (classId, draft, { title, summary, quizQuestions }, isSaved = true) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const draftRef = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIAL_DRAFTS_COLLECTION)
+      .doc(draft.id);
+    const changes = {
+      title: title.trim(),
+      summary,
+      quizQuestions,
+      hasUnpublishedChanges: true,
+      updatedAt: firestore.FieldValue.serverTimestamp(),
+      updatedBy: {
+        uid: currentUser.uid,
+        displayName: currentUser.displayName || ''
+      }
+    };
+    
+    const batch = firestore().batch();
+    if (isSaved) {
+      batch.update(draftRef, changes);
+    } else {
+      batch.set(draftRef, {
+        ...changes,
+        createdBy: draft.createdBy,
+        createdAt: draft.createdAt || firestore.FieldValue.serverTimestamp(),
+        status: 'published',
+        publishedAt: null,
+        classId
+      });
+    }
+    batch.set(draftRef.collection(VERSIONS_SUBCOLLECTION).doc(), {
+      action: 'edit',
+      title: changes.title,
+      summary,
+      quizQuestions,
+      editedBy: changes.updatedBy,
+      editedAt: firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving AI material draft:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get the edit history of a draft, newest first
+export const getAiMaterialDraftVersions = async (classId, draftId) => {
+  try {
+    const versionsSnapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIAL_DRAFTS_COLLECTION)
+      .doc(draftId)
+      .collection(VERSIONS_SUBCOLLECTION)
+      .orderBy('editedAt', 'desc')
+      .get();
+    
+    return {
+      success: true,
+      versions: versionsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting AI material versions:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Publish a draft, the publishAiMaterial function checks the quiz and makes the material visible to the class
+export const publishAiMaterial = async (classId, draftId) => {
+  try {
+    const result = await functions().httpsCallable('publishAiMaterial')({ classId, draftId });
+    
+    return {
+      success: true,
+      ...result.data
+    };
+  } catch (error) {
+    console.error('Error publishing AI material:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get the published AI materials of a class, or only one when materialId is given
+export const getAiMaterials = async (classId, materialId = null) => {
+  try {
+    const materialsRef = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(AI_MATERIALS_COLLECTION);
+    
+    if (materialId) {
+      const materialDoc = await materialsRef.doc(materialId).get();
+      if (!materialDoc.exists) {
+        throw new Error('Material not found');
+      }
+      return {
+        success: true,
+        materials: [{ id: materialDoc.id, ...materialDoc.data() }]
+      };
+    }
+    
+    const materialsSnapshot = await materialsRef.orderBy('createdAt', 'desc').get();
+    return {
+      success: true,
+      materials: materialsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    };
+  } catch (error) {
+    console.error('Error getting AI materials:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// The current user's flashcard progress in a class, by progress ID (see utils/flashcards.js)
+export const subscribeToFlashcardProgress = (classId, onUpdate) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    return firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(FLASHCARD_PROGRESS_COLLECTION)
+      .doc(currentUser.uid)
+      .collection(FLASHCARD_CARDS_SUBCOLLECTION)
+      .onSnapshot(snapshot => {
+        const progressById = {};
+        snapshot.docs.forEach(doc => {
+          progressById[doc.id] = doc.data();
+        });
+        onUpdate(progressById);
+      }, error => {
+        console.error('Error in flashcard progress listener:', error);
+      });
+  } catch (error) {
+    console.error('Error subscribing to flashcard progress:', error);
+    return () => {};
+  }
+};
+
+// Save a card's new schedule after the current user reviewed it
+export const saveFlashcardReview = async (classId, card, schedule, grade) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(FLASHCARD_PROGRESS_COLLECTION)
+      .doc(currentUser.uid)
+      .collection(FLASHCARD_CARDS_SUBCOLLECTION)
+      .doc(getProgressId(card.materialId, card.id))
+      .set({
+        materialId: card.materialId,
+        cardId: card.id,
+        easeFactor: schedule.easeFactor,
+        interval: schedule.interval,
+        repetitions: schedule.repetitions,
+        lapses: schedule.lapses,
+        dueAt: firestore.Timestamp.fromDate(schedule.dueAt),
+        lastGrade: grade,
+        lastReviewedAt: firestore.FieldValue.serverTimestamp()
+      });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving flashcard review:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Get experience data for all members in a class
+export const getClassMembersExperience = async (classId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    // First get all class members
+    const membersSnapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(MEMBERS_SUBCOLLECTION)
+      .get();
+      
+    if (membersSnapshot.empty) {
+      return {
+        success: true,
+        members: []
+      };
+    }
+    
+    // Get all experience data
+    const experienceSnapshot = await firestore()
       .collection(CLASSES_COLLECTION)
       .doc(classId)
       .collection(EXPERIENCE_SUBCOLLECTION)
@@ -2669,10 +3438,13 @@ export const getAssignmentCompletions = async (classId, assignmentId) => {
     const pendingApprovalsByUser = {};
     pendingApprovalsSnapshot.docs.forEach(doc => {
       const data = doc.data();
-      pendingApprovalsByUser[data.userId] = {
-        id: doc.id,
-        submittedAt: data.submittedAt
-      };
+      // A group submission is pending for every member of the group
+      (data.memberIds || [data.userId]).forEach(userId => {
+        pendingApprovalsByUser[userId] = {
+          id: doc.id,
+          submittedAt: data.submittedAt
+        };
+      });
     });
     
     const rejectedApprovalsByUser = {};
@@ -2772,9 +3544,48 @@ export const getAssignmentCompletions = async (classId, assignmentId) => {
   }
 };
 
+// Upload a file picked in the document picker for an assignment's attachments, see utils/attachments.js
+export const uploadAssignmentAttachment = async (classId, file) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const validationError = validateAttachment(file);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    const attachment = await uploadFile(
+      file,
+      `classes/${classId}/assignmentFiles/${currentUser.uid}`,
+      getAttachmentType(file.name).contentType
+    );
+    
+    return {
+      success: true,
+      attachment
+    };
+  } catch (error) {
+    console.error('Error uploading assignment attachment:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Delete the stored files of attachments removed from an assignment
+export const deleteAssignmentAttachments = async (attachments) => {
+  await Promise.all((attachments || []).map(attachment => deleteStoredFile(attachment)));
+};
+
 // Submit assignment completion for approval
-// Now accepts an array of photo URIs to support multiple images
-export const submitCompletionForApproval = async (classId, assignmentId, photoUris) => {
+// Now accepts an array of photo URIs to support multiple images, and documents or archives
+// picked in the document picker (see utils/attachments.js); at least one photo or file is needed.
+// For group assignments pass the user's group: one submission counts for all its members
+export const submitCompletionForApproval = async (classId, assignmentId, photoUris, group = null, files = []) => {
   try {
     const currentUser = auth().currentUser;
     if (!currentUser) {
@@ -2784,12 +3595,12 @@ export const submitCompletionForApproval = async (classId, assignmentId, photoUr
     // Get current timestamp for submission time
     const submissionTime = new Date().toISOString();
     
-    // First, check if a pending approval already exists for this user/assignment
+    // First, check if a pending approval already exists for this user (or their group) and assignment
     const existingApprovalQuery = await firestore()
       .collection(CLASSES_COLLECTION)
       .doc(classId)
       .collection(COMPLETION_APPROVALS_COLLECTION)
-      .where('userId', '==', currentUser.uid)
+      .where(group ? 'groupId' : 'userId', '==', group ? group.id : currentUser.uid)
       .where('assignmentId', '==', assignmentId)
       .where('status', '==', 'pending')
       .get();
@@ -2797,119 +3608,69 @@ export const submitCompletionForApproval = async (classId, assignmentId, photoUr
     if (!existingApprovalQuery.empty) {
       return {
         success: false,
-        error: 'You already have a pending approval request for this assignment'
+        error: group
+          ? 'Your group already has a pending approval request for this assignment'
+          : 'You already have a pending approval request for this assignment'
       };
     }
     
-    // Import image resizer library
-    const ImageResizer = require('react-native-image-resizer').default;
-    const RNFetchBlob = require('rn-fetch-blob').default;
-    let base64Image;
-    let originalImageSize = 0;
-    let compressedImageSize = 0;
+    // Check if photoUris is an array, if not, convert it to an array
+    const photoUrisArray = (Array.isArray(photoUris) ? photoUris : [photoUris]).filter(Boolean);
+    
+    if (photoUrisArray.length === 0 && files.length === 0) {
+      throw new Error('At least one photo or file is required for assignment completion');
+    }
+    
+    if (files.length > MAX_ATTACHMENTS) {
+      throw new Error(`You can submit up to ${MAX_ATTACHMENTS} files`);
+    }
+    
+    const fileError = files.map(file => validateAttachment(file)).find(Boolean);
+    if (fileError) {
+      throw new Error(fileError);
+    }
+    
+    // Group submissions are stored where the rest of the group can open them
+    const uploadPath = group
+      ? `classes/${classId}/groupCompletions/${group.id}/${currentUser.uid}`
+      : `classes/${classId}/completions/${currentUser.uid}`;
+    
+    // Uploaded photos and files, kept outside the try so they can be cleaned up on failure
+    const processedImages = [];
+    const uploadedFiles = [];
     
     try {
-      // Check if photoUris is an array, if not, convert it to an array
-      const photoUrisArray = Array.isArray(photoUris) ? photoUris : [photoUris];
-      
-      if (photoUrisArray.length === 0) {
-        throw new Error('At least one photo is required for assignment completion');
-      }
-      
-      // Process each image in the array
-      const processedImages = [];
       
       // Process each image (up to 5 max)
       const maxImages = Math.min(photoUrisArray.length, 5); // Limit to 5 images max
       
       for (let i = 0; i < maxImages; i++) {
-        const photoUri = photoUrisArray[i];
-        console.log(`Processing image ${i+1} of ${maxImages}`);
-        
-        // First, clean the URI if needed
-        const cleanUri = photoUri.startsWith('file://') ? photoUri : `file://${photoUri}`;
-        
-        // Resize and compress the image to a maximum dimension of 1000x1000 and 80% quality
-        console.log('Resizing image...');
-        const resizedImage = await ImageResizer.createResizedImage(
-          cleanUri,            // uri
-          1000,                // maxWidth
-          1000,                // maxHeight
-          'JPEG',              // compressFormat
-          80,                  // quality (0-100)
-          0,                   // rotation
-          null,                // outputPath (null = temp file)
-          false,               // keepMeta
-          { onlyScaleDown: true }  // options
-        );
-        
-        console.log('Image resized successfully:', resizedImage.uri);
-        const currentOriginalSize = resizedImage.size || 0;
-        
-        // Now convert the resized image to base64
-        const fs = RNFetchBlob.fs;
-        const realPath = resizedImage.uri.replace('file://', '');
-        let currentBase64Image = await fs.readFile(realPath, 'base64');
+        console.log(`Uploading image ${i+1} of ${maxImages}`);
         
-        let currentCompressedSize = currentBase64Image.length;
-        console.log(`Image sizes - Original: ${currentOriginalSize} bytes, Base64: ${currentCompressedSize} bytes`);
-        
-        // If still too large for Firestore (approaching 1MB limit), reduce quality further
-        if (currentBase64Image.length > 750 * 1024) {
-          console.log('Image still too large after resizing, compressing further...');
-      
-          // Create a new resized image with lower quality
-          const furtherResizedImage = await ImageResizer.createResizedImage(
-            resizedImage.uri,    // uri
-            800,                 // maxWidth
-            800,                 // maxHeight
-            'JPEG',              // compressFormat
-            50,                  // quality (0-100) - much lower quality
-            0,                   // rotation
-            null,                // outputPath
-            false,               // keepMeta
-            { onlyScaleDown: true }  // options
-          );
-          
-          const furtherRealPath = furtherResizedImage.uri.replace('file://', '');
-          currentBase64Image = await fs.readFile(furtherRealPath, 'base64');
-          currentCompressedSize = currentBase64Image.length;
-          
-          console.log(`Further compressed image: ${currentCompressedSize} bytes`);
-      
-          // Clean up temporary files
-          try {
-            await fs.unlink(furtherRealPath);
-          } catch (e) {
-            console.error('Error cleaning up further resized file:', e);
-          }
-        }
-        
-        // Clean up temporary file
-        try {
-          await fs.unlink(realPath);
-        } catch (e) {
-          console.error('Error cleaning up resized file:', e);
-        }
+        // The photo and its thumbnail go to the blob store, the document only keeps the URLs
+        const storedImage = await uploadImage(photoUrisArray[i], uploadPath);
         
         // Store additional metadata about the image
         const imageMetadata = {
           timestamp: Date.now(),
           userId: currentUser.uid,
-          originalSize: currentOriginalSize,
-          compressedSize: currentCompressedSize,
-          type: 'image/jpeg',
+          compressedSize: storedImage.size,
+          type: storedImage.contentType,
         };
         
         // Add to processed images array
         processedImages.push({
-          base64Image: currentBase64Image,
+          ...storedImage,
           metadata: imageMetadata
         });
       }
       
       console.log(`Successfully processed ${processedImages.length} images`);
       
+      for (const file of files) {
+        uploadedFiles.push(await uploadFile(file, uploadPath, getAttachmentType(file.name).contentType));
+      }
+      
       // Check if assignment belongs to a subject with assigned teachers
       // If so, the approval must go to teachers instead of admins
       let requiresTeacherApproval = false;
@@ -2934,16 +3695,30 @@ export const submitCompletionForApproval = async (classId, assignmentId, photoUr
         }
       }
       
+      // Group submissions list the members, the approver takes the members from the assignment's
+      // groups when grading so the list is only shown to the teacher
+      const groupData = group ? {
+        groupId: group.id,
+        groupName: group.name || '',
+        memberIds: (group.members || []).map(member => member.userId),
+        members: (group.members || []).map(member => ({
+          userId: member.userId,
+          displayName: member.displayName || ''
+        }))
+      } : {};
+      
       // Create approval document with the processed images
       const approvalRef = await firestore()
         .collection(CLASSES_COLLECTION)
         .doc(classId)
         .collection(COMPLETION_APPROVALS_COLLECTION)
         .add({
+          ...groupData,
           userId: currentUser.uid,
           displayName: currentUser.displayName || currentUser.email.split('@')[0],
           assignmentId: assignmentId,
-          images: processedImages,  // Store array of processed images instead of single image
+          images: processedImages,  // Stored image URLs and dimensions, not the image data
+          attachments: uploadedFiles,  // Stored documents and archives
           submittedAt: firestore.FieldValue.serverTimestamp(),
           status: 'pending',
           completionTimestamp: submissionTime,
@@ -2960,7 +3735,9 @@ export const submitCompletionForApproval = async (classId, assignmentId, photoUr
       };
     } catch (e) {
       console.error('Error processing image:', e);
-      throw new Error('Failed to process the image. Please try using a smaller image or taking a photo with lower resolution.');
+      await Promise.all(processedImages.map(image => deleteStoredImage(image)));
+      await Promise.all(uploadedFiles.map(file => deleteStoredFile(file)));
+      throw new Error('Failed to upload the photos and files. Please check your connection and try again.');
     }
   } catch (error) {
     console.error('Error submitting completion for approval:', error);
@@ -3072,48 +3849,152 @@ export const getPendingCompletionApprovals = async (classId) => {
       };
     }
     
-    console.log(`[getPendingCompletionApprovals] Processing ${approvalsSnapshot.size} approvals`);
-    
-    // Process approvals and include assignment details
-    const approvals = await Promise.all(approvalsSnapshot.docs.map(async (doc, index) => {
-      console.log(`[getPendingCompletionApprovals] Processing approval ${index+1}/${approvalsSnapshot.size}, id: ${doc.id}`);
-      const approvalData = doc.data();
-      console.log(`[getPendingCompletionApprovals] Approval data: status=${approvalData.status}, assignmentId=${approvalData.assignmentId}`);
-      let assignmentDetails = { title: 'Unknown Assignment' };
-      
-      // Try to get assignment details
-      try {
-        console.log(`[getPendingCompletionApprovals] Fetching assignment details for: ${approvalData.assignmentId}`);
-        const result = await findAssignmentByInternalId(classId, approvalData.assignmentId);
-        console.log(`[getPendingCompletionApprovals] Assignment lookup result: ${result.success}`);
-        if (result.success) {
-          assignmentDetails = {
-            title: result.assignment.title,
-            type: result.assignment.type || 'DEFAULT'
-          };
-          console.log(`[getPendingCompletionApprovals] Found assignment: ${assignmentDetails.title}`);
-        }
-      } catch (error) {
-        console.error(`[getPendingCompletionApprovals] Error fetching assignment details for ${approvalData.assignmentId}:`, error);
-      }
-      
-      const processedApproval = {
-        id: doc.id,
-        ...approvalData,
-        submittedAt: approvalData.submittedAt?.toDate?.() || new Date(),
-        assignment: assignmentDetails
-      };
-      console.log(`[getPendingCompletionApprovals] Processed approval: ${doc.id}, title: ${assignmentDetails.title}`);
-      return processedApproval;
-    }));
+    console.log(`[getPendingCompletionApprovals] Processing ${approvalsSnapshot.size} approvals`);
+    
+    // Process approvals and include assignment details
+    const approvals = await Promise.all(approvalsSnapshot.docs.map(async (doc, index) => {
+      console.log(`[getPendingCompletionApprovals] Processing approval ${index+1}/${approvalsSnapshot.size}, id: ${doc.id}`);
+      const approvalData = doc.data();
+      console.log(`[getPendingCompletionApprovals] Approval data: status=${approvalData.status}, assignmentId=${approvalData.assignmentId}`);
+      let assignmentDetails = { title: 'Unknown Assignment' };
+      
+      // Try to get assignment details
+      try {
+        console.log(`[getPendingCompletionApprovals] Fetching assignment details for: ${approvalData.assignmentId}`);
+        const result = await findAssignmentByInternalId(classId, approvalData.assignmentId);
+        console.log(`[getPendingCompletionApprovals] Assignment lookup result: ${result.success}`);
+        if (result.success) {
+          assignmentDetails = {
+            title: result.assignment.title,
+            type: result.assignment.type || 'DEFAULT',
+            rubric: result.assignment.rubric || null
+          };
+          console.log(`[getPendingCompletionApprovals] Found assignment: ${assignmentDetails.title}`);
+        }
+      } catch (error) {
+        console.error(`[getPendingCompletionApprovals] Error fetching assignment details for ${approvalData.assignmentId}:`, error);
+      }
+      
+      const processedApproval = {
+        id: doc.id,
+        ...approvalData,
+        submittedAt: approvalData.submittedAt?.toDate?.() || new Date(),
+        assignment: assignmentDetails
+      };
+      console.log(`[getPendingCompletionApprovals] Processed approval: ${doc.id}, title: ${assignmentDetails.title}`);
+      return processedApproval;
+    }));
+    
+    console.log(`[getPendingCompletionApprovals] Returning ${approvals.length} approvals`);
+    return {
+      success: true,
+      approvals
+    };
+  } catch (error) {
+    console.error('Error getting pending approvals:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Peer evaluations of a group assignment turned into each member's contribution factor
+// (see utils/peerEvaluation.js), for teachers grading a group submission
+export const getPeerContributions = async (classId, assignmentId, memberIds) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const snapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(PEER_EVALUATIONS_COLLECTION)
+      .where('assignmentId', '==', assignmentId)
+      .get();
+    
+    const evaluations = snapshot.docs.map(doc => doc.data());
+    return {
+      success: true,
+      contributions: computeContributions(memberIds, evaluations),
+      evaluationCount: evaluations.filter(evaluation => memberIds.includes(evaluation.raterId)).length
+    };
+  } catch (error) {
+    console.error('Error getting peer contributions:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// The current user's ratings of their teammates for a group assignment, null before they rated
+export const getMyPeerEvaluation = async (classId, assignmentId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const evaluationDoc = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(PEER_EVALUATIONS_COLLECTION)
+      .doc(getPeerEvaluationId(assignmentId, currentUser.uid))
+      .get();
     
-    console.log(`[getPendingCompletionApprovals] Returning ${approvals.length} approvals`);
     return {
       success: true,
-      approvals
+      evaluation: evaluationDoc.exists ? evaluationDoc.data() : null
     };
   } catch (error) {
-    console.error('Error getting pending approvals:', error);
+    console.error('Error getting peer evaluation:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Save the current user's ratings of their teammates' contribution: { userId: rating }.
+// Ratings can be changed until the teacher grades the group
+export const savePeerEvaluation = async (classId, assignmentId, groupId, ratings) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const validRatings = {};
+    Object.entries(ratings || {}).forEach(([userId, rating]) => {
+      if (userId !== currentUser.uid && Number.isInteger(rating) &&
+          rating >= PEER_RATING_MIN && rating <= PEER_RATING_MAX) {
+        validRatings[userId] = rating;
+      }
+    });
+    
+    if (Object.keys(validRatings).length === 0) {
+      throw new Error('Rate at least one teammate');
+    }
+    
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(PEER_EVALUATIONS_COLLECTION)
+      .doc(getPeerEvaluationId(assignmentId, currentUser.uid))
+      .set({
+        assignmentId,
+        groupId,
+        raterId: currentUser.uid,
+        ratings: validRatings,
+        updatedAt: firestore.FieldValue.serverTimestamp()
+      });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving peer evaluation:', error);
     return {
       success: false,
       error: error.message
@@ -3121,8 +4002,13 @@ export const getPendingCompletionApprovals = async (classId) => {
   }
 };
 
-// Approve a completion request with optional grading
-export const approveCompletion = async (classId, approvalId, score = null) => {
+// Approve a completion request with optional grading.
+// A group submission is approved for every member of the group: each gets the group score times
+// their contribution factor from the peer evaluations plus their entry in memberAdjustments
+// ({ userId: points }), and the factor also scales their XP.
+// With rubricGrade ({ selections: { criterionId: levelId }, feedback }) the score comes from the
+// assignment's rubric instead (see utils/rubrics.js) and the picks are kept as the completion's rubricGrade
+export const approveCompletion = async (classId, approvalId, score = null, memberAdjustments = {}, rubricGrade = null) => {
   try {
     console.log(`Approving completion: ${approvalId} with score: ${score}`);
     console.log(`Class ID: ${classId}`);
@@ -3195,6 +4081,31 @@ export const approveCompletion = async (classId, approvalId, score = null) => {
       }
     }
     
+    // Grade with the assignment's rubric, the score is the share of its points the work earned
+    let rubricResult = null;
+    if (rubricGrade) {
+      const rubricAssignment = await findAssignmentByInternalId(classId, approvalData.assignmentId);
+      const rubric = rubricAssignment.success ? rubricAssignment.assignment.rubric : null;
+      if (!rubric) {
+        throw new Error('This assignment has no rubric');
+      }
+      
+      const graded = scoreRubric(rubric, rubricGrade.selections);
+      if (!graded.complete) {
+        throw new Error('Pick a level for every criterion of the rubric');
+      }
+      
+      finalScore = graded.score;
+      rubricResult = {
+        rubricId: rubric.rubricId || null,
+        name: rubric.name || '',
+        criteria: graded.criteria,
+        points: graded.points,
+        maxPoints: graded.maxPoints,
+        feedback: (rubricGrade.feedback || '').trim()
+      };
+    }
+    
     // Create a batch to perform multiple operations
     const batch = firestore().batch();
     
@@ -3232,6 +4143,81 @@ export const approveCompletion = async (classId, approvalId, score = null) => {
       console.warn(`Assignment not found: ${approvalData.assignmentId}`);
     }
     
+    // Group submissions create a record for every member and grade each one separately
+    if (approvalData.groupId) {
+      const assignmentResult = await findAssignmentByInternalId(classId, approvalData.assignmentId);
+      const group = assignmentResult.success
+        ? (assignmentResult.assignment.groups || []).find(g => g.id === approvalData.groupId)
+        : null;
+      // Members as they are in the assignment now, the list on the request was written by the student
+      const members = group ? group.members || [] : approvalData.members || [];
+      if (members.length === 0) {
+        throw new Error('This group has no members');
+      }
+      const memberIds = members.map(member => member.userId);
+      
+      const contributionsResult = await getPeerContributions(classId, approvalData.assignmentId, memberIds);
+      if (!contributionsResult.success) {
+        throw new Error(contributionsResult.error);
+      }
+      
+      const groupAssignment = assignmentResult.success ? assignmentResult.assignment : assignmentData;
+      members.forEach(member => {
+        const contribution = contributionsResult.contributions[member.userId];
+        const adjustment = Number(memberAdjustments[member.userId]) || 0;
+        if (adjustment < -100 || adjustment > 100) {
+          throw new Error('Score adjustments must be between -100 and 100');
+        }
+        
+        const memberData = {
+          classId: classId,
+          assignmentId: approvalData.assignmentId,
+          title: groupAssignment.title || 'Assignment',
+          type: groupAssignment.type || 'DEFAULT',
+          subjectId: approvalData.subjectId || groupAssignment.subjectId || null,
+          subjectName: approvalData.subjectName || groupAssignment.subjectName || null,
+          completedAt: approvalData.submittedAt || firestore.FieldValue.serverTimestamp(),
+          approvedAt: firestore.FieldValue.serverTimestamp(),
+          approvedBy: currentUser.uid,
+          teacherName: currentUser.displayName || '',
+          // Submitted files are kept with the completed work, the photos are deleted below
+          attachments: approvalData.attachments || [],
+          groupId: approvalData.groupId,
+          groupName: approvalData.groupName || (group ? group.name : ''),
+          contributionFactor: contribution.factor,
+          peerRating: contribution.averageRating,
+          scoreAdjustment: adjustment
+        };
+        
+        if (finalScore !== null) {
+          memberData.groupScore = finalScore;
+          memberData.score = computeMemberScore(finalScore, contribution.factor, adjustment);
+        }
+        if (rubricResult) {
+          memberData.rubricGrade = rubricResult;
+        }
+        
+        batch.set(
+          firestore()
+            .collection('users')
+            .doc(member.userId)
+            .collection('completedAssignments')
+            .doc(`${approvalId}_${member.userId}`),
+          memberData
+        );
+      });
+      
+      batch.delete(approvalRef);
+      await batch.commit();
+      
+      if (Array.isArray(approvalData.images)) {
+        await Promise.all(approvalData.images.map(image => deleteStoredImage(image)));
+      }
+      
+      // XP is awarded to each member by the onCompletionApproved function
+      return { success: true };
+    }
+    
     // Create a lightweight version in the user's completedAssignments collection
     const userId = approvalData.userId;
     if (userId) {
@@ -3256,16 +4242,22 @@ export const approveCompletion = async (classId, approvalId, score = null) => {
         // Prioritize approvalData for subject information, as it's more likely to be correct
         subjectId: approvalData.subjectId || assignmentData.subjectId || null,
         subjectName: approvalData.subjectName || assignmentData.subjectName || null,
-        completedAt: approvalData.createdAt || firestore.FieldValue.serverTimestamp(),
+        // Submission time, used for the deadline multiplier when XP is awarded
+        completedAt: approvalData.submittedAt || firestore.FieldValue.serverTimestamp(),
         approvedAt: firestore.FieldValue.serverTimestamp(),
         approvedBy: currentUser.uid,
-        teacherName: currentUser.displayName || ''
+        teacherName: currentUser.displayName || '',
+        // Submitted files are kept with the completed work, the photos are deleted below
+        attachments: approvalData.attachments || []
       };
       
       // Only add score if it's not null
       if (finalScore !== null) {
         completedData.score = finalScore;
       }
+      if (rubricResult) {
+        completedData.rubricGrade = rubricResult;
+      }
       
       // Debug log to see what data we're trying to save
       console.log('completedData to be saved:', JSON.stringify(completedData));
@@ -3284,52 +4276,6 @@ export const approveCompletion = async (classId, approvalId, score = null) => {
       console.warn('No userId found in approval data, skipping user completion record');
     }
     
-    // Get assignment details to determine proper XP
-    const { EXP_CONSTANTS } = require('../constants/UserTypes');
-    let baseExpPoints = EXP_CONSTANTS.BASE_EXP.DEFAULT;
-    
-    // Try to get assignment details to determine proper base XP
-    try {
-      const result = await findAssignmentByInternalId(classId, approvalData.assignmentId);
-      if (result.success) {
-        const assignmentType = result.assignment.type || 'DEFAULT';
-        baseExpPoints = EXP_CONSTANTS.BASE_EXP[assignmentType] || EXP_CONSTANTS.BASE_EXP.DEFAULT;
-      }
-    } catch (error) {
-      console.error(`Error fetching assignment details for XP calculation:`, error);
-    }
-    
-    // Get completion data to determine rank
-    let completionRank = 0;
-    let rankMultiplier = EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER.DEFAULT;
-    
-    try {
-      // Get all completions for this assignment
-      const completionsResult = await getAssignmentCompletions(classId, approvalData.assignmentId);
-      if (completionsResult.success) {
-        // Filter to only include approved completions
-        const approvedCompletions = completionsResult.completions.filter(
-          completion => completion.status === 'approved'
-        );
-        
-        // This user's rank will be one more than the current count of approved completions
-        completionRank = approvedCompletions.length + 1;
-        
-        // Determine rank multiplier based on rank
-        if (completionRank <= 3) {
-          rankMultiplier = EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER[`RANK_${completionRank}`];
-        } else {
-          rankMultiplier = EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER.DEFAULT;
-        }
-      }
-    } catch (error) {
-      console.error(`Error determining completion rank:`, error);
-      rankMultiplier = EXP_CONSTANTS.COMPLETION_RANK_MULTIPLIER.DEFAULT;
-    }
-    
-    // Calculate final XP based on base value and rank multiplier
-    const finalExpPoints = Math.round(baseExpPoints * rankMultiplier);
-    
     // Commit the batch which includes both:
     // 1. Creating the user's completed assignment record
     // 2. Deleting the original approval document
@@ -3337,15 +4283,12 @@ export const approveCompletion = async (classId, approvalId, score = null) => {
     await batch.commit();
     console.log('Batch operations committed successfully')
     
-    // Add experience points, passing the original completion timestamp
-    await addExperiencePoints(
-      classId, 
-      approvalData.assignmentId, 
-      finalExpPoints, 
-      approvalData.userId, 
-      new Date(approvalData.completionTimestamp)
-    );
+    // The approval document is gone, so nothing references its photos anymore
+    if (approvalData.userId && Array.isArray(approvalData.images)) {
+      await Promise.all(approvalData.images.map(image => deleteStoredImage(image)));
+    }
     
+    // XP is awarded by the onCompletionApproved function when the completed assignment record is created
     return { success: true };
   } catch (error) {
     console.error('Error approving completion:', error);
@@ -3421,4 +4364,220 @@ export const rejectCompletion = async (classId, approvalId, reason = '') => {
       error: error.message
     };
   }
-};
\ No newline at end of file
+};
+// RUBRIC FUNCTIONS
+
+// Reusable rubrics of a class, attached to assignments as a copy (see utils/rubrics.js)
+export const getClassRubrics = async (classId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const snapshot = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(RUBRICS_COLLECTION)
+      .orderBy('name')
+      .get();
+    
+    return {
+      success: true,
+      rubrics: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    };
+  } catch (error) {
+    console.error('Error getting rubrics:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Create a rubric, or update it when it has an id. Assignments keep the copy they were given
+export const saveRubric = async (classId, rubric) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins and teachers can edit rubrics');
+    }
+    
+    const errors = validateRubric(rubric);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    
+    const rubricsRef = firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(RUBRICS_COLLECTION);
+    const rubricData = {
+      ...normalizeRubric(rubric),
+      updatedAt: firestore.FieldValue.serverTimestamp(),
+      updatedBy: currentUser.uid
+    };
+    
+    if (rubric.id) {
+      await rubricsRef.doc(rubric.id).update(rubricData);
+      return { success: true, rubricId: rubric.id };
+    }
+    
+    const rubricRef = await rubricsRef.add({
+      ...rubricData,
+      createdBy: currentUser.uid,
+      createdAt: firestore.FieldValue.serverTimestamp()
+    });
+    return { success: true, rubricId: rubricRef.id };
+  } catch (error) {
+    console.error('Error saving rubric:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Delete a rubric, assignments it was attached to keep their copy
+export const deleteRubric = async (classId, rubricId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins and teachers can delete rubrics');
+    }
+    
+    await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(RUBRICS_COLLECTION)
+      .doc(rubricId)
+      .delete();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting rubric:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// GRADEBOOK FUNCTIONS
+
+// Save the category weights, drop-lowest rules and missing-work policy for a subject
+export const updateSubjectGradingConfig = async (classId, subjectId, gradingConfig) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins and teachers can change grading weights');
+    }
+
+    // Subjects are referenced by their id field, which may differ from the document ID
+    const subjectsQuery = await firestore()
+      .collection(CLASSES_COLLECTION)
+      .doc(classId)
+      .collection(SUBJECTS_COLLECTION)
+      .where('id', '==', subjectId)
+      .get();
+
+    const subjectRef = subjectsQuery.empty
+      ? firestore().collection(CLASSES_COLLECTION).doc(classId).collection(SUBJECTS_COLLECTION).doc(subjectId)
+      : subjectsQuery.docs[0].ref;
+
+    await subjectRef.update({
+      gradingConfig,
+      updatedAt: firestore.FieldValue.serverTimestamp()
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating subject grading config:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Load everything the class gradebook needs: subjects, assignments, students and their graded work
+export const getClassGradebookData = async (classId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins and teachers can view the class gradebook');
+    }
+
+    const classRef = firestore().collection(CLASSES_COLLECTION).doc(classId);
+    const [subjectsSnapshot, assignmentsSnapshot, members] = await Promise.all([
+      classRef.collection(SUBJECTS_COLLECTION).get(),
+      classRef.collection(ASSIGNMENTS_COLLECTION).get(),
+      getClassMembers(classId)
+    ]);
+
+    const subjects = subjectsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    const assignments = assignmentsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      documentId: doc.id
+    }));
+
+    const students = members.filter(member => member.role === 'student');
+
+    // Completed work lives under each user, so read it per student
+    const completionSnapshots = await Promise.all(students.map(student =>
+      firestore()
+        .collection(USERS_COLLECTION)
+        .doc(student.userId)
+        .collection('completedAssignments')
+        .where('classId', '==', classId)
+        .get()
+    ));
+
+    const completionsByUser = {};
+    students.forEach((student, index) => {
+      completionsByUser[student.userId] = completionSnapshots[index].docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    });
+
+    return {
+      success: true,
+      subjects,
+      assignments,
+      students,
+      completionsByUser
+    };
+  } catch (error) {
+    console.error('Error loading class gradebook:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * Flashcard decks of AI materials and their spaced-repetition schedule
+ * Materials generated with flashcards use those, older ones get a deck from their quiz questions.
+ * Every user's progress is kept per card in classes/{classId}/flashcardProgress/{userId}/cards,
+ * scheduled with SM-2: a card's interval grows with its ease factor while it is remembered and
+ * starts over when it is forgotten.
+ */
+import { QUESTION_TYPES, getQuestionType } from './quiz';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+
+// Cards never studied that are added to one study session
+export const NEW_CARDS_PER_SESSION = 20;
+
+// SM-2 quality of each answer button
+export const REVIEW_GRADES = {
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5
+};
+
+export const REVIEW_GRADE_LABELS = {
+  [REVIEW_GRADES.AGAIN]: 'Again',
+  [REVIEW_GRADES.HARD]: 'Hard',
+  [REVIEW_GRADES.GOOD]: 'Good',
+  [REVIEW_GRADES.EASY]: 'Easy'
+};
+
+/**
+ * Stable ID of a card from its front, so progress survives when a material is republished
+ * with cards added or reordered
+ * @param {string} front - Front of the card
+ * @returns {string} Card ID
+ */
+export const getFlashcardId = (front) => {
+  let hash = 5381;
+  const text = String(front || '').trim().toLowerCase();
+  for (let index = 0; index < text.length; index++) {
+    hash = (hash * 33 + text.charCodeAt(index)) % 4294967296;
+  }
+  return hash.toString(36);
+};
+
+/**
+ * Document ID of a card's progress, cards of every material share one collection
+ * @param {string} materialId - AI material ID
+ * @param {string} cardId - Card ID
+ * @returns {string} Progress document ID
+ */
+export const getProgressId = (materialId, cardId) => `${materialId}_${cardId}`;
+
+// The answer of a quiz question as the back of a card
+const getQuestionAnswer = (question) => {
+  const options = question.options || [];
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT:
+      return (question.correctAnswers || []).map(index => options[index]).filter(Boolean).join(', ');
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return (question.acceptedAnswers || [])[0] || '';
+    case QUESTION_TYPES.ORDERING:
+      return (question.items || []).join(' → ');
+    default:
+      return options[question.correctAnswer] || '';
+  }
+};
+
+/**
+ * Flashcards of a material, from its quiz questions when it has none
+ * @param {Object} material - AI material with id, flashcards and quizQuestions
+ * @returns {Array} Cards: { id, materialId, materialTitle, front, back }
+ */
+export const getMaterialFlashcards = (material) => {
+  if (!material) return [];
+
+  const cards = material.flashcards && material.flashcards.length > 0
+    ? material.flashcards
+    : (material.quizQuestions || []).map(question => ({
+      front: question.question,
+      back: getQuestionAnswer(question)
+    }));
+
+  const seenIds = new Set();
+  return cards
+    .filter(card => card.front && card.back)
+    .map(card => ({
+      id: getFlashcardId(card.front),
+      materialId: material.id,
+      materialTitle: material.title,
+      front: card.front,
+      back: card.back
+    }))
+    .filter((card) => {
+      if (seenIds.has(card.id)) return false;
+      seenIds.add(card.id);
+      return true;
+    });
+};
+
+/**
+ * Next schedule of a card after a review (SM-2)
+ * @param {Object|null} progress - Current progress, null for a new card
+ * @param {number} grade - One of REVIEW_GRADES
+ * @param {Date} now - Time of the review
+ * @returns {Object} { easeFactor, interval (days), repetitions, lapses, dueAt (Date) }
+ */
+export const scheduleReview = (progress, grade, now = new Date()) => {
+  const easeFactor = progress?.easeFactor || DEFAULT_EASE_FACTOR;
+  const repetitions = progress?.repetitions || 0;
+  const lapses = progress?.lapses || 0;
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  // Forgotten cards start over and are shown again in the same session
+  if (grade < REVIEW_GRADES.HARD) {
+    return {
+      easeFactor: nextEaseFactor,
+      interval: 0,
+      repetitions: 0,
+      lapses: repetitions > 0 ? lapses + 1 : lapses,
+      dueAt: now
+    };
+  }
+
+  let interval;
+  if (repetitions === 0) {
+    interval = 1;
+  } else if (repetitions === 1) {
+    interval = 6;
+  } else {
+    interval = Math.round((progress.interval || 1) * nextEaseFactor);
+  }
+
+  return {
+    easeFactor: nextEaseFactor,
+    interval,
+    repetitions: repetitions + 1,
+    lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+};
+
+/**
+ * End of the current day, cards due before it are due today
+ * @param {Date} now - Current time
+ * @returns {Date} Last moment of the day
+ */
+export const getEndOfDay = (now = new Date()) => {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value ? new Date(value) : null);
+
+/**
+ * Cards to study now: cards due today, most overdue first, then cards never studied
+ * @param {Array} cards - Cards from getMaterialFlashcards
+ * @param {Object} progressById - Progress documents by getProgressId
+ * @param {Object} options - { now, newLimit }
+ * @returns {Object} { due: cards due for review, fresh: new cards up to newLimit, queue: both }
+ */
+export const buildStudyQueue = (cards, progressById, { now = new Date(), newLimit = NEW_CARDS_PER_SESSION } = {}) => {
+  const endOfDay = getEndOfDay(now);
+  const due = [];
+  const fresh = [];
+
+  cards.forEach((card) => {
+    const progress = progressById[getProgressId(card.materialId, card.id)];
+    if (!progress) {
+      fresh.push(card);
+      return;
+    }
+    const dueAt = toDate(progress.dueAt);
+    if (!dueAt || dueAt <= endOfDay) {
+      due.push({ ...card, dueAt });
+    }
+  });
+
+  due.sort((a, b) => (a.dueAt?.getTime() || 0) - (b.dueAt?.getTime() || 0));
+  const limitedFresh = fresh.slice(0, newLimit);
+
+  return { due, fresh: limitedFresh, queue: [...due, ...limitedFresh] };
+};
+
+/**
+ * A schedule's interval for an answer button, like "< 1 min" or "6 d"
+ * @param {Object} schedule - Result of scheduleReview
+ * @returns {string} Short interval label
+ */
+export const formatInterval = (schedule) => {
+  if (schedule.interval === 0) return '< 1 min';
+  if (schedule.interval < 30) return `${schedule.interval} d`;
+  if (schedule.interval < 365) return `${Math.round(schedule.interval / 30)} mo`;
+  return `${(schedule.interval / 365).toFixed(1)} y`;
+};
@@ -0,0 +1,238 @@
+import RNFetchBlob from 'rn-fetch-blob';
+import Share from 'react-native-share';
+import * as XLSX from 'xlsx';
+import { format } from 'date-fns';
+import firestore from '@react-native-firebase/firestore';
+import auth from '@react-native-firebase/auth';
+import {
+  getClassMembers,
+  getClassAssignments,
+  getAssignmentCompletions,
+  getClassMembersExperience,
+  isClassAdmin,
+  USERS_COLLECTION
+} from './firestore';
+import { calculateLevelFromExp } from '../constants/UserTypes';
+
+/**
+ * Spreadsheet export of a class's grades, completions and XP
+ * One row per student, and for every assignment a score column and a completed-at column.
+ */
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Firestore timestamps, dates and ISO strings to a spreadsheet friendly string
+const formatTimestamp = (value) => {
+  if (!value) return '';
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? '' : format(date, 'yyyy-MM-dd HH:mm');
+};
+
+const matchesAssignment = (assignment, assignmentId) =>
+  assignmentId === assignment.id || assignmentId === assignment.documentId;
+
+/**
+ * Load everything the export needs for a class
+ * @param {string} classId - The class to export
+ * @returns {Promise<Object>} { success, students, assignments, completionsByAssignment, gradedByUser, experienceByUser }
+ */
+export const collectClassExportData = async (classId) => {
+  try {
+    const currentUser = auth().currentUser;
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+
+    const isAdmin = await isClassAdmin(classId, currentUser.uid);
+    if (!isAdmin) {
+      throw new Error('Only class admins and teachers can export grades');
+    }
+
+    const [members, assignments, experienceResult] = await Promise.all([
+      getClassMembers(classId),
+      getClassAssignments(classId),
+      getClassMembersExperience(classId)
+    ]);
+
+    const students = members.filter(member => member.role === 'student');
+    const gradableAssignments = assignments.filter(assignment => !assignment.skipped);
+
+    // Completion status and timestamps per assignment (approved, pending and rejected)
+    const completionResults = await Promise.all(
+      gradableAssignments.map(assignment => getAssignmentCompletions(classId, assignment.id))
+    );
+    const completionsByAssignment = {};
+    gradableAssignments.forEach((assignment, index) => {
+      const result = completionResults[index];
+      completionsByAssignment[assignment.id] = result.success ? result.completions : [];
+    });
+
+    // Scores are stored with each student's completed assignments once approved
+    const gradedSnapshots = await Promise.all(students.map(student =>
+      firestore()
+        .collection(USERS_COLLECTION)
+        .doc(student.userId)
+        .collection('completedAssignments')
+        .where('classId', '==', classId)
+        .get()
+    ));
+    const gradedByUser = {};
+    students.forEach((student, index) => {
+      gradedByUser[student.userId] = gradedSnapshots[index].docs.map(doc => doc.data());
+    });
+
+    const experienceByUser = {};
+    if (experienceResult.success) {
+      experienceResult.members.forEach(member => {
+        experienceByUser[member.userId] = member.experience?.totalExp || 0;
+      });
+    }
+
+    return {
+      success: true,
+      students,
+      assignments: gradableAssignments,
+      completionsByAssignment,
+      gradedByUser,
+      experienceByUser
+    };
+  } catch (error) {
+    console.error('Error collecting class export data:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Build the sheet as an array of rows, header first
+ * @param {Object} data - Result of collectClassExportData
+ * @returns {Array<Array<string|number>>} Sheet rows
+ */
+export const buildGradeSheetRows = ({ students, assignments, completionsByAssignment, gradedByUser, experienceByUser }) => {
+  const header = ['Student', 'Email', 'Total XP', 'Level', 'Completed'];
+  assignments.forEach(assignment => {
+    header.push(`${assignment.title} - Score`, `${assignment.title} - Completed At`);
+  });
+
+  const rows = students.map(student => {
+    const graded = gradedByUser[student.userId] || [];
+    const totalExp = experienceByUser[student.userId] || 0;
+    const assignmentCells = [];
+    let completedCount = 0;
+
+    assignments.forEach(assignment => {
+      const gradedCompletion = graded.find(item => matchesAssignment(assignment, item.assignmentId));
+      const completion = (completionsByAssignment[assignment.id] || [])
+        .find(item => item.userId === student.userId);
+
+      if (gradedCompletion) {
+        completedCount++;
+        const score = gradedCompletion.score;
+        assignmentCells.push(
+          score !== undefined && score !== null ? Number(score) : '',
+          formatTimestamp(gradedCompletion.approvedAt || gradedCompletion.completedAt)
+        );
+      } else if (completion && completion.status === 'approved') {
+        completedCount++;
+        assignmentCells.push('', formatTimestamp(completion.completedAt));
+      } else if (completion && completion.status === 'pending') {
+        assignmentCells.push('', `Pending (${formatTimestamp(completion.completedAt)})`);
+      } else {
+        assignmentCells.push('', '');
+      }
+    });
+
+    return [
+      student.displayName,
+      student.email,
+      totalExp,
+      calculateLevelFromExp(totalExp).level,
+      completedCount,
+      ...assignmentCells
+    ];
+  });
+
+  return [header, ...rows];
+};
+
+// Text starting with one of these becomes a formula in Excel and Sheets, names and titles are
+// prefixed with ' so they stay text. Numbers are left as they are
+const escapeFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const escapeFormulas = (rows) => rows.map(row => row.map(escapeFormula));
+
+// Quote a CSV cell when it contains a separator, quote or line break
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(escapeFormula(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const rowsToCsv = (rows) =>
+  rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+/**
+ * Write the rows to a file in the cache directory
+ * @returns {Promise<string>} Path of the written file
+ */
+export const writeExportFile = async (rows, fileFormat, fileName) => {
+  const path = `${RNFetchBlob.fs.dirs.CacheDir}/${fileName}.${fileFormat}`;
+
+  if (fileFormat === EXPORT_FORMATS.XLSX) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(escapeFormulas(rows)), 'Grades');
+    const base64 = XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+    await RNFetchBlob.fs.writeFile(path, base64, 'base64');
+  } else {
+    // The byte order mark makes Excel open the file as UTF-8
+    await RNFetchBlob.fs.writeFile(path, `\uFEFF${rowsToCsv(rows)}`, 'utf8');
+  }
+
+  return path;
+};
+
+/**
+ * Export grades for a class and open the native share sheet
+ * @param {string} classId - The class to export
+ * @param {string} className - Used in the file name
+ * @param {string} fileFormat - EXPORT_FORMATS.CSV or EXPORT_FORMATS.XLSX
+ * @returns {Promise<Object>} { success, path } or { success: false, error }
+ */
+export const exportClassGrades = async (classId, className, fileFormat = EXPORT_FORMATS.XLSX) => {
+  try {
+    const data = await collectClassExportData(classId);
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    const rows = buildGradeSheetRows(data);
+    const safeName = (className || 'class').replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+    const fileName = `${safeName}_grades_${format(new Date(), 'yyyyMMdd')}`;
+    const path = await writeExportFile(rows, fileFormat, fileName);
+
+    await Share.open({
+      url: `file://${path}`,
+      type: MIME_TYPES[fileFormat],
+      filename: `${fileName}.${fileFormat}`,
+      failOnCancel: false
+    });
+
+    return { success: true, path };
+  } catch (error) {
+    console.error('Error exporting class grades:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
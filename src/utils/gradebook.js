@@ -0,0 +1,252 @@
+import { ASSIGNMENT_TYPES } from '../constants/Types';
+
+/**
+ * Weighted gradebook
+ *
+ * Each subject can store a grading config on its document:
+ * {
+ *   categories: {
+ *     'Tertulis': { weight: 30, dropLowest: 1 },   // keyed by ASSIGNMENT_TYPES values
+ *     'Praktek': { weight: 40, dropLowest: 0 },
+ *     ...
+ *   },
+ *   missingWorkPolicy: MISSING_WORK_POLICY.ZERO
+ * }
+ *
+ * Weights are percentages. Categories without any graded work are left out and
+ * the remaining weights are scaled up so the subject grade is still out of 100.
+ */
+
+export const MISSING_WORK_POLICY = {
+  EXCLUDE: 'exclude', // Missing work doesn't affect the grade until it is submitted
+  ZERO: 'zero'        // Missing work past its deadline counts as 0
+};
+
+const CATEGORY_TYPES = Object.values(ASSIGNMENT_TYPES);
+
+// Equal weights across all assignment types, with rounding left on the last category
+const buildDefaultCategories = () => {
+  const baseWeight = Math.floor(100 / CATEGORY_TYPES.length);
+  return CATEGORY_TYPES.reduce((categories, type, index) => {
+    categories[type] = {
+      weight: index === CATEGORY_TYPES.length - 1
+        ? 100 - baseWeight * (CATEGORY_TYPES.length - 1)
+        : baseWeight,
+      dropLowest: 0
+    };
+    return categories;
+  }, {});
+};
+
+export const DEFAULT_GRADING_CONFIG = {
+  categories: buildDefaultCategories(),
+  missingWorkPolicy: MISSING_WORK_POLICY.EXCLUDE
+};
+
+/**
+ * Fill in any categories or settings missing from a stored config
+ * @param {Object} config - Grading config from the subject document (may be undefined)
+ * @returns {Object} Complete grading config
+ */
+export const normalizeGradingConfig = (config) => {
+  const categories = {};
+  CATEGORY_TYPES.forEach(type => {
+    const stored = config?.categories?.[type];
+    categories[type] = {
+      weight: stored ? Number(stored.weight) || 0 : (config?.categories ? 0 : DEFAULT_GRADING_CONFIG.categories[type].weight),
+      dropLowest: stored ? Math.max(0, parseInt(stored.dropLowest, 10) || 0) : 0
+    };
+  });
+
+  return {
+    categories,
+    missingWorkPolicy: Object.values(MISSING_WORK_POLICY).includes(config?.missingWorkPolicy)
+      ? config.missingWorkPolicy
+      : DEFAULT_GRADING_CONFIG.missingWorkPolicy
+  };
+};
+
+/**
+ * Validate a grading config before saving it
+ * @param {Object} config - The grading config
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+export const validateGradingConfig = (config) => {
+  const errors = [];
+  const categories = config?.categories || {};
+  let totalWeight = 0;
+
+  Object.entries(categories).forEach(([type, category]) => {
+    const weight = Number(category.weight);
+    if (isNaN(weight) || weight < 0 || weight > 100) {
+      errors.push(`Weight for ${type} must be between 0 and 100`);
+    } else {
+      totalWeight += weight;
+    }
+
+    const dropLowest = Number(category.dropLowest);
+    if (!Number.isInteger(dropLowest) || dropLowest < 0) {
+      errors.push(`Drop lowest for ${type} must be a whole number`);
+    }
+  });
+
+  if (Math.round(totalWeight) !== 100) {
+    errors.push(`Category weights must add up to 100% (currently ${Math.round(totalWeight)}%)`);
+  }
+
+  if (!Object.values(MISSING_WORK_POLICY).includes(config?.missingWorkPolicy)) {
+    errors.push('Choose how missing work is graded');
+  }
+
+  return errors;
+};
+
+// An assignment counts towards grades once it is approved and not a skipped occurrence
+export const isGradableAssignment = (assignment) =>
+  !!assignment && !assignment.skipped && assignment.pending !== true;
+
+// Completions reference assignments by document ID or internal ID depending on where they came from
+const findCompletion = (assignment, completions) =>
+  completions.find(completion =>
+    completion.assignmentId === assignment.id ||
+    (assignment.documentId && completion.assignmentId === assignment.documentId)
+  );
+
+const isPastDeadline = (assignment, now) => {
+  const deadline = new Date(assignment.deadline || assignment.deadlineTimestamp);
+  return !isNaN(deadline.getTime()) && deadline < now;
+};
+
+const hasScore = (completion) =>
+  !!completion && completion.score !== undefined && completion.score !== null && !isNaN(Number(completion.score));
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Compute one student's grade for a single subject
+ * @param {Object[]} assignments - Assignments in the subject
+ * @param {Object[]} completions - The student's completed assignments
+ * @param {Object} gradingConfig - The subject's grading config
+ * @param {Date} now - Reference time for deciding what is missing
+ * @returns {Object} Grade breakdown with the weighted subject grade (null when nothing is graded)
+ */
+export const computeSubjectGrade = (assignments, completions, gradingConfig, now = new Date()) => {
+  const config = normalizeGradingConfig(gradingConfig);
+  const categories = {};
+  let completedCount = 0;
+  let gradedCount = 0;
+  let missingCount = 0;
+  let totalCount = 0;
+
+  CATEGORY_TYPES.forEach(type => {
+    categories[type] = {
+      weight: config.categories[type].weight,
+      dropLowest: config.categories[type].dropLowest,
+      scores: [],
+      dropped: [],
+      average: null
+    };
+  });
+
+  assignments.filter(isGradableAssignment).forEach(assignment => {
+    totalCount++;
+    const completion = findCompletion(assignment, completions);
+    const category = categories[assignment.type];
+
+    if (completion) {
+      completedCount++;
+      if (hasScore(completion)) {
+        gradedCount++;
+        if (category) {
+          category.scores.push({ assignmentId: assignment.id, score: Number(completion.score) });
+        }
+      }
+      return;
+    }
+
+    if (isPastDeadline(assignment, now)) {
+      missingCount++;
+      if (category && config.missingWorkPolicy === MISSING_WORK_POLICY.ZERO) {
+        category.scores.push({ assignmentId: assignment.id, score: 0, missing: true });
+      }
+    }
+  });
+
+  let weightedTotal = 0;
+  let usedWeight = 0;
+
+  Object.values(categories).forEach(category => {
+    // Always keep at least one score so dropping never empties a category
+    const dropCount = Math.min(category.dropLowest, Math.max(0, category.scores.length - 1));
+    const sorted = [...category.scores].sort((a, b) => a.score - b.score);
+    category.dropped = sorted.slice(0, dropCount);
+    const kept = sorted.slice(dropCount);
+
+    category.average = average(kept.map(item => item.score));
+    if (category.average !== null && category.weight > 0) {
+      weightedTotal += category.average * category.weight;
+      usedWeight += category.weight;
+    }
+  });
+
+  return {
+    grade: usedWeight > 0 ? Math.round(weightedTotal / usedWeight) : null,
+    categories,
+    completedCount,
+    gradedCount,
+    missingCount,
+    totalCount
+  };
+};
+
+/**
+ * Compute the term grade from subject grades
+ * Every subject with a grade counts equally.
+ * @param {Object} subjectGrades - Map of subjectId to computeSubjectGrade results
+ * @returns {number|null} Term grade out of 100
+ */
+export const computeTermGrade = (subjectGrades) => {
+  const grades = Object.values(subjectGrades)
+    .map(subjectGrade => subjectGrade.grade)
+    .filter(grade => grade !== null && grade !== undefined);
+  const termGrade = average(grades);
+  return termGrade === null ? null : Math.round(termGrade);
+};
+
+/**
+ * Compute every subject grade and the term grade for one student
+ * @param {Object[]} subjects - Subjects in the class (with optional gradingConfig)
+ * @param {Object[]} assignments - All assignments in the class
+ * @param {Object[]} completions - The student's completed assignments in the class
+ * @param {Date} now - Reference time for deciding what is missing
+ * @returns {{subjectGrades: Object, termGrade: number|null}}
+ */
+export const computeStudentGradebook = (subjects, assignments, completions, now = new Date()) => {
+  const subjectGrades = {};
+  subjects.forEach(subject => {
+    const subjectAssignments = assignments.filter(assignment => assignment.subjectId === subject.id);
+    subjectGrades[subject.id] = computeSubjectGrade(subjectAssignments, completions, subject.gradingConfig, now);
+  });
+
+  return {
+    subjectGrades,
+    termGrade: computeTermGrade(subjectGrades)
+  };
+};
+
+/**
+ * Describe a student's result for one assignment in the gradebook grid
+ * @returns {{status: 'graded'|'ungraded'|'missing'|'pending', score: number|null}}
+ */
+export const getAssignmentGradeCell = (assignment, completions, now = new Date()) => {
+  const completion = findCompletion(assignment, completions);
+  if (completion) {
+    return hasScore(completion)
+      ? { status: 'graded', score: Number(completion.score) }
+      : { status: 'ungraded', score: null };
+  }
+  return isPastDeadline(assignment, now)
+    ? { status: 'missing', score: null }
+    : { status: 'pending', score: null };
+};
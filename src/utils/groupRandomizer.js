@@ -0,0 +1,300 @@
+import { RANDOMIZATION_MODE } from '../constants/Types';
+
+/**
+ * Drawing the members of a group assignment into groups
+ *
+ * Every draw is seeded, so the same seed with the same members, levels, past groups and rules
+ * gives the same groups and a draw can be checked later. Rules set by the teacher look like:
+ * {
+ *   leaders: ['uid1', 'uid2'],     // each one leads a different group
+ *   together: [['uid3', 'uid4']],  // always in the same group
+ *   apart: [['uid5', 'uid6']]      // never two of them in the same group
+ * }
+ * Students kept together are placed as one unit and leaders stay in their group, everything else
+ * is placed greedily and then improved by swapping students between groups.
+ */
+
+export const EMPTY_GROUP_RULES = { leaders: [], together: [], apart: [] };
+
+// Cost of two students of an apart rule in the same group, far above any balancing cost
+const APART_PENALTY = 100000;
+
+// Cost of a group being one student bigger or smaller than an even split, so groups stay the
+// same size before any balancing
+const GROUP_SIZE_COST = 1000;
+
+// Cost of each time two students were already in the same group, when avoiding repeats
+const REPEAT_PAIR_COST = 50;
+
+// Rounds of swapping students between groups after the first placement
+const MAX_SWAP_ROUNDS = 4;
+
+const MODULUS = 2147483647;
+
+const hashSeed = (seed) => {
+  let hash = 7;
+  for (const char of String(seed)) {
+    hash = (hash * 31 + char.charCodeAt(0)) % MODULUS;
+  }
+  return hash || 1;
+};
+
+/**
+ * Random number generator that always gives the same numbers for the same seed
+ * @param {string} seed - Seed of the draw
+ * @returns {Function} Returns numbers from 0 (inclusive) to 1 (exclusive)
+ */
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state * 48271) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+};
+
+/**
+ * New seed for a draw, short enough to read out or type in again
+ * @returns {string} Seed of 6 letters and digits
+ */
+export const generateSeed = () => Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]];
+  }
+  return shuffled;
+};
+
+const pairKey = (firstId, secondId) => (firstId < secondId ? `${firstId}|${secondId}` : `${secondId}|${firstId}`);
+
+/**
+ * How often each two students were in the same group in the class's other group assignments
+ * @param {Array} assignments - Assignments of the class
+ * @param {string|null} excludeAssignmentId - The assignment being edited, its current groups don't count
+ * @returns {Object} Number of times together by pair key
+ */
+export const buildPairHistory = (assignments, excludeAssignmentId = null) => {
+  const history = {};
+  (assignments || []).forEach((assignment) => {
+    if (!Array.isArray(assignment.groups) || assignment.id === excludeAssignmentId ||
+      (excludeAssignmentId && assignment.documentId === excludeAssignmentId)) {
+      return;
+    }
+    assignment.groups.forEach((group) => {
+      const memberIds = (group.members || []).map(member => member.userId);
+      memberIds.forEach((firstId, index) => {
+        memberIds.slice(index + 1).forEach((secondId) => {
+          const key = pairKey(firstId, secondId);
+          history[key] = (history[key] || 0) + 1;
+        });
+      });
+    });
+  });
+  return history;
+};
+
+/**
+ * Rules as saved on the assignment's groupDraw, Firestore can't store arrays in arrays
+ * @param {Object} rules - Group rules
+ * @returns {Object} The rules with each together and apart rule as { userIds }
+ */
+export const toStoredGroupRules = (rules) => ({
+  leaders: rules.leaders,
+  together: rules.together.map(userIds => ({ userIds })),
+  apart: rules.apart.map(userIds => ({ userIds }))
+});
+
+/**
+ * Group rules from an assignment's groupDraw
+ * @param {Object} storedRules - Rules saved by toStoredGroupRules, if any
+ * @returns {Object} Group rules
+ */
+export const fromStoredGroupRules = (storedRules) => ({
+  leaders: storedRules?.leaders || [],
+  together: (storedRules?.together || []).map(rule => rule.userIds || []),
+  apart: (storedRules?.apart || []).map(rule => rule.userIds || [])
+});
+
+// Students kept together, merged when rules share a student: a list of userId lists
+const buildTogetherUnits = (memberIds, together) => {
+  const parent = {};
+  memberIds.forEach((id) => {
+    parent[id] = id;
+  });
+  const find = (id) => (parent[id] === id ? id : find(parent[id]));
+
+  together.forEach((rule) => {
+    const ids = rule.filter(id => parent[id] !== undefined);
+    ids.slice(1).forEach((id) => {
+      parent[find(id)] = find(ids[0]);
+    });
+  });
+
+  const units = {};
+  memberIds.forEach((id) => {
+    const root = find(id);
+    units[root] = units[root] || [];
+    units[root].push(id);
+  });
+  return Object.values(units);
+};
+
+/**
+ * Draw members into groups
+ * @param {Array} members - Class members to place, with userId
+ * @param {Object} options - { groupCount, mode (one of RANDOMIZATION_MODE), seed, rules, skills (level by userId), pairHistory (from buildPairHistory) }
+ * @returns {Object} { groups: [{ name, members, leaderId }], repeatPairs, brokenRules } where brokenRules counts the apart rules that couldn't be kept
+ */
+export const drawGroups = (members, { groupCount, mode, seed, rules = EMPTY_GROUP_RULES, skills = {}, pairHistory = {} }) => {
+  const random = createSeededRandom(seed);
+  const sortedMembers = [...members].sort((a, b) => (a.userId < b.userId ? -1 : 1));
+  const membersById = {};
+  sortedMembers.forEach((member) => {
+    membersById[member.userId] = member;
+  });
+  const memberIds = sortedMembers.map(member => member.userId);
+
+  const balanceSkill = mode === RANDOMIZATION_MODE.SKILL_BALANCED;
+  const avoidRepeats = mode === RANDOMIZATION_MODE.AVOID_REPEATS;
+  const balanceGender = mode === RANDOMIZATION_MODE.FAIR_GENDER;
+
+  const skillOf = id => Number(skills[id]) || 0;
+  const averageSize = memberIds.length / groupCount;
+  const averageSkill = memberIds.length > 0
+    ? memberIds.reduce((sum, id) => sum + skillOf(id), 0) / memberIds.length
+    : 0;
+
+  // Students who must not share a group, by userId
+  const apartFrom = {};
+  (rules.apart || []).forEach((rule) => {
+    rule.forEach((id) => {
+      apartFrom[id] = apartFrom[id] || new Set();
+      rule.filter(other => other !== id).forEach(other => apartFrom[id].add(other));
+    });
+  });
+
+  // Cost of one group; groups don't affect each other, so a draw costs the sum of its groups
+  const groupCost = (ids) => {
+    let cost = GROUP_SIZE_COST * (ids.length - averageSize) * (ids.length - averageSize);
+    ids.forEach((id, index) => {
+      ids.slice(index + 1).forEach((otherId) => {
+        if (apartFrom[id] && apartFrom[id].has(otherId)) cost += APART_PENALTY;
+        if (avoidRepeats) cost += REPEAT_PAIR_COST * (pairHistory[pairKey(id, otherId)] || 0);
+      });
+    });
+    if (balanceSkill) {
+      const deviation = ids.reduce((sum, id) => sum + skillOf(id), 0) - averageSkill * ids.length;
+      cost += deviation * deviation;
+    }
+    if (balanceGender) {
+      const genderCounts = {};
+      ids.forEach((id) => {
+        const gender = membersById[id].gender;
+        if (gender === 'male' || gender === 'female') {
+          genderCounts[gender] = (genderCounts[gender] || 0) + 1;
+        }
+      });
+      cost += Object.values(genderCounts).reduce((sum, count) => sum + count * count, 0);
+    }
+    return cost;
+  };
+
+  const groups = Array.from({ length: groupCount }, () => ({ ids: [], leaderId: null }));
+  const capacity = Math.ceil(averageSize);
+
+  // Leaders first, one per group, in a seeded order so extra leaders are picked fairly
+  const leaderIds = shuffle((rules.leaders || []).filter(id => membersById[id]), random).slice(0, groupCount);
+  const units = buildTogetherUnits(memberIds, rules.together || []);
+  const fixedIds = new Set();
+  leaderIds.forEach((leaderId, index) => {
+    const unit = units.find(ids => ids.includes(leaderId));
+    if (unit.some(id => fixedIds.has(id))) return;
+    groups[index].leaderId = leaderId;
+    groups[index].ids.push(...unit);
+    unit.forEach(id => fixedIds.add(id));
+  });
+
+  // Then students kept together, biggest first, then everyone else (strongest first when
+  // balancing levels, so the greedy placement spreads them out)
+  const openUnits = shuffle(units.filter(unit => !unit.some(id => fixedIds.has(id))), random)
+    .sort((a, b) => {
+      if (a.length !== b.length) return b.length - a.length;
+      return balanceSkill ? skillOf(b[0]) - skillOf(a[0]) : 0;
+    });
+
+  openUnits.forEach((unit) => {
+    const fitting = groups.filter(group => group.ids.length + unit.length <= capacity);
+    const candidates = fitting.length > 0
+      ? fitting
+      : [groups.reduce((smallest, group) => (group.ids.length < smallest.ids.length ? group : smallest))];
+    let best = null;
+    let bestCost = Infinity;
+    candidates.forEach((group) => {
+      const cost = groupCost([...group.ids, ...unit]) - groupCost(group.ids);
+      if (cost < bestCost || (cost === bestCost && group.ids.length < best.ids.length)) {
+        best = group;
+        bestCost = cost;
+      }
+    });
+    best.ids.push(...unit);
+  });
+
+  // Swap single students between groups while that lowers the cost; leaders and students kept
+  // together stay where they are
+  const isSwappable = id => !fixedIds.has(id) && units.some(unit => unit.length === 1 && unit[0] === id);
+  for (let round = 0; round < MAX_SWAP_ROUNDS; round++) {
+    let improved = false;
+    groups.forEach((first, firstIndex) => {
+      groups.slice(firstIndex + 1).forEach((second) => {
+        first.ids.forEach((firstId, firstPosition) => {
+          if (!isSwappable(firstId)) return;
+          second.ids.forEach((secondId, secondPosition) => {
+            if (!isSwappable(secondId) || first.ids[firstPosition] !== firstId) return;
+            const swappedFirst = first.ids.map((id, position) => (position === firstPosition ? secondId : id));
+            const swappedSecond = second.ids.map((id, position) => (position === secondPosition ? firstId : id));
+            const change = groupCost(swappedFirst) + groupCost(swappedSecond) - groupCost(first.ids) - groupCost(second.ids);
+            if (change < -1e-9) {
+              first.ids = swappedFirst;
+              second.ids = swappedSecond;
+              improved = true;
+            }
+          });
+        });
+      });
+    });
+    if (!improved) break;
+  }
+
+  const groupIndexById = {};
+  groups.forEach((group, index) => {
+    group.ids.forEach((id) => {
+      groupIndexById[id] = index;
+    });
+  });
+
+  let repeatPairs = 0;
+  groups.forEach((group) => {
+    group.ids.forEach((id, index) => {
+      group.ids.slice(index + 1).forEach((otherId) => {
+        repeatPairs += pairHistory[pairKey(id, otherId)] ? 1 : 0;
+      });
+    });
+  });
+
+  const brokenRules = (rules.apart || []).filter((rule) => {
+    const placed = rule.filter(id => groupIndexById[id] !== undefined).map(id => groupIndexById[id]);
+    return new Set(placed).size < placed.length;
+  }).length;
+
+  return {
+    groups: groups.map((group, index) => ({
+      name: `Group ${index + 1}`,
+      members: group.ids.map(id => membersById[id]),
+      leaderId: group.leaderId
+    })),
+    repeatPairs,
+    brokenRules
+  };
+};
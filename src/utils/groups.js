@@ -0,0 +1,72 @@
+/**
+ * Group sign-up of group assignments. Groups are kept in the assignment's `groups` and the
+ * sign-up rules in `groupSettings`: { maxGroupSize, joinDeadline, leaveDeadline, locked }.
+ * Students join and leave through the joinAssignmentGroup and leaveAssignmentGroup functions,
+ * which enforce the same rules in a transaction, see functions/groups.js (keep them in sync).
+ */
+
+export const MAX_GROUP_SIZE = 50;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Group settings of an assignment with every field set
+ * @param {Object} assignment - Group assignment
+ * @returns {Object} { maxGroupSize, joinDeadline, leaveDeadline, locked } with null for no limit and deadlines as Date
+ */
+export const getGroupSettings = (assignment) => {
+  const settings = assignment?.groupSettings || {};
+  const maxGroupSize = Math.round(Number(settings.maxGroupSize));
+  return {
+    maxGroupSize: Number.isFinite(maxGroupSize) && maxGroupSize > 0 ? Math.min(maxGroupSize, MAX_GROUP_SIZE) : null,
+    joinDeadline: toDate(settings.joinDeadline),
+    leaveDeadline: toDate(settings.leaveDeadline),
+    locked: settings.locked === true
+  };
+};
+
+/**
+ * Members a group can have
+ * @param {Object} group - Group of the assignment
+ * @param {Object} settings - Result of getGroupSettings
+ * @returns {number|null} The group's own capacity or the assignment's, null for no limit
+ */
+export const getGroupCapacity = (group, settings) => {
+  const capacity = Math.round(Number(group.capacity));
+  return Number.isFinite(capacity) && capacity > 0 ? capacity : settings.maxGroupSize;
+};
+
+/**
+ * Whether a group has no room left
+ * @param {Object} group - Group of the assignment
+ * @param {Object} settings - Result of getGroupSettings
+ * @returns {boolean} True when the group is at its capacity
+ */
+export const isGroupFull = (group, settings) => {
+  const capacity = getGroupCapacity(group, settings);
+  return capacity !== null && (group.members || []).length >= capacity;
+};
+
+/**
+ * The group a user is in
+ * @param {Array} groups - Groups of the assignment
+ * @param {string} userId - User ID
+ * @returns {Object|null} The group, null when the user is in none
+ */
+export const findMemberGroup = (groups, userId) =>
+  (groups || []).find(group => (group.members || []).some(member => member.userId === userId)) || null;
+
+/**
+ * Whether students can join and leave groups now
+ * @param {Object} settings - Result of getGroupSettings
+ * @param {Date} now - Current time
+ * @returns {Object} { canJoin, canLeave }
+ */
+export const getSignupStatus = (settings, now = new Date()) => ({
+  canJoin: !settings.locked && (!settings.joinDeadline || now <= settings.joinDeadline),
+  canLeave: !settings.locked && (!settings.leaveDeadline || now <= settings.leaveDeadline)
+});
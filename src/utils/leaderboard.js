@@ -0,0 +1,89 @@
+/**
+ * Leaderboard periods and completion streaks
+ * The Cloud Functions keep each member's XP per period in the `windows` map of their class
+ * experience record (see functions/leaderboard.js, keep the window keys in sync). A window
+ * whose key isn't the current one has expired and counts as 0.
+ */
+
+export const LEADERBOARD_PERIODS = {
+  ALL_TIME: 'all',
+  WEEK: 'week',
+  MONTH: 'month',
+  SEMESTER: 'semester',
+  SEASON: 'season'
+};
+
+export const LEADERBOARD_PERIOD_LABELS = {
+  [LEADERBOARD_PERIODS.ALL_TIME]: 'All Time',
+  [LEADERBOARD_PERIODS.WEEK]: 'This Week',
+  [LEADERBOARD_PERIODS.MONTH]: 'This Month',
+  [LEADERBOARD_PERIODS.SEMESTER]: 'This Semester',
+  [LEADERBOARD_PERIODS.SEASON]: 'Season'
+};
+
+// Windows and streak days follow the school's local calendar, Asia/Jakarta is UTC+7 all year
+const UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDayKey = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Keys of the windows a timestamp falls in
+ * @param {number} millis - Timestamp in milliseconds
+ * @returns {Object} { week: Monday as YYYY-MM-DD, month: YYYY-MM, semester: YYYY-S1 (Jan-Jun) or YYYY-S2 (Jul-Dec) }
+ */
+export const getWindowKeys = (millis) => {
+  const local = new Date(millis + UTC_OFFSET_MS);
+  const month = local.getUTCMonth() + 1;
+
+  const monday = new Date(local);
+  monday.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+
+  return {
+    week: toDayKey(monday),
+    month: `${local.getUTCFullYear()}-${pad(month)}`,
+    semester: `${local.getUTCFullYear()}-S${month <= 6 ? 1 : 2}`
+  };
+};
+
+/**
+ * XP a member earned in a leaderboard period
+ * @param {Object} experience - Class experience record ({ totalExp, windows, seasonStartExp })
+ * @param {string} period - One of LEADERBOARD_PERIODS
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} XP earned in the period
+ */
+export const getPeriodExp = (experience, period, now = Date.now()) => {
+  if (!experience) return 0;
+
+  if (period === LEADERBOARD_PERIODS.ALL_TIME) {
+    return experience.totalExp || 0;
+  }
+
+  if (period === LEADERBOARD_PERIODS.SEASON) {
+    return Math.max(0, (experience.totalExp || 0) - (experience.seasonStartExp || 0));
+  }
+
+  const window = (experience.windows || {})[period];
+  return window && window.key === getWindowKeys(now)[period] ? window.exp || 0 : 0;
+};
+
+/**
+ * Current completion streak, 0 once a day passed without a completion
+ * The streak itself is kept by the Cloud Functions in `stats` (see functions/achievements.js)
+ * @param {Object} experience - Class experience record
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Consecutive days with a completion, up to today or yesterday
+ */
+export const getActiveStreak = (experience, now = Date.now()) => {
+  const stats = (experience && experience.stats) || {};
+  if (!stats.lastCompletionDay || !stats.currentStreak) return 0;
+
+  const today = toDayKey(new Date(now + UTC_OFFSET_MS));
+  const yesterday = toDayKey(new Date(now + UTC_OFFSET_MS - DAY_MS));
+
+  return [today, yesterday].includes(stats.lastCompletionDay) ? stats.currentStreak : 0;
+};
@@ -0,0 +1,324 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import {
+  createAssignment,
+  updateClassAssignment,
+  deleteClassAssignment,
+  findAssignmentByInternalId
+} from './firestore';
+
+const MUTATION_QUEUE_KEY_PREFIX = 'taskmaster_mutation_queue_';
+const QUEUE_CONFLICTS_KEY_PREFIX = 'taskmaster_queue_conflicts_';
+
+export const MUTATION_TYPES = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+export const CONFLICT_REASONS = {
+  MODIFIED_ON_SERVER: 'modified_on_server',
+  DELETED_ON_SERVER: 'deleted_on_server',
+  REJECTED: 'rejected'
+};
+
+// Error messages that mean the write never reached the server and can be retried later
+const NETWORK_ERROR_PATTERNS = [
+  'unavailable',
+  'network',
+  'offline',
+  'timeout',
+  'timed out',
+  'deadline-exceeded',
+  'failed to get document because the client is offline'
+];
+
+export const isNetworkError = (error) => {
+  const message = (typeof error === 'string' ? error : error?.message || '').toLowerCase();
+  return NETWORK_ERROR_PATTERNS.some(pattern => message.includes(pattern));
+};
+
+// Check whether the device currently has a usable connection
+export const isOnline = async () => {
+  try {
+    const state = await NetInfo.fetch();
+    // isInternetReachable is null while unknown, only treat an explicit false as offline
+    return state.isConnected !== false && state.isInternetReachable !== false;
+  } catch (error) {
+    console.error('Error checking network state:', error);
+    return true;
+  }
+};
+
+// Convert Firestore timestamps, dates and ISO strings to milliseconds
+const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Queue persistence
+
+export const getMutationQueue = async (classId) => {
+  try {
+    const queue = await AsyncStorage.getItem(MUTATION_QUEUE_KEY_PREFIX + classId);
+    return queue ? JSON.parse(queue) : [];
+  } catch (error) {
+    console.error('Error getting mutation queue:', error);
+    return [];
+  }
+};
+
+export const saveMutationQueue = async (classId, queue) => {
+  try {
+    await AsyncStorage.setItem(MUTATION_QUEUE_KEY_PREFIX + classId, JSON.stringify(queue));
+    return true;
+  } catch (error) {
+    console.error('Error saving mutation queue:', error);
+    return false;
+  }
+};
+
+export const getQueueConflicts = async (classId) => {
+  try {
+    const conflicts = await AsyncStorage.getItem(QUEUE_CONFLICTS_KEY_PREFIX + classId);
+    return conflicts ? JSON.parse(conflicts) : [];
+  } catch (error) {
+    console.error('Error getting queue conflicts:', error);
+    return [];
+  }
+};
+
+export const saveQueueConflicts = async (classId, conflicts) => {
+  try {
+    await AsyncStorage.setItem(QUEUE_CONFLICTS_KEY_PREFIX + classId, JSON.stringify(conflicts));
+    return true;
+  } catch (error) {
+    console.error('Error saving queue conflicts:', error);
+    return false;
+  }
+};
+
+// Add a mutation to the end of the queue.
+// Mutations against an assignment that was itself created offline are folded into
+// the pending create so the server only ever sees the final version.
+export const enqueueMutation = async (classId, mutation) => {
+  const queue = await getMutationQueue(classId);
+  const entry = {
+    mutationId: `mutation_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+    queuedAt: new Date().toISOString(),
+    classId,
+    ...mutation
+  };
+
+  const pendingCreateIndex = queue.findIndex(item =>
+    item.type === MUTATION_TYPES.CREATE && item.assignmentId === entry.assignmentId
+  );
+
+  // Later edits to the same assignment are compared against the server copy the first edit saw
+  const earlierMutation = queue.find(item =>
+    item.assignmentId === entry.assignmentId && item.baseUpdatedAt
+  );
+  if (earlierMutation) {
+    entry.baseUpdatedAt = earlierMutation.baseUpdatedAt;
+  }
+
+  let newQueue;
+  if (pendingCreateIndex !== -1 && entry.type === MUTATION_TYPES.UPDATE) {
+    newQueue = [...queue];
+    newQueue[pendingCreateIndex] = {
+      ...queue[pendingCreateIndex],
+      data: { ...queue[pendingCreateIndex].data, ...entry.data }
+    };
+  } else if (pendingCreateIndex !== -1 && entry.type === MUTATION_TYPES.DELETE) {
+    // Never reached the server, so dropping the create is enough
+    newQueue = queue.filter(item => item.assignmentId !== entry.assignmentId);
+  } else {
+    newQueue = [...queue, entry];
+  }
+
+  await saveMutationQueue(classId, newQueue);
+  return newQueue;
+};
+
+// Apply queued mutations on top of an assignment list so the UI reflects
+// offline edits before they reach the server
+export const applyMutationsToAssignments = (assignments, queue) => {
+  return queue.reduce((result, mutation) => {
+    const matches = (assignment) =>
+      assignment.id === mutation.assignmentId || assignment.documentId === mutation.assignmentId;
+
+    switch (mutation.type) {
+      case MUTATION_TYPES.CREATE:
+        if (result.some(matches)) return result;
+        return [...result, { ...mutation.data, id: mutation.assignmentId, pendingSync: true }];
+      case MUTATION_TYPES.UPDATE:
+        return result.map(assignment =>
+          matches(assignment) ? { ...assignment, ...mutation.data, pendingSync: true } : assignment
+        );
+      case MUTATION_TYPES.DELETE:
+        return result.filter(assignment => !matches(assignment));
+      default:
+        return result;
+    }
+  }, assignments);
+};
+
+// Send a single mutation to Firestore without any conflict checks
+const sendMutation = async (classId, mutation) => {
+  switch (mutation.type) {
+    case MUTATION_TYPES.CREATE:
+      return createAssignment(classId, { ...mutation.data, id: mutation.assignmentId });
+    case MUTATION_TYPES.UPDATE:
+      return updateClassAssignment(classId, mutation.assignmentId, mutation.data);
+    case MUTATION_TYPES.DELETE:
+      return deleteClassAssignment(classId, mutation.assignmentId);
+    default:
+      return { success: false, error: `Unknown mutation type: ${mutation.type}` };
+  }
+};
+
+// Check whether the server copy changed since the mutation was queued
+const detectConflict = async (classId, mutation) => {
+  const serverResult = await findAssignmentByInternalId(classId, mutation.assignmentId);
+
+  if (!serverResult.success) {
+    if (isNetworkError(serverResult.error)) {
+      return { offline: true };
+    }
+
+    if (mutation.type === MUTATION_TYPES.CREATE) {
+      return { conflict: null };
+    }
+
+    // Deleting something that is already gone is not a conflict
+    if (mutation.type === MUTATION_TYPES.DELETE) {
+      return { alreadyApplied: true };
+    }
+
+    return { conflict: CONFLICT_REASONS.DELETED_ON_SERVER };
+  }
+
+  if (mutation.type === MUTATION_TYPES.CREATE) {
+    // The create made it to the server on an earlier replay attempt
+    return { alreadyApplied: true };
+  }
+
+  const serverAssignment = serverResult.assignment;
+  if (mutation.baseUpdatedAt && toMillis(serverAssignment.updatedAt) > toMillis(mutation.baseUpdatedAt)) {
+    return { conflict: CONFLICT_REASONS.MODIFIED_ON_SERVER, serverAssignment };
+  }
+
+  return { conflict: null };
+};
+
+// Replay queued mutations in order. Stops at the first network failure so
+// ordering is preserved, and moves conflicting mutations to the conflict list.
+export const replayMutationQueue = async (classId) => {
+  const queue = await getMutationQueue(classId);
+  if (queue.length === 0) {
+    return { success: true, applied: 0, conflicts: [], remaining: [] };
+  }
+
+  // Firestore answers reads from its cache while offline, so don't trust lookups then
+  if (!(await isOnline())) {
+    return { success: false, applied: 0, conflicts: [], remaining: queue };
+  }
+
+  const newConflicts = [];
+  let applied = 0;
+  let index = 0;
+
+  for (; index < queue.length; index++) {
+    const mutation = queue[index];
+    const check = await detectConflict(classId, mutation);
+
+    if (check.offline) {
+      break;
+    }
+
+    if (check.alreadyApplied) {
+      applied++;
+      continue;
+    }
+
+    if (check.conflict) {
+      newConflicts.push({
+        ...mutation,
+        reason: check.conflict,
+        serverAssignment: check.serverAssignment
+          ? { title: check.serverAssignment.title, updatedBy: check.serverAssignment.updatedBy || null }
+          : null,
+        detectedAt: new Date().toISOString()
+      });
+      continue;
+    }
+
+    const result = await sendMutation(classId, mutation);
+    if (result.success) {
+      applied++;
+    } else if (isNetworkError(result.error)) {
+      break;
+    } else {
+      newConflicts.push({
+        ...mutation,
+        reason: CONFLICT_REASONS.REJECTED,
+        error: result.error,
+        detectedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  const remaining = queue.slice(index);
+  await saveMutationQueue(classId, remaining);
+
+  if (newConflicts.length > 0) {
+    const existingConflicts = await getQueueConflicts(classId);
+    await saveQueueConflicts(classId, [...existingConflicts, ...newConflicts]);
+  }
+
+  return {
+    success: remaining.length === 0,
+    applied,
+    conflicts: newConflicts,
+    remaining
+  };
+};
+
+// Resolve a conflict either by forcing the local change ('local') or discarding it ('server')
+export const resolveQueueConflict = async (classId, mutationId, resolution) => {
+  try {
+    const conflicts = await getQueueConflicts(classId);
+    const conflict = conflicts.find(item => item.mutationId === mutationId);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+
+    if (resolution === 'local') {
+      const mutation = conflict.reason === CONFLICT_REASONS.DELETED_ON_SERVER
+        // The assignment no longer exists, so re-create it with the local edits
+        ? { ...conflict, type: MUTATION_TYPES.CREATE }
+        : conflict;
+      const result = await sendMutation(classId, mutation);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to apply local change');
+      }
+    }
+
+    // Until the list is saved the conflict is still there and shows up again
+    const remainingConflicts = conflicts.filter(item => item.mutationId !== mutationId);
+    if (!(await saveQueueConflicts(classId, remainingConflicts))) {
+      throw new Error('Failed to save the resolved conflict');
+    }
+
+    return { success: true, conflicts: remainingConflicts };
+  } catch (error) {
+    console.error('Error resolving queue conflict:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
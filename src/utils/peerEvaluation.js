@@ -0,0 +1,87 @@
+/**
+ * Peer evaluation of group assignments. Members rate each teammate's contribution from
+ * PEER_RATING_MIN to PEER_RATING_MAX (classes/{classId}/peerEvaluations/{assignmentId}_{raterId}).
+ * When the teacher grades the group's submission, each member's contribution factor is the
+ * average rating they got divided by the group's average, so a group that rates everyone the
+ * same keeps the group score. The factor scales the member's score and XP, see
+ * functions/groups.js for the XP side (keep the limits in sync).
+ */
+
+export const PEER_RATING_MIN = 1;
+export const PEER_RATING_MAX = 5;
+
+// Limits of the contribution factor, so one harsh or generous rating can't decide a grade
+export const MIN_CONTRIBUTION_FACTOR = 0.5;
+export const MAX_CONTRIBUTION_FACTOR = 1.2;
+
+/**
+ * ID of a member's peer evaluation document for an assignment
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} raterId - User ID of the member rating their teammates
+ * @returns {string} Document ID
+ */
+export const getPeerEvaluationId = (assignmentId, raterId) => `${assignmentId}_${raterId}`;
+
+const isValidRating = rating =>
+  Number.isInteger(rating) && rating >= PEER_RATING_MIN && rating <= PEER_RATING_MAX;
+
+/**
+ * Contribution of each member of a group from their teammates' ratings. Only ratings between
+ * members of the group count and nobody's rating of themselves does
+ * @param {Array} memberIds - User IDs of the group's members
+ * @param {Array} evaluations - Peer evaluations of the assignment: [{ raterId, ratings: { userId: rating } }]
+ * @returns {Object} { averageRating, ratingCount, factor } by userId, factor 1 for members nobody rated
+ */
+export const computeContributions = (memberIds, evaluations) => {
+  const received = {};
+  memberIds.forEach((userId) => {
+    received[userId] = [];
+  });
+
+  (evaluations || [])
+    .filter(evaluation => memberIds.includes(evaluation.raterId))
+    .forEach((evaluation) => {
+      Object.entries(evaluation.ratings || {}).forEach(([userId, rating]) => {
+        if (userId !== evaluation.raterId && received[userId] && isValidRating(rating)) {
+          received[userId].push(rating);
+        }
+      });
+    });
+
+  const averages = {};
+  memberIds.forEach((userId) => {
+    const ratings = received[userId];
+    averages[userId] = ratings.length > 0
+      ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+      : null;
+  });
+
+  const ratedAverages = Object.values(averages).filter(average => average !== null);
+  const groupAverage = ratedAverages.length > 0
+    ? ratedAverages.reduce((sum, average) => sum + average, 0) / ratedAverages.length
+    : null;
+
+  const contributions = {};
+  memberIds.forEach((userId) => {
+    const averageRating = averages[userId];
+    const factor = averageRating !== null && groupAverage
+      ? Math.min(MAX_CONTRIBUTION_FACTOR, Math.max(MIN_CONTRIBUTION_FACTOR, averageRating / groupAverage))
+      : 1;
+    contributions[userId] = {
+      averageRating,
+      ratingCount: received[userId].length,
+      factor: Math.round(factor * 100) / 100
+    };
+  });
+  return contributions;
+};
+
+/**
+ * A member's score for a group submission
+ * @param {number} groupScore - Score the teacher gave the group, 0 to 100
+ * @param {number} factor - The member's contribution factor
+ * @param {number} adjustment - Points the teacher added or took off for this member
+ * @returns {number} Score from 0 to 100
+ */
+export const computeMemberScore = (groupScore, factor = 1, adjustment = 0) =>
+  Math.min(100, Math.max(0, Math.round(groupScore * factor + adjustment)));
@@ -0,0 +1,248 @@
+/**
+ * Quiz question types and grading for AI material quizzes
+ * The submitQuizResult function grades the same way (see functions/quiz.js, keep them in sync),
+ * its result is the one that is saved. Questions without a type are multiple choice:
+ * - multiple-choice, true-false: { question, options, correctAnswer }, answered with an option index
+ * - multi-select: { question, options, correctAnswers }, answered with a list of option indexes
+ * - short-answer: { question, acceptedAnswers }, answered with a string
+ * - ordering: { question, items } in the right order, answered with the item indexes in the
+ *   order the student put them
+ */
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple-choice',
+  TRUE_FALSE: 'true-false',
+  MULTI_SELECT: 'multi-select',
+  SHORT_ANSWER: 'short-answer',
+  ORDERING: 'ordering'
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+  [QUESTION_TYPES.TRUE_FALSE]: 'True / false',
+  [QUESTION_TYPES.MULTI_SELECT]: 'Multi-select',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'Short answer',
+  [QUESTION_TYPES.ORDERING]: 'Ordering'
+};
+
+export const MIN_QUIZ_OPTIONS = 2;
+export const MAX_QUIZ_OPTIONS = 6;
+export const MIN_ORDERING_ITEMS = 3;
+export const MAX_ACCEPTED_ANSWERS = 10;
+
+export const QUESTION_TYPE_HINTS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Choose one answer',
+  [QUESTION_TYPES.TRUE_FALSE]: 'True or false?',
+  [QUESTION_TYPES.MULTI_SELECT]: 'Choose all correct answers',
+  [QUESTION_TYPES.SHORT_ANSWER]: 'Type your answer',
+  [QUESTION_TYPES.ORDERING]: 'Put these in the right order'
+};
+
+/**
+ * Type of a question, multiple choice for questions saved before there were types
+ * @param {Object} question - Quiz question
+ * @returns {string} One of QUESTION_TYPES
+ */
+export const getQuestionType = (question) =>
+  Object.values(QUESTION_TYPES).includes(question && question.type)
+    ? question.type
+    : QUESTION_TYPES.MULTIPLE_CHOICE;
+
+/**
+ * Short answer text with case, accents, punctuation and extra spaces removed
+ * @param {string} text - Answer text
+ * @returns {string} Normalized text
+ */
+export const normalizeAnswerText = (text) => {
+  let normalized = String(text || '').toLowerCase();
+  if (typeof normalized.normalize === 'function') {
+    normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+  return normalized
+    .replace(/[.,!?;:'"`()[\]{}\-_/\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Whether the student gave an answer the quiz can move on with
+ * @param {Object} question - Quiz question
+ * @param {*} answer - The student's answer
+ * @returns {boolean} True when answered
+ */
+export const isAnswered = (question, answer) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT:
+      return Array.isArray(answer) && answer.length > 0;
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return typeof answer === 'string' && answer.trim().length > 0;
+    case QUESTION_TYPES.ORDERING:
+      return Array.isArray(answer);
+    default:
+      return answer !== undefined && answer !== null;
+  }
+};
+
+/**
+ * Credit for one answer, from 0 to 1
+ * Multi-select loses a right option's worth for every wrong one picked, ordering counts the
+ * items in the right place
+ * @param {Object} question - Quiz question
+ * @param {*} answer - The student's answer
+ * @returns {number} Credit between 0 and 1
+ */
+export const gradeQuestion = (question, answer) => {
+  if (answer === undefined || answer === null) return 0;
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT: {
+      const correct = question.correctAnswers || [];
+      if (!Array.isArray(answer) || correct.length === 0) return 0;
+      const selected = [...new Set(answer)].filter(index => Number.isInteger(index));
+      const right = selected.filter(index => correct.includes(index)).length;
+      const wrong = selected.length - right;
+      return Math.max(0, (right - wrong) / correct.length);
+    }
+
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const normalized = normalizeAnswerText(answer);
+      return normalized && (question.acceptedAnswers || [])
+        .some(accepted => normalizeAnswerText(accepted) === normalized) ? 1 : 0;
+    }
+
+    case QUESTION_TYPES.ORDERING: {
+      const itemCount = (question.items || []).length;
+      if (!Array.isArray(answer) || answer.length !== itemCount || itemCount === 0 ||
+        new Set(answer).size !== itemCount ||
+        answer.some(index => !Number.isInteger(index) || index < 0 || index >= itemCount)) {
+        return 0;
+      }
+      return answer.filter((index, position) => index === position).length / itemCount;
+    }
+
+    default:
+      return answer === question.correctAnswer ? 1 : 0;
+  }
+};
+
+/**
+ * Score of a set of answers, partly right answers count for part of a question
+ * @param {Array} questions - Quiz questions
+ * @param {Array} answers - Answers by question index
+ * @returns {Object} { score: percentage, correctAnswers: fully right answers, credits: per question }
+ */
+export const gradeAnswers = (questions, answers) => {
+  const credits = questions.map((question, index) => gradeQuestion(question, (answers || [])[index]));
+  const total = credits.reduce((sum, credit) => sum + credit, 0);
+
+  return {
+    score: questions.length > 0 ? (total / questions.length) * 100 : 0,
+    correctAnswers: credits.filter(credit => credit === 1).length,
+    credits
+  };
+};
+
+/**
+ * Starting answer of an ordering question, the items shuffled out of the right order
+ * @param {number} itemCount - Number of items
+ * @returns {Array} Item indexes in display order
+ */
+export const shuffleOrdering = (itemCount) => {
+  const order = Array.from({ length: itemCount }, (_, index) => index);
+  if (itemCount < 2) return order;
+
+  do {
+    for (let index = order.length - 1; index > 0; index--) {
+      const swapIndex = Math.floor(Math.random() * (index + 1));
+      [order[index], order[swapIndex]] = [order[swapIndex], order[index]];
+    }
+  } while (order.every((item, position) => item === position));
+
+  return order;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const getListErrors = (values, label, min, max) => {
+  if (!Array.isArray(values) || values.length < min || values.length > max) {
+    return [min === max ? `${label} needs exactly ${min}` : `${label} needs ${min} to ${max}`];
+  }
+  if (!values.every(isNonEmptyString)) {
+    return [`${label} can't be empty`];
+  }
+  if (new Set(values.map(value => value.trim().toLowerCase())).size < values.length) {
+    return [`${label} can't repeat`];
+  }
+  return [];
+};
+
+/**
+ * Problems that keep quiz questions from being published, publishAiMaterial checks the same
+ * @param {Array} questions - Quiz questions
+ * @returns {Array} Error messages, empty when the quiz can be published
+ */
+export const validateQuizQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return ['The quiz needs at least one question'];
+  }
+
+  const errors = [];
+  questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+    if (!question || !isNonEmptyString(question.question)) {
+      errors.push(`${label} has no text`);
+      return;
+    }
+
+    const type = getQuestionType(question);
+    switch (type) {
+      case QUESTION_TYPES.MULTI_SELECT: {
+        errors.push(...getListErrors(question.options, `${label}: options`, MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS));
+        const correct = question.correctAnswers;
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        if (!Array.isArray(correct) || correct.length === 0 ||
+          correct.some(index => !Number.isInteger(index) || index < 0 || index >= optionCount)) {
+          errors.push(`${label} needs at least one correct option`);
+        }
+        break;
+      }
+      case QUESTION_TYPES.SHORT_ANSWER:
+        errors.push(...getListErrors(question.acceptedAnswers, `${label}: accepted answers`, 1, MAX_ACCEPTED_ANSWERS));
+        break;
+      case QUESTION_TYPES.ORDERING:
+        errors.push(...getListErrors(question.items, `${label}: items`, MIN_ORDERING_ITEMS, MAX_QUIZ_OPTIONS));
+        break;
+      default: {
+        const [min, max] = type === QUESTION_TYPES.TRUE_FALSE ? [2, 2] : [MIN_QUIZ_OPTIONS, MAX_QUIZ_OPTIONS];
+        errors.push(...getListErrors(question.options, `${label}: options`, min, max));
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        if (!Number.isInteger(question.correctAnswer) ||
+          question.correctAnswer < 0 || question.correctAnswer >= optionCount) {
+          errors.push(`${label} needs a correct option`);
+        }
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * A new, empty question of a type for the material editor
+ * @param {string} type - One of QUESTION_TYPES
+ * @returns {Object} Question with the fields of its type
+ */
+export const createEmptyQuestion = (type) => {
+  switch (type) {
+    case QUESTION_TYPES.TRUE_FALSE:
+      return { type, question: '', options: ['True', 'False'], correctAnswer: 0 };
+    case QUESTION_TYPES.MULTI_SELECT:
+      return { type, question: '', options: ['', '', '', ''], correctAnswers: [] };
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return { type, question: '', acceptedAnswers: [''] };
+    case QUESTION_TYPES.ORDERING:
+      return { type, question: '', items: ['', '', ''] };
+    default:
+      return { type: QUESTION_TYPES.MULTIPLE_CHOICE, question: '', options: ['', '', '', ''], correctAnswer: null };
+  }
+};
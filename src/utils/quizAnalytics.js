@@ -0,0 +1,144 @@
+/**
+ * Quiz analytics of an AI material for teachers, from the attempts saved by submitQuizResult
+ * (classes/{classId}/aiMaterials/{materialId}/attempts). Each attempt has the student's
+ * responses: [{ answer, credit, timeSeconds }] by question index. Only attempts on the current
+ * version of the quiz count, and only each student's first one, so retakes of a quiz a student
+ * already saw the answers of don't make questions look easier than they are.
+ */
+import { QUESTION_TYPES, getQuestionType, normalizeAnswerText } from './quiz';
+
+// Score ranges of the distribution chart, as percentages
+export const SCORE_BUCKETS = [
+  { min: 0, max: 20, label: '0–19' },
+  { min: 20, max: 40, label: '20–39' },
+  { min: 40, max: 60, label: '40–59' },
+  { min: 60, max: 80, label: '60–79' },
+  { min: 80, max: 101, label: '80–100' }
+];
+
+// Wrong answers listed per question
+const MAX_WRONG_ANSWERS = 3;
+
+// Label of skipped questions among the wrong answers
+export const NO_ANSWER_LABEL = 'No answer';
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Whether an attempt was made on the material's current quiz, republishing changes it
+ * @param {Object} attempt - Quiz attempt
+ * @param {Object} material - AI material
+ * @returns {boolean} True for attempts on the current version
+ */
+export const isCurrentVersionAttempt = (attempt, material) =>
+  toMillis(attempt.materialVersion) === toMillis(material.publishedAt || material.createdAt);
+
+/**
+ * Difficulty of a question from the average credit students got on it
+ * @param {number} averageCredit - Average credit, 0 to 1
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+export const getDifficulty = (averageCredit) => {
+  if (averageCredit >= 0.8) return 'easy';
+  if (averageCredit >= 0.5) return 'medium';
+  return 'hard';
+};
+
+// The wrong choices in one response, as labels: options picked that aren't right, a short answer
+// that didn't match, or the ordering items put in the wrong place
+const getWrongChoices = (question, response) => {
+  if (response.credit === 1) return [];
+  if (response.answer === null || response.answer === undefined) return [NO_ANSWER_LABEL];
+
+  const options = question.options || [];
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTI_SELECT:
+      return response.answer
+        .filter(index => !(question.correctAnswers || []).includes(index))
+        .map(index => options[index])
+        .filter(Boolean);
+    case QUESTION_TYPES.SHORT_ANSWER:
+      return response.answer ? [response.answer] : [NO_ANSWER_LABEL];
+    case QUESTION_TYPES.ORDERING:
+      return response.answer
+        .filter((itemIndex, position) => itemIndex !== position)
+        .map(itemIndex => (question.items || [])[itemIndex])
+        .filter(Boolean);
+    default:
+      return options[response.answer] !== undefined ? [options[response.answer]] : [];
+  }
+};
+
+/**
+ * Analytics of a quiz: the score distribution and, per question, how hard it was, how long it
+ * took and the wrong answers students chose most
+ * @param {Object} material - AI material with quizQuestions
+ * @param {Array} attempts - Attempts of the material
+ * @returns {Object} { studentCount, attemptCount, olderAttemptCount, averageScore, distribution, questions }
+ */
+export const computeQuizAnalytics = (material, attempts) => {
+  const questions = material.quizQuestions || [];
+  const currentAttempts = attempts.filter(attempt => isCurrentVersionAttempt(attempt, material));
+
+  const firstAttempts = {};
+  currentAttempts.forEach((attempt) => {
+    const first = firstAttempts[attempt.userId];
+    if (!first || (attempt.attemptNumber || 0) < (first.attemptNumber || 0)) {
+      firstAttempts[attempt.userId] = attempt;
+    }
+  });
+  const studentAttempts = Object.values(firstAttempts);
+
+  const distribution = SCORE_BUCKETS.map(bucket => ({
+    label: bucket.label,
+    count: studentAttempts.filter(attempt => attempt.score >= bucket.min && attempt.score < bucket.max).length
+  }));
+
+  const questionStats = questions.map((question, index) => {
+    const responses = studentAttempts
+      .map(attempt => (attempt.responses || [])[index])
+      .filter(Boolean);
+    const count = responses.length;
+    const averageCredit = count > 0 ? responses.reduce((sum, response) => sum + (response.credit || 0), 0) / count : 0;
+
+    // Short answers are grouped however they were capitalized or punctuated
+    const wrongCounts = {};
+    responses.forEach((response) => {
+      getWrongChoices(question, response).forEach((label) => {
+        const key = getQuestionType(question) === QUESTION_TYPES.SHORT_ANSWER ? normalizeAnswerText(label) : label;
+        wrongCounts[key] = wrongCounts[key] || { label, count: 0 };
+        wrongCounts[key].count++;
+      });
+    });
+
+    return {
+      index,
+      question: question.question,
+      type: getQuestionType(question),
+      responseCount: count,
+      averageCredit,
+      correctRate: count > 0 ? responses.filter(response => response.credit === 1).length / count : 0,
+      difficulty: getDifficulty(averageCredit),
+      averageTime: count > 0 ? responses.reduce((sum, response) => sum + (response.timeSeconds || 0), 0) / count : 0,
+      wrongAnswers: Object.values(wrongCounts)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_WRONG_ANSWERS)
+    };
+  });
+
+  return {
+    studentCount: studentAttempts.length,
+    attemptCount: currentAttempts.length,
+    olderAttemptCount: attempts.length - currentAttempts.length,
+    averageScore: studentAttempts.length > 0
+      ? studentAttempts.reduce((sum, attempt) => sum + (attempt.score || 0), 0) / studentAttempts.length
+      : 0,
+    distribution,
+    questions: questionStats
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * Exam mode of AI material quizzes: time limits, shuffled questions and options, one attempt
+ * and an opening window, set by class admins in the material's examSettings. The startQuizExam
+ * function creates each student's session (question and option order, when their time ends) and
+ * submitQuizResult grades against it, see functions/quizExam.js (keep the limits in sync).
+ */
+
+export const MAX_EXAM_MINUTES = 300;
+export const MIN_QUESTION_SECONDS = 10;
+export const MAX_QUESTION_SECONDS = 600;
+
+// Remaining seconds below which the timer turns red
+export const EXAM_WARNING_SECONDS = 60;
+
+export const EXAM_WINDOW_STATUS = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toLimit = (value, min, max) => {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number > 0 ? Math.min(max, Math.max(min, number)) : null;
+};
+
+/**
+ * Exam settings of a material with every field set
+ * @param {Object} settings - The material's examSettings, if any
+ * @returns {Object} { enabled, timeLimitMinutes, questionTimeLimitSeconds, shuffleQuestions, shuffleOptions, opensAt, closesAt } with null for no limit and dates as Date
+ */
+export const normalizeExamSettings = (settings) => {
+  const values = settings || {};
+  return {
+    enabled: values.enabled === true,
+    timeLimitMinutes: toLimit(values.timeLimitMinutes, 1, MAX_EXAM_MINUTES),
+    questionTimeLimitSeconds: toLimit(values.questionTimeLimitSeconds, MIN_QUESTION_SECONDS, MAX_QUESTION_SECONDS),
+    shuffleQuestions: values.shuffleQuestions === true,
+    shuffleOptions: values.shuffleOptions === true,
+    opensAt: toDate(values.opensAt),
+    closesAt: toDate(values.closesAt)
+  };
+};
+
+/**
+ * Whether an exam can be started now
+ * @param {Object} settings - Result of normalizeExamSettings
+ * @param {Date} now - Current time
+ * @returns {string} One of EXAM_WINDOW_STATUS
+ */
+export const getExamWindowStatus = (settings, now = new Date()) => {
+  if (settings.opensAt && now < settings.opensAt) return EXAM_WINDOW_STATUS.UPCOMING;
+  if (settings.closesAt && now >= settings.closesAt) return EXAM_WINDOW_STATUS.CLOSED;
+  return EXAM_WINDOW_STATUS.OPEN;
+};
+
+/**
+ * Question indexes in the order a student sees them, the session's order while it still
+ * matches the quiz
+ * @param {Object|null} session - Exam session from startQuizExam, null outside exams
+ * @param {number} questionCount - Number of questions
+ * @returns {Array} Question indexes
+ */
+export const getQuestionOrder = (session, questionCount) => {
+  const order = session?.questionOrder;
+  const isValid = Array.isArray(order) && order.length === questionCount &&
+    new Set(order).size === questionCount &&
+    order.every(index => Number.isInteger(index) && index >= 0 && index < questionCount);
+  return isValid ? order : Array.from({ length: questionCount }, (_, index) => index);
+};
+
+/**
+ * Option indexes of a question in the order a student sees them
+ * @param {Object|null} session - Exam session from startQuizExam, null outside exams
+ * @param {number} questionIndex - Index of the question in the quiz
+ * @param {number} optionCount - Number of options of the question
+ * @returns {Array} Option indexes
+ */
+export const getOptionOrder = (session, questionIndex, optionCount) => {
+  const order = session?.optionOrders?.[questionIndex];
+  const isValid = Array.isArray(order) && order.length === optionCount && new Set(order).size === optionCount;
+  return isValid ? order : Array.from({ length: optionCount }, (_, index) => index);
+};
@@ -0,0 +1,177 @@
+import { RECURRENCE_FREQUENCY, RECURRENCE_END_TYPE, DEADLINE_OPTIONS } from '../constants/Types';
+
+/**
+ * Recurrence rules for assignments that repeat on a schedule
+ *
+ * A rule looks like:
+ * {
+ *   frequency: RECURRENCE_FREQUENCY.WEEKLY | RECURRENCE_FREQUENCY.EVERY_N_DAYS,
+ *   weekdays: [1, 3],           // 0 = Sunday ... 6 = Saturday (weekly only)
+ *   interval: 2,                // days between occurrences (every N days only)
+ *   endType: RECURRENCE_END_TYPE.UNTIL_DATE | RECURRENCE_END_TYPE.COUNT,
+ *   until: '2026-12-20T23:59:59.999Z',
+ *   count: 10
+ * }
+ */
+
+// Hard cap so a typo can't create hundreds of assignments
+export const MAX_OCCURRENCES = 52;
+
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const isRecurring = (rule) =>
+  !!rule && !!rule.frequency && rule.frequency !== RECURRENCE_FREQUENCY.NONE;
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - The recurrence rule
+ * @param {Date|string} firstDeadline - Deadline of the first occurrence
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+export const validateRecurrenceRule = (rule, firstDeadline) => {
+  const errors = [];
+  if (!isRecurring(rule)) {
+    return errors;
+  }
+
+  if (rule.frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+    if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+      errors.push('Select at least one day of the week');
+    }
+  } else if (rule.frequency === RECURRENCE_FREQUENCY.EVERY_N_DAYS) {
+    const interval = Number(rule.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+      errors.push('Repeat interval must be a whole number of days');
+    }
+  } else {
+    errors.push(`Unknown repeat frequency: ${rule.frequency}`);
+  }
+
+  if (rule.endType === RECURRENCE_END_TYPE.COUNT) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push('Number of occurrences must be at least 1');
+    } else if (count > MAX_OCCURRENCES) {
+      errors.push(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+  } else if (rule.endType === RECURRENCE_END_TYPE.UNTIL_DATE) {
+    const until = new Date(rule.until);
+    if (!rule.until || isNaN(until.getTime())) {
+      errors.push('Choose an end date for the series');
+    } else if (firstDeadline && until < new Date(firstDeadline)) {
+      errors.push('The end date must be after the first deadline');
+    }
+  } else {
+    errors.push('Choose when the series ends');
+  }
+
+  return errors;
+};
+
+/**
+ * Generate the deadline of every occurrence in a series
+ * The time of day is taken from the first deadline.
+ * @param {Object} rule - The recurrence rule
+ * @param {Date|string} firstDeadline - Deadline of the first occurrence
+ * @returns {Date[]} Occurrence deadlines in chronological order
+ */
+export const generateOccurrenceDates = (rule, firstDeadline) => {
+  const start = new Date(firstDeadline);
+  if (!isRecurring(rule) || isNaN(start.getTime())) {
+    return isNaN(start.getTime()) ? [] : [start];
+  }
+
+  const limit = rule.endType === RECURRENCE_END_TYPE.COUNT
+    ? Math.min(Number(rule.count) || 1, MAX_OCCURRENCES)
+    : MAX_OCCURRENCES;
+  const until = rule.endType === RECURRENCE_END_TYPE.UNTIL_DATE ? new Date(rule.until) : null;
+
+  const dates = [];
+  const withinRange = (date) => !until || date.getTime() <= until.getTime();
+
+  if (rule.frequency === RECURRENCE_FREQUENCY.EVERY_N_DAYS) {
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    let current = new Date(start);
+    while (dates.length < limit && withinRange(current)) {
+      dates.push(new Date(current));
+      current = new Date(current);
+      current.setDate(current.getDate() + interval);
+    }
+    return dates;
+  }
+
+  // Weekly: walk day by day from the first deadline and keep the selected weekdays
+  const weekdays = new Set(rule.weekdays || []);
+  let current = new Date(start);
+  // A year of days is enough to find MAX_OCCURRENCES weekly matches
+  const lastDay = start.getTime() + 366 * DAY_IN_MS;
+  while (dates.length < limit && withinRange(current) && current.getTime() <= lastDay) {
+    if (weekdays.has(current.getDay())) {
+      dates.push(new Date(current));
+    }
+    current = new Date(current);
+    current.setDate(current.getDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Build the assignment documents for every occurrence in a series
+ * @param {Object} assignmentData - Assignment fields shared by all occurrences
+ * @param {Object} rule - The recurrence rule
+ * @returns {Object[]} One assignment object per occurrence
+ */
+export const buildOccurrenceAssignments = (assignmentData, rule) => {
+  const seriesId = assignmentData.seriesId || `series_${Date.now()}`;
+  const dates = generateOccurrenceDates(rule, assignmentData.deadlineTimestamp);
+
+  return dates.map((date, index) => {
+    const deadline = date.toISOString();
+    return {
+      ...assignmentData,
+      id: `${seriesId}_${index + 1}`,
+      seriesId,
+      recurrence: rule,
+      occurrenceIndex: index + 1,
+      occurrenceCount: dates.length,
+      deadlineOption: DEADLINE_OPTIONS.CUSTOM,
+      deadlineTimestamp: deadline,
+      deadline,
+      skipped: false
+    };
+  });
+};
+
+/**
+ * Describe a recurrence rule in a short human-readable sentence
+ * @param {Object} rule - The recurrence rule
+ * @returns {string} e.g. "Every Monday, until Dec 20, 2026"
+ */
+export const describeRecurrenceRule = (rule) => {
+  if (!isRecurring(rule)) {
+    return RECURRENCE_FREQUENCY.NONE;
+  }
+
+  let description;
+  if (rule.frequency === RECURRENCE_FREQUENCY.WEEKLY) {
+    const days = [...(rule.weekdays || [])]
+      .sort((a, b) => a - b)
+      .map(day => WEEKDAY_LABELS[day]);
+    description = `Every ${days.join(', ')}`;
+  } else {
+    const interval = Number(rule.interval) || 1;
+    description = interval === 1 ? 'Every day' : `Every ${interval} days`;
+  }
+
+  if (rule.endType === RECURRENCE_END_TYPE.COUNT) {
+    description += `, ${rule.count} times`;
+  } else if (rule.until) {
+    description += `, until ${new Date(rule.until).toLocaleDateString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric'
+    })}`;
+  }
+
+  return description;
+};
@@ -0,0 +1,147 @@
+/**
+ * Rubrics for grading completions
+ *
+ * A class keeps reusable rubrics in classes/{classId}/rubrics. Attaching one to an assignment copies
+ * it to the assignment's `rubric`, so later edits don't change how earlier work was graded:
+ * {
+ *   rubricId, name,
+ *   criteria: [{ id, name, levels: [{ id, label, points }] }]
+ * }
+ * The teacher picks one level per criterion when approving a completion. The completion's score out
+ * of 100 is the points scored over the points possible, and the picks are stored with the
+ * completed assignment as its `rubricGrade`.
+ */
+
+export const MAX_CRITERIA = 10;
+export const MAX_LEVELS = 6;
+export const MAX_LEVEL_POINTS = 100;
+
+let nextKey = 0;
+const createId = (prefix) => {
+  nextKey += 1;
+  return `${prefix}_${Date.now().toString(36)}_${nextKey}`;
+};
+
+/**
+ * New criterion with the usual four levels
+ * @returns {Object} Criterion
+ */
+export const createCriterion = () => ({
+  id: createId('criterion'),
+  name: '',
+  levels: [
+    { id: createId('level'), label: 'Excellent', points: 4 },
+    { id: createId('level'), label: 'Good', points: 3 },
+    { id: createId('level'), label: 'Fair', points: 2 },
+    { id: createId('level'), label: 'Needs work', points: 1 }
+  ]
+});
+
+/**
+ * New level for a criterion
+ * @returns {Object} Level
+ */
+export const createLevel = () => ({ id: createId('level'), label: '', points: 0 });
+
+/**
+ * Points of the best level of a criterion
+ * @param {Object} criterion - Rubric criterion
+ * @returns {number} Points possible for the criterion
+ */
+export const getCriterionMaxPoints = (criterion) =>
+  Math.max(0, ...(criterion.levels || []).map(level => Number(level.points) || 0));
+
+/**
+ * Points possible for a whole rubric
+ * @param {Object} rubric - Rubric
+ * @returns {number} Sum of the best level of each criterion
+ */
+export const getRubricMaxPoints = (rubric) =>
+  (rubric?.criteria || []).reduce((sum, criterion) => sum + getCriterionMaxPoints(criterion), 0);
+
+/**
+ * Problems that keep a rubric from being saved
+ * @param {Object} rubric - Rubric being edited
+ * @returns {Array} Error messages, empty when the rubric is fine
+ */
+export const validateRubric = (rubric) => {
+  const errors = [];
+  if (!rubric.name || !rubric.name.trim()) {
+    errors.push('Give the rubric a name.');
+  }
+  const criteria = rubric.criteria || [];
+  if (criteria.length === 0) {
+    errors.push('Add at least one criterion.');
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    errors.push(`A rubric can have up to ${MAX_CRITERIA} criteria.`);
+  }
+  criteria.forEach((criterion, index) => {
+    const label = criterion.name && criterion.name.trim() ? criterion.name.trim() : `Criterion ${index + 1}`;
+    if (!criterion.name || !criterion.name.trim()) {
+      errors.push(`${label} needs a name.`);
+    }
+    const levels = criterion.levels || [];
+    if (levels.length < 2 || levels.length > MAX_LEVELS) {
+      errors.push(`${label} needs 2 to ${MAX_LEVELS} levels.`);
+    }
+    if (levels.some(level => !level.label || !level.label.trim())) {
+      errors.push(`Every level of ${label} needs a label.`);
+    }
+    if (levels.some(level => !Number.isFinite(Number(level.points)) || Number(level.points) < 0 ||
+      Number(level.points) > MAX_LEVEL_POINTS)) {
+      errors.push(`Levels of ${label} are worth 0 to ${MAX_LEVEL_POINTS} points.`);
+    }
+  });
+  if (errors.length === 0 && getRubricMaxPoints(rubric) === 0) {
+    errors.push('At least one level has to be worth points.');
+  }
+  return errors;
+};
+
+/**
+ * A rubric ready to save, with trimmed text and numeric points
+ * @param {Object} rubric - Rubric being edited
+ * @returns {Object} { name, criteria }
+ */
+export const normalizeRubric = (rubric) => ({
+  name: rubric.name.trim(),
+  criteria: rubric.criteria.map(criterion => ({
+    id: criterion.id,
+    name: criterion.name.trim(),
+    levels: criterion.levels.map(level => ({
+      id: level.id,
+      label: level.label.trim(),
+      points: Number(level.points)
+    }))
+  }))
+});
+
+/**
+ * Grade from the level picked for each criterion
+ * @param {Object} rubric - The assignment's rubric
+ * @param {Object} selections - Picked level ID by criterion ID
+ * @returns {Object} { complete, points, maxPoints, score (0 to 100), criteria: [{ criterionId, name, levelId, levelLabel, points, maxPoints }] }
+ */
+export const scoreRubric = (rubric, selections) => {
+  const criteria = (rubric?.criteria || []).map((criterion) => {
+    const level = (criterion.levels || []).find(l => l.id === selections?.[criterion.id]) || null;
+    return {
+      criterionId: criterion.id,
+      name: criterion.name,
+      levelId: level ? level.id : null,
+      levelLabel: level ? level.label : null,
+      points: level ? Number(level.points) || 0 : 0,
+      maxPoints: getCriterionMaxPoints(criterion)
+    };
+  });
+  const points = criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+  const maxPoints = criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+  return {
+    complete: criteria.length > 0 && criteria.every(criterion => criterion.levelId !== null),
+    points,
+    maxPoints,
+    score: maxPoints > 0 ? Math.min(100, Math.round((points / maxPoints) * 100)) : 0,
+    criteria
+  };
+};